@@ -3,15 +3,35 @@
  * 用於讀取和使用 filter-rules.json 配置檔案
  */
 
-const fs = require('fs');
-const path = require('path');
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateSource } from './lib/source-adapters.js';
+import {
+  scoreArticle,
+  capScore,
+  describeBreakdown,
+  compileTerm,
+  countMatches,
+  termLabel,
+  validateTerm,
+  validateScoringRules
+} from './lib/rule-engine.js';
+import { resolveCities, isKnownCity } from './lib/city-gazetteer.js';
+import { normalizeText } from './lib/text-normalizer.js';
+import { resolveRecencyConfig, assessRecency, validateRecencyConfig } from './lib/recency.js';
+import { RuleHistory, historyDirFor, diffRules, UNKNOWN_ORIGIN } from './lib/rule-history.js';
+import { validateNotifiersConfig } from './lib/notifiers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /**
  * 載入篩選規則配置
  * @param {string} configPath - 配置檔案路徑
+ * @param {Object} options - {logger}，預設輸出到 console
  * @returns {Object} 篩選規則配置物件
  */
-function loadFilterRules(configPath = './config/filter-rules.json') {
+function loadFilterRules(configPath = './config/filter-rules.json', { logger = console } = {}) {
   try {
     // 嘗試多個可能的路徑
     const possiblePaths = [
@@ -30,17 +50,17 @@ function loadFilterRules(configPath = './config/filter-rules.json') {
     }
 
     if (!filePath) {
-      console.warn('⚠️ filter-rules.json 未找到，使用預設規則');
+      logger.warn('⚠️ filter-rules.json 未找到，使用預設規則');
       return getDefaultRules();
     }
 
     const content = fs.readFileSync(filePath, 'utf-8');
     const config = JSON.parse(content);
 
-    console.log(`✅ 已載入篩選規則配置：${filePath}`);
+    logger.info(`✅ 已載入篩選規則配置：${filePath}`);
     return config;
   } catch (error) {
-    console.error(`❌ 載入篩選規則失敗：${error.message}`);
+    logger.error(`❌ 載入篩選規則失敗：${error.message}`);
     return getDefaultRules();
   }
 }
@@ -59,12 +79,16 @@ function getDefaultRules() {
       keywords: {
         values: [
           '秘書處', '秘書長', '市政府', '市長', '副市長',
-          '政策', '會議', '視察', '國際交流', '簽署'
+          '政策', '會議', '視察', '國際交流', '簽署',
+          '協議', '公告', '通知', '宣布', '發布'
         ],
         weight: 5
       },
       excludeKeywords: {
-        values: ['娛樂', '運動', '明星', '八卦', '股市', '房市'],
+        values: [
+          '娛樂', '運動', '明星', '八卦', '股市', '房市',
+          '天氣', '寵物', '美食', '旅遊'
+        ],
         weight: -100
       }
     },
@@ -76,107 +100,197 @@ function getDefaultRules() {
 
 /**
  * 計算新聞評分
+ * 比對規則與評分方式見 lib/rule-engine.js
  * @param {Object} news - 新聞物件 {title, summary}
  * @param {Object} rules - 篩選規則配置
- * @returns {number} 評分
+ * @returns {number} 評分（缺少必要的城市或關鍵字、或包含排除詞時為 0）
  */
 function calculateScore(news, rules) {
-  let score = 0;
-  const text = (news.title + ' ' + news.summary).toLowerCase();
-
-  const filterRules = rules.filterRules || {};
-
-  // 城市匹配
-  if (filterRules.cities && filterRules.cities.values) {
-    filterRules.cities.values.forEach(city => {
-      if (text.includes(city.toLowerCase())) {
-        score += filterRules.cities.weight || 10;
-      }
-    });
-  }
-
-  // 關鍵字匹配
-  if (filterRules.keywords && filterRules.keywords.values) {
-    filterRules.keywords.values.forEach(keyword => {
-      if (text.includes(keyword.toLowerCase())) {
-        score += filterRules.keywords.weight || 5;
-      }
-    });
-  }
-
-  // 排除關鍵字
-  if (filterRules.excludeKeywords && filterRules.excludeKeywords.values) {
-    for (const keyword of filterRules.excludeKeywords.values) {
-      if (text.includes(keyword.toLowerCase())) {
-        return 0; // 包含排除詞則完全排除
-      }
-    }
-  }
+  return scoreArticle(news, rules).score;
+}
 
-  return score;
+/**
+ * 為新聞標記所有命中的分類
+ * @param {Object} news - 新聞物件
+ * @param {Object} rules - 篩選規則配置
+ * @returns {Array} [{label, keywords, evidence, points}]，依命中證據由高至低排序
+ */
+function classifyCategories(news, rules) {
+  return scoreArticle(news, rules).categories;
 }
 
 /**
  * 提取新聞分類
  * @param {Object} news - 新聞物件
  * @param {Object} rules - 篩選規則配置
- * @returns {string} 分類標籤
+ * @returns {string} 主要分類標籤（命中證據最多者，未命中時為「其他」）
  */
 function extractCategory(news, rules) {
-  const text = (news.title + ' ' + news.summary).toLowerCase();
-  const categoryKeywords = rules.filterRules?.categoryKeywords?.categories || {};
-
-  for (const [category, config] of Object.entries(categoryKeywords)) {
-    if (config.keywords) {
-      for (const keyword of config.keywords) {
-        if (text.includes(keyword.toLowerCase())) {
-          return category;
-        }
-      }
-    }
+  return classifyCategories(news, rules)[0]?.label || '其他';
+}
+
+/**
+ * 判斷新聞提及的所有城市
+ * 六都以地名辭典比對（別名、臺/台、行政區），其他自訂城市以字面比對
+ * @param {Object} news - 新聞物件
+ * @param {Object} rules - 篩選規則配置
+ * @returns {Object} {city, confidence, cities: [{city, confidence, ...}]}
+ */
+function resolveNewsCities(news, rules) {
+  const cities = rules.filterRules?.cities?.values || [];
+  const known = cities.map(termLabel).filter(isKnownCity);
+  // 與評分相同，有內文時以全文取代摘要
+  const body = news.content || news.summary;
+  const resolution = resolveCities({ title: news.title, summary: body }, { cities: known });
+
+  // 辭典以外的城市（如自行新增的縣市）
+  const text = normalizeText(news.title) + ' ' + normalizeText(body);
+  cities
+    .filter(city => !isKnownCity(termLabel(city)))
+    .filter(city => countMatches(compileTerm(city, 0), text) > 0)
+    .forEach(city => resolution.cities.push({ city: termLabel(city), confidence: 1, count: 1, titleCount: 0, mentions: [] }));
+
+  if (resolution.city === '其他' && resolution.cities.length > 0) {
+    resolution.city = resolution.cities[0].city;
+    resolution.confidence = resolution.cities[0].confidence;
   }
 
-  return '其他';
+  return resolution;
 }
 
 /**
  * 提取城市信息
  * @param {Object} news - 新聞物件
  * @param {Object} rules - 篩選規則配置
- * @returns {string} 城市名稱
+ * @returns {string} 主要城市名稱（未提及任何城市時為「其他」）
  */
 function extractCity(news, rules) {
-  const text = news.title + ' ' + news.summary;
-  const cities = rules.filterRules?.cities?.values || [];
+  return resolveNewsCities(news, rules).city;
+}
 
-  for (const city of cities) {
-    if (text.includes(city)) {
-      return city;
+/**
+ * 評分單則新聞並附上評分明細
+ * @param {Object} news - 新聞物件
+ * @param {Object} rules - 篩選規則配置
+ * @returns {Object} 加上 score、city、cities、category、categories 與 scoreBreakdown 的新聞物件
+ */
+function evaluateNews(news, rules) {
+  const result = scoreArticle(news, rules);
+  const resolution = resolveNewsCities(news, rules);
+  const officialBonus = news.official && result.score > 0 ? (rules.scoringRules?.officialBonus ?? 0) : 0;
+  const sourceWeight = news.sourceWeight ?? 1;
+  // 市府新聞稿加分，再依來源權重調整分數（未設定時為 1），最後才封頂
+  const maxScore = rules.scoringRules?.maxScore;
+  const { score, capped } = capScore(Math.round((result.score + officialBonus) * sourceWeight), maxScore);
+
+  return {
+    ...news,
+    score,
+    // 市府新聞稿已由來源標記發布城市
+    city: news.city || resolution.city,
+    // 內文提及的所有城市與信心分數
+    cities: resolution.cities.map(({ city, confidence }) => ({ city, confidence })),
+    category: result.categories[0]?.label || '其他',
+    // 所有命中的分類（依命中證據排序）
+    categories: result.categories.map(category => category.label),
+    scoreBreakdown: {
+      ...result,
+      officialBonus,
+      sourceWeight,
+      capped,
+      ...(capped && { maxScore })
     }
+  };
+}
+
+/**
+ * 判斷新聞未通過篩選的原因
+ * @param {Object} news - evaluateNews 的結果
+ * @param {number} minScore - 最低評分
+ * @returns {Object|null} {type, reason}，通過時回傳 null
+ */
+function getRejectReason(news, minScore) {
+  const breakdown = news.scoreBreakdown;
+  if (breakdown.excludedBy) {
+    return { type: 'excluded', reason: `排除詞「${breakdown.excludedBy}」` };
+  }
+  if (breakdown.missingRequired.length > 0) {
+    return { type: 'missingRequired', reason: `缺少必要的${breakdown.missingRequired.join('、')}` };
+  }
+  if (news.score < minScore) {
+    const penalties = breakdown.exclusions.map(exclusion => `「${exclusion.label}」${exclusion.points}`).join('、');
+    return {
+      type: 'belowMinScore',
+      reason: `分數 ${news.score} 低於 minScore ${minScore}${penalties ? `（排除詞扣分 ${penalties}）` : ''}`
+    };
   }
+  return null;
+}
 
-  return '其他';
+/**
+ * 依發布時間評估時效，附上排名分數（相關性分數 × 時效係數）
+ * @param {Object} news - evaluateNews 的結果
+ * @param {Date} now - 執行時間
+ * @param {Object} recencyConfig - 完整的 recencyConfig
+ * @returns {Object} 加上 rankScore 與 scoreBreakdown.recency 的新聞物件
+ */
+function applyRecency(news, now, recencyConfig) {
+  const recency = assessRecency(news, now, recencyConfig);
+  return {
+    ...news,
+    rankScore: Math.round(news.score * recency.factor * 100) / 100,
+    scoreBreakdown: {
+      ...news.scoreBreakdown,
+      recency: { ...recency, unknownDatePolicy: recencyConfig.unknownDatePolicy }
+    }
+  };
 }
 
 /**
- * 篩選新聞
+ * 篩選新聞並保留未通過的新聞與原因
  * @param {Array} allNews - 所有新聞陣列
  * @param {Object} rules - 篩選規則配置
- * @returns {Array} 篩選後的新聞陣列
+ * @param {Object} options - {now: 執行時間，用於發布時間範圍與時效排名}
+ * @returns {Object} {accepted: 通過的新聞（依排名分數排序）, rejected: 未通過的新聞（含 rejectType 與 rejectReason）}
  */
-function filterNews(allNews, rules) {
+function partitionNews(allNews, rules, { now = new Date() } = {}) {
   const minScore = rules.scoringRules?.minScore || 5;
+  const maxArticles = 50; // 最多 50 條
+  const recencyConfig = resolveRecencyConfig(rules.recencyConfig);
+  const accepted = [];
+  const rejected = [];
+
+  allNews.map(news => applyRecency(evaluateNews(news, rules), now, recencyConfig)).forEach(news => {
+    const recency = news.scoreBreakdown.recency;
+    const rejection = getRejectReason(news, minScore)
+      || (!recency.inWindow && { type: recency.dateKnown ? 'outsideWindow' : 'unknownDate', reason: recency.reason });
+    if (rejection) {
+      rejected.push({ ...news, rejectType: rejection.type, rejectReason: rejection.reason });
+    } else {
+      accepted.push(news);
+    }
+  });
+
+  accepted.sort((a, b) => b.rankScore - a.rankScore || b.score - a.score);
+  accepted.slice(maxArticles).forEach(news => {
+    rejected.push({ ...news, rejectType: 'overLimit', rejectReason: `超過每次 ${maxArticles} 則上限（排名分數 ${news.rankScore}）` });
+  });
+
+  return {
+    accepted: accepted.slice(0, maxArticles),
+    rejected
+  };
+}
 
-  return allNews
-    .map(news => ({
-      ...news,
-      score: calculateScore(news, rules),
-      city: extractCity(news, rules),
-      category: extractCategory(news, rules)
-    }))
-    .filter(news => news.score >= minScore)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 50); // 最多 50 條
+/**
+ * 篩選新聞
+ * @param {Array} allNews - 所有新聞陣列
+ * @param {Object} rules - 篩選規則配置
+ * @param {Object} options - {now}
+ * @returns {Array} 篩選後的新聞陣列
+ */
+function filterNews(allNews, rules, options = {}) {
+  return partitionNews(allNews, rules, options).accepted;
 }
 
 /**
@@ -207,48 +321,128 @@ function validateRules(rules) {
   }
 
   // 檢查評分配置
-  if (typeof rules.scoringRules.minScore !== 'number') {
+  if (typeof rules.scoringRules?.minScore !== 'number') {
     errors.push('minScore 必須是數字');
   }
 
+  if (rules.scoringRules?.officialBonus !== undefined && typeof rules.scoringRules.officialBonus !== 'number') {
+    errors.push('officialBonus 必須是數字');
+  }
+
+  validateScoringRules(rules.scoringRules).forEach(error => errors.push(error));
+  validateRecencyConfig(rules.recencyConfig).forEach(error => errors.push(error));
+  validateNotifiersConfig(rules.notifiersConfig, {
+    cities: (rules.filterRules?.cities?.values || []).map(termLabel),
+    categories: Object.keys(rules.filterRules?.categoryKeywords?.categories || {})
+  }).forEach(error => errors.push(error));
+
+  // 檢查詞條格式（字串、value、regex 或 phrase）
+  ['cities', 'keywords', 'excludeKeywords'].forEach(group => {
+    (rules.filterRules?.[group]?.values || []).forEach(entry => {
+      const error = validateTerm(entry);
+      if (error) errors.push(`${group}: ${error}`);
+    });
+  });
+
+  // 檢查選用的執行配置（有提供時才檢查）
+  const numericFields = {
+    newsSourcesConfig: ['timeout', 'maxArticlesPerSource', 'retryAttempts', 'retryDelay'],
+    telegramConfig: ['timeout', 'maxRetries', 'retryDelay', 'maxArticlesInMessage', 'maxMessageLength', 'summaryLength', 'summarySentences'],
+    clusterConfig: ['threshold', 'summaryWeight', 'sizeBonus'],
+    detailConfig: ['concurrency', 'maxArticles', 'maxArticlesPerSource', 'requestDelay'],
+    stateConfig: ['retentionDays'],
+    loggingConfig: ['maxFileSize', 'retentionDays']
+  };
+
+  Object.entries(numericFields).forEach(([section, fields]) => {
+    const config = rules[section];
+    if (config === undefined) return;
+
+    if (typeof config !== 'object' || config === null) {
+      errors.push(`${section} 必須是物件`);
+      return;
+    }
+
+    fields.forEach(field => {
+      if (config[field] !== undefined && (typeof config[field] !== 'number' || config[field] < 0)) {
+        errors.push(`${section}.${field} 必須是非負數字`);
+      }
+    });
+  });
+
+  // 檢查新聞來源清單
+  const sources = rules.newsSourcesConfig?.sources;
+  if (sources !== undefined) {
+    if (!Array.isArray(sources)) {
+      errors.push('newsSourcesConfig.sources 必須是陣列');
+    } else {
+      sources.forEach(source => {
+        validateSource(source).forEach(error => errors.push(`newsSourcesConfig.sources: ${error}`));
+      });
+    }
+  }
+
+  const logLevel = rules.loggingConfig?.level;
+  if (logLevel !== undefined && !['debug', 'info', 'warn', 'error'].includes(logLevel)) {
+    errors.push('loggingConfig.level 必須是 debug、info、warn 或 error');
+  }
+
   return {
     valid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * 格式化詞條清單（有個別權重時一併顯示）
+ * @param {Array} values - 詞條陣列
+ * @returns {string} 以逗號分隔的詞條
+ */
+function formatTerms(values = []) {
+  return values
+    .map(entry => (typeof entry === 'object' && entry.weight !== undefined)
+      ? `${termLabel(entry)}(${entry.weight})`
+      : termLabel(entry))
+    .join(', ');
+}
+
 /**
  * 列出所有篩選規則
  * @param {Object} rules - 篩選規則配置
+ * @param {Function} print - 輸出函數（預設 console.log，bot 以此收集文字回覆）
  */
-function printRules(rules) {
-  console.log('\n========== 篩選規則配置 ==========\n');
+function printRules(rules, print = console.log) {
+  print('\n========== 篩選規則配置 ==========\n');
 
   // 城市
-  console.log('【城市】(權重: ' + (rules.filterRules?.cities?.weight || 10) + ')');
-  console.log(rules.filterRules?.cities?.values?.join(', '));
+  print('【城市】(權重: ' + (rules.filterRules?.cities?.weight || 10) + ')');
+  print(formatTerms(rules.filterRules?.cities?.values));
 
   // 關鍵字
-  console.log('\n【關鍵字】(權重: ' + (rules.filterRules?.keywords?.weight || 5) + ')');
-  console.log(rules.filterRules?.keywords?.values?.join(', '));
+  print('\n【關鍵字】(權重: ' + (rules.filterRules?.keywords?.weight || 5) + ')');
+  print(formatTerms(rules.filterRules?.keywords?.values));
 
   // 排除詞
-  console.log('\n【排除詞】');
-  console.log(rules.filterRules?.excludeKeywords?.values?.join(', '));
+  print('\n【排除詞】');
+  print(formatTerms(rules.filterRules?.excludeKeywords?.values));
 
   // 評分規則
-  console.log('\n【評分規則】');
-  console.log('最低評分: ' + (rules.scoringRules?.minScore || 5));
+  print('\n【評分規則】');
+  print('最低評分: ' + (rules.scoringRules?.minScore || 5));
+  if (rules.scoringRules?.maxScore !== undefined) {
+    print('最高評分: ' + rules.scoringRules.maxScore);
+  }
+  print('評分方式: ' + (rules.scoringRules?.scoringMethod || 'weighted_sum'));
 
   // 分類
   if (rules.filterRules?.categoryKeywords?.categories) {
-    console.log('\n【分類關鍵字】');
+    print('\n【分類關鍵字】');
     Object.entries(rules.filterRules.categoryKeywords.categories).forEach(([category, config]) => {
-      console.log(`  ${category}: ${config.keywords?.join(', ')}`);
+      print(`  ${category} (權重: ${config.weight ?? 1}): ${config.keywords?.join(', ')}`);
     });
   }
 
-  console.log('\n================================\n');
+  print('\n================================\n');
 }
 
 /**
@@ -260,25 +454,71 @@ function testRules(testNews, rules) {
   console.log('\n========== 篩選規則測試 ==========\n');
 
   testNews.forEach((news, index) => {
-    const score = calculateScore(news, rules);
-    const city = extractCity(news, rules);
-    const category = extractCategory(news, rules);
-    const passed = score >= (rules.scoringRules?.minScore || 5);
+    const evaluated = evaluateNews(news, rules);
+    const rejection = getRejectReason(evaluated, rules.scoringRules?.minScore || 5);
 
     console.log(`${index + 1}. ${news.title}`);
-    console.log(`   城市: ${city}`);
-    console.log(`   分類: ${category}`);
-    console.log(`   評分: ${score} ${passed ? '✅ 通過' : '❌ 不通過'}`);
+    console.log(`   城市: ${evaluated.city}`);
+    console.log(`   分類: ${evaluated.category}`);
+    console.log(`   評分: ${evaluated.score} ${rejection ? `❌ 不通過（${rejection.reason}）` : '✅ 通過'}`);
+    describeBreakdown(evaluated.scoreBreakdown).forEach(line => console.log(`     - ${line}`));
     console.log();
   });
 }
 
+/**
+ * 遞增版本號的最後一碼（1.0.9 → 1.0.10）
+ * @param {string} version - 目前版本
+ * @returns {string} 新版本
+ */
+function bumpVersion(version = '1.0.0') {
+  const parts = String(version).split('.');
+  const last = parseInt(parts[parts.length - 1], 10);
+  parts[parts.length - 1] = String(isNaN(last) ? 1 : last + 1);
+  return parts.join('.');
+}
+
+/**
+ * 將目前的規則檔補記到變更紀錄
+ * 紀錄為空（第一次修改）或規則檔在紀錄之外被手動編輯過時，先保存現況，確保之後可以回復；
+ * 補記的快照以補記當下的時間記錄並標示來源不明（規則檔的 version 與 lastUpdated 可能在手動修改時沒有更新）
+ * @param {RuleHistory} history - 變更紀錄
+ * @param {string} filePath - 規則檔路徑
+ * @param {Date} now - 目前時間
+ */
+function recordExistingRules(history, filePath, now) {
+  if (!fs.existsSync(filePath)) return;
+
+  const current = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const latest = history.latest();
+  const unrecorded = { author: '（未記錄）', now, origin: UNKNOWN_ORIGIN };
+
+  if (!latest) {
+    history.record(current, { ...unrecorded, message: '開始記錄變更前的規則' });
+  } else if (latest.version !== (current.version || null) || diffRules(latest.rules, current).length > 0) {
+    history.record(current, { ...unrecorded, message: '未透過規則工具的手動修改' });
+  }
+}
+
 /**
  * 更新篩選規則
+ * 先寫入同目錄的暫存檔再改名，寫入中斷時不會留下損毀的規則檔；
+ * 寫入後在規則檔旁的 rule-history/ 記錄快照（作者、說明），可用 npm run rules -- diff / rollback 追查與回復
  * @param {Object} newRules - 新的篩選規則
  * @param {string} filePath - 檔案路徑
+ * @param {Object} options - {bump: 是否遞增 version 並更新 lastUpdated（預設 true）, now,
+ *   history: 是否記錄快照（預設 true）, author: 修改者, message: 修改說明}
+ * @returns {boolean} 是否成功
  */
-function updateRules(newRules, filePath = './config/filter-rules.json') {
+function updateRules(newRules, filePath = './config/filter-rules.json', {
+  bump = true,
+  now = new Date(),
+  history = true,
+  author,
+  message = ''
+} = {}) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
   try {
     // 驗證新規則
     const validation = validateRules(newRules);
@@ -294,71 +534,197 @@ function updateRules(newRules, filePath = './config/filter-rules.json') {
       fs.mkdirSync(dir, { recursive: true });
     }
 
-    // 寫入檔案
-    fs.writeFileSync(filePath, JSON.stringify(newRules, null, 2));
-    console.log(`✅ 篩選規則已更新：${filePath}`);
+    const ruleHistory = history ? new RuleHistory({ dir: historyDirFor(filePath) }) : null;
+    if (ruleHistory) {
+      recordExistingRules(ruleHistory, filePath, now);
+    }
+
+    if (bump) {
+      newRules.version = bumpVersion(newRules.version);
+      newRules.lastUpdated = now.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    // 寫入暫存檔後改名
+    fs.writeFileSync(tempPath, JSON.stringify(newRules, null, 2) + '\n');
+    fs.renameSync(tempPath, filePath);
+
+    if (ruleHistory) {
+      ruleHistory.record(newRules, { author, message, now });
+    }
+    console.log(`✅ 篩選規則已更新：${filePath}${bump ? ` (版本: ${newRules.version})` : ''}`);
     return true;
   } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
     console.error(`❌ 更新篩選規則失敗：${error.message}`);
     return false;
   }
 }
 
+/**
+ * 在詞條群組中新增詞條
+ * @param {Object} group - filterRules 中的群組（cities、keywords、excludeKeywords）
+ * @param {string} term - 詞條
+ * @param {number} weight - 個別權重（未提供時使用群組權重）
+ * @param {string} label - 顯示名稱
+ * @returns {boolean} 是否有新增
+ */
+function addTerm(group, term, weight, label) {
+  if (group.values.some(entry => termLabel(entry) === term)) {
+    console.log(`⚠️ ${label}已存在：${term}`);
+    return false;
+  }
+
+  group.values.push(weight === undefined ? term : { value: term, weight });
+  console.log(`✅ 已新增${label}：${term}${weight === undefined ? '' : ` (權重: ${weight})`}`);
+  return true;
+}
+
+/**
+ * 從詞條群組中移除詞條
+ * @param {Object} group - filterRules 中的群組
+ * @param {string} term - 詞條（regex 詞條以 label 比對）
+ * @param {string} label - 顯示名稱
+ * @returns {boolean} 是否有移除
+ */
+function removeTerm(group, term, label) {
+  const index = group.values.findIndex(entry => termLabel(entry) === term);
+  if (index === -1) {
+    console.log(`⚠️ 找不到${label}：${term}`);
+    return false;
+  }
+
+  group.values.splice(index, 1);
+  console.log(`✅ 已移除${label}：${term}`);
+  return true;
+}
+
 /**
  * 新增城市
  * @param {Object} rules - 篩選規則配置
  * @param {string} city - 城市名稱
+ * @returns {boolean} 是否有新增
  */
 function addCity(rules, city) {
-  if (!rules.filterRules.cities.values.includes(city)) {
-    rules.filterRules.cities.values.push(city);
-    console.log(`✅ 已新增城市：${city}`);
-  } else {
-    console.log(`⚠️ 城市已存在：${city}`);
-  }
+  return addTerm(rules.filterRules.cities, city, undefined, '城市');
 }
 
 /**
  * 新增關鍵字
  * @param {Object} rules - 篩選規則配置
  * @param {string} keyword - 關鍵字
+ * @param {number} weight - 個別權重（選用）
+ * @returns {boolean} 是否有新增
  */
-function addKeyword(rules, keyword) {
-  if (!rules.filterRules.keywords.values.includes(keyword)) {
-    rules.filterRules.keywords.values.push(keyword);
-    console.log(`✅ 已新增關鍵字：${keyword}`);
-  } else {
-    console.log(`⚠️ 關鍵字已存在：${keyword}`);
-  }
+function addKeyword(rules, keyword, weight) {
+  return addTerm(rules.filterRules.keywords, keyword, weight, '關鍵字');
+}
+
+/**
+ * 移除關鍵字
+ * @param {Object} rules - 篩選規則配置
+ * @param {string} keyword - 關鍵字
+ * @returns {boolean} 是否有移除
+ */
+function removeKeyword(rules, keyword) {
+  return removeTerm(rules.filterRules.keywords, keyword, '關鍵字');
 }
 
 /**
  * 新增排除詞
  * @param {Object} rules - 篩選規則配置
  * @param {string} keyword - 排除詞
+ * @param {number} weight - 扣分（選用，> -100 時為扣分而非完全排除）
+ * @returns {boolean} 是否有新增
+ */
+function addExcludeKeyword(rules, keyword, weight) {
+  return addTerm(rules.filterRules.excludeKeywords, keyword, weight, '排除詞');
+}
+
+/**
+ * 移除排除詞
+ * @param {Object} rules - 篩選規則配置
+ * @param {string} keyword - 排除詞
+ * @returns {boolean} 是否有移除
+ */
+function removeExcludeKeyword(rules, keyword) {
+  return removeTerm(rules.filterRules.excludeKeywords, keyword, '排除詞');
+}
+
+/**
+ * 設定詞條或分類的權重
+ * 依序在城市、關鍵字、排除詞與分類中尋找；字串詞條會改為 {value, weight}
+ * @param {Object} rules - 篩選規則配置
+ * @param {string} term - 詞條或分類名稱
+ * @param {number} weight - 權重
+ * @returns {string|null} 找到的群組名稱（cities、keywords、excludeKeywords、categories），找不到時為 null
  */
-function addExcludeKeyword(rules, keyword) {
-  if (!rules.filterRules.excludeKeywords.values.includes(keyword)) {
-    rules.filterRules.excludeKeywords.values.push(keyword);
-    console.log(`✅ 已新增排除詞：${keyword}`);
-  } else {
-    console.log(`⚠️ 排除詞已存在：${keyword}`);
+function setTermWeight(rules, term, weight) {
+  for (const groupName of ['cities', 'keywords', 'excludeKeywords']) {
+    const values = rules.filterRules[groupName]?.values || [];
+    const index = values.findIndex(entry => termLabel(entry) === term);
+    if (index === -1) continue;
+
+    values[index] = typeof values[index] === 'string'
+      ? { value: values[index], weight }
+      : { ...values[index], weight };
+    console.log(`✅ 已將 ${term} 的權重設為 ${weight}`);
+    return groupName;
+  }
+
+  const category = rules.filterRules.categoryKeywords?.categories?.[term];
+  if (category) {
+    category.weight = weight;
+    console.log(`✅ 已將分類 ${term} 的權重設為 ${weight}`);
+    return 'categories';
   }
+
+  console.log(`⚠️ 找不到詞條或分類：${term}`);
+  return null;
+}
+
+/**
+ * 設定整個群組的預設權重
+ * @param {Object} rules - 篩選規則配置
+ * @param {string} groupName - cities、keywords 或 excludeKeywords
+ * @param {number} weight - 權重
+ * @returns {boolean} 是否成功
+ */
+function setGroupWeight(rules, groupName, weight) {
+  const group = rules.filterRules[groupName];
+  if (!['cities', 'keywords', 'excludeKeywords'].includes(groupName) || !group) {
+    console.log(`⚠️ 找不到群組：${groupName}`);
+    return false;
+  }
+
+  group.weight = weight;
+  console.log(`✅ 已將 ${groupName} 的權重設為 ${weight}`);
+  return true;
 }
 
 // 導出函數
-module.exports = {
+export {
   loadFilterRules,
   getDefaultRules,
   calculateScore,
   extractCategory,
+  classifyCategories,
   extractCity,
+  resolveNewsCities,
+  evaluateNews,
+  partitionNews,
   filterNews,
   validateRules,
   printRules,
   testRules,
   updateRules,
+  bumpVersion,
   addCity,
   addKeyword,
-  addExcludeKeyword
+  removeKeyword,
+  addExcludeKeyword,
+  removeExcludeKeyword,
+  setTermWeight,
+  setGroupWeight
 };
@@ -0,0 +1,324 @@
+/**
+ * 新聞存檔
+ * 每次執行將篩選後的新聞（含城市、分類、分數與評分明細）存入 JSON 檔，
+ * 供 Telegram bot 查詢與事後統計使用；以正規化網址判斷是否為同一則新聞
+ * 讀者在摘要中按下的 👍／👎 也記錄在對應的存檔紀錄（votes: {使用者 id: 'up'|'down'}）
+ *
+ * 設定 votesPath 時投票另存一份（{updatedAt, votes: {新聞 id: {votes, votedAt}}}），讀取存檔時以它為準：
+ * bot 只寫入投票檔（saveVotes），不需與每日排程寫入同一份存檔，也能將投票帶回每日排程與報告讀取的存檔
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { normalizeText } from './text-normalizer.js';
+import { canonicalizeUrl } from './seen-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 台北時間（UTC+8，無日光節約時間）
+const TAIPEI_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * 台北時間的日期字串
+ * @param {Date|string} date - 時間
+ * @returns {string} YYYY-MM-DD
+ */
+function taipeiDate(date) {
+  return new Date(new Date(date).getTime() + TAIPEI_OFFSET_MS).toISOString().substring(0, 10);
+}
+
+/**
+ * 台北時間當天 00:00 的時間
+ * @param {Date} date - 時間
+ * @returns {Date}
+ */
+function startOfTaipeiDay(date) {
+  return new Date(`${taipeiDate(date)}T00:00:00+08:00`);
+}
+
+/**
+ * 新聞的短 id（正規化網址的雜湊），用於 Telegram 按鈕的 callback_data
+ * @param {Object} item - 新聞 {url}
+ * @returns {string} 12 碼十六進位字串
+ */
+function articleId(item) {
+  return crypto.createHash('sha1').update(canonicalizeUrl(item.url)).digest('hex').substring(0, 12);
+}
+
+/**
+ * 精簡評分明細：只保留各群組、分類與排除詞命中的詞條與分數
+ * @param {Object} breakdown - evaluateNews() 的 scoreBreakdown
+ * @returns {Object|null} {matches: {群組: [{label, points}]}, categories: [{label, points}], exclusions: [{label, points}]}
+ */
+function compactBreakdown(breakdown) {
+  if (!breakdown) return null;
+  const pick = list => (list || []).map(({ label, points }) => ({ label, points }));
+  return {
+    matches: Object.fromEntries(Object.entries(breakdown.matches || {}).map(([group, matches]) => [group, pick(matches)])),
+    categories: pick(breakdown.categories),
+    exclusions: pick(breakdown.exclusions)
+  };
+}
+
+/**
+ * 統計讀者投票
+ * @param {Object} entry - 存檔紀錄
+ * @returns {Object} {up, down}
+ */
+function countVotes(entry) {
+  const votes = Object.values(entry.votes || {});
+  return {
+    up: votes.filter(vote => vote === 'up').length,
+    down: votes.filter(vote => vote === 'down').length
+  };
+}
+
+/**
+ * 讀取投票檔
+ * @param {string} filePath - 投票檔路徑
+ * @returns {Object} {新聞 id: {votes, votedAt}}，檔案不存在時為空物件
+ */
+function readVotesFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return data.votes && typeof data.votes === 'object' ? data.votes : {};
+}
+
+/**
+ * 先寫暫存檔再更名
+ * @param {string} filePath - 檔案路徑
+ * @param {Object} data - 內容
+ */
+function writeJsonFile(filePath, data) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * 將篩選後的新聞轉為存檔紀錄
+ * @param {Object} item - 新聞
+ * @param {Date} now - 存檔時間
+ * @returns {Object} 存檔紀錄
+ */
+function toArchiveEntry(item, now) {
+  return {
+    id: articleId(item),
+    key: canonicalizeUrl(item.url),
+    title: item.title,
+    summary: item.summary || '',
+    url: item.url,
+    source: item.source || '',
+    sourceType: item.sourceType || null,
+    city: item.city || '其他',
+    category: item.category || '其他',
+    categories: item.categories?.length > 0 ? item.categories : [item.category || '其他'],
+    keywords: (item.scoreBreakdown?.matches?.keywords || []).map(match => match.label),
+    score: item.score ?? 0,
+    scoreBreakdown: compactBreakdown(item.scoreBreakdown),
+    publishedAt: item.publishedAt || null,
+    archivedAt: now.toISOString(),
+    related: (item.related || []).map(({ title, url, source }) => ({ title, url, source }))
+  };
+}
+
+/**
+ * 新聞的日期（發布時間，未知時為存檔時間）
+ * @param {Object} entry - 存檔紀錄
+ * @returns {Date}
+ */
+function entryDate(entry) {
+  return new Date(entry.publishedAt || entry.archivedAt);
+}
+
+class ArticleArchive {
+  /**
+   * @param {Object} config - {path, retentionDays, votesPath: 另存讀者投票的檔案（選用）}
+   */
+  constructor(config) {
+    this.config = config;
+    this.entries = [];
+    this.keys = new Map();
+    // 投票檔中不在目前存檔的紀錄（如 bot 讀到的存檔較舊），寫回投票檔時保留
+    this.otherVotes = {};
+  }
+
+  /**
+   * 讀取存檔，檔案不存在時視為空存檔（可重複呼叫以讀取最新內容）
+   * @param {Date} now - 目前時間（移除過期紀錄的基準）
+   * @returns {ArticleArchive} 本身，方便串接
+   */
+  load(now = new Date()) {
+    this.entries = [];
+    if (fs.existsSync(this.config.path)) {
+      const data = JSON.parse(fs.readFileSync(this.config.path, 'utf-8'));
+      this.entries = Array.isArray(data.entries) ? data.entries : [];
+    }
+    this.prune(now);
+    if (this.config.votesPath) {
+      this.applyVotes(readVotesFile(this.config.votesPath), now);
+    }
+    return this;
+  }
+
+  /**
+   * 以投票檔的內容取代存檔紀錄中的投票
+   * @param {Object} records - {新聞 id: {votes, votedAt}}
+   * @param {Date} now - 目前時間（不在存檔中的投票依投票時間移除過期紀錄）
+   */
+  applyVotes(records, now) {
+    const byId = new Map(this.entries.map(entry => [entry.id, entry]));
+    const cutoff = this.config.retentionDays ? now.getTime() - this.config.retentionDays * DAY_MS : null;
+    this.otherVotes = {};
+
+    Object.entries(records).forEach(([id, record]) => {
+      const entry = byId.get(id);
+      if (entry) {
+        entry.votes = { ...(record.votes || {}) };
+        entry.votedAt = record.votedAt;
+      } else if (cutoff === null || new Date(record.votedAt).getTime() >= cutoff) {
+        this.otherVotes[id] = record;
+      }
+    });
+  }
+
+  /**
+   * 移除超過保存天數的紀錄（依存檔時間）
+   * @param {Date} now - 目前時間
+   * @returns {number} 移除的筆數
+   */
+  prune(now = new Date()) {
+    const before = this.entries.length;
+
+    if (this.config.retentionDays) {
+      const cutoff = now.getTime() - this.config.retentionDays * DAY_MS;
+      this.entries = this.entries.filter(entry => new Date(entry.archivedAt).getTime() >= cutoff);
+    }
+
+    this.keys = new Map(this.entries.map(entry => [entry.key, entry]));
+    return before - this.entries.length;
+  }
+
+  /**
+   * 加入新聞；已存檔的新聞更新內容但保留第一次存檔的時間與讀者投票
+   * @param {Array} newsArray - 篩選後的新聞
+   * @param {Date} now - 存檔時間
+   * @returns {number} 新加入的筆數
+   */
+  add(newsArray, now = new Date()) {
+    let added = 0;
+
+    newsArray.forEach(item => {
+      const entry = toArchiveEntry(item, now);
+      const existing = this.keys.get(entry.key);
+
+      if (existing) {
+        Object.assign(existing, entry, { archivedAt: existing.archivedAt });
+        return;
+      }
+
+      entry.votes = {};
+      this.entries.push(entry);
+      this.keys.set(entry.key, entry);
+      added++;
+    });
+
+    return added;
+  }
+
+  /**
+   * 記錄讀者投票：再按一次相同的按鈕取消投票，按另一個按鈕改票
+   * @param {string} id - articleId()
+   * @param {string|number} userId - Telegram 使用者 id
+   * @param {string} vote - 'up' 或 'down'
+   * @param {Date} now - 投票時間
+   * @returns {Object|null} {entry, vote: 目前的投票（取消時為 null）, up, down}，找不到新聞時回傳 null
+   */
+  recordVote(id, userId, vote, now = new Date()) {
+    const entry = this.entries.find(candidate => candidate.id === id);
+    if (!entry) return null;
+
+    entry.votes = entry.votes || {};
+    const key = String(userId);
+    if (entry.votes[key] === vote) {
+      delete entry.votes[key];
+    } else {
+      entry.votes[key] = vote;
+    }
+    entry.votedAt = now.toISOString();
+
+    return { entry, vote: entry.votes[key] || null, ...countVotes(entry) };
+  }
+
+  /**
+   * 查詢存檔
+   * @param {Object} filters - {from, to: 時間範圍（依新聞日期）, archivedOn: 存檔日期 YYYY-MM-DD（台北時間）,
+   *   city, category, text: 以空白分隔的關鍵字（皆須出現在標題、摘要或其他來源的標題中）}
+   * @returns {Array} 符合的紀錄（依日期由新到舊，同一天依分數排序）
+   */
+  query({ from = null, to = null, archivedOn = null, city = null, category = null, text = null } = {}) {
+    const cityKey = city ? normalizeText(city) : null;
+    const categoryKey = category ? normalizeText(category) : null;
+    const terms = text ? text.split(/\s+/).map(normalizeText).filter(Boolean) : [];
+
+    return this.entries
+      .filter(entry => {
+        const date = entryDate(entry);
+        if (from && date < from) return false;
+        if (to && date >= to) return false;
+        if (archivedOn && taipeiDate(entry.archivedAt) !== archivedOn) return false;
+        if (cityKey && normalizeText(entry.city) !== cityKey) return false;
+        if (categoryKey && !entry.categories.some(name => normalizeText(name) === categoryKey)) return false;
+        if (terms.length > 0) {
+          const haystack = normalizeText([entry.title, entry.summary, ...entry.related.map(r => r.title)].join(' '));
+          if (!terms.every(term => haystack.includes(term))) return false;
+        }
+        return true;
+      })
+      .sort((a, b) =>
+        taipeiDate(entryDate(b)).localeCompare(taipeiDate(entryDate(a))) || b.score - a.score);
+  }
+
+  /**
+   * 寫回存檔（先寫暫存檔再更名）
+   */
+  save() {
+    writeJsonFile(this.config.path, {
+      updatedAt: new Date().toISOString(),
+      entries: this.entries
+    });
+  }
+
+  /**
+   * 寫回讀者投票：設定 votesPath 時只寫入投票檔，否則寫回整份存檔
+   */
+  saveVotes() {
+    if (!this.config.votesPath) {
+      this.save();
+      return;
+    }
+
+    const votes = { ...this.otherVotes };
+    this.entries
+      .filter(entry => entry.votedAt)
+      .forEach(entry => {
+        votes[entry.id] = { votes: entry.votes || {}, votedAt: entry.votedAt };
+      });
+    writeJsonFile(this.config.votesPath, { updatedAt: new Date().toISOString(), votes });
+  }
+}
+
+export {
+  ArticleArchive,
+  articleId,
+  countVotes,
+  taipeiDate,
+  startOfTaipeiDay,
+  entryDate
+};
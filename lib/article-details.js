@@ -0,0 +1,285 @@
+/**
+ * 新聞內文頁擷取
+ * 首頁卡片與 feed 通常只有標題與一小段文字，這裡抓取每則候選新聞的內文頁，
+ * 擷取全文、發布時間、作者與主圖，供全文重新評分
+ *
+ * 擷取順序（先取到者為準）：
+ *   1. 來源設定的 detailSelectors（content、date、author、image）
+ *   2. JSON-LD（NewsArticle / Article）與 meta 標籤（article:published_time、og:image、author）
+ *   3. 類 readability 的判斷：以段落文字量最多、連結比例最低的區塊為內文
+ *
+ * 解析函數為純函數（輸入 HTML 字串），可直接以存檔的 HTML 測試
+ */
+
+import * as cheerio from 'cheerio';
+import { resolveUrl, toIsoDate } from './source-adapters.js';
+import { parseTaiwanDate } from './city-adapters.js';
+
+// 不可能是內文的區塊
+const NOISE_SELECTORS = 'script, style, noscript, nav, header, footer, aside, form, iframe, button, figcaption';
+
+// 段落至少要有這麼多字才計入內文判斷（排除「分享」「延伸閱讀」等短句）
+const MIN_PARAGRAPH_LENGTH = 10;
+
+// 段落中連結文字超過此比例時視為相關連結列表
+const MAX_LINK_DENSITY = 0.5;
+
+// 首頁摘要短於此長度時，以內文開頭取代
+const MIN_SUMMARY_LENGTH = 30;
+
+const ARTICLE_TYPES = ['NewsArticle', 'Article', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'BlogPosting'];
+
+// ==================== 解析工具 ====================
+
+/**
+ * 整理空白
+ * @param {string} text - 文字
+ * @returns {string} 整理後的文字
+ */
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 解析日期文字（ISO 8601、含時間的 2026/10/19 08:30，或民國年日期）
+ * @param {string} text - 日期文字
+ * @returns {string|null} ISO 日期，無法解析時回傳 null
+ */
+function parseDateText(text) {
+  if (!text) return null;
+  const value = text.trim();
+
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return toIsoDate(value);
+  }
+
+  // 未標示時區的日期時間以台灣時間計
+  const match = value.match(/(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})日?\s+(\d{1,2}):(\d{2})/);
+  if (match) {
+    const [, year, month, day, hour, minute] = match;
+    const pad = number => String(parseInt(number, 10)).padStart(2, '0');
+    return toIsoDate(`${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${minute}:00+08:00`);
+  }
+
+  return parseTaiwanDate(value);
+}
+
+/**
+ * 讀取頁面中的 JSON-LD 新聞物件
+ * @param {Object} $ - cheerio 實例
+ * @returns {Object|null} NewsArticle / Article 物件
+ */
+function readJsonLd($) {
+  const nodes = [];
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      [data].flat().forEach(node => nodes.push(node, ...(node?.['@graph'] || [])));
+    } catch (e) {
+      // 忽略格式錯誤的 JSON-LD
+    }
+  });
+
+  return nodes.find(node => [node?.['@type']].flat().some(type => ARTICLE_TYPES.includes(type))) || null;
+}
+
+/**
+ * 取出 JSON-LD 欄位中的文字（字串、{name} / {url} 物件或陣列）
+ * @param {*} value - 欄位值
+ * @param {string} key - 物件時使用的鍵
+ * @returns {string} 文字
+ */
+function jsonLdText(value, key) {
+  const first = [value].flat()[0];
+  if (!first) return '';
+  return typeof first === 'string' ? first : first[key] || '';
+}
+
+/**
+ * 取得段落的有效文字（排除過短或以連結為主的段落）
+ * @param {Object} $ - cheerio 實例
+ * @param {Object} el - 段落元素
+ * @returns {string} 段落文字，不計入內文時為空字串
+ */
+function paragraphText($, el) {
+  const text = cleanText($(el).text());
+  if (text.length < MIN_PARAGRAPH_LENGTH) return '';
+
+  const linkText = cleanText($(el).find('a').text());
+  return linkText.length / text.length > MAX_LINK_DENSITY ? '' : text;
+}
+
+/**
+ * 找出最可能是內文的區塊：每個段落為其父層加分，祖父層加一半，
+ * 分數以段落字數與中文逗號數估計
+ * @param {Object} $ - cheerio 實例
+ * @returns {Object|null} 內文區塊元素
+ */
+function findContentBlock($) {
+  const scores = new Map();
+
+  $('p').each((i, el) => {
+    const text = paragraphText($, el);
+    if (!text) return;
+
+    const points = 1 + Math.min(text.length / 100, 3) + (text.match(/[，,]/g) || []).length;
+    const parent = el.parent;
+    const grandparent = parent?.parent;
+
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + points);
+    if (grandparent && grandparent.type === 'tag') {
+      scores.set(grandparent, (scores.get(grandparent) || 0) + points / 2);
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, el) => {
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * 取出區塊內的段落文字，各段以換行分隔
+ * @param {Object} $ - cheerio 實例
+ * @param {Object} block - 區塊元素
+ * @returns {string} 內文
+ */
+function blockText($, block) {
+  const paragraphs = $(block).find('p')
+    .map((i, el) => paragraphText($, el))
+    .get()
+    .filter(Boolean);
+
+  return paragraphs.length > 0 ? paragraphs.join('\n') : cleanText($(block).text());
+}
+
+/**
+ * 解析新聞內文頁
+ * @param {string} html - 內文頁 HTML
+ * @param {Object} options - {selectors: 來源的 detailSelectors, baseUrl: 內文頁網址}
+ * @returns {Object} {content, publishedAt, author, image}
+ */
+function parseArticleDetail(html, { selectors = {}, baseUrl } = {}) {
+  const $ = cheerio.load(html);
+  const jsonLd = readJsonLd($);
+  const meta = name => $(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`).first().attr('content');
+
+  // meta 與 JSON-LD 需在移除 script 前讀取
+  const publishedAt = parseDateText($(selectors.date || null).first().attr('datetime') || $(selectors.date || null).first().text())
+    || parseDateText(meta('article:published_time'))
+    || parseDateText(meta('pubdate'))
+    || parseDateText(meta('datePublished'))
+    || parseDateText(jsonLd?.datePublished)
+    || parseDateText($('time[datetime]').first().attr('datetime'));
+
+  const author = cleanText($(selectors.author || null).first().text())
+    || cleanText(meta('author'))
+    || cleanText(meta('article:author'))
+    || cleanText(jsonLdText(jsonLd?.author, 'name'))
+    || cleanText($('[rel="author"], [itemprop="author"]').first().text());
+
+  $(NOISE_SELECTORS).remove();
+
+  const custom = selectors.content ? $(selectors.content).first() : null;
+  const block = custom?.length ? custom[0] : findContentBlock($);
+  const content = block
+    ? blockText($, block)
+    : cleanText(jsonLd?.articleBody);
+
+  const imageElement = $(selectors.image || null).first();
+  const image = resolveUrl(
+    imageElement.attr('src') || imageElement.attr('content')
+      || meta('og:image')
+      || jsonLdText(jsonLd?.image, 'url')
+      || (block ? $(block).find('img').first().attr('src') : null),
+    baseUrl
+  );
+
+  return { content, publishedAt, author: author || null, image };
+}
+
+// ==================== 抓取流程 ====================
+
+/**
+ * 以固定並行數處理陣列
+ * @param {Array} items - 待處理項目
+ * @param {number} concurrency - 同時處理的數量上限
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} 依原順序排列的結果
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * 以內文頁資訊補充新聞
+ * 發布時間以 feed 提供者為準；首頁摘要過短時以內文開頭取代
+ * @param {Object} article - 新聞
+ * @param {Object} detail - parseArticleDetail() 的結果
+ * @returns {Object} 補充後的新聞
+ */
+function mergeArticleDetail(article, detail) {
+  const summary = (article.summary || '').length < MIN_SUMMARY_LENGTH && detail.content
+    ? detail.content.split('\n')[0].substring(0, 300)
+    : article.summary;
+
+  return {
+    ...article,
+    summary,
+    content: detail.content || article.content || '',
+    publishedAt: article.publishedAt || detail.publishedAt,
+    author: detail.author || article.author || null,
+    image: detail.image || article.image || null,
+    detailFetched: Boolean(detail.content)
+  };
+}
+
+/**
+ * 抓取多則新聞的內文頁
+ * @param {Array} articles - 新聞陣列
+ * @param {Object} options - {fetchPage, concurrency, sources, onError}
+ *   fetchPage(url) 需回傳 Promise<string>；sources 為來源名稱 → 來源設定（取 detailSelectors）；
+ *   onError(article, error) 在單則失敗時呼叫，失敗的新聞原樣保留
+ * @returns {Promise<Array>} 補充內文後的新聞（順序不變）
+ */
+async function fetchArticleDetails(articles, { fetchPage, concurrency = 4, sources = {}, onError = null }) {
+  return mapWithConcurrency(articles, concurrency, async article => {
+    try {
+      const html = await fetchPage(article.url);
+      const detail = parseArticleDetail(html, {
+        selectors: sources[article.source]?.detailSelectors,
+        baseUrl: article.url
+      });
+      return mergeArticleDetail(article, detail);
+    } catch (error) {
+      if (onError) onError(article, error);
+      return article;
+    }
+  });
+}
+
+export {
+  parseDateText,
+  parseArticleDetail,
+  mapWithConcurrency,
+  mergeArticleDetail,
+  fetchArticleDetails
+};
@@ -0,0 +1,266 @@
+/**
+ * 六都市政府新聞稿轉接器
+ * 抓取各市政府官網的新聞稿列表（含分頁）與內文頁，
+ * 產生的新聞會標記發布城市與 official: true，與媒體報導分開排序與顯示
+ *
+ * 解析函數皆為純函數（輸入 HTML 字串），可直接以存檔的 HTML 測試
+ *
+ * 內文頁逐頁抓取並在兩次請求之間等待 detailDelay，每個來源最多抓取 maxDetails 頁，
+ * 避免一次執行對同一個市府網站送出大量請求；超過上限的項目只保留列表資訊
+ */
+
+import * as cheerio from 'cheerio';
+import { createArticle, resolveUrl } from './source-adapters.js';
+
+// 預設每個來源最多抓取的內文頁數與請求間隔（毫秒）
+const DEFAULT_MAX_DETAILS = 10;
+const DEFAULT_DETAIL_DELAY = 500;
+
+// ==================== 各市預設設定 ====================
+
+// 多數市府網站使用相同的 News.aspx 版型，列表為表格、內文在 .area-essay
+const GOV_CMS_SELECTORS = {
+  item: '.table-data tbody tr, .list ul li',
+  title: 'td[data-title="標題"] a, a',
+  link: 'td[data-title="標題"] a, a',
+  date: 'td[data-title="發布日期"], td[data-title="日期"], .date, time'
+};
+
+const GOV_CMS_DETAIL_SELECTORS = {
+  content: '.area-essay, .essay, .page-content, article',
+  date: '.info .date, .list-text.detail, .publish-date, time'
+};
+
+const CITY_GOV_PRESETS = {
+  台北: {
+    url: 'https://www.gov.taipei/News.aspx?n=F0DDAF49B89E9413&sms=72544237BBE4C5F6',
+    pageParam: 'page',
+    selectors: GOV_CMS_SELECTORS,
+    detailSelectors: GOV_CMS_DETAIL_SELECTORS
+  },
+  新北: {
+    url: 'https://www.ntpc.gov.tw/ch/home.jsp?id=e8ca970cde5c00e1',
+    pageParam: 'page',
+    selectors: {
+      item: '.list ul li, .news_list li',
+      title: 'a',
+      link: 'a',
+      date: '.date, time'
+    },
+    detailSelectors: {
+      content: '.content, .page_content, article',
+      date: '.date, time'
+    }
+  },
+  桃園: {
+    url: 'https://www.tycg.gov.tw/News.aspx?n=5&sms=9591',
+    pageParam: 'page',
+    selectors: GOV_CMS_SELECTORS,
+    detailSelectors: GOV_CMS_DETAIL_SELECTORS
+  },
+  台中: {
+    url: 'https://www.taichung.gov.tw/9962/Lpsimplelist',
+    pageParam: 'Page',
+    selectors: GOV_CMS_SELECTORS,
+    detailSelectors: GOV_CMS_DETAIL_SELECTORS
+  },
+  台南: {
+    url: 'https://www.tainan.gov.tw/News.aspx?n=13370&sms=9748',
+    pageParam: 'page',
+    selectors: GOV_CMS_SELECTORS,
+    detailSelectors: GOV_CMS_DETAIL_SELECTORS
+  },
+  高雄: {
+    url: 'https://www.kcg.gov.tw/News.aspx?n=873DB15C0F6D9DE0&sms=EDB4A2B1A9C1CD08',
+    pageParam: 'page',
+    selectors: GOV_CMS_SELECTORS,
+    detailSelectors: GOV_CMS_DETAIL_SELECTORS
+  }
+};
+
+// ==================== 解析工具 ====================
+
+/**
+ * 解析市府網站常見的日期格式（西元或民國年）
+ * 例如：2026-10-19、2026/10/19、115-10-19、115年10月19日
+ * @param {string} text - 含日期的文字
+ * @returns {string|null} ISO 日期（以台灣時間零時計），無法解析時回傳 null
+ */
+function parseTaiwanDate(text) {
+  if (!text) return null;
+
+  const match = text.match(/(\d{2,4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})/);
+  if (!match) return null;
+
+  let year = parseInt(match[1], 10);
+  if (year < 1911) year += 1911;
+
+  const month = String(parseInt(match[2], 10)).padStart(2, '0');
+  const day = String(parseInt(match[3], 10)).padStart(2, '0');
+  const date = new Date(`${year}-${month}-${day}T00:00:00+08:00`);
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * 合併城市預設值與 filter-rules.json 中的來源設定
+ * @param {Object} source - 來源設定（至少包含 city）
+ * @returns {Object} 完整的來源設定
+ */
+function resolveCitySource(source) {
+  const preset = CITY_GOV_PRESETS[source.city] || {};
+  return {
+    maxPages: 2,
+    ...preset,
+    ...source,
+    type: 'city-gov',
+    selectors: { ...GOV_CMS_SELECTORS, ...preset.selectors, ...source.selectors },
+    detailSelectors: { ...GOV_CMS_DETAIL_SELECTORS, ...preset.detailSelectors, ...source.detailSelectors }
+  };
+}
+
+/**
+ * 產生分頁網址
+ * @param {Object} source - 完整的來源設定
+ * @param {number} page - 頁碼（從 1 開始）
+ * @returns {string} 該頁網址
+ */
+function buildPageUrl(source, page) {
+  if (page <= 1) return source.url;
+
+  const url = new URL(source.url);
+  url.searchParams.set(source.pageParam || 'page', String(page));
+  return url.href;
+}
+
+/**
+ * 解析新聞稿列表頁
+ * @param {string} html - 列表頁 HTML
+ * @param {Object} source - 完整的來源設定
+ * @param {string} pageUrl - 列表頁網址（用於解析相對連結）
+ * @returns {Array} [{title, url, publishedAt}]
+ */
+function parseCityListing(html, source, pageUrl = source.url) {
+  const $ = cheerio.load(html);
+  const selectors = source.selectors;
+  const items = [];
+
+  $(selectors.item).each((i, el) => {
+    const title = $(el).find(selectors.title).first().text().replace(/\s+/g, ' ').trim();
+    const url = resolveUrl($(el).find(selectors.link).first().attr('href'), pageUrl);
+
+    if (title && url) {
+      items.push({
+        title,
+        url,
+        publishedAt: parseTaiwanDate($(el).find(selectors.date).first().text())
+      });
+    }
+  });
+
+  return items;
+}
+
+/**
+ * 解析新聞稿內文頁
+ * @param {string} html - 內文頁 HTML
+ * @param {Object} source - 完整的來源設定
+ * @returns {Object} {content, publishedAt}
+ */
+function parseCityDetail(html, source) {
+  const $ = cheerio.load(html);
+  const selectors = source.detailSelectors;
+
+  $('script, style, noscript').remove();
+
+  const content = $(selectors.content).first().text().replace(/\s+/g, ' ').trim();
+  const publishedAt = parseTaiwanDate($(selectors.date).first().text())
+    || parseTaiwanDate($('meta[property="article:published_time"]').attr('content'));
+
+  return { content, publishedAt };
+}
+
+// ==================== 抓取流程 ====================
+
+/**
+ * 抓取單一市府新聞稿來源
+ * @param {Object} source - 來源設定（type 為 city-gov）
+ * @param {Object} options - {fetchPage, maxArticles, fetchDetails, maxDetails, detailDelay}
+ *   fetchPage(url) 需回傳 Promise<string>，由呼叫端決定使用網路或本機檔案；
+ *   maxDetails 為最多抓取的內文頁數，detailDelay 為兩次內文頁請求之間的等待毫秒數
+ * @returns {Promise<Array>} 新聞陣列
+ */
+async function fetchCityGovSource(source, {
+  fetchPage,
+  maxArticles = 50,
+  fetchDetails = true,
+  maxDetails = DEFAULT_MAX_DETAILS,
+  detailDelay = DEFAULT_DETAIL_DELAY
+}) {
+  const resolved = resolveCitySource(source);
+  const seen = new Set();
+  const listings = [];
+
+  for (let page = 1; page <= resolved.maxPages && listings.length < maxArticles; page++) {
+    const pageUrl = buildPageUrl(resolved, page);
+    let html;
+    try {
+      html = await fetchPage(pageUrl);
+    } catch (error) {
+      // 第一頁失敗視為來源失敗；後續分頁失敗則保留已取得的項目
+      if (page === 1) throw error;
+      break;
+    }
+
+    const items = parseCityListing(html, resolved, pageUrl)
+      .filter(item => !seen.has(item.url));
+
+    // 下一頁沒有新項目時表示已到最後一頁
+    if (items.length === 0) break;
+
+    items.forEach(item => seen.add(item.url));
+    listings.push(...items);
+  }
+
+  const articles = [];
+  for (const [index, item] of listings.slice(0, maxArticles).entries()) {
+    let detail = { content: '', publishedAt: null };
+
+    if (fetchDetails && index < maxDetails) {
+      if (index > 0 && detailDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, detailDelay));
+      }
+      try {
+        detail = parseCityDetail(await fetchPage(item.url), resolved);
+      } catch (e) {
+        // 內文頁失敗時仍保留列表資訊
+      }
+    }
+
+    articles.push({
+      ...createArticle(resolved, {
+        title: item.title,
+        summary: detail.content,
+        url: item.url,
+        publishedAt: item.publishedAt || detail.publishedAt
+      }),
+      content: detail.content,
+      // 市府網站只提供發布日期
+      publishedAtPrecision: 'day',
+      city: resolved.city,
+      official: true
+    });
+  }
+
+  return articles;
+}
+
+export {
+  CITY_GOV_PRESETS,
+  parseTaiwanDate,
+  resolveCitySource,
+  buildPageUrl,
+  parseCityListing,
+  parseCityDetail,
+  fetchCityGovSource
+};
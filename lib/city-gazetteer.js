@@ -0,0 +1,258 @@
+/**
+ * 六都地名辭典
+ * 以正式名稱、常用簡稱、臺/台異體字與各行政區判斷新聞所屬城市，
+ * 回傳主要城市與所有提及的城市（含信心分數）
+ * 新聞文字與辭典詞條都先經 normalizeText 正規化（臺→台、簡體→繁體、去除空白標點）
+ */
+
+import { normalizeText } from './text-normalizer.js';
+
+// 各城市的正式名稱、別名與行政區
+const CITY_GAZETTEER = {
+  台北: {
+    official: '臺北市',
+    aliases: ['台北市政府', '台北市', '台北'],
+    abbreviation: '北市',
+    districts: [
+      '中正', '大同', '中山', '松山', '大安', '萬華', '信義', '士林', '北投', '內湖', '南港', '文山'
+    ]
+  },
+  新北: {
+    official: '新北市',
+    aliases: ['新北市政府', '新北市', '新北'],
+    districts: [
+      '板橋', '三重', '中和', '永和', '新莊', '新店', '土城', '蘆洲', '樹林', '汐止',
+      '鶯歌', '三峽', '淡水', '瑞芳', '五股', '泰山', '林口', '深坑', '石碇', '坪林',
+      '三芝', '石門', '八里', '平溪', '雙溪', '貢寮', '金山', '萬里', '烏來'
+    ]
+  },
+  桃園: {
+    official: '桃園市',
+    aliases: ['桃園市政府', '桃園市', '桃園'],
+    abbreviation: '桃市',
+    districts: [
+      '桃園', '中壢', '大溪', '楊梅', '蘆竹', '大園', '龜山', '八德', '龍潭', '平鎮',
+      '新屋', '觀音', '復興'
+    ]
+  },
+  台中: {
+    official: '臺中市',
+    aliases: ['台中市政府', '台中市', '台中'],
+    abbreviation: '中市',
+    districts: [
+      '中區', '東區', '南區', '西區', '北區', '北屯', '西屯', '南屯', '太平', '大里',
+      '霧峰', '烏日', '豐原', '后里', '石岡', '東勢', '和平', '新社', '潭子', '大雅',
+      '神岡', '大肚', '沙鹿', '龍井', '梧棲', '清水', '大甲', '外埔', '大安'
+    ]
+  },
+  台南: {
+    official: '臺南市',
+    aliases: ['台南市政府', '台南市', '台南'],
+    abbreviation: '南市',
+    districts: [
+      '新營', '鹽水', '白河', '柳營', '後壁', '東山', '麻豆', '下營', '六甲', '官田',
+      '大內', '佳里', '學甲', '西港', '七股', '將軍', '北門', '新化', '善化', '新市',
+      '安定', '山上', '玉井', '楠西', '南化', '左鎮', '仁德', '歸仁', '關廟', '龍崎',
+      '永康', '東區', '南區', '北區', '安南', '安平', '中西區'
+    ]
+  },
+  高雄: {
+    official: '高雄市',
+    aliases: ['高雄市政府', '高雄市', '高雄'],
+    abbreviation: '高市',
+    districts: [
+      '鹽埕', '鼓山', '左營', '楠梓', '三民', '新興', '前金', '苓雅', '前鎮', '旗津',
+      '小港', '鳳山', '林園', '大寮', '大樹', '大社', '仁武', '鳥松', '岡山', '橋頭',
+      '燕巢', '田寮', '阿蓮', '路竹', '湖內', '茄萣', '永安', '彌陀', '梓官', '旗山',
+      '美濃', '六龜', '甲仙', '杉林', '內門', '茂林', '桃源', '那瑪夏'
+    ]
+  }
+};
+
+// 單獨出現時容易誤判的行政區名稱（一般詞彙、路名或其他地名），必須加上「區」才採用
+const AMBIGUOUS_DISTRICTS = new Set([
+  '中正', '大同', '中山', '松山', '信義', '文山', '樹林', '三峽', '淡水', '泰山',
+  '石門', '雙溪', '金山', '萬里', '楊梅', '八德', '新屋', '觀音', '復興', '太平',
+  '大里', '和平', '新社', '大雅', '大肚', '龍井', '清水', '鹽水', '白河', '東山',
+  '六甲', '官田', '大內', '西港', '將軍', '北門', '新化', '新市', '安定', '山上',
+  '仁德', '永康', '安平', '鼓山', '三民', '新興', '林園', '大樹', '大社', '橋頭',
+  '湖內', '永安', '彌陀', '內門', '桃源', '中西'
+]);
+
+// 簡稱只在後接這些字時採用，避免「提高市民」之類的誤判
+const ABBREVIATION_SUFFIXES = ['府', '政府', '長', '議會', '議員'];
+
+// 各類提及方式的信心分數
+const MENTION_CONFIDENCE = {
+  name: 1,
+  abbreviation: 0.9,
+  district: 0.9,
+  bareDistrict: 0.7
+};
+
+// 標題中的提及在判斷主要城市時加倍計算
+const TITLE_MENTION_WEIGHT = 2;
+
+/**
+ * 建立城市的所有比對詞（同一行政區名稱出現在多個城市時不採用）
+ * @returns {Array} [{text, city, type}]
+ */
+function buildPatterns() {
+  const districtOwners = {};
+  Object.entries(CITY_GAZETTEER).forEach(([city, entry]) => {
+    entry.districts.forEach(district => {
+      const name = district.replace(/區$/, '');
+      districtOwners[name] = districtOwners[name] ? [...districtOwners[name], city] : [city];
+    });
+  });
+
+  const patterns = [];
+  Object.entries(CITY_GAZETTEER).forEach(([city, entry]) => {
+    // 正式名稱的「臺」經正規化後與別名相同
+    new Set([entry.official, ...entry.aliases].map(normalizeText)).forEach(text => {
+      patterns.push({ text, city, type: 'name' });
+    });
+
+    if (entry.abbreviation) {
+      ABBREVIATION_SUFFIXES.forEach(suffix => {
+        patterns.push({ text: entry.abbreviation + suffix, city, type: 'abbreviation' });
+      });
+    }
+
+    entry.districts.forEach(district => {
+      const name = district.replace(/區$/, '');
+      // 東區、南區等多個城市都有的行政區無法判斷城市
+      if (districtOwners[name].length > 1 || name.length < 2) return;
+
+      patterns.push({ text: `${name}區`, city, type: 'district' });
+      if (!AMBIGUOUS_DISTRICTS.has(name) && name !== city) {
+        patterns.push({ text: name, city, type: 'bareDistrict' });
+      }
+    });
+  });
+
+  // 依首字分組，同組內較長的詞優先
+  const byFirstChar = new Map();
+  patterns
+    .sort((a, b) => b.text.length - a.text.length)
+    .forEach(pattern => {
+      const first = pattern.text[0];
+      if (!byFirstChar.has(first)) byFirstChar.set(first, []);
+      byFirstChar.get(first).push(pattern);
+    });
+  return byFirstChar;
+}
+
+const PATTERNS = buildPatterns();
+
+/**
+ * 由左至右找出文字中所有不重疊的地名（每個位置取最長的詞，
+ * 因此「新北市長」判為新北而非「北市長」）
+ * @param {string} text - 文字
+ * @param {Set} allowed - 允許的城市，null 表示全部
+ * @returns {Array} [{text, city, type, index}]
+ */
+function findMentions(text, allowed = null) {
+  const mentions = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const match = (PATTERNS.get(text[index]) || []).find(pattern =>
+      (!allowed || allowed.has(pattern.city)) && text.startsWith(pattern.text, index));
+
+    if (match) {
+      mentions.push({ ...match, index });
+      index += match.text.length;
+    } else {
+      index++;
+    }
+  }
+
+  return mentions;
+}
+
+/**
+ * 判斷新聞提及的城市
+ * @param {Object} news - 新聞物件 {title, summary}
+ * @param {Object} options - {cities: 只判斷這些城市（預設六都）}
+ * @returns {Object} {city, confidence, cities: [{city, confidence, count, titleCount, mentions}]}
+ *   city 為主要城市（未提及任何城市時為「其他」）
+ */
+function resolveCities(news, { cities = null } = {}) {
+  const allowed = cities ? new Set(cities) : null;
+  const fields = [
+    ['title', normalizeText(news.title)],
+    ['summary', normalizeText(news.summary)]
+  ];
+
+  const byCity = new Map();
+  fields.forEach(([field, text], fieldIndex) => {
+    findMentions(text, allowed).forEach(mention => {
+      if (!byCity.has(mention.city)) {
+        byCity.set(mention.city, {
+          city: mention.city,
+          confidence: 0,
+          count: 0,
+          titleCount: 0,
+          weight: 0,
+          firstSeen: fieldIndex * 1e6 + mention.index,
+          mentions: []
+        });
+      }
+
+      const entry = byCity.get(mention.city);
+      const confidence = MENTION_CONFIDENCE[mention.type];
+      entry.confidence = Math.max(entry.confidence, confidence);
+      entry.count++;
+      entry.weight += confidence * (field === 'title' ? TITLE_MENTION_WEIGHT : 1);
+      if (field === 'title') entry.titleCount++;
+      entry.mentions.push({ text: mention.text, type: mention.type, field });
+    });
+  });
+
+  // 提及越多、越早出現者為主要城市
+  const ranked = [...byCity.values()]
+    .sort((a, b) => b.weight - a.weight || a.firstSeen - b.firstSeen)
+    .map(({ weight, firstSeen, ...entry }) => entry);
+
+  return {
+    city: ranked[0]?.city || '其他',
+    confidence: ranked[0]?.confidence || 0,
+    cities: ranked
+  };
+}
+
+/**
+ * 是否為辭典中的城市
+ * @param {string} city - 城市名稱
+ * @returns {boolean}
+ */
+function isKnownCity(city) {
+  return Object.prototype.hasOwnProperty.call(CITY_GAZETTEER, city);
+}
+
+/**
+ * 由正式名稱、別名或簡稱查出辭典中的城市（例如「臺北市」「北市府」→ 台北）
+ * @param {string} name - 使用者輸入的城市名稱
+ * @returns {string|null} 城市名稱，辭典中沒有時回傳 null
+ */
+function lookupCity(name) {
+  const text = normalizeText(name);
+  if (!text) return null;
+
+  const match = Object.entries(CITY_GAZETTEER).find(([city, entry]) => {
+    const names = [city, entry.official, ...entry.aliases].map(normalizeText);
+    if (entry.abbreviation) {
+      names.push(entry.abbreviation, ...ABBREVIATION_SUFFIXES.map(suffix => entry.abbreviation + suffix));
+    }
+    return names.includes(text);
+  });
+  return match ? match[0] : null;
+}
+
+export {
+  CITY_GAZETTEER,
+  resolveCities,
+  isKnownCity,
+  lookupCity
+};
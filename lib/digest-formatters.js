@@ -0,0 +1,414 @@
+/**
+ * 各通知管道的摘要格式
+ * 與 Telegram 摘要使用相同的版面（layoutDigest：市府新聞稿／媒體報導、依城市或分類分組、每組最多 5 則）
+ * 與摘要句子，再依各平台的訊息格式與長度限制輸出
+ *
+ * 每個格式函數回傳依序發送的訊息 [{..., items}]，items 為該則訊息包含的新聞
+ */
+
+import { layoutDigest, escapeHtml, truncate, DIGEST_TITLE } from './telegram-renderer.js';
+import { summarizeArticle } from './summarizer.js';
+import { describeRulesVersion } from './rule-history.js';
+
+const DISPLAY_TIME_ZONE = { timeZone: 'Asia/Taipei' };
+
+// Slack：每則訊息最多 50 個 block，section 文字最多 3000 字
+const SLACK_MAX_BLOCKS = 50;
+const SLACK_SECTION_LIMIT = 3000;
+
+// Discord：每則訊息最多 10 個 embed、embed 合計 6000 字，description 最多 4096 字，content 最多 2000 字
+const DISCORD_MAX_EMBEDS = 10;
+const DISCORD_EMBED_TOTAL_LIMIT = 6000;
+const DISCORD_DESCRIPTION_LIMIT = 4096;
+const DISCORD_EMBED_COLOR = 0x1f6feb;
+
+// 每則新聞最多列出的其他來源連結數
+const MAX_RELATED_LINKS = 5;
+
+// ==================== 共用版面 ====================
+
+/**
+ * 依 Telegram 摘要的版面整理要顯示的新聞
+ * @param {Array} newsArray - 篩選後的新聞
+ * @param {Object} displayConfig - 顯示設定（telegramConfig 加上管道的 display 覆寫）
+ * @param {Object} options - {now, rules}
+ * @returns {Object} {title, date, footer: [行], sections: [{heading, groups: [{label, total, stories}]}], items}
+ *   stories 為 [{index, item, title, summary, meta: [行], related}]
+ */
+function prepareDigest(newsArray, displayConfig, { now = new Date(), rules = null } = {}) {
+  let index = 0;
+  const items = [];
+
+  const sections = layoutDigest(newsArray, displayConfig).map(section => ({
+    heading: section.heading,
+    groups: section.groups.map(group => ({
+      label: group.label,
+      total: group.total,
+      stories: group.items.map(item => {
+        items.push(item);
+        return {
+          index: ++index,
+          item,
+          title: truncate(item.title, 60),
+          summary: summarizeArticle(item, rules, {
+            budget: displayConfig.summaryLength ?? 80,
+            maxSentences: displayConfig.summarySentences ?? 2
+          }),
+          meta: storyMeta(item, displayConfig),
+          related: (item.related || []).slice(0, MAX_RELATED_LINKS)
+        };
+      })
+    }))
+  }));
+
+  const shown = index < newsArray.length ? `（顯示前 ${index} 則）` : '';
+  const footer = [`共 ${newsArray.length} 則新聞${shown}`, `⏰ ${now.toLocaleString('zh-TW', DISPLAY_TIME_ZONE)}`];
+  if (rules) {
+    footer.push(`🔖 篩選規則 ${describeRulesVersion(rules)}`);
+  }
+
+  return {
+    title: DIGEST_TITLE,
+    date: now.toLocaleDateString('zh-TW', DISPLAY_TIME_ZONE),
+    footer,
+    sections,
+    items
+  };
+}
+
+/**
+ * 新聞的附加資訊（來源、城市、分類、分數），與 Telegram 摘要的顯示設定一致
+ * @param {Object} item - 新聞
+ * @param {Object} displayConfig - 顯示設定
+ * @returns {Array} 純文字行
+ */
+function storyMeta(item, displayConfig) {
+  const meta = [];
+  if (displayConfig.includeSource && item.source) meta.push(`📌 ${item.source}`);
+  if (displayConfig.groupBy === 'category' && item.city) meta.push(`📍 ${item.city}`);
+
+  const categories = item.categories?.length > 0 ? item.categories : [item.category].filter(Boolean);
+  if (displayConfig.includeCategory && categories.length > 0) meta.push(`🏷️ ${categories.join('、')}`);
+  if (displayConfig.includeScore) meta.push(`⭐ ${item.score} 分`);
+  return meta;
+}
+
+/**
+ * 依數量與長度上限將項目分批
+ * @param {Array} entries - [{size, ...}]
+ * @param {number} maxCount - 每批最多幾項
+ * @param {number} maxSize - 每批 size 合計上限
+ * @returns {Array} 批次陣列
+ */
+function chunkEntries(entries, maxCount, maxSize = Infinity) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  entries.forEach(entry => {
+    if (current.length > 0 && (current.length >= maxCount || size + entry.size > maxSize)) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(entry);
+    size += entry.size;
+  });
+
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+// ==================== Slack ====================
+
+/**
+ * 跳脫 Slack mrkdwn 的控制字元
+ * @param {string} text - 原始文字
+ * @returns {string}
+ */
+function escapeSlack(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Slack 連結（<url|文字>，文字中的 | 改為全形）
+ * @param {string} url - 網址
+ * @param {string} text - 顯示文字
+ * @returns {string}
+ */
+function slackLink(url, text) {
+  return `<${String(url).replace(/[<>|]/g, encodeURIComponent)}|${escapeSlack(text).replace(/\|/g, '｜')}>`;
+}
+
+/**
+ * 產生 Slack incoming webhook 訊息（Block Kit）
+ * @param {Array} newsArray - 篩選後的新聞
+ * @param {Object} displayConfig - 顯示設定
+ * @param {Object} options - {now, rules}
+ * @returns {Array} [{payload: {text, blocks}, items}]
+ */
+function formatSlackDigest(newsArray, displayConfig, options = {}) {
+  const digest = prepareDigest(newsArray, displayConfig, options);
+  const header = { type: 'header', text: { type: 'plain_text', text: `📰 ${digest.title}` } };
+  const dateBlock = { type: 'context', elements: [{ type: 'mrkdwn', text: `📅 ${digest.date}` }] };
+
+  if (digest.items.length === 0) {
+    return [{
+      payload: {
+        text: `${digest.title}：今日無相關新聞`,
+        blocks: [header, dateBlock, { type: 'section', text: { type: 'mrkdwn', text: '⚠️ 今日無相關新聞。' } }]
+      },
+      items: []
+    }];
+  }
+
+  const entries = [];
+  digest.sections.forEach(section => {
+    if (digest.sections.length > 1) {
+      entries.push({ size: 1, block: { type: 'section', text: { type: 'mrkdwn', text: `*${escapeSlack(section.heading)}*` } } });
+    }
+    section.groups.forEach(group => {
+      entries.push({ size: 1, block: { type: 'section', text: { type: 'mrkdwn', text: `*【${escapeSlack(group.label)}】* (${group.total} 則)` } } });
+      group.stories.forEach(story => {
+        const lines = [`${story.index}. *${slackLink(story.item.url, story.title)}*`];
+        if (story.summary) lines.push(escapeSlack(story.summary));
+        if (story.related.length > 0) {
+          lines.push(`📰 其他報導：${story.related.map(r => slackLink(r.url, r.source)).join('、')}`);
+        }
+        if (story.meta.length > 0) lines.push(escapeSlack(story.meta.join('｜')));
+        entries.push({
+          size: 1,
+          item: story.item,
+          block: { type: 'section', text: { type: 'mrkdwn', text: truncate(lines.join('\n'), SLACK_SECTION_LIMIT - 1) } }
+        });
+      });
+    });
+  });
+
+  // 預留標題、日期、分隔線與頁尾的 block
+  const chunks = chunkEntries(entries, SLACK_MAX_BLOCKS - 4);
+  const footer = { type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(digest.footer.join('｜')) }] };
+
+  return chunks.map((chunk, index) => {
+    const page = chunks.length > 1 ? `（${index + 1}/${chunks.length}）` : '';
+    const blocks = [
+      index === 0 ? header : { type: 'header', text: { type: 'plain_text', text: `📰 ${digest.title}${page}` } },
+      ...(index === 0 ? [dateBlock] : []),
+      ...chunk.map(entry => entry.block),
+      ...(index === chunks.length - 1 ? [{ type: 'divider' }, footer] : [])
+    ];
+    return {
+      payload: { text: `${digest.title} ${digest.date}${page}`, blocks },
+      items: chunk.filter(entry => entry.item).map(entry => entry.item)
+    };
+  });
+}
+
+// ==================== Discord ====================
+
+/**
+ * 跳脫 Discord markdown
+ * @param {string} text - 原始文字
+ * @returns {string}
+ */
+function escapeDiscord(text) {
+  return String(text ?? '').replace(/([\\*_~`|>[\]()])/g, '\\$1');
+}
+
+/**
+ * Discord 連結（[文字](網址)，網址中的括號改為百分比編碼）
+ * @param {string} url - 網址
+ * @param {string} text - 顯示文字
+ * @returns {string}
+ */
+function discordLink(url, text) {
+  return `[${escapeDiscord(text)}](${String(url).replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)})`;
+}
+
+/**
+ * 產生 Discord incoming webhook 訊息：每個分組一個 embed
+ * @param {Array} newsArray - 篩選後的新聞
+ * @param {Object} displayConfig - 顯示設定
+ * @param {Object} options - {now, rules}
+ * @returns {Array} [{payload: {content, embeds}, items}]
+ */
+function formatDiscordDigest(newsArray, displayConfig, options = {}) {
+  const digest = prepareDigest(newsArray, displayConfig, options);
+  const heading = `📰 **${digest.title}**\n📅 ${digest.date}`;
+
+  if (digest.items.length === 0) {
+    return [{ payload: { content: `${heading}\n\n⚠️ 今日無相關新聞。`, embeds: [] }, items: [] }];
+  }
+
+  const embeds = [];
+  digest.sections.forEach(section => {
+    section.groups.forEach(group => {
+      const title = `${digest.sections.length > 1 ? `${section.heading}｜` : ''}【${group.label}】 (${group.total} 則)`;
+      let current = { title, description: '', items: [] };
+
+      group.stories.forEach(story => {
+        const lines = [`${story.index}. **${discordLink(story.item.url, story.title)}**`];
+        if (story.summary) lines.push(escapeDiscord(story.summary));
+        if (story.related.length > 0) {
+          lines.push(`📰 其他報導：${story.related.map(r => discordLink(r.url, r.source)).join('、')}`);
+        }
+        if (story.meta.length > 0) lines.push(escapeDiscord(story.meta.join('｜')));
+        const text = truncate(lines.join('\n'), DISCORD_DESCRIPTION_LIMIT - 2) + '\n\n';
+
+        // 同一組超過 description 上限時拆成多個 embed
+        if (current.description.length + text.length > DISCORD_DESCRIPTION_LIMIT) {
+          embeds.push(current);
+          current = { title: `【${group.label}】（續）`, description: '', items: [] };
+        }
+        current.description += text;
+        current.items.push(story.item);
+      });
+
+      embeds.push(current);
+    });
+  });
+
+  const chunks = chunkEntries(
+    embeds.map(embed => ({ ...embed, size: embed.title.length + embed.description.length })),
+    DISCORD_MAX_EMBEDS,
+    DISCORD_EMBED_TOTAL_LIMIT
+  );
+
+  return chunks.map((chunk, index) => {
+    const page = chunks.length > 1 ? `（${index + 1}/${chunks.length}）` : '';
+    const lines = [index === 0 ? `${heading}${page && ` ${page}`}` : `📰 **${digest.title}**${page}`];
+    if (index === chunks.length - 1) lines.push('', ...digest.footer);
+
+    return {
+      payload: {
+        content: lines.join('\n'),
+        embeds: chunk.map(embed => ({
+          title: embed.title,
+          description: embed.description.trimEnd(),
+          color: DISCORD_EMBED_COLOR
+        }))
+      },
+      items: chunk.flatMap(embed => embed.items)
+    };
+  });
+}
+
+// ==================== 通用 JSON webhook ====================
+
+/**
+ * 產生通用 JSON webhook 內容：所有篩選後的新聞（不受每組 5 則的版面限制），供其他系統串接
+ * @param {Array} newsArray - 篩選後的新聞
+ * @param {Object} displayConfig - 顯示設定（使用 summaryLength、summarySentences）
+ * @param {Object} options - {now, rules}
+ * @returns {Array} [{payload, items}]
+ */
+function formatWebhookDigest(newsArray, displayConfig, { now = new Date(), rules = null } = {}) {
+  return [{
+    payload: {
+      title: DIGEST_TITLE,
+      generatedAt: now.toISOString(),
+      rulesVersion: rules?.version || null,
+      total: newsArray.length,
+      items: newsArray.map(item => ({
+        title: item.title,
+        url: item.url,
+        source: item.source,
+        city: item.city || null,
+        cities: item.cities || [],
+        category: item.category || null,
+        categories: item.categories || [],
+        score: item.score ?? null,
+        official: Boolean(item.official),
+        publishedAt: item.publishedAt || null,
+        summary: summarizeArticle(item, rules, {
+          budget: displayConfig.summaryLength ?? 80,
+          maxSentences: displayConfig.summarySentences ?? 2
+        }),
+        related: (item.related || []).map(r => ({ title: r.title, source: r.source, url: r.url }))
+      }))
+    },
+    items: newsArray
+  }];
+}
+
+// ==================== 電子郵件 ====================
+
+/**
+ * 產生 HTML 電子郵件摘要（含純文字版本）
+ * @param {Array} newsArray - 篩選後的新聞
+ * @param {Object} displayConfig - 顯示設定
+ * @param {Object} options - {now, rules}
+ * @returns {Array} [{subject, html, text, items}]
+ */
+function formatEmailDigest(newsArray, displayConfig, options = {}) {
+  const digest = prepareDigest(newsArray, displayConfig, options);
+  const subject = `${digest.title} ${digest.date}`;
+  const html = [];
+  const text = [`${digest.title}`, `📅 ${digest.date}`, ''];
+
+  if (digest.items.length === 0) {
+    html.push('<p>⚠️ 今日無相關新聞。</p>');
+    text.push('⚠️ 今日無相關新聞。', '');
+  }
+
+  digest.sections.forEach(section => {
+    if (digest.sections.length > 1) {
+      html.push(`<h2 style="font-size:18px;margin:24px 0 8px">${escapeHtml(section.heading)}</h2>`);
+      text.push(section.heading, '');
+    }
+    section.groups.forEach(group => {
+      html.push(`<h3 style="font-size:16px;margin:16px 0 8px">【${escapeHtml(group.label)}】 (${group.total} 則)</h3>`);
+      text.push(`【${group.label}】 (${group.total} 則)`);
+
+      html.push('<ol style="padding-left:20px;margin:0">');
+      group.stories.forEach(story => {
+        html.push(`<li value="${story.index}" style="margin-bottom:12px">`);
+        html.push(`<a href="${escapeHtml(story.item.url)}" style="font-weight:bold;color:#1a4f8b">${escapeHtml(story.title)}</a>`);
+        text.push(`${story.index}. ${story.title}`);
+        if (story.summary) {
+          html.push(`<div style="margin-top:4px">${escapeHtml(story.summary)}</div>`);
+          text.push(`   ${story.summary}`);
+        }
+        text.push(`   🔗 ${story.item.url}`);
+        if (story.related.length > 0) {
+          const links = story.related.map(r => `<a href="${escapeHtml(r.url)}">${escapeHtml(r.source)}</a>`).join('、');
+          html.push(`<div style="margin-top:4px">📰 其他報導：${links}</div>`);
+          text.push(`   📰 其他報導：${story.related.map(r => `${r.source} ${r.url}`).join('、')}`);
+        }
+        if (story.meta.length > 0) {
+          html.push(`<div style="margin-top:4px;color:#666;font-size:13px">${escapeHtml(story.meta.join('｜'))}</div>`);
+          text.push(`   ${story.meta.join('｜')}`);
+        }
+        html.push('</li>');
+      });
+      html.push('</ol>');
+      text.push('');
+    });
+  });
+
+  const document = [
+    '<!DOCTYPE html>',
+    '<html lang="zh-Hant">',
+    '<head><meta charset="utf-8"><title>' + escapeHtml(subject) + '</title></head>',
+    '<body style="font-family:sans-serif;font-size:14px;line-height:1.6;color:#222;max-width:720px;margin:0 auto;padding:16px">',
+    `<h1 style="font-size:20px;margin:0">📰 ${escapeHtml(digest.title)}</h1>`,
+    `<p style="color:#666;margin:4px 0 16px">📅 ${escapeHtml(digest.date)}</p>`,
+    ...html,
+    `<hr style="border:none;border-top:1px solid #ddd;margin:24px 0 8px">`,
+    `<p style="color:#666;font-size:12px">${digest.footer.map(escapeHtml).join('<br>')}</p>`,
+    '</body>',
+    '</html>'
+  ].join('\n');
+
+  text.push(...digest.footer);
+
+  return [{ subject, html: document, text: text.join('\n') + '\n', items: digest.items }];
+}
+
+export {
+  prepareDigest,
+  formatSlackDigest,
+  formatDiscordDigest,
+  formatWebhookDigest,
+  formatEmailDigest
+};
@@ -0,0 +1,320 @@
+/**
+ * 讀者回饋報告
+ * 依新聞存檔中讀者按下的 👍（相關）／👎（不相關），找出與回饋相關的詞條，
+ * 提出新增關鍵字、新增排除詞與調整權重的建議
+ *
+ * 報告只列出建議與對應的 npm run rules 指令，不會修改規則檔：
+ * 建議須經人工確認後以規則工具套用，修改會留下快照並遞增版本，可再以 rollback 回復
+ */
+
+import { normalizeText } from './text-normalizer.js';
+import { termLabel } from './rule-engine.js';
+import { countVotes } from './article-archive.js';
+
+const DEFAULT_FEEDBACK_OPTIONS = {
+  minVotes: 3,
+  maxSuggestions: 10
+};
+
+// 新詞候選的字數範圍（標題以標點切段後取連續字元）
+const MIN_GRAM_LENGTH = 2;
+const MAX_GRAM_LENGTH = 4;
+
+// 詞條的相關比例達此值以上建議提高權重，以下建議降低權重
+const RAISE_SHARE = 0.8;
+const LOWER_SHARE = 0.25;
+
+// 建議新增的排除詞一律為扣分（讀者回饋不足以完全排除新聞）
+const SUGGESTED_EXCLUDE_WEIGHT = -20;
+
+// ==================== 統計 ====================
+
+/**
+ * 依票數判斷讀者對新聞的評價
+ * @param {Object} entry - 存檔紀錄
+ * @returns {string|null} 'relevant'、'irrelevant'，沒有投票或票數相同時為 null
+ */
+function feedbackVerdict(entry) {
+  const { up, down } = countVotes(entry);
+  if (up > down) return 'relevant';
+  if (down > up) return 'irrelevant';
+  return null;
+}
+
+/**
+ * 新聞命中的規則詞條（舊的存檔紀錄沒有評分明細時只有關鍵字）
+ * @param {Object} entry - 存檔紀錄
+ * @returns {Array} [{group: keywords|excludeKeywords|categories, label}]
+ */
+function matchedTerms(entry) {
+  const breakdown = entry.scoreBreakdown;
+  const keywords = breakdown?.matches?.keywords?.map(match => match.label) || entry.keywords || [];
+
+  return [
+    ...keywords.map(label => ({ group: 'keywords', label })),
+    ...(breakdown?.exclusions || []).map(({ label }) => ({ group: 'excludeKeywords', label })),
+    ...(breakdown?.categories || []).map(({ label }) => ({ group: 'categories', label }))
+  ];
+}
+
+/**
+ * 標題中的候選新詞：以空白與標點切段，每段取 2～4 字的連續字元（略過含數字的片段）
+ * @param {string} title - 新聞標題
+ * @returns {Set} 正規化後的候選詞
+ */
+function titleGrams(title) {
+  const grams = new Set();
+
+  String(title || '').split(/[\s\p{P}\p{S}]+/u).map(normalizeText).forEach(segment => {
+    const chars = [...segment];
+    for (let length = MIN_GRAM_LENGTH; length <= MAX_GRAM_LENGTH; length++) {
+      for (let start = 0; start + length <= chars.length; start++) {
+        const gram = chars.slice(start, start + length).join('');
+        if (!/\d/.test(gram)) grams.add(gram);
+      }
+    }
+  });
+
+  return grams;
+}
+
+/**
+ * 目前規則中的詞條權重
+ * @param {Object} rules - 篩選規則配置
+ * @param {string} group - keywords、excludeKeywords 或 categories
+ * @param {string} label - 詞條或分類名稱
+ * @returns {number|null} 權重，規則中已沒有這個詞條時回傳 null
+ */
+function currentWeight(rules, group, label) {
+  const filterRules = rules.filterRules || {};
+
+  if (group === 'categories') {
+    return filterRules.categoryKeywords?.categories?.[label]?.weight ?? null;
+  }
+
+  const entry = (filterRules[group]?.values || []).find(value => termLabel(value) === label);
+  if (entry === undefined) return null;
+  return (typeof entry === 'object' && entry.weight !== undefined) ? entry.weight : filterRules[group].weight;
+}
+
+/**
+ * 規則中已有的城市、關鍵字與排除詞（正規化後）
+ * @param {Object} rules - 篩選規則配置
+ * @returns {Array} 詞條
+ */
+function knownTerms(rules) {
+  return ['cities', 'keywords', 'excludeKeywords']
+    .flatMap(group => rules.filterRules?.[group]?.values || [])
+    .map(entry => normalizeText(termLabel(entry)))
+    .filter(Boolean);
+}
+
+// ==================== 建議 ====================
+
+/**
+ * 已有詞條的權重建議
+ * @param {Array} stats - [{group, label, relevant, irrelevant}]
+ * @param {Object} rules - 篩選規則配置
+ * @param {number} minVotes - 至少幾則有評價的新聞才提出建議
+ * @returns {Array} 建議
+ */
+function weightSuggestions(stats, rules, minVotes) {
+  const suggestions = [];
+
+  stats.forEach(stat => {
+    const weight = currentWeight(rules, stat.group, stat.label);
+    if (weight === null) return;
+
+    const total = stat.relevant + stat.irrelevant;
+    const share = stat.relevant / total;
+    let suggested = null;
+
+    if (stat.group === 'excludeKeywords') {
+      // 扣分的新聞仍被認為相關：扣分減半
+      if (stat.relevant >= minVotes && share >= RAISE_SHARE) suggested = Math.round(weight / 2);
+    } else if (stat.relevant >= minVotes && share >= RAISE_SHARE) {
+      suggested = Math.ceil(weight * 1.5);
+    } else if (stat.irrelevant >= minVotes && share <= LOWER_SHARE) {
+      suggested = Math.max(1, Math.floor(weight / 2));
+    }
+
+    if (suggested === null || suggested === weight) return;
+    suggestions.push({
+      action: 'set-weight',
+      group: stat.group,
+      term: stat.label,
+      weight: suggested,
+      currentWeight: weight,
+      relevant: stat.relevant,
+      irrelevant: stat.irrelevant
+    });
+  });
+
+  return suggestions;
+}
+
+/**
+ * 新詞建議：只出現在相關新聞的詞建議為關鍵字，只出現在不相關新聞的詞建議為排除詞
+ * 與規則中已有的詞條互相包含的詞不列入；同樣次數的詞只保留最長的
+ * @param {Array} judged - [{entry, verdict}]
+ * @param {Object} rules - 篩選規則配置
+ * @param {Object} options - {minVotes, maxSuggestions}
+ * @returns {Array} 建議
+ */
+function termSuggestions(judged, rules, { minVotes, maxSuggestions }) {
+  const counts = new Map();
+  judged.forEach(({ entry, verdict }) => {
+    titleGrams(entry.title).forEach(gram => {
+      const count = counts.get(gram) || { relevant: 0, irrelevant: 0 };
+      count[verdict]++;
+      counts.set(gram, count);
+    });
+  });
+
+  const known = knownTerms(rules);
+  const overlapsKnown = gram => known.some(term => term.includes(gram) || gram.includes(term));
+
+  const pick = (action, side, other, weight) => {
+    const candidates = [...counts.entries()]
+      .filter(([gram, count]) => count[side] >= minVotes && count[other] === 0 && !overlapsKnown(gram))
+      .map(([gram, count]) => ({ gram, count: count[side] }));
+
+    return candidates
+      .filter(({ gram, count }) =>
+        !candidates.some(longer => longer.gram !== gram && longer.gram.includes(gram) && longer.count === count))
+      .sort((a, b) => b.count - a.count || b.gram.length - a.gram.length || a.gram.localeCompare(b.gram))
+      .slice(0, maxSuggestions)
+      .map(({ gram }) => ({
+        action,
+        term: gram,
+        weight,
+        relevant: counts.get(gram).relevant,
+        irrelevant: counts.get(gram).irrelevant
+      }));
+  };
+
+  return [
+    ...pick('add-keyword', 'relevant', 'irrelevant', null),
+    ...pick('add-exclude', 'irrelevant', 'relevant', SUGGESTED_EXCLUDE_WEIGHT)
+  ];
+}
+
+/**
+ * 建議對應的規則工具指令
+ * @param {Object} suggestion - 建議
+ * @returns {string} npm run rules 指令
+ */
+function suggestionCommand(suggestion) {
+  const message = `-m "讀者回饋：${suggestion.relevant} 則相關、${suggestion.irrelevant} 則不相關"`;
+  switch (suggestion.action) {
+    case 'set-weight':
+      return `npm run rules -- set-weight ${suggestion.term} ${suggestion.weight} ${message}`;
+    case 'add-exclude':
+      return `npm run rules -- add-exclude ${suggestion.term} --weight ${suggestion.weight} ${message}`;
+    default:
+      return `npm run rules -- ${suggestion.action} ${suggestion.term} ${message}`;
+  }
+}
+
+/**
+ * 分析讀者回饋
+ * @param {Array} entries - 存檔紀錄（通常為 ArticleArchive.query() 的結果）
+ * @param {Object} rules - 篩選規則配置
+ * @param {Object} options - {minVotes: 至少幾則有評價的新聞才提出建議, maxSuggestions: 每種新詞建議的上限}
+ * @returns {Object} {voted, relevant, irrelevant, terms: [{group, label, relevant, irrelevant}], suggestions: [{action, term, weight, command, ...}]}
+ */
+function analyzeFeedback(entries, rules, options = {}) {
+  const { minVotes, maxSuggestions } = { ...DEFAULT_FEEDBACK_OPTIONS, ...options };
+
+  const voted = entries.filter(entry => Object.keys(entry.votes || {}).length > 0);
+  const judged = voted
+    .map(entry => ({ entry, verdict: feedbackVerdict(entry) }))
+    .filter(({ verdict }) => verdict);
+
+  const stats = new Map();
+  judged.forEach(({ entry, verdict }) => {
+    matchedTerms(entry).forEach(({ group, label }) => {
+      const key = `${group}:${label}`;
+      const stat = stats.get(key) || { group, label, relevant: 0, irrelevant: 0 };
+      stat[verdict]++;
+      stats.set(key, stat);
+    });
+  });
+
+  const terms = [...stats.values()]
+    .sort((a, b) => (b.relevant + b.irrelevant) - (a.relevant + a.irrelevant) || a.label.localeCompare(b.label));
+  const suggestions = [
+    ...weightSuggestions(terms, rules, minVotes),
+    ...termSuggestions(judged, rules, { minVotes, maxSuggestions })
+  ].map(suggestion => ({ ...suggestion, command: suggestionCommand(suggestion) }));
+
+  return {
+    voted: voted.length,
+    relevant: judged.filter(({ verdict }) => verdict === 'relevant').length,
+    irrelevant: judged.filter(({ verdict }) => verdict === 'irrelevant').length,
+    terms,
+    suggestions
+  };
+}
+
+// ==================== 報告 ====================
+
+const GROUP_NAMES = { keywords: '關鍵字', excludeKeywords: '排除詞', categories: '分類' };
+
+/**
+ * 說明一項建議
+ * @param {Object} suggestion - 建議
+ * @returns {string} 說明
+ */
+function describeSuggestion(suggestion) {
+  const evidence = `（${suggestion.relevant} 則相關、${suggestion.irrelevant} 則不相關）`;
+  switch (suggestion.action) {
+    case 'set-weight':
+      return `將${GROUP_NAMES[suggestion.group]}「${suggestion.term}」的權重由 ${suggestion.currentWeight} 改為 ${suggestion.weight}${evidence}`;
+    case 'add-exclude':
+      return `新增排除詞「${suggestion.term}」，扣 ${-suggestion.weight} 分${evidence}`;
+    default:
+      return `新增關鍵字「${suggestion.term}」${evidence}`;
+  }
+}
+
+/**
+ * 將分析結果排版為文字報告
+ * @param {Object} report - analyzeFeedback() 的結果
+ * @param {Object} options - {period: 期間說明}
+ * @returns {Array} 報告各行
+ */
+function formatFeedbackReport(report, { period = null } = {}) {
+  const lines = ['========== 讀者回饋報告 =========='];
+  if (period) lines.push(`期間：${period}`);
+  lines.push(`有投票的新聞：${report.voted} 則（相關 ${report.relevant}、不相關 ${report.irrelevant}、票數相同 ${report.voted - report.relevant - report.irrelevant}）`);
+
+  if (report.terms.length > 0) {
+    lines.push('', '【詞條與回饋】');
+    report.terms.forEach(term => {
+      lines.push(`  ${GROUP_NAMES[term.group]} ${term.label}：👍 ${term.relevant}　👎 ${term.irrelevant}`);
+    });
+  }
+
+  lines.push('', '【建議】');
+  if (report.suggestions.length === 0) {
+    lines.push('  目前的回饋不足以提出建議');
+    return lines;
+  }
+
+  report.suggestions.forEach((suggestion, index) => {
+    lines.push(`  ${index + 1}. ${describeSuggestion(suggestion)}`);
+    lines.push(`     ${suggestion.command}`);
+  });
+  lines.push('', '以上建議不會自動套用：確認後執行對應指令，修改會記錄在規則變更紀錄中（可用 diff、rollback 檢查與回復）');
+
+  return lines;
+}
+
+export {
+  DEFAULT_FEEDBACK_OPTIONS,
+  feedbackVerdict,
+  titleGrams,
+  analyzeFeedback,
+  formatFeedbackReport
+};
@@ -0,0 +1,111 @@
+/**
+ * 篩選報告
+ * 每次執行產生一份文字報告，列出未通過篩選的新聞與原因，以及通過新聞的評分明細，
+ * 讓編輯不需閱讀程式碼即可調整 filter-rules.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { describeBreakdown } from './rule-engine.js';
+import { describeRulesVersion } from './rule-history.js';
+
+const DISPLAY_TIME_ZONE = { timeZone: 'Asia/Taipei' };
+const DIVIDER = '========================================';
+
+// 未通過原因分類（rejectType → 說明）
+const REJECT_TYPES = {
+  alreadySent: '已發送過',
+  excluded: '包含排除詞',
+  missingRequired: '缺少必要的城市或關鍵字',
+  belowMinScore: '低於最低評分',
+  outsideWindow: '超出發布時間範圍',
+  unknownDate: '無法判斷發布時間',
+  overLimit: '超過每次篩選上限',
+  digestLimit: '超過摘要顯示上限'
+};
+
+/**
+ * 產生單則新聞的報告內容
+ * @param {Object} news - 新聞
+ * @param {number} index - 編號
+ * @param {string} status - 狀態說明（原因或分數）
+ * @returns {string} 報告文字
+ */
+function renderEntry(news, index, status) {
+  const lines = [
+    `${index}. ${news.title}`,
+    `   ${news.source || '未知來源'}｜${news.city || '其他'}｜${status}`
+  ];
+  describeBreakdown(news.scoreBreakdown).forEach(line => lines.push(`   - ${line}`));
+  if (news.url) {
+    lines.push(`   ${news.url}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 產生篩選報告
+ * @param {Object} result - {total, accepted, rejected}，rejected 需包含 rejectType 與 rejectReason
+ * @param {Object} options - {now, rules: 篩選規則配置（提供時標示規則版本）}
+ * @returns {string} 報告文字
+ */
+function buildFilterReport({ total, accepted = [], rejected = [] }, { now = new Date(), rules = null } = {}) {
+  const counts = {};
+  rejected.forEach(news => {
+    counts[news.rejectType] = (counts[news.rejectType] || 0) + 1;
+  });
+
+  const merged = accepted.reduce((sum, news) => sum + (news.related?.length || 0), 0);
+  const sections = [
+    `篩選報告 ${now.toLocaleString('zh-TW', DISPLAY_TIME_ZONE)}`,
+    ...(rules ? [`篩選規則 ${describeRulesVersion(rules)}`] : []),
+    DIVIDER,
+    `抓取 ${total ?? accepted.length + merged + rejected.length} 則｜通過 ${accepted.length} 則` +
+      `${merged > 0 ? `（另合併 ${merged} 則相同事件報導）` : ''}｜未通過 ${rejected.length} 則`,
+    ''
+  ];
+
+  if (rejected.length > 0) {
+    sections.push('【未通過原因統計】');
+    Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([type, count]) => sections.push(`  ${REJECT_TYPES[type] || type}: ${count} 則`));
+    sections.push('');
+
+    sections.push('【未通過的新聞】');
+    rejected.forEach((news, index) => sections.push(renderEntry(news, index + 1, `原因：${news.rejectReason}`)));
+    sections.push('');
+  }
+
+  if (accepted.length > 0) {
+    sections.push('【通過的新聞】');
+    accepted.forEach((news, index) => sections.push(renderEntry(news, index + 1, `${news.score} 分`)));
+    sections.push('');
+  }
+
+  return sections.join('\n');
+}
+
+/**
+ * 寫入篩選報告
+ * @param {string} report - 報告文字
+ * @param {string} dir - 輸出目錄
+ * @param {Date} now - 執行時間（用於檔名）
+ * @returns {string} 報告檔案路徑
+ */
+function writeFilterReport(report, dir, now = new Date()) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const stamp = now.toISOString().replace(/[:.]/g, '-').replace(/-\d{3}Z$/, '');
+  const filePath = path.join(dir, `filter-report-${stamp}.txt`);
+  fs.writeFileSync(filePath, report);
+  return filePath;
+}
+
+export {
+  REJECT_TYPES,
+  buildFilterReport,
+  writeFilterReport
+};
@@ -0,0 +1,41 @@
+/**
+ * 離線 fixture 讀取
+ * 以存檔的 HTML / feed 取代網路請求，供 --fixtures 模式與測試使用
+ *
+ * fixture 目錄需包含 index.json，將網址對應到目錄內的檔案：
+ *   { "https://udn.com/news/index": "udn.html" }
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 建立 fixture 讀取器
+ * @param {string} dir - fixture 目錄
+ * @returns {Object} {hasFixture(url), fetchPage(url)}
+ */
+function createFixtureFetcher(dir) {
+  const indexPath = path.join(dir, 'index.json');
+  if (!fs.existsSync(indexPath)) {
+    throw new Error(`fixture 目錄缺少 index.json：${dir}`);
+  }
+
+  const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+
+  return {
+    hasFixture(url) {
+      return Object.prototype.hasOwnProperty.call(index, url);
+    },
+
+    async fetchPage(url) {
+      if (!this.hasFixture(url)) {
+        throw new Error(`找不到對應的 fixture：${url}`);
+      }
+      return fs.readFileSync(path.join(dir, index[url]), 'utf-8');
+    }
+  };
+}
+
+export {
+  createFixtureFetcher
+};
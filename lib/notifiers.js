@@ -0,0 +1,537 @@
+/**
+ * 通知管道
+ * 將同一份篩選結果以各管道自己的格式發送：Telegram、Slack／Discord incoming webhook、
+ * 通用 JSON webhook 與 SMTP 電子郵件。各管道在 filter-rules.json 的 notifiersConfig.notifiers 中設定，
+ * 各自有重試策略；API 網址、webhook 網址與 SMTP 主機皆可指向本機的替身伺服器進行測試
+ *
+ * 共通設定：
+ *   name     - 名稱（日誌與發送報告中顯示，不可重複）
+ *   type     - telegram、slack、discord、webhook、email
+ *   enabled  - 是否啟用（預設 true）
+ *   retry    - {maxRetries: 最多嘗試次數, retryDelay: 第一次重試前等待毫秒數（之後加倍）}，覆寫該類型的預設值
+ *   timeout  - 請求逾時（毫秒）
+ *   display  - 覆寫 telegramConfig 的顯示設定（groupBy、summaryLength、includeSource、maxArticlesInMessage…）
+ *
+ * 各類型設定（機密資料以 xxxEnv 指定環境變數名稱，不直接寫在設定檔中）：
+ *   telegram - botToken／botTokenEnv、chatId／chatIdEnv、messageThreadId（論壇群組的討論串）、apiBaseUrl（預設 https://api.telegram.org）
+ *   slack    - webhookUrl／webhookUrlEnv
+ *   discord  - webhookUrl／webhookUrlEnv、username
+ *   webhook  - url／urlEnv、headers
+ *   email    - host、port、secure、starttls、user、password、from、to（陣列，或以逗號分隔的字串），皆可用 xxxEnv；
+ *              allowInsecureAuth 允許在未加密的連線上登入（預設 false）
+ *
+ * notifiersConfig.subscriptions 可沿用管道設定，將符合特定城市、分類或分數的新聞發送給其他收件對象（見 subscriptions.js）
+ */
+
+import axios from 'axios';
+import { generateTelegramMessages } from './telegram-renderer.js';
+import {
+  formatSlackDigest,
+  formatDiscordDigest,
+  formatWebhookDigest,
+  formatEmailDigest
+} from './digest-formatters.js';
+import { sendMail as sendSmtpMail } from './smtp-client.js';
+import { selectAudienceNews, expandSubscriptions, validateSubscriptions } from './subscriptions.js';
+
+const DEFAULT_RETRY_POLICIES = {
+  telegram: { maxRetries: 3, retryDelay: 1000 },
+  slack: { maxRetries: 3, retryDelay: 1000 },
+  discord: { maxRetries: 3, retryDelay: 1000 },
+  webhook: { maxRetries: 3, retryDelay: 2000 },
+  email: { maxRetries: 2, retryDelay: 5000 }
+};
+
+const DEFAULT_TIMEOUT = 10000;
+
+// 伺服器要求的等待時間超過此值時不再重試
+const MAX_RETRY_AFTER = 60000;
+
+const SILENT_LOGGER = { debug() {}, info() {}, warn() {}, error() {} };
+
+class NotifierError extends Error {
+  /**
+   * @param {string} message - 錯誤訊息
+   * @param {Object} options - {retryable: 是否可重試, retryAfter: 伺服器要求的等待毫秒數, status}
+   */
+  constructor(message, { retryable = true, retryAfter = null, status = null } = {}) {
+    super(message);
+    this.name = 'NotifierError';
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+    this.status = status;
+  }
+}
+
+/**
+ * 將 HTTP 錯誤轉為 NotifierError：連線錯誤、429 與 5xx 可重試，其他 4xx 不重試
+ * @param {Error} error - axios 錯誤
+ * @param {Function} describe - (response) => 錯誤描述
+ * @returns {NotifierError}
+ */
+function toNotifierError(error, describe = () => null) {
+  if (error instanceof NotifierError) return error;
+
+  const response = error.response;
+  if (!response) {
+    // 連線錯誤可重試；SMTP 等其他錯誤沿用其 retryable 判斷
+    return new NotifierError(error.message, { retryable: error.retryable ?? true });
+  }
+
+  const status = response.status;
+  const header = Number(response.headers?.['retry-after']);
+  const body = response.data || {};
+  const seconds = body.parameters?.retry_after ?? body.retry_after ?? (Number.isFinite(header) ? header : null);
+
+  return new NotifierError(describe(response) || `HTTP ${status}`, {
+    retryable: status === 429 || status >= 500,
+    retryAfter: seconds === null ? null : seconds * 1000,
+    status
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ==================== 基礎類別 ====================
+
+class Notifier {
+  /**
+   * @param {Object} config - notifiersConfig.notifiers 中的一項
+   * @param {Object} options - {displayConfig: telegramConfig, env, logger, http: {post}, sendMail}
+   */
+  constructor(config, { displayConfig = {}, env = process.env, logger = SILENT_LOGGER, http = axios } = {}) {
+    this.config = config;
+    this.type = config.type;
+    this.name = config.name || config.type;
+    this.env = env;
+    this.logger = logger;
+    this.http = http;
+    this.displayConfig = { ...displayConfig, ...(config.display || {}) };
+    this.retry = { ...DEFAULT_RETRY_POLICIES[this.type], ...(config.retry || {}) };
+    this.timeout = config.timeout ?? DEFAULT_TIMEOUT;
+    // 訂閱的收件條件（見 subscriptions.js），null 表示發送全部新聞
+    this.audience = config.audience || null;
+  }
+
+  /**
+   * 必要設定（子類別覆寫）
+   * @returns {Array} 設定名稱
+   */
+  get requiredSettings() {
+    return [];
+  }
+
+  /**
+   * 讀取設定：直接設定的值優先，其次為 xxxEnv 指定的環境變數
+   * @param {string} key - 設定名稱
+   * @returns {*} 設定值
+   */
+  setting(key) {
+    if (this.config[key] !== undefined && this.config[key] !== '') return this.config[key];
+    const envName = this.config[`${key}Env`];
+    return envName ? this.env[envName] || undefined : undefined;
+  }
+
+  /**
+   * 缺少的必要設定（含對應的環境變數名稱）
+   * @returns {Array} 如 ['botToken (TELEGRAM_BOT_TOKEN)']
+   */
+  missingSettings() {
+    return this.requiredSettings
+      .filter(key => this.setting(key) === undefined)
+      .map(key => (this.config[`${key}Env`] ? `${key} (${this.config[`${key}Env`]})` : key));
+  }
+
+  /**
+   * 產生要發送的訊息（子類別實作）
+   * @param {Array} newsArray - 篩選後的新聞
+   * @param {Object} options - {now, rules}
+   * @returns {Array} [{..., items}]
+   */
+  format(newsArray, options) {
+    throw new Error(`${this.type} 未實作 format()`);
+  }
+
+  /**
+   * 發送單則訊息（子類別實作），失敗時丟出 NotifierError
+   * @param {Object} part - format() 的一項
+   * @returns {Promise<Object>} {id}
+   */
+  async sendPart(part) {
+    throw new Error(`${this.type} 未實作 sendPart()`);
+  }
+
+  /**
+   * 以 JSON POST
+   * @param {string} url - 網址
+   * @param {Object} body - 內容
+   * @param {Object} options - {headers, describe: (response) => 錯誤描述}
+   * @returns {Promise<Object>} 回應
+   */
+  async postJson(url, body, { headers = {}, describe } = {}) {
+    try {
+      return await this.http.post(url, body, {
+        timeout: this.timeout,
+        headers: { 'Content-Type': 'application/json', ...headers }
+      });
+    } catch (error) {
+      throw toNotifierError(error, describe);
+    }
+  }
+
+  /**
+   * 依重試策略發送單則訊息
+   * @param {Object} part - format() 的一項
+   * @returns {Promise<Object>} {ok, id, attempts, error}
+   */
+  async sendWithRetry(part) {
+    const { maxRetries, retryDelay } = this.retry;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.sendPart(part);
+        return { ok: true, attempts: attempt, ...result };
+      } catch (error) {
+        const failure = toNotifierError(error);
+        this.logger.error(`[${this.name}] 發送失敗 (嘗試 ${attempt}/${maxRetries}): ${failure.message}`);
+
+        const delay = failure.retryAfter ?? retryDelay * Math.pow(2, attempt - 1);
+        if (!failure.retryable || attempt >= maxRetries || delay > MAX_RETRY_AFTER) {
+          return { ok: false, attempts: attempt, error: failure.message };
+        }
+
+        this.logger.warn(`[${this.name}] 等待 ${delay}ms 後重試...`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * 挑選符合收件條件的新聞後格式化並依序發送，某則失敗時繼續發送其餘訊息
+   * 訂閱沒有符合的新聞且未設定 sendEmpty 時不發送（skipped 為 true）
+   * @param {Array} newsArray - 篩選後的新聞
+   * @param {Object} options - {now, rules}
+   * @returns {Promise<Object>} {name, type, selected, total, sent: [{index, id}], failed: [{index, error}], deliveredItems, skipped}
+   */
+  async deliver(newsArray, options = {}) {
+    const selected = selectAudienceNews(newsArray, this.audience);
+    const report = {
+      name: this.name,
+      type: this.type,
+      selected: selected.length,
+      total: 0,
+      sent: [],
+      failed: [],
+      deliveredItems: [],
+      skipped: false
+    };
+
+    if (this.audience && selected.length === 0 && !this.audience.sendEmpty) {
+      this.logger.info(`[${this.name}] 沒有符合條件的新聞，本次不發送`);
+      return { ...report, skipped: true };
+    }
+
+    return { ...report, ...(await this.sendParts(this.format(selected, options))) };
+  }
+
+  /**
+   * 依序發送已格式化的訊息（如週報、月報），某則失敗時繼續發送其餘訊息
+   * @param {Array} parts - format() 格式的訊息 [{..., items}]
+   * @returns {Promise<Object>} {total, sent: [{index, id}], failed: [{index, error}], deliveredItems}
+   */
+  async sendParts(parts) {
+    const result = { total: parts.length, sent: [], failed: [], deliveredItems: [] };
+
+    for (const [index, part] of parts.entries()) {
+      this.logger.info(`[${this.name}] 正在發送第 ${index + 1}/${parts.length} 則訊息...`);
+      const outcome = await this.sendWithRetry(part);
+
+      if (outcome.ok) {
+        const { ok, attempts, ...details } = outcome;
+        result.sent.push({ index: index + 1, ...details });
+        result.deliveredItems.push(...(part.items || []));
+      } else {
+        result.failed.push({ index: index + 1, error: outcome.error });
+      }
+    }
+
+    return result;
+  }
+}
+
+// ==================== Telegram ====================
+
+class TelegramNotifier extends Notifier {
+  constructor(config, options = {}) {
+    super(config, options);
+    // 未另外設定時沿用 telegramConfig 的重試與逾時設定
+    const { maxRetries, retryDelay, timeout } = this.displayConfig;
+    this.retry = {
+      ...DEFAULT_RETRY_POLICIES.telegram,
+      ...(maxRetries !== undefined && { maxRetries }),
+      ...(retryDelay !== undefined && { retryDelay }),
+      ...(config.retry || {})
+    };
+    this.timeout = config.timeout ?? timeout ?? DEFAULT_TIMEOUT;
+  }
+
+  get requiredSettings() {
+    return ['botToken', 'chatId'];
+  }
+
+  format(newsArray, options) {
+    return generateTelegramMessages(newsArray, this.displayConfig, options);
+  }
+
+  /**
+   * 發送 HTML 訊息，Telegram 無法解析 HTML 時立即改以純文字重送
+   * @param {Object} part - {html, text, replyMarkup}
+   * @returns {Promise<Object>} {id, plainText}
+   */
+  async sendPart(part) {
+    try {
+      return await this.sendMessage(part, false);
+    } catch (error) {
+      if (/can't parse entities/i.test(error.message)) {
+        this.logger.warn(`[${this.name}] Telegram 無法解析 HTML，改以純文字發送`);
+        return this.sendMessage(part, true);
+      }
+      throw error;
+    }
+  }
+
+  async sendMessage(part, plainText) {
+    const apiBaseUrl = (this.setting('apiBaseUrl') || 'https://api.telegram.org').replace(/\/+$/, '');
+    const payload = {
+      chat_id: this.setting('chatId'),
+      text: plainText ? part.text : part.html,
+      disable_web_page_preview: false
+    };
+    if (!plainText) {
+      payload.parse_mode = 'HTML';
+    }
+    const threadId = this.setting('messageThreadId');
+    if (threadId !== undefined) {
+      payload.message_thread_id = Number(threadId);
+    }
+    if (part.replyMarkup) {
+      payload.reply_markup = part.replyMarkup;
+    }
+
+    const response = await this.postJson(`${apiBaseUrl}/bot${this.setting('botToken')}/sendMessage`, payload, {
+      describe: res => res.data?.description
+    });
+    if (!response.data?.ok) {
+      throw new NotifierError(response.data?.description || 'Telegram 回應異常', { retryable: false });
+    }
+    return { id: response.data.result.message_id, plainText };
+  }
+}
+
+// ==================== Slack / Discord / Webhook ====================
+
+class SlackNotifier extends Notifier {
+  get requiredSettings() {
+    return ['webhookUrl'];
+  }
+
+  format(newsArray, options) {
+    return formatSlackDigest(newsArray, this.displayConfig, options);
+  }
+
+  async sendPart(part) {
+    // Slack incoming webhook 成功時回應 "ok"
+    await this.postJson(this.setting('webhookUrl'), part.payload, {
+      describe: res => (typeof res.data === 'string' ? `HTTP ${res.status}: ${res.data}` : null)
+    });
+    return { id: null };
+  }
+}
+
+class DiscordNotifier extends Notifier {
+  get requiredSettings() {
+    return ['webhookUrl'];
+  }
+
+  format(newsArray, options) {
+    return formatDiscordDigest(newsArray, this.displayConfig, options);
+  }
+
+  async sendPart(part) {
+    const payload = this.config.username ? { ...part.payload, username: this.config.username } : part.payload;
+    // wait=true 時 Discord 回傳訊息內容（含 id），否則回應 204
+    const url = new URL(this.setting('webhookUrl'));
+    url.searchParams.set('wait', 'true');
+
+    const response = await this.postJson(url.toString(), payload, {
+      describe: res => (res.data?.message ? `HTTP ${res.status}: ${res.data.message}` : null)
+    });
+    return { id: response.data?.id ?? null };
+  }
+}
+
+class WebhookNotifier extends Notifier {
+  get requiredSettings() {
+    return ['url'];
+  }
+
+  format(newsArray, options) {
+    return formatWebhookDigest(newsArray, this.displayConfig, options);
+  }
+
+  async sendPart(part) {
+    const response = await this.postJson(this.setting('url'), part.payload, { headers: this.config.headers || {} });
+    return { id: response.data?.id ?? null };
+  }
+}
+
+// ==================== 電子郵件 ====================
+
+class EmailNotifier extends Notifier {
+  /**
+   * @param {Object} config - 管道設定
+   * @param {Object} options - 同 Notifier，另可提供 sendMail(server, message) 取代 SMTP 寄送
+   */
+  constructor(config, options = {}) {
+    super(config, options);
+    this.sendMail = options.sendMail || sendSmtpMail;
+  }
+
+  get requiredSettings() {
+    return ['host', 'from', 'to'];
+  }
+
+  format(newsArray, options) {
+    return formatEmailDigest(newsArray, this.displayConfig, options);
+  }
+
+  /**
+   * 收件人（環境變數可用逗號或分號分隔多個地址）
+   * @returns {Array} 地址陣列
+   */
+  recipients() {
+    const to = this.setting('to');
+    return (Array.isArray(to) ? to : String(to).split(/[,;]/)).map(address => address.trim()).filter(Boolean);
+  }
+
+  async sendPart(part) {
+    const result = await this.sendMail({
+      host: this.setting('host'),
+      port: this.config.port,
+      secure: Boolean(this.config.secure),
+      starttls: this.config.starttls ?? true,
+      user: this.setting('user'),
+      password: this.setting('password'),
+      allowInsecureAuth: Boolean(this.config.allowInsecureAuth),
+      timeout: this.timeout,
+      rejectUnauthorized: this.config.rejectUnauthorized ?? true
+    }, {
+      from: this.setting('from'),
+      to: this.recipients(),
+      subject: part.subject,
+      text: part.text,
+      html: part.html
+    });
+    return { id: result.messageId };
+  }
+}
+
+// ==================== 建立與驗證 ====================
+
+const NOTIFIER_TYPES = {
+  telegram: TelegramNotifier,
+  slack: SlackNotifier,
+  discord: DiscordNotifier,
+  webhook: WebhookNotifier,
+  email: EmailNotifier
+};
+
+/**
+ * 建立通知管道
+ * @param {Object} config - notifiersConfig.notifiers 中的一項
+ * @param {Object} options - {displayConfig, env, logger, http, sendMail}
+ * @returns {Notifier}
+ */
+function createNotifier(config, options = {}) {
+  const NotifierClass = NOTIFIER_TYPES[config.type];
+  if (!NotifierClass) {
+    throw new Error(`不支援的通知管道類型：${config.type}`);
+  }
+  return new NotifierClass(config, options);
+}
+
+/**
+ * 建立所有啟用的通知管道與訂閱
+ * @param {Object} notifiersConfig - notifiersConfig
+ * @param {Object} options - 同 createNotifier()
+ * @returns {Array} Notifier 陣列（訂閱在後）
+ */
+function createNotifiers(notifiersConfig = {}, options = {}) {
+  return expandSubscriptions(notifiersConfig).map(config => createNotifier(config, options));
+}
+
+/**
+ * 驗證 notifiersConfig
+ * @param {Object} notifiersConfig - filter-rules.json 的 notifiersConfig
+ * @param {Object} known - {cities, categories}，用來檢查訂閱條件（見 validateSubscriptions()）
+ * @returns {Array} 錯誤訊息陣列
+ */
+function validateNotifiersConfig(notifiersConfig, known = {}) {
+  if (notifiersConfig === undefined) return [];
+  if (!notifiersConfig || !Array.isArray(notifiersConfig.notifiers)) {
+    return ['notifiersConfig.notifiers 必須是陣列'];
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  notifiersConfig.notifiers.forEach((config, index) => {
+    const label = `notifiersConfig.notifiers[${index}]`;
+    if (!config || typeof config !== 'object') {
+      errors.push(`${label} 必須是物件`);
+      return;
+    }
+    if (!NOTIFIER_TYPES[config.type]) {
+      errors.push(`${label}.type 必須是 ${Object.keys(NOTIFIER_TYPES).join('、')} 之一：${config.type}`);
+    }
+
+    const name = config.name || config.type;
+    if (names.has(name)) {
+      errors.push(`${label}.name 重複：${name}`);
+    }
+    names.add(name);
+
+    ['maxRetries', 'retryDelay'].forEach(field => {
+      const value = config.retry?.[field];
+      if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+        errors.push(`${label}.retry.${field} 必須是非負數字`);
+      }
+    });
+    if (config.timeout !== undefined && (typeof config.timeout !== 'number' || config.timeout <= 0)) {
+      errors.push(`${label}.timeout 必須是正數`);
+    }
+    if (config.type === 'email' && config.to !== undefined && !(typeof config.to === 'string' || Array.isArray(config.to))) {
+      errors.push(`${label}.to 必須是字串或陣列`);
+    }
+  });
+
+  validateSubscriptions(notifiersConfig, known).forEach(error => errors.push(error));
+  return errors;
+}
+
+export {
+  DEFAULT_RETRY_POLICIES,
+  NOTIFIER_TYPES,
+  NotifierError,
+  Notifier,
+  TelegramNotifier,
+  SlackNotifier,
+  DiscordNotifier,
+  WebhookNotifier,
+  EmailNotifier,
+  createNotifier,
+  createNotifiers,
+  validateNotifiersConfig
+};
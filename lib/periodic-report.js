@@ -0,0 +1,355 @@
+/**
+ * 週報與月報
+ * 由新聞存檔統計一段期間（依存檔日期，台北時間）的新聞，並與前一個期間比較：
+ *   - 各城市、各分類的則數、占比與增減
+ *   - 最常出現的關鍵字
+ *   - 最多媒體報導的新聞（同一事件的來源數）
+ * 報告以 Telegram 訊息發送（與每日摘要使用相同的通知管道），也可匯出為 CSV 或 JSON
+ *
+ * 期間為報告時間之前最近一個完整的週（週一至週日）或月
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { escapeHtml, truncate, DIGEST_TITLE } from './telegram-renderer.js';
+import { chunkLines } from './telegram-bot.js';
+import { taipeiDate, startOfTaipeiDay } from './article-archive.js';
+import { describeRulesVersion } from './rule-history.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIVIDER = '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━';
+
+// 日期一律以台灣時間顯示
+const DISPLAY_TIME_ZONE = { timeZone: 'Asia/Taipei' };
+
+const DEFAULT_REPORT_OPTIONS = {
+  topKeywords: 10,
+  topStories: 5
+};
+
+/**
+ * 台北時間某月 1 日 00:00
+ * @param {number} year - 年
+ * @param {number} monthIndex - 月（0 起算，可超出範圍）
+ * @returns {Date}
+ */
+function startOfTaipeiMonth(year, monthIndex) {
+  const date = new Date(Date.UTC(year, monthIndex, 1)).toISOString().substring(0, 10);
+  return new Date(`${date}T00:00:00+08:00`);
+}
+
+// 報告類型註冊表：{label, previousLabel, bounds(now) => {from, to, previousFrom}}
+const PERIOD_TYPES = {
+  weekly: {
+    label: '週報',
+    previousLabel: '前一週',
+    bounds(now) {
+      const today = startOfTaipeiDay(now);
+      const weekday = new Date(`${taipeiDate(now)}T00:00:00Z`).getUTCDay();
+      const to = new Date(today.getTime() - ((weekday + 6) % 7) * DAY_MS);
+      const from = new Date(to.getTime() - 7 * DAY_MS);
+      return { from, to, previousFrom: new Date(from.getTime() - 7 * DAY_MS) };
+    }
+  },
+  monthly: {
+    label: '月報',
+    previousLabel: '前一個月',
+    bounds(now) {
+      const [year, month] = taipeiDate(now).split('-').map(Number);
+      return {
+        from: startOfTaipeiMonth(year, month - 2),
+        to: startOfTaipeiMonth(year, month - 1),
+        previousFrom: startOfTaipeiMonth(year, month - 3)
+      };
+    }
+  }
+};
+
+// ==================== 統計 ====================
+
+/**
+ * 報告期間
+ * @param {string} type - weekly 或 monthly
+ * @param {Date} now - 報告時間
+ * @returns {Object} {type, from, to, previousFrom}（from 含、to 不含）
+ */
+function reportPeriod(type, now) {
+  const periodType = PERIOD_TYPES[type];
+  if (!periodType) {
+    throw new Error(`不支援的報告類型：${type}（可用 ${Object.keys(PERIOD_TYPES).join('、')}）`);
+  }
+  return { type, ...periodType.bounds(now) };
+}
+
+/**
+ * 期間的顯示文字（結束日為期間最後一天）
+ * @param {Date} from - 起始時間
+ * @param {Date} to - 結束時間（不含）
+ * @returns {string} YYYY/MM/DD – YYYY/MM/DD
+ */
+function describeRange(from, to) {
+  const format = date => taipeiDate(date).replace(/-/g, '/');
+  return `${format(from)} – ${format(new Date(to.getTime() - 1))}`;
+}
+
+/**
+ * 依名稱統計則數並與前期比較
+ * @param {Array} current - 本期存檔紀錄
+ * @param {Array} previous - 前期存檔紀錄
+ * @param {Function} namesOf - entry => 名稱陣列
+ * @param {Array} always - 沒有新聞時也列出的名稱（如六都）
+ * @returns {Array} [{name, count, previous, share, previousShare}]，依本期則數由多到少排序
+ */
+function compareCounts(current, previous, namesOf, always = []) {
+  const tally = entries => {
+    const counts = new Map();
+    entries.forEach(entry => new Set(namesOf(entry)).forEach(name => counts.set(name, (counts.get(name) || 0) + 1)));
+    return counts;
+  };
+  const now = tally(current);
+  const before = tally(previous);
+  const share = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+  return [...new Set([...always, ...now.keys(), ...before.keys()])]
+    .map(name => ({
+      name,
+      count: now.get(name) || 0,
+      previous: before.get(name) || 0,
+      share: share(now.get(name) || 0, current.length),
+      previousShare: share(before.get(name) || 0, previous.length)
+    }))
+    .sort((a, b) => b.count - a.count || b.previous - a.previous || a.name.localeCompare(b.name));
+}
+
+/**
+ * 產生週報或月報
+ * @param {Array} entries - 存檔紀錄（需涵蓋本期與前期）
+ * @param {Object} options - {type, now, cities: 一律列出的城市, topKeywords, topStories}
+ * @returns {Object} {type, label, previousLabel, period, previousPeriod, archiveSince, total, previousTotal, cities, categories, keywords, stories}
+ */
+function buildPeriodicReport(entries, { type, now = new Date(), cities = [], ...options }) {
+  const { topKeywords, topStories } = { ...DEFAULT_REPORT_OPTIONS, ...options };
+  const period = reportPeriod(type, now);
+  const within = (from, to) => entries.filter(entry => {
+    const archivedAt = new Date(entry.archivedAt);
+    return archivedAt >= from && archivedAt < to;
+  });
+  const current = within(period.from, period.to);
+  const previous = within(period.previousFrom, period.from);
+  // 存檔最早的紀錄（Actions 快取過期後存檔會重新開始累積）
+  const archiveSince = entries.reduce((earliest, entry) => {
+    const archivedAt = new Date(entry.archivedAt);
+    return !earliest || archivedAt < earliest ? archivedAt : earliest;
+  }, null);
+
+  const stories = current
+    .map(entry => ({
+      title: entry.title,
+      url: entry.url,
+      source: entry.source,
+      city: entry.city,
+      date: taipeiDate(entry.archivedAt),
+      coverage: 1 + entry.related.length,
+      score: entry.score
+    }))
+    .sort((a, b) => b.coverage - a.coverage || b.score - a.score)
+    .slice(0, topStories);
+
+  return {
+    type,
+    label: PERIOD_TYPES[type].label,
+    previousLabel: PERIOD_TYPES[type].previousLabel,
+    period: { from: period.from.toISOString(), to: period.to.toISOString(), label: describeRange(period.from, period.to) },
+    previousPeriod: { from: period.previousFrom.toISOString(), to: period.from.toISOString(), label: describeRange(period.previousFrom, period.from) },
+    archiveSince: archiveSince ? archiveSince.toISOString() : null,
+    total: current.length,
+    previousTotal: previous.length,
+    cities: compareCounts(current, previous, entry => [entry.city], cities),
+    categories: compareCounts(current, previous, entry => entry.categories),
+    keywords: compareCounts(current, previous, entry => entry.keywords || [])
+      .filter(keyword => keyword.count > 0)
+      .slice(0, topKeywords),
+    stories
+  };
+}
+
+/**
+ * 存檔未涵蓋整個本期或前期時的提醒
+ * @param {Object} report - buildPeriodicReport() 的結果
+ * @returns {string|null} 提醒文字，存檔涵蓋本期與前期時回傳 null
+ */
+function describeArchiveCoverage(report) {
+  if (!report.archiveSince) {
+    return '新聞存檔沒有任何紀錄（Actions 快取可能已過期），本期統計不完整';
+  }
+  const since = taipeiDate(report.archiveSince).replace(/-/g, '/');
+  if (report.archiveSince > report.period.from) {
+    return `新聞存檔自 ${since} 起才有紀錄（Actions 快取可能已過期），本期統計不完整`;
+  }
+  if (report.archiveSince > report.previousPeriod.from) {
+    return `新聞存檔自 ${since} 起才有紀錄，${report.previousLabel}的統計不完整，增減僅供參考`;
+  }
+  return null;
+}
+
+// ==================== Telegram ====================
+
+/**
+ * 增減的顯示文字
+ * @param {number} count - 本期
+ * @param {number} previous - 前期
+ * @returns {string} 如 ▲ +3（+33%）、▼ -2（-50%）、＝、▲ +4（新出現）
+ */
+function formatChange(count, previous) {
+  const delta = count - previous;
+  if (delta === 0) return '＝';
+  const arrow = delta > 0 ? '▲' : '▼';
+  const sign = delta > 0 ? '+' : '';
+  const percent = previous > 0 ? `${sign}${Math.round((delta / previous) * 100)}%` : '新出現';
+  return `${arrow} ${sign}${delta}（${percent}）`;
+}
+
+/**
+ * 將報告排版為 Telegram 訊息
+ * @param {Object} report - buildPeriodicReport() 的結果
+ * @param {Object} options - {now: 產生時間, rules: 篩選規則配置（標示規則版本）}
+ * @returns {Array} [{html, text, items}]
+ */
+function formatReportMessages(report, { now = new Date(), rules = null } = {}) {
+  const title = DIGEST_TITLE.replace(/摘要$/, report.label);
+  const countLine = item => `${escapeHtml(item.name)} ${item.count} 則 ${formatChange(item.count, item.previous)}`;
+  // 城市另列占比，比較各城市在所有新聞中的比重變化
+  const cityLine = item => `${countLine(item)}｜占 ${item.share}%（${report.previousLabel} ${item.previousShare}%）`;
+
+  const coverage = describeArchiveCoverage(report);
+
+  const lines = [
+    `📊 <b>${escapeHtml(title)}</b>`,
+    `📅 ${report.period.label}（與${report.previousLabel}比較）`,
+    ...(coverage ? [`⚠️ ${escapeHtml(coverage)}`] : []),
+    DIVIDER,
+    `共 ${report.total} 則新聞，${report.previousLabel} ${report.previousTotal} 則 ${formatChange(report.total, report.previousTotal)}`,
+    '',
+    '<b>【各城市】</b>',
+    ...report.cities.map(cityLine),
+    '',
+    '<b>【各分類】</b>',
+    ...(report.categories.length > 0 ? report.categories.map(countLine) : ['（無）']),
+    '',
+    '<b>【熱門關鍵字】</b>',
+    ...(report.keywords.length > 0
+      ? report.keywords.map((keyword, index) => `${index + 1}. ${escapeHtml(keyword.name)} ${keyword.count} 次 ${formatChange(keyword.count, keyword.previous)}`)
+      : ['（無）']),
+    '',
+    '<b>【最多媒體報導的新聞】</b>',
+    ...(report.stories.length > 0
+      ? report.stories.map((story, index) =>
+        `${index + 1}. <a href="${escapeHtml(story.url)}">${escapeHtml(truncate(story.title, 60))}</a>\n   ${escapeHtml(story.city)}｜${story.coverage} 個來源｜${story.date.substring(5).replace('-', '/')}`)
+      : ['（無）']),
+    DIVIDER,
+    `⏰ ${now.toLocaleString('zh-TW', DISPLAY_TIME_ZONE)}${rules ? `\n🔖 篩選規則 ${escapeHtml(describeRulesVersion(rules))}` : ''}`
+  ];
+
+  return chunkLines(lines).map(html => ({ html, text: htmlToText(html), items: [] }));
+}
+
+/**
+ * HTML 訊息的純文字版本（Telegram 拒絕 HTML 時改用）
+ * @param {string} html - HTML
+ * @returns {string} 純文字
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+// ==================== 匯出 ====================
+
+/**
+ * CSV 欄位（含逗號、引號或換行時加上引號）
+ * @param {*} value - 值
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 組成 CSV（加上 BOM 讓 Excel 正確辨識 UTF-8）
+ * @param {Array} rows - 二維陣列，第一列為標題
+ * @returns {string}
+ */
+function toCsv(rows) {
+  return `\uFEFF${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * 報告的 CSV：統計表（城市、分類、關鍵字）與新聞表
+ * @param {Object} report - buildPeriodicReport() 的結果
+ * @returns {Object} {counts, stories}
+ */
+function reportToCsv(report) {
+  const sections = [['城市', report.cities], ['分類', report.categories], ['關鍵字', report.keywords]];
+  const label = report.period.label;
+  const counts = [
+    ['期間', '項目', '名稱', '本期', '前期', '增減', '本期占比(%)', '前期占比(%)'],
+    [label, '總計', '', report.total, report.previousTotal, report.total - report.previousTotal, '', ''],
+    ...sections.flatMap(([section, items]) => items.map(item =>
+      [label, section, item.name, item.count, item.previous, item.count - item.previous, item.share, item.previousShare]))
+  ];
+
+  const stories = [
+    ['期間', '排名', '標題', '城市', '來源', '來源數', '分數', '日期', '網址'],
+    ...report.stories.map((story, index) =>
+      [label, index + 1, story.title, story.city, story.source, story.coverage, story.score, story.date, story.url])
+  ];
+
+  return { counts: toCsv(counts), stories: toCsv(stories) };
+}
+
+/**
+ * 匯出報告
+ * @param {Object} report - buildPeriodicReport() 的結果
+ * @param {string} dir - 輸出目錄
+ * @param {Array} formats - csv、json
+ * @returns {Array} 寫入的檔案路徑
+ */
+function exportReport(report, dir, formats) {
+  const unsupported = formats.filter(format => !['csv', 'json'].includes(format));
+  if (unsupported.length > 0) {
+    throw new Error(`不支援的匯出格式：${unsupported.join('、')}（可用 csv、json）`);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  const base = path.join(dir, `${report.type}-${taipeiDate(report.period.from)}`);
+  const written = [];
+
+  if (formats.includes('json')) {
+    fs.writeFileSync(`${base}.json`, `${JSON.stringify(report, null, 2)}\n`);
+    written.push(`${base}.json`);
+  }
+  if (formats.includes('csv')) {
+    const csv = reportToCsv(report);
+    fs.writeFileSync(`${base}.csv`, csv.counts);
+    fs.writeFileSync(`${base}-stories.csv`, csv.stories);
+    written.push(`${base}.csv`, `${base}-stories.csv`);
+  }
+
+  return written;
+}
+
+export {
+  PERIOD_TYPES,
+  reportPeriod,
+  buildPeriodicReport,
+  describeArchiveCoverage,
+  formatChange,
+  formatReportMessages,
+  reportToCsv,
+  exportReport
+};
@@ -0,0 +1,202 @@
+/**
+ * 發布時間範圍與時效排名
+ * 只保留時間範圍內發布的新聞，並以「相關性分數 × 時效係數」排序，
+ * 避免首頁上掛了一週的舊新聞排在當天新聞前面
+ *
+ * recencyConfig：
+ *   enabled           - 是否啟用
+ *   windowHours       - 時間範圍（小時），0 表示不限
+ *   windowAnchor      - 時間範圍的基準時刻（台灣時間 HH:MM，如 08:00 表示「執行前最近一次 08:00 往前 windowHours」），
+ *                       null 表示以執行時間為準
+ *   halfLifeHours     - 時效半衰期：發布後經過此時數，時效加權減半
+ *   recencyWeight     - 時效在排名中所佔比重（0～1）：時效係數 = 1 - recencyWeight + recencyWeight × 0.5^(經過時數 / halfLifeHours)
+ *   unknownDatePolicy - 無法判斷發布時間的新聞：
+ *                         exclude   不採用
+ *                         assumeOld 視為在時間範圍起點發布（保留但排名在後）
+ *                         assumeNew 視為剛發布
+ *
+ * 只有日期、沒有時間的發布時間（publishedAtPrecision: 'day'，如市府新聞稿）以當天結束時間判斷
+ */
+
+// 台灣時間（無日光節約時間）
+const TAIPEI_OFFSET_HOURS = 8;
+const HOUR = 60 * 60 * 1000;
+
+// 容許的時鐘誤差：發布時間晚於執行時間超過此值即視為超出範圍
+const FUTURE_TOLERANCE_HOURS = 1;
+
+const UNKNOWN_DATE_POLICIES = {
+  exclude: '不採用',
+  assumeOld: '視為時間範圍起點發布',
+  assumeNew: '視為剛發布'
+};
+
+const DEFAULT_RECENCY_CONFIG = {
+  enabled: true,
+  windowHours: 24,
+  windowAnchor: null,
+  halfLifeHours: 24,
+  recencyWeight: 0.3,
+  unknownDatePolicy: 'assumeOld'
+};
+
+/**
+ * 四捨五入到小數第二位
+ * @param {number} value - 數值
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 合併 recencyConfig 與預設值
+ * @param {Object} recencyConfig - filter-rules.json 的 recencyConfig
+ * @returns {Object} 完整設定
+ */
+function resolveRecencyConfig(recencyConfig = {}) {
+  return { ...DEFAULT_RECENCY_CONFIG, ...recencyConfig };
+}
+
+/**
+ * 計算時間範圍
+ * @param {Date} now - 執行時間
+ * @param {Object} config - 完整的 recencyConfig
+ * @returns {Object} {since, until}，since 為 null 表示不限
+ */
+function getPublishWindow(now, config) {
+  if (!config.windowHours) {
+    return { since: null, until: now };
+  }
+
+  let end = now;
+  if (config.windowAnchor) {
+    const [hour, minute] = config.windowAnchor.split(':').map(Number);
+    // 以台灣時間的當天日期組出基準時刻，晚於執行時間時改用前一天
+    const local = new Date(now.getTime() + TAIPEI_OFFSET_HOURS * HOUR);
+    end = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), hour - TAIPEI_OFFSET_HOURS, minute));
+    if (end > now) {
+      end = new Date(end.getTime() - 24 * HOUR);
+    }
+  }
+
+  return { since: new Date(end.getTime() - config.windowHours * HOUR), until: now };
+}
+
+/**
+ * 取得發布時間（只有日期時取當天結束時間，且不晚於執行時間）
+ * @param {Object} news - 新聞
+ * @param {Date} now - 執行時間
+ * @returns {Date|null} 發布時間，無法判斷時回傳 null
+ */
+function getPublishTime(news, now) {
+  if (!news.publishedAt) return null;
+
+  const published = new Date(news.publishedAt);
+  if (isNaN(published.getTime())) return null;
+
+  if (news.publishedAtPrecision === 'day') {
+    const endOfDay = new Date(published.getTime() + 24 * HOUR);
+    return endOfDay > now ? now : endOfDay;
+  }
+  return published;
+}
+
+/**
+ * 評估新聞的時效
+ * @param {Object} news - 新聞
+ * @param {Date} now - 執行時間
+ * @param {Object} config - 完整的 recencyConfig
+ * @returns {Object} {dateKnown, ageHours, factor, inWindow, reason}
+ *   inWindow 為 false 時 reason 說明原因；dateKnown 為 false 時 ageHours 依 unknownDatePolicy 推定
+ */
+function assessRecency(news, now, config) {
+  if (!config.enabled) {
+    return { dateKnown: Boolean(news.publishedAt), ageHours: null, factor: 1, inWindow: true, reason: null };
+  }
+
+  const window = getPublishWindow(now, config);
+  const published = getPublishTime(news, now);
+  const windowAge = window.since ? (now - window.since) / HOUR : 0;
+  let ageHours;
+
+  if (published) {
+    ageHours = Math.max((now - published) / HOUR, 0);
+    if (published.getTime() > now.getTime() + FUTURE_TOLERANCE_HOURS * HOUR) {
+      return { dateKnown: true, ageHours: 0, factor: 1, inWindow: false, reason: `發布時間 ${news.publishedAt} 晚於執行時間` };
+    }
+    if (window.since && published < window.since) {
+      return {
+        dateKnown: true,
+        ageHours: round(ageHours),
+        factor: 0,
+        inWindow: false,
+        reason: `發布於 ${round(ageHours)} 小時前，超出 ${config.windowHours} 小時的時間範圍`
+      };
+    }
+  } else if (config.unknownDatePolicy === 'exclude') {
+    return { dateKnown: false, ageHours: null, factor: 0, inWindow: false, reason: '無法判斷發布時間（unknownDatePolicy: exclude）' };
+  } else {
+    ageHours = config.unknownDatePolicy === 'assumeNew' ? 0 : windowAge;
+  }
+
+  const decay = Math.pow(0.5, ageHours / config.halfLifeHours);
+  const factor = 1 - config.recencyWeight + config.recencyWeight * decay;
+
+  return {
+    dateKnown: Boolean(published),
+    ageHours: round(ageHours),
+    factor: Math.round(factor * 1000) / 1000,
+    inWindow: true,
+    reason: null
+  };
+}
+
+/**
+ * 驗證 recencyConfig
+ * @param {Object} recencyConfig - filter-rules.json 的 recencyConfig
+ * @returns {Array} 錯誤訊息陣列
+ */
+function validateRecencyConfig(recencyConfig) {
+  if (recencyConfig === undefined) return [];
+  if (typeof recencyConfig !== 'object' || recencyConfig === null) {
+    return ['recencyConfig 必須是物件'];
+  }
+
+  const errors = [];
+  ['windowHours', 'halfLifeHours'].forEach(field => {
+    const value = recencyConfig[field];
+    if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+      errors.push(`recencyConfig.${field} 必須是非負數字`);
+    }
+  });
+  if (recencyConfig.halfLifeHours === 0) {
+    errors.push('recencyConfig.halfLifeHours 必須大於 0');
+  }
+
+  const weight = recencyConfig.recencyWeight;
+  if (weight !== undefined && (typeof weight !== 'number' || weight < 0 || weight > 1)) {
+    errors.push('recencyConfig.recencyWeight 必須介於 0 到 1');
+  }
+
+  const anchor = recencyConfig.windowAnchor;
+  if (anchor !== undefined && anchor !== null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(anchor)) {
+    errors.push(`recencyConfig.windowAnchor 必須是 HH:MM 格式：${anchor}`);
+  }
+
+  const policy = recencyConfig.unknownDatePolicy;
+  if (policy !== undefined && !Object.prototype.hasOwnProperty.call(UNKNOWN_DATE_POLICIES, policy)) {
+    errors.push(`recencyConfig.unknownDatePolicy 必須是 ${Object.keys(UNKNOWN_DATE_POLICIES).join('、')} 之一`);
+  }
+
+  return errors;
+}
+
+export {
+  DEFAULT_RECENCY_CONFIG,
+  UNKNOWN_DATE_POLICIES,
+  resolveRecencyConfig,
+  getPublishWindow,
+  assessRecency,
+  validateRecencyConfig
+};
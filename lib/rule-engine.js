@@ -0,0 +1,604 @@
+/**
+ * 篩選規則引擎
+ * 將 filter-rules.json 中的城市、關鍵字與排除詞編譯為比對規則並計算評分
+ *
+ * 每個詞條可以是：
+ *   "秘書處"                                  - 字串比對
+ *   { "value": "秘書處", "weight": 8 }         - 字串比對並指定權重
+ *   { "regex": "市府(團隊|會議)", "weight": 5 } - 正規表示式
+ *   { "phrase": "市長 視察", "maxGap": 6 }     - 依序出現的詞組，詞與詞之間最多間隔 maxGap 字
+ * 物件詞條可另外以 label 指定顯示名稱（城市詞條即為城市名稱）
+ * 新聞文字與 value、phrase 詞條都先經 lib/text-normalizer.js 正規化（簡繁、全半形、去除空白標點），
+ * regex 詞條直接套用在正規化後的文字上：regex 中不可出現空白、標點、\s、\b 或會被轉換的全形字與簡體、異體字
+ * （如「臺」須寫成「台」），這些寫法永遠不會命中，validateTerm 會回報錯誤
+ * 六都的城市詞條（字串或 value）改由 lib/city-gazetteer.js 比對別名與行政區，
+ * 得分再乘上辭典判斷的信心分數
+ *
+ * 排除詞條另可設定：
+ *   except        - 例外詞組，命中的排除詞位於例外詞組中時不算（如「運動」排除「運動中心」）
+ *   scope         - 比對範圍：all（預設）、title 或 summary
+ *   allowOfficial - 市府新聞稿不套用此排除詞
+ *   weight        - 扣分，未設定時使用 excludeKeywords.weight；≤ -100 時完全排除（分數為 0）
+ *
+ * 分類（filterRules.categoryKeywords.categories）：
+ *   每個命中的分類加上該分類的 weight，並依命中證據（分類權重 × 關鍵字數，標題命中套用標題倍率）排序，
+ *   第一個即為主要分類
+ *
+ * scoringRules 相關設定：
+ *   fieldWeights  - 標題與摘要（有內文時為全文）命中的倍率，預設 { title: 1, summary: 1 }
+ *   repeatDecay   - 同一詞條重複出現時，每多一次的遞減倍率（0 表示只計一次）
+ *   maxRepeats    - 重複出現最多計算幾次
+ *   scoringMethod - weighted_sum（全部相加）或 max_per_group（每組只取最高分）
+ *   maxScore      - 分數上限，加上市府新聞稿加分、來源權重與多家媒體報導加分後才套用（見 capScore）
+ */
+
+import { resolveCities, isKnownCity } from './city-gazetteer.js';
+import { normalizeText } from './text-normalizer.js';
+
+const SCORING_METHODS = ['weighted_sum', 'max_per_group'];
+const EXCLUDE_SCOPES = ['all', 'title', 'summary'];
+
+// 排除詞扣分達此值時完全排除
+const VETO_WEIGHT = -100;
+const SCORED_GROUPS = ['cities', 'keywords'];
+const GROUP_LABELS = { cities: '城市', keywords: '關鍵字' };
+
+// 編譯後的規則依規則物件快取
+const compiledCache = new WeakMap();
+
+// 比對空白、換行或字界的跳脫序列，在去除空白與標點的文字中沒有意義
+const WHITESPACE_ESCAPES = 'sbBnrtfv';
+
+/**
+ * 跳脫正規表示式特殊字元
+ * @param {string} text - 原始文字
+ * @returns {string} 跳脫後的文字
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 取得詞條的顯示名稱
+ * @param {string|Object} entry - 詞條
+ * @returns {string} 顯示名稱
+ */
+function termLabel(entry) {
+  if (typeof entry === 'string') return entry;
+  return entry.label || entry.value || entry.phrase || `/${entry.regex}/`;
+}
+
+/**
+ * 編譯單一詞條
+ * @param {string|Object} entry - 詞條
+ * @param {number} defaultWeight - 所屬群組的權重
+ * @returns {Object} {label, weight, pattern}
+ */
+function compileTerm(entry, defaultWeight) {
+  const term = typeof entry === 'string' ? { value: entry } : entry;
+  let source;
+
+  if (term.regex !== undefined) {
+    source = term.regex;
+  } else if (term.phrase !== undefined) {
+    const gap = term.maxGap ?? 10;
+    source = term.phrase.trim().split(/\s+/)
+      .map(word => escapeRegExp(normalizeText(word)))
+      .join(`[\\s\\S]{0,${gap}}?`);
+  } else {
+    source = escapeRegExp(normalizeText(term.value));
+  }
+
+  return {
+    label: termLabel(term),
+    weight: term.weight ?? defaultWeight,
+    pattern: new RegExp(source, 'gi'),
+    literal: term.value !== undefined
+  };
+}
+
+/**
+ * 編譯排除詞條
+ * @param {string|Object} entry - 詞條
+ * @param {number} defaultWeight - excludeKeywords.weight
+ * @returns {Object} {label, weight, pattern, veto, scope, exceptions, allowOfficial}
+ */
+function compileExclusion(entry, defaultWeight) {
+  const term = compileTerm(entry, defaultWeight);
+  const options = typeof entry === 'string' ? {} : entry;
+
+  return {
+    ...term,
+    veto: term.weight <= VETO_WEIGHT,
+    scope: options.scope || 'all',
+    exceptions: (options.except || [])
+      .map(normalizeText)
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length),
+    allowOfficial: options.allowOfficial === true
+  };
+}
+
+/**
+ * 比對排除詞（扣除例外詞組後仍出現才算命中）
+ * @param {Object} term - 編譯後的排除詞條
+ * @param {Object} fields - 正規化後的 {title, summary}
+ * @param {Object} news - 新聞物件
+ * @returns {Object|null} {label, field, points, veto}，未命中時回傳 null
+ */
+function matchExclusion(term, fields, news) {
+  if (term.allowOfficial && news.official) return null;
+
+  const scoped = term.scope === 'all' ? ['title', 'summary'] : [term.scope];
+  const field = scoped.find(name => {
+    const text = term.exceptions.reduce((remaining, phrase) => remaining.split(phrase).join(' '), fields[name]);
+    return countMatches(term, text) > 0;
+  });
+  if (!field) return null;
+
+  return { label: term.label, field, points: term.weight, veto: term.veto };
+}
+
+/**
+ * 計算詞條在文字中出現的次數
+ * @param {Object} term - 編譯後的詞條
+ * @param {string} text - 文字
+ * @returns {number} 出現次數
+ */
+function countMatches(term, text) {
+  if (!text) return 0;
+  term.pattern.lastIndex = 0;
+  let count = 0;
+  let match;
+  while ((match = term.pattern.exec(text)) !== null) {
+    count++;
+    // 避免空字串比對造成無窮迴圈
+    if (match[0] === '') term.pattern.lastIndex++;
+  }
+  return count;
+}
+
+/**
+ * 編譯整份規則（結果會快取）
+ * @param {Object} rules - 篩選規則配置
+ * @returns {Object} {groups, categories, excludes, scoring}
+ */
+function compileRules(rules) {
+  if (compiledCache.has(rules)) {
+    return compiledCache.get(rules);
+  }
+
+  const filterRules = rules.filterRules || {};
+  const scoringRules = rules.scoringRules || {};
+  const defaultWeights = { cities: 10, keywords: 5 };
+
+  const groups = SCORED_GROUPS
+    .filter(name => Array.isArray(filterRules[name]?.values))
+    .map(name => ({
+      name,
+      required: filterRules[name].required === true,
+      terms: filterRules[name].values.map(entry => {
+        const term = compileTerm(entry, filterRules[name].weight || defaultWeights[name]);
+        term.gazetteer = name === 'cities' && term.literal && isKnownCity(term.label);
+        return term;
+      })
+    }));
+
+  const excludes = (filterRules.excludeKeywords?.values || []).map(entry =>
+    compileExclusion(entry, filterRules.excludeKeywords.weight ?? VETO_WEIGHT));
+
+  const categories = Object.entries(filterRules.categoryKeywords?.categories || {}).map(([name, config]) => ({
+    name,
+    weight: config.weight ?? 1,
+    terms: (config.keywords || []).map(keyword => compileTerm(keyword, 0))
+  }));
+
+  const compiled = {
+    groups,
+    categories,
+    excludes,
+    scoring: {
+      fieldWeights: { title: 1, summary: 1, ...scoringRules.fieldWeights },
+      repeatDecay: scoringRules.repeatDecay ?? 0,
+      maxRepeats: scoringRules.maxRepeats ?? 1,
+      scoringMethod: scoringRules.scoringMethod || 'weighted_sum',
+      maxScore: scoringRules.maxScore
+    }
+  };
+
+  compiledCache.set(rules, compiled);
+  return compiled;
+}
+
+/**
+ * 取得正規化後的標題與摘要欄位
+ * 有內文（內文頁抓取或市府新聞稿）時以全文取代摘要比對
+ * @param {Object} news - 新聞物件
+ * @returns {Object} {title, summary}
+ */
+function getFields(news) {
+  return {
+    title: normalizeText(news.title),
+    summary: normalizeText(news.content || news.summary)
+  };
+}
+
+/**
+ * 計算單一詞條的得分
+ * 標題命中以標題倍率計算，否則以摘要倍率計算；重複出現依 repeatDecay 遞減加分
+ * @param {Object} term - 編譯後的詞條
+ * @param {Object} fields - {title, summary}
+ * @param {Object} scoring - 評分設定
+ * @returns {Object|null} {label, field, count, points}，未命中時回傳 null
+ */
+function scoreTerm(term, fields, scoring) {
+  const titleCount = countMatches(term, fields.title);
+  const summaryCount = countMatches(term, fields.summary);
+  const count = titleCount + summaryCount;
+  if (count === 0) return null;
+
+  const field = titleCount > 0 ? 'title' : 'summary';
+  const repeats = Math.min(count, Math.max(scoring.maxRepeats, 1));
+  let factor = 0;
+  for (let i = 0; i < repeats; i++) {
+    factor += Math.pow(scoring.repeatDecay, i);
+  }
+
+  return {
+    label: term.label,
+    field,
+    count,
+    points: term.weight * scoring.fieldWeights[field] * factor
+  };
+}
+
+/**
+ * 以地名辭典的判斷結果計算城市詞條的得分
+ * @param {Object} term - 編譯後的城市詞條
+ * @param {Object} resolution - resolveCities 的結果
+ * @param {Object} scoring - 評分設定
+ * @returns {Object|null} {label, field, count, confidence, points}，未提及時回傳 null
+ */
+function scoreCityTerm(term, resolution, scoring) {
+  const mentioned = resolution.cities.find(entry => entry.city === term.label);
+  if (!mentioned) return null;
+
+  const field = mentioned.titleCount > 0 ? 'title' : 'summary';
+  const repeats = Math.min(mentioned.count, Math.max(scoring.maxRepeats, 1));
+  let factor = 0;
+  for (let i = 0; i < repeats; i++) {
+    factor += Math.pow(scoring.repeatDecay, i);
+  }
+
+  return {
+    label: term.label,
+    field,
+    count: mentioned.count,
+    confidence: mentioned.confidence,
+    points: term.weight * scoring.fieldWeights[field] * factor * mentioned.confidence
+  };
+}
+
+/**
+ * 依命中的分類關鍵字為新聞分類
+ * @param {Array} categories - 編譯後的分類
+ * @param {Object} fields - 正規化後的 {title, summary}
+ * @param {Object} scoring - 評分設定
+ * @returns {Array} [{label, keywords, evidence, points}]，依 evidence 由高至低排序
+ */
+function classifyCategories(categories, fields, scoring) {
+  return categories
+    .map((category, order) => {
+      let evidence = 0;
+      const keywords = [];
+      category.terms.forEach(term => {
+        const inTitle = countMatches(term, fields.title) > 0;
+        if (inTitle || countMatches(term, fields.summary) > 0) {
+          keywords.push(term.label);
+          evidence += category.weight * scoring.fieldWeights[inTitle ? 'title' : 'summary'];
+        }
+      });
+      return { label: category.name, keywords, evidence, points: category.weight, order };
+    })
+    .filter(category => category.keywords.length > 0)
+    .sort((a, b) => b.evidence - a.evidence || a.order - b.order)
+    .map(({ order, ...category }) => category);
+}
+
+/**
+ * 評分新聞並回傳完整的比對結果
+ * @param {Object} news - 新聞物件 {title, summary, content, city}
+ * @param {Object} rules - 篩選規則配置
+ * @returns {Object} {score, rawScore, matches, categories, exclusions, excludedBy, penalty, missingRequired}
+ */
+function scoreArticle(news, rules) {
+  const { groups, categories, excludes, scoring } = compileRules(rules);
+  const fields = getFields(news);
+  const result = {
+    score: 0,
+    rawScore: 0,
+    matches: {},
+    categories: [],
+    exclusions: [],
+    excludedBy: null,
+    penalty: 0,
+    missingRequired: []
+  };
+
+  groups.forEach(group => {
+    const gazetteerCities = group.terms.filter(term => term.gazetteer).map(term => term.label);
+    const resolution = gazetteerCities.length > 0 ? resolveCities(fields, { cities: gazetteerCities }) : null;
+    const matches = group.terms
+      .map(term => term.gazetteer ? scoreCityTerm(term, resolution, scoring) : scoreTerm(term, fields, scoring))
+      .filter(Boolean);
+
+    // 市府新聞稿由來源標記城市，內文未提及城市名稱時以來源城市計分
+    if (group.name === 'cities' && matches.length === 0 && news.city) {
+      const term = group.terms.find(candidate => candidate.label === news.city);
+      if (term) {
+        matches.push({ label: term.label, field: 'source', count: 1, points: term.weight });
+      }
+    }
+
+    result.matches[group.name] = matches;
+
+    if (group.required && matches.length === 0) {
+      result.missingRequired.push(GROUP_LABELS[group.name] || group.name);
+    }
+
+    const points = matches.map(match => match.points);
+    if (points.length > 0) {
+      result.rawScore += scoring.scoringMethod === 'max_per_group'
+        ? Math.max(...points)
+        : points.reduce((sum, value) => sum + value, 0);
+    }
+  });
+
+  // 分類權重計入分數
+  result.categories = classifyCategories(categories, fields, scoring);
+  const categoryPoints = result.categories.map(category => category.points);
+  if (categoryPoints.length > 0) {
+    result.rawScore += scoring.scoringMethod === 'max_per_group'
+      ? Math.max(...categoryPoints)
+      : categoryPoints.reduce((sum, value) => sum + value, 0);
+  }
+
+  // 排除關鍵字：扣分達 -100 者完全排除，其餘直接扣分
+  result.exclusions = excludes.map(term => matchExclusion(term, fields, news)).filter(Boolean);
+  const veto = result.exclusions.find(exclusion => exclusion.veto);
+  if (veto) {
+    result.excludedBy = veto.label;
+    return result;
+  }
+
+  // 缺少必要群組時不計分
+  if (result.missingRequired.length > 0) {
+    return result;
+  }
+
+  // 此處不封頂：maxScore 在加上所有加分與來源權重後才套用
+  result.penalty = result.exclusions.reduce((sum, exclusion) => sum + exclusion.points, 0);
+  const score = Math.max(result.rawScore + result.penalty, 0);
+
+  result.score = Math.round(score * 100) / 100;
+  return result;
+}
+
+/**
+ * 將最終分數限制在 maxScore 以內
+ * @param {number} score - 加上所有加分與來源權重後的分數
+ * @param {number} [maxScore] - 分數上限（未設定時不限制）
+ * @returns {Object} {score, capped}
+ */
+function capScore(score, maxScore) {
+  if (typeof maxScore === 'number' && score > maxScore) {
+    return { score: maxScore, capped: true };
+  }
+  return { score, capped: false };
+}
+
+/**
+ * 格式化分數（最多兩位小數）
+ * @param {number} points - 分數
+ * @returns {string} 帶正負號的分數
+ */
+function formatPoints(points) {
+  const rounded = Math.round(points * 100) / 100;
+  return rounded >= 0 ? `+${rounded}` : `${rounded}`;
+}
+
+/**
+ * 將評分明細轉為可讀的說明
+ * @param {Object} breakdown - 評分明細（scoreArticle 的結果，可附加 officialBonus、sourceWeight、clusterBonus、capped、maxScore、recency）
+ * @returns {Array} 說明文字陣列，例如 ['城市 台北 +30', '關鍵字 秘書處 +24、政策 +15']
+ */
+function describeBreakdown(breakdown) {
+  if (!breakdown) return [];
+  const lines = [];
+
+  Object.entries(breakdown.matches || {}).forEach(([group, matches]) => {
+    if (matches.length === 0) return;
+    const terms = matches.map(match => {
+      const repeat = match.count > 1 ? `×${match.count}` : '';
+      const field = match.field === 'title' ? '（標題）' : match.field === 'source' ? '（來源）' : '';
+      const confidence = match.confidence !== undefined && match.confidence < 1 ? `（信心 ${match.confidence}）` : '';
+      return `${match.label}${field}${confidence}${repeat} ${formatPoints(match.points)}`;
+    });
+    lines.push(`${GROUP_LABELS[group] || group} ${terms.join('、')}`);
+  });
+
+  if (breakdown.categories?.length > 0) {
+    const categories = breakdown.categories.map(category =>
+      `${category.label}（${category.keywords.join('、')}） ${formatPoints(category.points)}`);
+    lines.push(`分類 ${categories.join('、')}`);
+  }
+
+  if (breakdown.excludedBy) {
+    lines.push(`排除詞「${breakdown.excludedBy}」`);
+  } else if (breakdown.exclusions?.length > 0) {
+    lines.push(`排除詞 ${breakdown.exclusions.map(exclusion => `${exclusion.label} ${formatPoints(exclusion.points)}`).join('、')}`);
+  }
+  if (breakdown.missingRequired?.length > 0) {
+    lines.push(`缺少必要的${breakdown.missingRequired.join('、')}`);
+  }
+  if (breakdown.officialBonus) {
+    lines.push(`市府新聞稿 ${formatPoints(breakdown.officialBonus)}`);
+  }
+  if (breakdown.sourceWeight !== undefined && breakdown.sourceWeight !== 1) {
+    lines.push(`來源權重 ×${breakdown.sourceWeight}`);
+  }
+  if (breakdown.clusterBonus) {
+    lines.push(`多家媒體報導 ${formatPoints(breakdown.clusterBonus)}`);
+  }
+  if (breakdown.capped) {
+    lines.push(`超過上限，封頂為 ${breakdown.maxScore} 分`);
+  }
+  const recency = breakdown.recency;
+  if (recency?.inWindow && recency.ageHours !== null) {
+    const age = recency.dateKnown
+      ? `發布 ${recency.ageHours} 小時前`
+      : `發布時間不明（${recency.unknownDatePolicy === 'assumeNew' ? '視為剛發布' : `視為 ${recency.ageHours} 小時前`}）`;
+    lines.push(`時效 ${age} ×${recency.factor}`);
+  }
+
+  return lines;
+}
+
+/**
+ * 找出 regex 詞條中正規化後的新聞文字不會出現的寫法
+ * ASCII 符號視為正規表示式語法，只檢查跳脫序列、空白與非 ASCII 字元；
+ * 字元類別（如 [臺台]）中的寫法只是多列出的選項，不影響比對，不檢查
+ * @param {string} regex - 正規表示式
+ * @returns {Array} 問題寫法，如 ['\\s', '，', '臺→台']
+ */
+function findNormalizedAway(regex) {
+  const chars = Array.from(regex);
+  const problems = new Set();
+  let inClass = false;
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    if (char === '\\') {
+      const next = chars[++i];
+      if (next === undefined) break;
+      if (!inClass && (WHITESPACE_ESCAPES.includes(next) || (/\W/.test(next) && !normalizeText(next)))) {
+        problems.add(`\\${next}`);
+      }
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+    if (char === '[') {
+      inClass = true;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      problems.add('空白');
+      continue;
+    }
+    if (char.codePointAt(0) < 128) continue;
+
+    const normalized = normalizeText(char);
+    if (!normalized) {
+      problems.add(char);
+    } else if (normalized !== char.toLowerCase()) {
+      problems.add(`${char}→${normalized}`);
+    }
+  }
+
+  return [...problems];
+}
+
+/**
+ * 驗證單一詞條
+ * @param {string|Object} entry - 詞條
+ * @returns {string|null} 錯誤訊息，有效時回傳 null
+ */
+function validateTerm(entry) {
+  if (typeof entry === 'string') {
+    return entry.trim() ? null : '詞條不可為空字串';
+  }
+  if (!entry || typeof entry !== 'object') {
+    return '詞條必須是字串或物件';
+  }
+
+  const kinds = ['value', 'regex', 'phrase'].filter(key => entry[key] !== undefined);
+  if (kinds.length !== 1) {
+    return `詞條必須恰好指定 value、regex 或 phrase 其中之一：${JSON.stringify(entry)}`;
+  }
+  if (entry.weight !== undefined && typeof entry.weight !== 'number') {
+    return `詞條權重必須是數字：${termLabel(entry)}`;
+  }
+  if (entry.scope !== undefined && !EXCLUDE_SCOPES.includes(entry.scope)) {
+    return `scope 必須是 ${EXCLUDE_SCOPES.join('、')} 之一：${termLabel(entry)}`;
+  }
+  if (entry.except !== undefined &&
+      (!Array.isArray(entry.except) || entry.except.some(phrase => typeof phrase !== 'string' || !phrase.trim()))) {
+    return `except 必須是非空字串陣列：${termLabel(entry)}`;
+  }
+  if (entry.regex !== undefined) {
+    try {
+      new RegExp(entry.regex);
+    } catch (e) {
+      return `正規表示式無效：${entry.regex} (${e.message})`;
+    }
+    const problems = findNormalizedAway(entry.regex);
+    if (problems.length > 0) {
+      return `正規表示式 ${entry.regex} 含有比對前會被移除或轉換的寫法（${problems.join('、')}）：` +
+        '新聞文字已去除空白與標點並轉為半形、繁體，請改用正規化後的寫法';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 驗證評分設定
+ * @param {Object} scoringRules - scoringRules
+ * @returns {Array} 錯誤訊息陣列
+ */
+function validateScoringRules(scoringRules = {}) {
+  const errors = [];
+
+  if (scoringRules.scoringMethod !== undefined && !SCORING_METHODS.includes(scoringRules.scoringMethod)) {
+    errors.push(`scoringMethod 必須是 ${SCORING_METHODS.join('、')} 之一`);
+  }
+  if (scoringRules.maxScore !== undefined) {
+    if (typeof scoringRules.maxScore !== 'number') {
+      errors.push('maxScore 必須是數字');
+    } else if (typeof scoringRules.minScore === 'number' && scoringRules.maxScore < scoringRules.minScore) {
+      errors.push('maxScore 不可小於 minScore');
+    }
+  }
+  if (scoringRules.repeatDecay !== undefined &&
+      (typeof scoringRules.repeatDecay !== 'number' || scoringRules.repeatDecay < 0 || scoringRules.repeatDecay > 1)) {
+    errors.push('repeatDecay 必須是 0 到 1 之間的數字');
+  }
+  if (scoringRules.maxRepeats !== undefined && (!Number.isInteger(scoringRules.maxRepeats) || scoringRules.maxRepeats < 1)) {
+    errors.push('maxRepeats 必須是正整數');
+  }
+  Object.entries(scoringRules.fieldWeights || {}).forEach(([field, weight]) => {
+    if (!['title', 'summary'].includes(field)) {
+      errors.push(`fieldWeights 不支援欄位：${field}`);
+    } else if (typeof weight !== 'number' || weight < 0) {
+      errors.push(`fieldWeights.${field} 必須是非負數字`);
+    }
+  });
+
+  return errors;
+}
+
+export {
+  SCORING_METHODS,
+  termLabel,
+  compileTerm,
+  countMatches,
+  scoreArticle,
+  capScore,
+  describeBreakdown,
+  findNormalizedAway,
+  validateTerm,
+  validateScoringRules
+};
@@ -0,0 +1,287 @@
+/**
+ * 篩選規則變更紀錄
+ * 每次透過 updateRules() 修改規則時，將完整規則連同作者與說明存成一份快照，
+ * 可比較任兩個版本的差異、回復到先前的版本，並在執行日誌與摘要中標示使用的規則版本，
+ * 摘要品質突然改變時能追查是哪一次規則修改造成的
+ *
+ * 快照存放在規則檔旁的 rule-history/ 目錄（如 config/rule-history/），
+ * 每個檔案為 {version, timestamp, author, message, rules}，檔名以流水號開頭依修改順序排列，隨專案一併提交
+ *
+ * 開始記錄前的規則檔與未透過規則工具的手動修改會在下次修改前補記，這類快照標示 origin: 'unknown'：
+ * 內容是補記當下的規則檔，timestamp 是補記的時間，無法確認與當初發布的同一版本相同
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { termLabel } from './rule-engine.js';
+
+const HISTORY_DIR_NAME = 'rule-history';
+
+// 比較差異時忽略的欄位（每次修改都會變動）
+const IGNORED_FIELDS = ['version', 'lastUpdated'];
+
+// 日期一律以台灣時間顯示
+const DISPLAY_TIME_ZONE = { timeZone: 'Asia/Taipei' };
+
+// 補記的快照（開始記錄前的規則或手動修改）
+const UNKNOWN_ORIGIN = 'unknown';
+
+/**
+ * 取得規則檔對應的變更紀錄目錄
+ * @param {string} rulesPath - 規則檔路徑
+ * @returns {string} 目錄路徑
+ */
+function historyDirFor(rulesPath) {
+  return path.join(path.dirname(rulesPath), HISTORY_DIR_NAME);
+}
+
+/**
+ * 取得修改者名稱：明確指定 > RULES_AUTHOR > GIT_AUTHOR_NAME > 系統使用者
+ * @param {string} author - 明確指定的修改者
+ * @returns {string} 修改者名稱
+ */
+function resolveAuthor(author) {
+  if (author) return author;
+  if (process.env.RULES_AUTHOR) return process.env.RULES_AUTHOR;
+  if (process.env.GIT_AUTHOR_NAME) return process.env.GIT_AUTHOR_NAME;
+  try {
+    return os.userInfo().username;
+  } catch (e) {
+    return 'unknown';
+  }
+}
+
+/**
+ * 規則版本的顯示文字，用於日誌、篩選報告與摘要頁尾
+ * @param {Object} rules - 篩選規則配置
+ * @returns {string} 如「v1.0.3（2026/10/19 更新）」，未標示版本時為「內建預設規則」
+ */
+function describeRulesVersion(rules) {
+  if (!rules?.version) return '內建預設規則';
+
+  const updated = rules.lastUpdated ? new Date(rules.lastUpdated) : null;
+  const date = updated && !isNaN(updated.getTime())
+    ? `（${updated.toLocaleDateString('zh-TW', DISPLAY_TIME_ZONE)} 更新）`
+    : '';
+  return `v${rules.version}${date}`;
+}
+
+/**
+ * 去掉版本號開頭的 v
+ * @param {string} version - 版本（1.0.3 或 v1.0.3）
+ * @returns {string} 版本
+ */
+function normalizeVersion(version) {
+  return String(version).replace(/^v/i, '');
+}
+
+// ==================== 差異比較 ====================
+
+/**
+ * 是否為詞條陣列（字串或含 value、phrase、regex 的物件）
+ * @param {Array} values - 陣列
+ * @returns {boolean}
+ */
+function isTermArray(values) {
+  return values.every(entry =>
+    typeof entry === 'string' ||
+    (entry && typeof entry === 'object' && (entry.value || entry.phrase || entry.regex))
+  );
+}
+
+/**
+ * 取得陣列元素的比對鍵：詞條以顯示名稱、具名物件（如新聞來源）以 name，其餘無法比對
+ * @param {Array} values - 陣列
+ * @returns {Function|null} entry => 鍵
+ */
+function arrayKeyOf(values) {
+  if (isTermArray(values)) return termLabel;
+  if (values.every(entry => entry && typeof entry === 'object' && typeof entry.name === 'string')) {
+    return entry => entry.name;
+  }
+  return null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 遞迴比較兩個值
+ * @param {*} before - 修改前
+ * @param {*} after - 修改後
+ * @param {string} at - 目前的欄位路徑
+ * @param {Array} changes - 收集差異的陣列
+ */
+function diffValues(before, after, at, changes) {
+  if (isDeepStrictEqual(before, after)) return;
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const keyOf = arrayKeyOf(before) && arrayKeyOf(after) && arrayKeyOf([...before, ...after]);
+    if (keyOf) {
+      const beforeMap = new Map(before.map(entry => [keyOf(entry), entry]));
+      const afterMap = new Map(after.map(entry => [keyOf(entry), entry]));
+
+      beforeMap.forEach((entry, key) => {
+        if (!afterMap.has(key)) changes.push({ path: at, type: 'removed', before: entry, after: undefined });
+      });
+      afterMap.forEach((entry, key) => {
+        if (!beforeMap.has(key)) {
+          changes.push({ path: at, type: 'added', before: undefined, after: entry });
+        } else {
+          diffValues(beforeMap.get(key), entry, `${at}[${key}]`, changes);
+        }
+      });
+      return;
+    }
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => {
+      const child = at ? `${at}.${key}` : key;
+      if (!(key in after)) {
+        changes.push({ path: child, type: 'removed', before: before[key], after: undefined });
+      } else if (!(key in before)) {
+        changes.push({ path: child, type: 'added', before: undefined, after: after[key] });
+      } else {
+        diffValues(before[key], after[key], child, changes);
+      }
+    });
+    return;
+  }
+
+  changes.push({ path: at, type: 'changed', before, after });
+}
+
+/**
+ * 比較兩份規則（忽略 version 與 lastUpdated）
+ * @param {Object} before - 修改前的規則
+ * @param {Object} after - 修改後的規則
+ * @returns {Array} [{path, type: added|removed|changed, before, after}]
+ *   詞條陣列以詞條名稱比對，新增或移除詞條時 path 為陣列本身的路徑
+ */
+function diffRules(before, after) {
+  const strip = rules => Object.fromEntries(Object.entries(rules || {}).filter(([key]) => !IGNORED_FIELDS.includes(key)));
+  const changes = [];
+  diffValues(strip(before), strip(after), '', changes);
+  return changes;
+}
+
+/**
+ * 將值轉為單行顯示文字
+ * @param {*} value - 值
+ * @returns {string}
+ */
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * 將差異轉為文字
+ * @param {Array} changes - diffRules() 的結果
+ * @returns {Array} 每項差異一行，如「+ filterRules.keywords.values：智慧城市」
+ */
+function formatDiff(changes) {
+  return changes.map(change => {
+    if (change.type === 'added') return `+ ${change.path}：${formatValue(change.after)}`;
+    if (change.type === 'removed') return `- ${change.path}：${formatValue(change.before)}`;
+    return `~ ${change.path}：${formatValue(change.before)} → ${formatValue(change.after)}`;
+  });
+}
+
+// ==================== 快照 ====================
+
+class RuleHistory {
+  /**
+   * @param {Object} config - {dir: 快照目錄}
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * 列出所有快照（不含規則內容），依修改順序由舊到新排列
+   * @returns {Array} [{version, timestamp, author, message, origin, file}]
+   */
+  list() {
+    if (!fs.existsSync(this.config.dir)) return [];
+
+    return fs.readdirSync(this.config.dir)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .map(name => {
+        const { version, timestamp, author, message, origin = null } = this.read(name);
+        return { version, timestamp, author, message, origin, file: name };
+      });
+  }
+
+  /**
+   * 讀取快照檔
+   * @param {string} name - 檔名
+   * @returns {Object} 快照
+   */
+  read(name) {
+    return JSON.parse(fs.readFileSync(path.join(this.config.dir, name), 'utf-8'));
+  }
+
+  /**
+   * 取得指定版本的快照（同一版本有多份時取最新的一份）
+   * @param {string} version - 版本（可加 v 前綴）
+   * @returns {Object|null} 快照 {version, timestamp, author, message, rules}
+   */
+  get(version) {
+    const target = normalizeVersion(version);
+    const entry = this.list().reverse().find(snapshot => snapshot.version === target);
+    return entry ? this.read(entry.file) : null;
+  }
+
+  /**
+   * 取得最新的快照
+   * @returns {Object|null} 快照
+   */
+  latest() {
+    const entries = this.list();
+    return entries.length > 0 ? this.read(entries[entries.length - 1].file) : null;
+  }
+
+  /**
+   * 記錄一份快照
+   * @param {Object} rules - 規則配置
+   * @param {Object} options - {author, message, now, origin: 補記的快照為 'unknown'}
+   * @returns {Object} 快照
+   */
+  record(rules, { author, message = '', now = new Date(), origin = null } = {}) {
+    const snapshot = {
+      version: rules.version || null,
+      timestamp: now.toISOString().replace(/\.\d{3}Z$/, 'Z'),
+      author: resolveAuthor(author),
+      message,
+      ...(origin && { origin }),
+      rules
+    };
+
+    // 檔名以流水號開頭，同一秒內的多次修改也能保持順序
+    const sequence = String(this.list().length + 1).padStart(4, '0');
+    const stamp = snapshot.timestamp.replace(/[-:]/g, '');
+    const name = `${sequence}-${stamp}-v${snapshot.version || 'unversioned'}.json`;
+
+    fs.mkdirSync(this.config.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.config.dir, name), JSON.stringify(snapshot, null, 2) + '\n', { flag: 'wx' });
+    return snapshot;
+  }
+}
+
+export {
+  HISTORY_DIR_NAME,
+  UNKNOWN_ORIGIN,
+  historyDirFor,
+  resolveAuthor,
+  describeRulesVersion,
+  normalizeVersion,
+  diffRules,
+  formatDiff,
+  RuleHistory
+};
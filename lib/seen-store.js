@@ -0,0 +1,146 @@
+/**
+ * 已發送新聞紀錄
+ * 以正規化網址與標題指紋記錄已送出的新聞，避免每日摘要重複發送同一則新聞
+ * 紀錄存成 JSON 檔，可在 GitHub Actions 之間以 cache 保存
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { normalizeText } from './text-normalizer.js';
+
+// 追蹤用查詢參數，比對網址時忽略
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|yclid|mc_cid|mc_eid|from|ref|share)$/i;
+
+/**
+ * 將網址正規化，用於判斷是否為同一則新聞
+ * @param {string} url - 原始網址
+ * @returns {string} 正規化後的網址
+ */
+function canonicalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAMS.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    if (parsed.pathname.length > 1) {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+
+    return `${parsed.protocol}//${parsed.host}${parsed.pathname}${parsed.search}`;
+  } catch (e) {
+    return (url || '').trim();
+  }
+}
+
+/**
+ * 產生標題指紋（忽略空白、標點、大小寫與簡繁差異）
+ * @param {string} title - 新聞標題
+ * @returns {string} 指紋，標題為空時回傳空字串
+ */
+function fingerprintTitle(title) {
+  const normalized = normalizeText(title);
+  if (!normalized) return '';
+  return crypto.createHash('sha1').update(normalized).digest('hex').substring(0, 16);
+}
+
+class SeenStore {
+  /**
+   * @param {Object} config - {path, retentionDays}
+   */
+  constructor(config) {
+    this.config = config;
+    this.entries = [];
+    this.urlKeys = new Set();
+    this.titleKeys = new Set();
+  }
+
+  /**
+   * 讀取紀錄檔，檔案不存在時視為空紀錄
+   * @returns {SeenStore} 本身，方便串接
+   */
+  load() {
+    if (fs.existsSync(this.config.path)) {
+      const data = JSON.parse(fs.readFileSync(this.config.path, 'utf-8'));
+      this.entries = Array.isArray(data.entries) ? data.entries : [];
+    }
+    this.prune();
+    return this;
+  }
+
+  /**
+   * 移除超過保存天數的紀錄
+   * @param {Date} now - 目前時間
+   * @returns {number} 移除的筆數
+   */
+  prune(now = new Date()) {
+    const before = this.entries.length;
+
+    if (this.config.retentionDays) {
+      const cutoff = now.getTime() - this.config.retentionDays * 24 * 60 * 60 * 1000;
+      this.entries = this.entries.filter(entry => new Date(entry.deliveredAt).getTime() >= cutoff);
+    }
+
+    this.urlKeys = new Set(this.entries.map(entry => entry.url));
+    this.titleKeys = new Set(this.entries.map(entry => entry.title).filter(Boolean));
+    return before - this.entries.length;
+  }
+
+  /**
+   * 是否已發送過
+   * @param {Object} news - 新聞物件 {url, title}
+   * @returns {boolean}
+   */
+  has(news) {
+    const titleKey = fingerprintTitle(news.title);
+    return this.urlKeys.has(canonicalizeUrl(news.url)) || (titleKey !== '' && this.titleKeys.has(titleKey));
+  }
+
+  /**
+   * 記錄已發送的新聞
+   * @param {Array} newsArray - 新聞陣列
+   * @param {Date} now - 發送時間
+   */
+  markDelivered(newsArray, now = new Date()) {
+    newsArray.forEach(news => {
+      if (this.has(news)) return;
+
+      const entry = {
+        url: canonicalizeUrl(news.url),
+        title: fingerprintTitle(news.title),
+        deliveredAt: now.toISOString()
+      };
+      this.entries.push(entry);
+      this.urlKeys.add(entry.url);
+      if (entry.title) this.titleKeys.add(entry.title);
+    });
+  }
+
+  /**
+   * 寫回紀錄檔（先寫暫存檔再更名，避免中途失敗損毀紀錄）
+   */
+  save() {
+    const dir = path.dirname(this.config.path);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.config.path}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      updatedAt: new Date().toISOString(),
+      entries: this.entries
+    }, null, 2));
+    fs.renameSync(tmpPath, this.config.path);
+  }
+}
+
+export {
+  SeenStore,
+  canonicalizeUrl,
+  fingerprintTitle
+};
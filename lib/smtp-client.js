@@ -0,0 +1,352 @@
+/**
+ * 簡易 SMTP 用戶端
+ * 只實作寄送摘要所需的功能：EHLO、STARTTLS、AUTH PLAIN／LOGIN、MAIL／RCPT／DATA，
+ * 信件為 UTF-8 的 multipart/alternative（純文字＋HTML），不需額外套件
+ *
+ * 伺服器回覆 4xx 時視為暫時性錯誤（可重試），5xx 為永久性錯誤
+ *
+ * 設定 starttls 時伺服器必須支援 STARTTLS，否則不寄送；帳號密碼只在 TLS 連線上送出，
+ * 除非明確設定 allowInsecureAuth（如本機測試用的 SMTP 伺服器）
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+
+class SmtpError extends Error {
+  /**
+   * @param {string} message - 錯誤訊息
+   * @param {number|null} code - SMTP 回覆代碼（連線錯誤時為 null）
+   * @param {boolean} retryable - 是否可重試（預設連線錯誤與 4xx 可重試）
+   */
+  constructor(message, code = null, retryable = code === null || (code >= 400 && code < 500)) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+// ==================== 信件內容 ====================
+
+// 每個 encoded-word 編碼的位元組數上限：39 位元組的 base64 為 52 字，
+// 加上 =?UTF-8?B? 與 ?= 共 64 字，符合 RFC 2047 的 75 字上限，「Subject: 」開頭的一行也不超過 76 字
+const ENCODED_WORD_BYTES = 39;
+
+/**
+ * 移除標頭值中的換行，避免插入其他標頭或 SMTP 指令
+ * @param {string} value - 標頭值
+ * @returns {string}
+ */
+function sanitizeHeader(value) {
+  return String(value ?? '').replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * 以 RFC 2047 編碼含非 ASCII 字元的標頭，過長時分為多個 encoded-word（不切開同一個字元）並折行
+ * @param {string} text - 標頭內容
+ * @returns {string}
+ */
+function encodeHeader(text) {
+  const value = sanitizeHeader(text);
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+
+  const words = [];
+  let chunk = '';
+  for (const char of value) {
+    if (chunk && Buffer.byteLength(chunk + char, 'utf-8') > ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  if (chunk) words.push(chunk);
+
+  // encoded-word 之間的折行與空白在解碼時忽略
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word, 'utf-8').toString('base64')}?=`).join('\r\n ');
+}
+
+/**
+ * 編碼地址（名稱部分含中文時編碼）
+ * @param {string} address - 如「秘書處 <news@example.gov.tw>」或「news@example.gov.tw」
+ * @returns {string}
+ */
+function encodeAddress(address) {
+  const match = sanitizeHeader(address).match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  if (!match || !match[1]) return sanitizeHeader(address).trim();
+  return `${encodeHeader(match[1].replace(/^"|"$/g, ''))} <${match[2]}>`;
+}
+
+/**
+ * 取出信箱地址
+ * @param {string} address - 地址
+ * @returns {string}
+ */
+function mailbox(address) {
+  const value = sanitizeHeader(address);
+  const match = value.match(/<([^>]+)>/);
+  return (match ? match[1] : value).trim();
+}
+
+/**
+ * 以 base64 編碼並每 76 字換行
+ * @param {string} text - 內容
+ * @returns {string}
+ */
+function base64Lines(text) {
+  return Buffer.from(text, 'utf-8').toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+}
+
+/**
+ * 組成信件原文
+ * @param {Object} message - {from, to, subject, text, html}
+ * @param {Object} options - {now, messageId}
+ * @returns {string} 以 CRLF 分行的信件
+ */
+function buildMessage({ from, to, subject, text, html }, { now = new Date(), messageId } = {}) {
+  const recipients = [].concat(to);
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+  const id = messageId || `<${crypto.randomBytes(12).toString('hex')}@${mailbox(from).split('@')[1] || 'localhost'}>`;
+
+  const lines = [
+    `From: ${encodeAddress(from)}`,
+    `To: ${recipients.map(encodeAddress).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${now.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: ${id}`,
+    'MIME-Version: 1.0'
+  ];
+
+  if (html) {
+    lines.push(
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(text || ''),
+      `--${boundary}`,
+      'Content-Type: text/html; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(html),
+      `--${boundary}--`
+    );
+  } else {
+    lines.push('Content-Type: text/plain; charset=UTF-8', 'Content-Transfer-Encoding: base64', '', base64Lines(text || ''));
+  }
+
+  return lines.join('\r\n');
+}
+
+// ==================== 連線 ====================
+
+class SmtpConnection {
+  /**
+   * @param {net.Socket} socket - 已連線的 socket
+   * @param {number} timeout - 逾時（毫秒）
+   */
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.buffer = '';
+    this.pending = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  /**
+   * 開始讀取 socket（STARTTLS 後改讀加密連線）
+   * @param {net.Socket} socket - socket
+   */
+  attach(socket) {
+    if (this.socket) this.socket.removeAllListeners('data');
+    this.socket = socket;
+    socket.on('data', chunk => {
+      this.buffer += chunk.toString('utf-8');
+      this.flush();
+    });
+    socket.on('error', error => this.fail(new SmtpError(`SMTP 連線錯誤：${error.message}`)));
+    socket.on('close', () => this.fail(new SmtpError('SMTP 連線已關閉')));
+    socket.setTimeout(this.timeout, () => {
+      this.fail(new SmtpError(`SMTP 連線逾時（${this.timeout}ms）`));
+      socket.destroy();
+    });
+  }
+
+  /**
+   * 連線失敗時讓等待中的讀取結束
+   * @param {SmtpError} error - 錯誤
+   */
+  fail(error) {
+    if (!this.error) this.error = error;
+    if (this.pending) {
+      const { reject } = this.pending;
+      this.pending = null;
+      reject(this.error);
+    }
+  }
+
+  /**
+   * 緩衝區中有完整回覆（最後一行為「代碼 空白」）時交給等待中的讀取
+   */
+  flush() {
+    if (!this.pending) return;
+
+    const lines = this.buffer.split('\r\n');
+    const complete = lines.slice(0, -1);
+    const end = complete.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (end === -1) return;
+
+    const reply = complete.slice(0, end + 1);
+    this.buffer = lines.slice(end + 1).join('\r\n');
+
+    const { resolve } = this.pending;
+    this.pending = null;
+    resolve({
+      code: parseInt(reply[end].substring(0, 3), 10),
+      lines: reply.map(line => line.substring(4)),
+      text: reply.join(' | ')
+    });
+  }
+
+  /**
+   * 讀取一個回覆
+   * @returns {Promise<Object>} {code, lines, text}
+   */
+  read() {
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  /**
+   * 送出指令並確認回覆代碼
+   * @param {string} line - 指令（null 表示只讀取回覆，如連線後的問候）
+   * @param {Array} expected - 可接受的回覆代碼
+   * @param {string} label - 錯誤訊息中顯示的指令名稱（避免密碼出現在日誌）
+   * @returns {Promise<Object>} 回覆
+   */
+  async command(line, expected, label = line) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${label || '連線'} 失敗：${reply.text}`, reply.code);
+    }
+    return reply;
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.end();
+  }
+}
+
+/**
+ * 建立 TCP 或 TLS 連線
+ * @param {Object} options - {host, port, secure, timeout, rejectUnauthorized}
+ * @returns {Promise<net.Socket>}
+ */
+function connect({ host, port, secure, timeout, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.setTimeout(timeout, () => {
+      socket.destroy();
+      reject(new SmtpError(`SMTP 連線逾時（${timeout}ms）`));
+    });
+    socket.once('error', error => reject(new SmtpError(`無法連線到 SMTP 伺服器 ${host}:${port}：${error.message}`)));
+  });
+}
+
+/**
+ * 將現有連線升級為 TLS
+ * @param {net.Socket} socket - 明文連線
+ * @param {Object} options - {host, rejectUnauthorized}
+ * @returns {Promise<tls.TLSSocket>}
+ */
+function upgradeToTls(socket, { host, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host, rejectUnauthorized }, () => resolve(secureSocket));
+    secureSocket.once('error', error => reject(new SmtpError(`STARTTLS 失敗：${error.message}`)));
+  });
+}
+
+/**
+ * 寄送一封信
+ * @param {Object} server - {host, port, secure: 直接以 TLS 連線（465）, starttls: 以 STARTTLS 升級為 TLS（預設 true，伺服器不支援時失敗）,
+ *   user, password, allowInsecureAuth: 允許在未加密的連線上登入（預設 false）, timeout, rejectUnauthorized, name: EHLO 名稱}
+ * @param {Object} message - {from, to, subject, text, html}
+ * @returns {Promise<Object>} {messageId, accepted, response}
+ */
+async function sendMail(server, message) {
+  // 未設定（undefined）的項目使用預設值
+  const options = {
+    port: server.secure ? 465 : 587,
+    starttls: true,
+    allowInsecureAuth: false,
+    timeout: 30000,
+    rejectUnauthorized: true,
+    name: os.hostname(),
+    ...Object.fromEntries(Object.entries(server).filter(([, value]) => value !== undefined))
+  };
+  const recipients = [].concat(message.to).map(mailbox);
+  const messageId = `<${crypto.randomBytes(12).toString('hex')}@${mailbox(message.from).split('@')[1] || 'localhost'}>`;
+
+  const connection = new SmtpConnection(await connect(options), options.timeout);
+  try {
+    await connection.command(null, [220]);
+    let ehlo = await connection.command(`EHLO ${options.name}`, [250]);
+
+    if (!options.secure && options.starttls) {
+      // 伺服器不支援時不退回明文連線，避免信件與密碼未加密送出
+      if (!ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        throw new SmtpError(`SMTP 伺服器 ${options.host} 不支援 STARTTLS（不需加密時請將 starttls 設為 false）`, null, false);
+      }
+      await connection.command('STARTTLS', [220]);
+      connection.attach(await upgradeToTls(connection.socket, options));
+      ehlo = await connection.command(`EHLO ${options.name}`, [250]);
+    }
+
+    if (options.user) {
+      if (!connection.socket.encrypted && !options.allowInsecureAuth) {
+        throw new SmtpError('SMTP 連線未加密，不送出帳號密碼（請使用 secure 或 starttls，或設定 allowInsecureAuth）', null, false);
+      }
+      const auth = ehlo.lines.find(line => /^AUTH\b/i.test(line)) || '';
+      if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+        const token = Buffer.from(`\0${options.user}\0${options.password || ''}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+      } else {
+        await connection.command('AUTH LOGIN', [334]);
+        await connection.command(Buffer.from(options.user).toString('base64'), [334], 'AUTH LOGIN（帳號）');
+        await connection.command(Buffer.from(options.password || '').toString('base64'), [235], 'AUTH LOGIN（密碼）');
+      }
+    }
+
+    await connection.command(`MAIL FROM:<${mailbox(message.from)}>`, [250]);
+    for (const recipient of recipients) {
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+
+    // 以 . 開頭的行需加上一個 .（dot-stuffing）
+    const body = buildMessage(message, { messageId }).replace(/^\./gm, '..');
+    const reply = await connection.command(`${body}\r\n.`, [250], 'DATA');
+
+    await connection.command('QUIT', [221]).catch(() => {});
+    return { messageId, accepted: recipients, response: reply.text };
+  } finally {
+    connection.close();
+  }
+}
+
+export {
+  SmtpError,
+  encodeHeader,
+  buildMessage,
+  sendMail
+};
@@ -0,0 +1,313 @@
+/**
+ * 新聞來源轉接器
+ * 依來源設定的 type 將抓回的內容解析為統一的新聞物件
+ *
+ * 支援類型：
+ *   html     - 以 CSS 選擇器擷取首頁新聞卡片
+ *   rss      - RSS 2.0
+ *   atom     - Atom 1.0
+ *   jsonfeed - JSON Feed 1.x
+ *   city-gov - 六都市政府新聞稿（見 city-adapters.js）
+ */
+
+import * as cheerio from 'cheerio';
+
+// ==================== 預設新聞來源 ====================
+
+// filter-rules.json 未設定 newsSourcesConfig.sources 時使用
+const DEFAULT_NEWS_SOURCES = [
+  {
+    name: '聯合新聞網',
+    type: 'html',
+    url: 'https://udn.com/news/index',
+    selectors: { item: 'article', title: 'h2, h3', summary: 'p', link: 'a' }
+  },
+  {
+    name: '自由時報',
+    type: 'html',
+    url: 'https://www.ltn.com.tw/',
+    selectors: { item: 'article, .news-item', title: 'h2, h3, .title', summary: 'p, .summary', link: 'a' }
+  },
+  {
+    name: '中時新聞網',
+    type: 'html',
+    url: 'https://www.chinatimes.com/',
+    selectors: { item: '.news-item, article', title: 'h2, h3', summary: 'p', link: 'a' }
+  }
+];
+
+// ==================== 共用工具 ====================
+
+// 新聞連結只接受的協定（javascript:、data: 等連結會在摘要與網站上變成可點擊的腳本）
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * 將相對連結轉為絕對網址
+ * @param {string} href - 原始連結
+ * @param {string} baseUrl - 來源網址
+ * @returns {string|null} 絕對網址，無法解析或不是 http、https 時回傳 null
+ */
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    return ALLOWED_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 移除 HTML 標籤並整理空白
+ * @param {string} html - 可能含有標籤的文字
+ * @returns {string} 純文字
+ */
+function stripHtml(html) {
+  if (!html) return '';
+  return cheerio.load(`<div>${html}</div>`)('div').text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 將日期字串轉為 ISO 格式
+ * @param {string} value - RFC 822 / ISO 8601 日期
+ * @returns {string|null} ISO 日期，無法解析時回傳 null
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * 建立統一格式的新聞物件
+ * @param {Object} source - 來源設定
+ * @param {Object} fields - {title, summary, url, publishedAt}
+ * @returns {Object} 新聞物件
+ */
+function createArticle(source, { title, summary, url, publishedAt = null }) {
+  return {
+    title: title.substring(0, 200),
+    summary: (summary || '').substring(0, 300),
+    url,
+    source: source.name,
+    sourceType: source.type,
+    sourceWeight: source.weight ?? 1,
+    publishedAt,
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+// ==================== 轉接器 ====================
+
+/**
+ * 解析 HTML 首頁
+ * @param {string} body - HTML 內容
+ * @param {Object} source - 來源設定
+ * @param {number} limit - 最多擷取幾則
+ * @returns {Array} 新聞陣列
+ */
+function parseHtml(body, source, limit) {
+  const $ = cheerio.load(body);
+  const selectors = source.selectors;
+  const articles = [];
+
+  $(selectors.item).each((i, el) => {
+    if (articles.length >= limit) return false;
+
+    try {
+      const title = $(el).find(selectors.title).first().text().trim();
+      const summary = selectors.summary ? $(el).find(selectors.summary).first().text().trim() : '';
+      const url = resolveUrl($(el).find(selectors.link).first().attr('href'), source.url);
+
+      if (title && url) {
+        articles.push(createArticle(source, { title, summary, url }));
+      }
+    } catch (e) {
+      // 跳過解析失敗的文章
+    }
+  });
+
+  return articles;
+}
+
+/**
+ * 解析 RSS 2.0
+ * @param {string} body - XML 內容
+ * @param {Object} source - 來源設定
+ * @param {number} limit - 最多擷取幾則
+ * @returns {Array} 新聞陣列
+ */
+function parseRss(body, source, limit) {
+  const $ = cheerio.load(body, { xml: true });
+  const articles = [];
+
+  $('item').each((i, el) => {
+    if (articles.length >= limit) return false;
+
+    const item = $(el);
+    const title = stripHtml(item.children('title').text());
+    const url = resolveUrl(item.children('link').text() || item.children('guid').text(), source.url);
+
+    if (title && url) {
+      articles.push(createArticle(source, {
+        title,
+        summary: stripHtml(item.children('description').text()),
+        url,
+        publishedAt: toIsoDate(item.children('pubDate').text())
+      }));
+    }
+  });
+
+  return articles;
+}
+
+/**
+ * 解析 Atom 1.0
+ * @param {string} body - XML 內容
+ * @param {Object} source - 來源設定
+ * @param {number} limit - 最多擷取幾則
+ * @returns {Array} 新聞陣列
+ */
+function parseAtom(body, source, limit) {
+  const $ = cheerio.load(body, { xml: true });
+  const articles = [];
+
+  $('entry').each((i, el) => {
+    if (articles.length >= limit) return false;
+
+    const entry = $(el);
+    const links = entry.children('link');
+    const alternate = links.filter((j, link) => ($(link).attr('rel') || 'alternate') === 'alternate').first();
+    const title = stripHtml(entry.children('title').text());
+    const url = resolveUrl((alternate.length ? alternate : links.first()).attr('href'), source.url);
+
+    if (title && url) {
+      articles.push(createArticle(source, {
+        title,
+        summary: stripHtml(entry.children('summary').text() || entry.children('content').text()),
+        url,
+        publishedAt: toIsoDate(entry.children('published').text() || entry.children('updated').text())
+      }));
+    }
+  });
+
+  return articles;
+}
+
+/**
+ * 解析 JSON Feed
+ * @param {string|Object} body - JSON 內容
+ * @param {Object} source - 來源設定
+ * @param {number} limit - 最多擷取幾則
+ * @returns {Array} 新聞陣列
+ */
+function parseJsonFeed(body, source, limit) {
+  const feed = typeof body === 'string' ? JSON.parse(body) : body;
+  const articles = [];
+
+  for (const item of feed.items || []) {
+    if (articles.length >= limit) break;
+
+    const title = stripHtml(item.title || '');
+    const url = resolveUrl(item.url || item.external_url, source.url);
+
+    if (title && url) {
+      articles.push(createArticle(source, {
+        title,
+        summary: item.summary || item.content_text || stripHtml(item.content_html),
+        url,
+        publishedAt: toIsoDate(item.date_published || item.date_modified)
+      }));
+    }
+  }
+
+  return articles;
+}
+
+const SOURCE_ADAPTERS = {
+  html: parseHtml,
+  rss: parseRss,
+  atom: parseAtom,
+  jsonfeed: parseJsonFeed
+};
+
+// city-gov 需要分頁與內文頁抓取，由 city-adapters.js 處理
+const SOURCE_TYPES = [...Object.keys(SOURCE_ADAPTERS), 'city-gov'];
+
+/**
+ * 依來源類型解析抓回的內容
+ * @param {Object} source - 來源設定
+ * @param {string|Object} body - 回應內容
+ * @param {Object} options - {maxArticles}
+ * @returns {Array} 新聞陣列
+ */
+function parseSourceContent(source, body, { maxArticles = 50 } = {}) {
+  const adapter = SOURCE_ADAPTERS[source.type || 'html'];
+  if (!adapter) {
+    throw new Error(`不支援的來源類型：${source.type}`);
+  }
+  return adapter(body, { ...source, type: source.type || 'html' }, maxArticles);
+}
+
+/**
+ * 取得啟用中的新聞來源
+ * @param {Object} sourcesConfig - newsSourcesConfig
+ * @returns {Array} 來源設定陣列
+ */
+function getEnabledSources(sourcesConfig = {}) {
+  const sources = Array.isArray(sourcesConfig.sources) && sourcesConfig.sources.length > 0
+    ? sourcesConfig.sources
+    : DEFAULT_NEWS_SOURCES;
+
+  return sources.filter(source => source.enabled !== false);
+}
+
+/**
+ * 驗證單一來源設定
+ * @param {Object} source - 來源設定
+ * @returns {Array} 錯誤訊息陣列
+ */
+function validateSource(source) {
+  const errors = [];
+  const label = source?.name || '(未命名來源)';
+
+  if (!source || typeof source !== 'object') {
+    return ['來源設定必須是物件'];
+  }
+  if (!source.name) {
+    errors.push('來源缺少 name');
+  }
+  if (!SOURCE_TYPES.includes(source.type || 'html')) {
+    errors.push(`${label}: type 必須是 ${SOURCE_TYPES.join('、')} 之一`);
+  }
+  if (!resolveUrl(source.url)) {
+    errors.push(`${label}: url 無效`);
+  }
+  if (source.type === 'city-gov' && !source.city) {
+    errors.push(`${label}: city-gov 來源缺少 city`);
+  }
+  if ((source.type || 'html') === 'html') {
+    ['item', 'title', 'link'].forEach(key => {
+      if (!source.selectors?.[key]) {
+        errors.push(`${label}: html 來源缺少 selectors.${key}`);
+      }
+    });
+  }
+  if (source.weight !== undefined && (typeof source.weight !== 'number' || source.weight < 0)) {
+    errors.push(`${label}: weight 必須是非負數字`);
+  }
+
+  return errors;
+}
+
+export {
+  DEFAULT_NEWS_SOURCES,
+  SOURCE_TYPES,
+  createArticle,
+  resolveUrl,
+  stripHtml,
+  toIsoDate,
+  parseSourceContent,
+  getEnabledSources,
+  validateSource
+};
@@ -0,0 +1,490 @@
+/**
+ * 靜態新聞網站
+ * 由新聞存檔產生可直接發布（如 GitHub Pages）的靜態網站，讓不使用 Telegram 的同仁也能瀏覽與搜尋歷史新聞：
+ *   index.html              搜尋（依關鍵字、城市、分類、日期篩選 articles.json）與最近的摘要
+ *   days/index.html         所有摘要日期
+ *   days/YYYY-MM-DD.html    每日摘要（依城市分組）
+ *   cities/<城市>.html       某城市的新聞（依摘要日期分組）
+ *   categories/<分類>.html   某分類的新聞
+ *   feed.xml、rss.xml       每日摘要的 Atom 與 RSS feed
+ *   articles.json           所有存檔新聞（搜尋使用，也可供其他程式讀取；不含讀者投票）
+ *
+ * 新聞以存檔日期（台北時間）歸入當天的摘要；頁面之間使用相對連結，可發布在任何子路徑下，
+ * feed 需要絕對網址，未設定 baseUrl 時省略 feed 中的網站連結
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { escapeHtml, truncate, DIGEST_TITLE } from './telegram-renderer.js';
+import { taipeiDate } from './article-archive.js';
+
+// 每次產生時整個重建的子目錄（存檔過期的新聞不再有頁面）
+const GENERATED_DIRS = ['days', 'cities', 'categories'];
+
+// 沒有 baseUrl 時 feed 的 id 前綴
+const FEED_ID_PREFIX = 'urn:six-cities-secretary-news';
+
+const SUMMARY_LENGTH = 120;
+
+const STYLE = `body { font-family: system-ui, -apple-system, "Noto Sans TC", sans-serif; max-width: 880px; margin: 0 auto; padding: 0 16px 48px; line-height: 1.6; color: #222; }
+header { border-bottom: 1px solid #ddd; margin-bottom: 16px; }
+header nav a { margin-right: 12px; }
+a { color: #0b57d0; }
+h2 { margin-top: 32px; }
+ul.articles { list-style: none; padding: 0; }
+ul.articles li { margin: 0 0 14px; }
+.meta, .related { color: #666; font-size: 0.9em; }
+.summary { margin: 2px 0; }
+form.search { display: flex; flex-wrap: wrap; gap: 8px; margin: 16px 0; }
+form.search input[type=search] { flex: 1 1 240px; }
+ul.counts { columns: 3 160px; padding-left: 20px; }
+`;
+
+// 搜尋頁的瀏覽器端程式：讀取 articles.json，依表單條件篩選（異體字「臺」視為「台」）
+const SEARCH_SCRIPT = `(function () {
+  var form = document.getElementById('search');
+  var results = document.getElementById('results');
+  var articles = null;
+  function norm(text) { return String(text || '').toLowerCase().replace(/臺/g, '台'); }
+  function esc(text) {
+    return String(text == null ? '' : text).replace(/[&<>"]/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c];
+    });
+  }
+  function render() {
+    var data = new FormData(form);
+    var terms = norm(data.get('q')).split(/\\s+/).filter(Boolean);
+    var city = data.get('city'), category = data.get('category'), from = data.get('from'), to = data.get('to');
+    var matched = articles.filter(function (a) {
+      if (city && a.city !== city) return false;
+      if (category && a.categories.indexOf(category) === -1) return false;
+      if (from && a.date < from) return false;
+      if (to && a.date > to) return false;
+      var text = norm([a.title, a.summary].concat(a.related.map(function (r) { return r.title; })).join(' '));
+      return terms.every(function (t) { return text.indexOf(t) !== -1; });
+    });
+    var shown = matched.slice(0, 200);
+    results.innerHTML = '<p>共 ' + matched.length + ' 則' + (matched.length > shown.length ? '，顯示前 ' + shown.length + ' 則' : '') + '</p>' +
+      '<ul class="articles">' + shown.map(function (a) {
+        var title = a.url ? '<a href="' + esc(a.url) + '">' + esc(a.title) + '</a>' : esc(a.title);
+        return '<li>' + title + '<div class="meta">' +
+          esc([a.city, a.categories.join('、'), a.source, a.date].filter(Boolean).join('｜')) + '</div></li>';
+      }).join('') + '</ul>';
+  }
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    if (articles) return render();
+    results.textContent = '載入中…';
+    fetch('articles.json').then(function (r) { return r.json(); }).then(function (data) { articles = data; render(); })
+      .catch(function () { results.textContent = '無法載入新聞資料（直接開啟檔案時請改用本機伺服器）'; });
+  });
+})();
+`;
+
+// ==================== 工具 ====================
+
+/**
+ * 只保留 http、https 連結（存檔來自第三方 feed 與網頁，其他協定如 javascript: 不可輸出為連結）
+ * @param {string} url - 網址
+ * @returns {string|null} 網址，協定不符時回傳 null
+ */
+function safeUrl(url) {
+  return /^https?:\/\//i.test(String(url || '').trim()) ? url : null;
+}
+
+/**
+ * 連結（網址不安全時只輸出文字）
+ * @param {string} url - 網址
+ * @param {string} text - 連結文字
+ * @returns {string} HTML
+ */
+function linkTo(url, text) {
+  const href = safeUrl(url);
+  return href ? `<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+}
+
+/**
+ * 城市或分類頁面的檔名（去除不適合出現在檔名與網址中的字元）
+ * @param {string} name - 城市或分類名稱
+ * @returns {string} 檔名
+ */
+function pageFileName(name) {
+  return `${String(name).replace(/[\\/:*?"<>|#%\s]+/g, '-')}.html`;
+}
+
+/**
+ * 頁面連結
+ * @param {string} root - 目前頁面到網站根目錄的相對路徑（'' 或 '../'）
+ * @param {string} dir - 子目錄
+ * @param {string} name - 城市、分類或日期
+ * @returns {string} 相對網址
+ */
+function pageHref(root, dir, name) {
+  return `${root}${dir}/${encodeURIComponent(pageFileName(name))}`;
+}
+
+/**
+ * 新聞歸入的摘要日期（存檔日期，台北時間）
+ * @param {Object} entry - 存檔紀錄
+ * @returns {string} YYYY-MM-DD
+ */
+function digestDate(entry) {
+  return taipeiDate(entry.archivedAt);
+}
+
+/**
+ * 日期顯示格式
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY/MM/DD
+ */
+function displayDate(date) {
+  return date.replace(/-/g, '/');
+}
+
+/**
+ * 依 key 分組並保留第一次出現的順序
+ * @param {Array} list - 陣列
+ * @param {Function} keyOf - item => key
+ * @returns {Map} key => 陣列
+ */
+function groupBy(list, keyOf) {
+  const groups = new Map();
+  list.forEach(item => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
+
+/**
+ * 依名稱統計則數，由多到少排序
+ * @param {Array} entries - 存檔紀錄
+ * @param {Function} namesOf - entry => 名稱陣列
+ * @returns {Array} [{name, count}]
+ */
+function countBy(entries, namesOf) {
+  const counts = new Map();
+  entries.forEach(entry => namesOf(entry).forEach(name => counts.set(name, (counts.get(name) || 0) + 1)));
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// ==================== 頁面 ====================
+
+/**
+ * 頁面外框
+ * @param {Object} page - {title, root, body}
+ * @returns {string} HTML
+ */
+function renderPage({ title, root, body }) {
+  const heading = title === DIGEST_TITLE ? DIGEST_TITLE : `${title}｜${DIGEST_TITLE}`;
+  return `<!DOCTYPE html>
+<html lang="zh-Hant-TW">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(heading)}</title>
+<link rel="stylesheet" href="${root}style.css">
+<link rel="alternate" type="application/atom+xml" title="${escapeHtml(DIGEST_TITLE)}" href="${root}feed.xml">
+<link rel="alternate" type="application/rss+xml" title="${escapeHtml(DIGEST_TITLE)}" href="${root}rss.xml">
+</head>
+<body>
+<header>
+<p><a href="${root}index.html"><b>📰 ${escapeHtml(DIGEST_TITLE)}</b></a></p>
+<nav><a href="${root}index.html">搜尋</a><a href="${root}days/index.html">依日期</a><a href="${root}feed.xml">Atom</a><a href="${root}rss.xml">RSS</a></nav>
+</header>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * 一則新聞
+ * @param {Object} entry - 存檔紀錄
+ * @param {string} root - 到網站根目錄的相對路徑
+ * @returns {string} HTML
+ */
+function renderArticle(entry, root) {
+  const meta = [
+    `<a href="${pageHref(root, 'cities', entry.city)}">${escapeHtml(entry.city)}</a>`,
+    entry.categories.map(name => `<a href="${pageHref(root, 'categories', name)}">${escapeHtml(name)}</a>`).join('、'),
+    escapeHtml(entry.source),
+    entry.publishedAt ? escapeHtml(displayDate(taipeiDate(entry.publishedAt))) : ''
+  ].filter(Boolean).join('｜');
+
+  const lines = [`<li>${linkTo(entry.url, entry.title)}`, `<div class="meta">${meta}</div>`];
+  if (entry.summary) {
+    lines.push(`<p class="summary">${escapeHtml(truncate(entry.summary, SUMMARY_LENGTH))}</p>`);
+  }
+  if (entry.related.length > 0) {
+    const related = entry.related.map(r => linkTo(r.url, r.source || r.title)).join('、');
+    lines.push(`<div class="related">其他報導：${related}</div>`);
+  }
+  lines.push('</li>');
+  return lines.join('\n');
+}
+
+/**
+ * 新聞清單（依分數排序）
+ * @param {Array} entries - 存檔紀錄
+ * @param {string} root - 到網站根目錄的相對路徑
+ * @returns {string} HTML
+ */
+function renderArticleList(entries, root) {
+  const sorted = [...entries].sort((a, b) => b.score - a.score);
+  return `<ul class="articles">\n${sorted.map(entry => renderArticle(entry, root)).join('\n')}\n</ul>`;
+}
+
+/**
+ * 某一天的摘要頁，依城市分組（則數多的城市在前）
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array} entries - 當天的存檔紀錄
+ * @returns {string} HTML
+ */
+function renderDayPage(date, entries) {
+  const root = '../';
+  const body = countBy(entries, entry => [entry.city]).map(({ name, count }) =>
+    `<h2>${escapeHtml(name)}（${count} 則）</h2>\n${renderArticleList(entries.filter(entry => entry.city === name), root)}`);
+  return renderPage({ title: `${displayDate(date)} 新聞摘要（${entries.length} 則）`, root, body: body.join('\n') });
+}
+
+/**
+ * 城市或分類頁，依摘要日期分組（新到舊）
+ * @param {string} title - 頁面標題
+ * @param {Map} byDate - 日期 => 存檔紀錄
+ * @returns {string} HTML
+ */
+function renderListingPage(title, byDate) {
+  const root = '../';
+  const body = [...byDate.entries()].map(([date, entries]) =>
+    `<h2><a href="${root}days/${date}.html">${displayDate(date)}</a>（${entries.length} 則）</h2>\n${renderArticleList(entries, root)}`);
+  return renderPage({ title, root, body: body.join('\n') });
+}
+
+/**
+ * 日期清單
+ * @param {Map} byDate - 日期 => 存檔紀錄
+ * @param {string} root - 到網站根目錄的相對路徑
+ * @returns {string} HTML
+ */
+function renderDateList(byDate, root) {
+  const items = [...byDate.entries()].map(([date, entries]) =>
+    `<li><a href="${root}days/${date}.html">${displayDate(date)}</a>（${entries.length} 則）</li>`);
+  return `<ul>\n${items.join('\n')}\n</ul>`;
+}
+
+/**
+ * 首頁：搜尋表單、最近的摘要、城市與分類
+ * @param {Array} entries - 所有存檔紀錄
+ * @param {Map} byDate - 日期 => 存檔紀錄
+ * @param {Object} siteConfig - siteConfig
+ * @returns {string} HTML
+ */
+function renderIndexPage(entries, byDate, siteConfig) {
+  const cities = countBy(entries, entry => [entry.city]);
+  const categories = countBy(entries, entry => entry.categories);
+  const options = list => list.map(({ name }) => `<option>${escapeHtml(name)}</option>`).join('');
+  const counts = (list, dir) => `<ul class="counts">\n${list.map(({ name, count }) =>
+    `<li><a href="${pageHref('', dir, name)}">${escapeHtml(name)}</a>（${count}）</li>`).join('\n')}\n</ul>`;
+  const recent = new Map([...byDate.entries()].slice(0, siteConfig.recentDays));
+
+  const body = `<form class="search" id="search">
+<input type="search" name="q" placeholder="關鍵字（以空白分隔）" aria-label="關鍵字">
+<select name="city" aria-label="城市"><option value="">所有城市</option>${options(cities)}</select>
+<select name="category" aria-label="分類"><option value="">所有分類</option>${options(categories)}</select>
+<input type="date" name="from" aria-label="起始日期"> – <input type="date" name="to" aria-label="結束日期">
+<button type="submit">搜尋</button>
+</form>
+<div id="results"></div>
+<h2>最近的摘要</h2>
+${renderDateList(recent, '')}
+<p><a href="days/index.html">所有日期（${byDate.size} 天）</a></p>
+<h2>城市</h2>
+${counts(cities, 'cities')}
+<h2>分類</h2>
+${counts(categories, 'categories')}
+<script>
+${SEARCH_SCRIPT}</script>`;
+
+  return renderPage({ title: DIGEST_TITLE, root: '', body });
+}
+
+// ==================== Feed ====================
+
+/**
+ * feed 中每日摘要的內容（依城市分組的新聞清單）
+ * @param {Array} entries - 當天的存檔紀錄
+ * @returns {string} HTML
+ */
+function renderDigestContent(entries) {
+  return countBy(entries, entry => [entry.city]).map(({ name }) => {
+    const items = entries
+      .filter(entry => entry.city === name)
+      .sort((a, b) => b.score - a.score)
+      .map(entry => `<li>${linkTo(entry.url, entry.title)}（${escapeHtml(entry.source)}）</li>`);
+    return `<h3>${escapeHtml(name)}</h3><ul>${items.join('')}</ul>`;
+  }).join('');
+}
+
+/**
+ * 每日摘要的 feed 項目
+ * @param {Map} byDate - 日期 => 存檔紀錄
+ * @param {Object} siteConfig - siteConfig
+ * @returns {Array} [{date, title, link, id, updated, content}]
+ */
+function feedItems(byDate, siteConfig) {
+  const baseUrl = siteConfig.baseUrl ? siteConfig.baseUrl.replace(/\/*$/, '/') : null;
+
+  return [...byDate.entries()].slice(0, siteConfig.feedDays).map(([date, entries]) => ({
+    date,
+    title: `${DIGEST_TITLE} ${displayDate(date)}（${entries.length} 則）`,
+    link: baseUrl ? `${baseUrl}days/${date}.html` : null,
+    id: baseUrl ? `${baseUrl}days/${date}.html` : `${FEED_ID_PREFIX}:digest:${date}`,
+    updated: new Date(Math.max(...entries.map(entry => new Date(entry.archivedAt).getTime()))),
+    content: renderDigestContent(entries)
+  }));
+}
+
+/**
+ * Atom feed
+ * @param {Map} byDate - 日期 => 存檔紀錄
+ * @param {Object} siteConfig - siteConfig
+ * @param {Date} now - 產生時間
+ * @returns {string} XML
+ */
+function renderAtomFeed(byDate, siteConfig, now) {
+  const baseUrl = siteConfig.baseUrl ? siteConfig.baseUrl.replace(/\/*$/, '/') : null;
+  const entries = feedItems(byDate, siteConfig).map(item => `  <entry>
+    <title>${escapeHtml(item.title)}</title>
+    <id>${escapeHtml(item.id)}</id>
+    <updated>${item.updated.toISOString()}</updated>
+${item.link ? `    <link rel="alternate" type="text/html" href="${escapeHtml(item.link)}"/>\n` : ''}    <content type="html">${escapeHtml(item.content)}</content>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(DIGEST_TITLE)}</title>
+  <id>${escapeHtml(baseUrl || `${FEED_ID_PREFIX}:feed`)}</id>
+  <updated>${now.toISOString()}</updated>
+  <author><name>${escapeHtml(DIGEST_TITLE)}</name></author>
+${baseUrl ? `  <link rel="self" type="application/atom+xml" href="${escapeHtml(baseUrl)}feed.xml"/>\n  <link rel="alternate" type="text/html" href="${escapeHtml(baseUrl)}"/>\n` : ''}${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * RSS 2.0 feed
+ * @param {Map} byDate - 日期 => 存檔紀錄
+ * @param {Object} siteConfig - siteConfig
+ * @param {Date} now - 產生時間
+ * @returns {string} XML
+ */
+function renderRssFeed(byDate, siteConfig, now) {
+  const baseUrl = siteConfig.baseUrl ? siteConfig.baseUrl.replace(/\/*$/, '/') : null;
+  const items = feedItems(byDate, siteConfig).map(item => `    <item>
+      <title>${escapeHtml(item.title)}</title>
+${item.link ? `      <link>${escapeHtml(item.link)}</link>\n` : ''}      <guid isPermaLink="${item.link ? 'true' : 'false'}">${escapeHtml(item.id)}</guid>
+      <pubDate>${item.updated.toUTCString()}</pubDate>
+      <description>${escapeHtml(item.content)}</description>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeHtml(DIGEST_TITLE)}</title>
+${baseUrl ? `    <link>${escapeHtml(baseUrl)}</link>\n` : ''}    <description>${escapeHtml(DIGEST_TITLE)}（每日摘要）</description>
+    <language>zh-TW</language>
+    <lastBuildDate>${now.toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+// ==================== 產生網站 ====================
+
+/**
+ * 公開的新聞資料（不含讀者投票與內部欄位）
+ * @param {Object} entry - 存檔紀錄
+ * @returns {Object}
+ */
+function publicArticle(entry) {
+  return {
+    title: entry.title,
+    summary: entry.summary,
+    url: safeUrl(entry.url) || '',
+    source: entry.source,
+    city: entry.city,
+    categories: entry.categories,
+    keywords: entry.keywords,
+    score: entry.score,
+    publishedAt: entry.publishedAt,
+    date: digestDate(entry),
+    related: entry.related.map(r => ({ ...r, url: safeUrl(r.url) || '' }))
+  };
+}
+
+/**
+ * 產生網站的所有檔案
+ * @param {Array} entries - 存檔紀錄
+ * @param {Object} siteConfig - {baseUrl, recentDays, feedDays}
+ * @param {Object} options - {now}
+ * @returns {Array} [{path: 相對路徑, content}]
+ */
+function buildSite(entries, siteConfig, { now = new Date() } = {}) {
+  // 新到舊；同一天依分數排序
+  const sorted = [...entries].sort((a, b) =>
+    digestDate(b).localeCompare(digestDate(a)) || b.score - a.score);
+  const byDate = groupBy(sorted, digestDate);
+
+  const files = [
+    { path: 'index.html', content: renderIndexPage(sorted, byDate, siteConfig) },
+    { path: 'days/index.html', content: renderPage({ title: '所有日期', root: '../', body: renderDateList(byDate, '../') }) },
+    { path: 'style.css', content: STYLE },
+    { path: 'articles.json', content: JSON.stringify(sorted.map(publicArticle)) },
+    { path: 'feed.xml', content: renderAtomFeed(byDate, siteConfig, now) },
+    { path: 'rss.xml', content: renderRssFeed(byDate, siteConfig, now) },
+    // GitHub Pages 不以 Jekyll 處理
+    { path: '.nojekyll', content: '' }
+  ];
+
+  byDate.forEach((dayEntries, date) => {
+    files.push({ path: `days/${date}.html`, content: renderDayPage(date, dayEntries) });
+  });
+  groupBy(sorted, entry => entry.city).forEach((cityEntries, city) => {
+    files.push({ path: `cities/${pageFileName(city)}`, content: renderListingPage(`${city}的新聞`, groupBy(cityEntries, digestDate)) });
+  });
+  countBy(sorted, entry => entry.categories).forEach(({ name }) => {
+    const categoryEntries = sorted.filter(entry => entry.categories.includes(name));
+    files.push({ path: `categories/${pageFileName(name)}`, content: renderListingPage(`${name}的新聞`, groupBy(categoryEntries, digestDate)) });
+  });
+
+  return files;
+}
+
+/**
+ * 寫入網站檔案（先清除上次產生的日期、城市與分類頁）
+ * @param {Array} files - buildSite() 的結果
+ * @param {string} outputDir - 輸出目錄
+ */
+function writeSite(files, outputDir) {
+  GENERATED_DIRS.forEach(dir => fs.rmSync(path.join(outputDir, dir), { recursive: true, force: true }));
+
+  files.forEach(file => {
+    const target = path.join(outputDir, file.path);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, file.content);
+  });
+}
+
+export {
+  pageFileName,
+  buildSite,
+  writeSite
+};
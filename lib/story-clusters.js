@@ -0,0 +1,150 @@
+/**
+ * 跨來源新聞聚合
+ * 以字元 bigram 相似度（適用中文標題）找出不同媒體對同一事件的報導，
+ * 合併為一則新聞，並依報導來源數提高排名
+ */
+
+import { normalizeText } from './text-normalizer.js';
+import { capScore } from './rule-engine.js';
+
+/**
+ * 取得文字的字元 bigram 集合（正規化後比對，忽略空白、標點與簡繁差異）
+ * @param {string} text - 文字
+ * @returns {Set<string>} bigram 集合
+ */
+function charBigrams(text) {
+  const chars = [...normalizeText(text)];
+  const grams = new Set();
+
+  if (chars.length === 1) {
+    grams.add(chars[0]);
+  }
+  for (let i = 0; i < chars.length - 1; i++) {
+    grams.add(chars[i] + chars[i + 1]);
+  }
+
+  return grams;
+}
+
+/**
+ * Dice 相似係數
+ * @param {Set<string>} a - bigram 集合
+ * @param {Set<string>} b - bigram 集合
+ * @returns {number} 0 到 1 之間的相似度
+ */
+function diceCoefficient(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let overlap = 0;
+  a.forEach(gram => {
+    if (b.has(gram)) overlap++;
+  });
+
+  return (2 * overlap) / (a.size + b.size);
+}
+
+/**
+ * 計算兩則新聞的相似度（標題為主，摘要為輔）
+ * @param {Object} a - 含 titleGrams / summaryGrams 的新聞
+ * @param {Object} b - 含 titleGrams / summaryGrams 的新聞
+ * @param {number} summaryWeight - 摘要相似度所佔比重
+ * @returns {number} 0 到 1 之間的相似度
+ */
+function storySimilarity(a, b, summaryWeight) {
+  const titleSim = diceCoefficient(a.titleGrams, b.titleGrams);
+  if (a.summaryGrams.size === 0 || b.summaryGrams.size === 0) {
+    return titleSim;
+  }
+
+  const summarySim = diceCoefficient(a.summaryGrams, b.summaryGrams);
+  return titleSim * (1 - summaryWeight) + summarySim * summaryWeight;
+}
+
+/**
+ * 取得排序用的分數（有時效排名分數時優先使用）
+ * @param {Object} news - 新聞
+ * @returns {number} 排序分數
+ */
+function rankOf(news) {
+  return news.rankScore ?? news.score;
+}
+
+/**
+ * 將同一事件的新聞聚合為一則
+ * @param {Array} newsArray - 已評分的新聞
+ * @param {Object} clusterConfig - {enabled, threshold, summaryWeight, sizeBonus}
+ * @param {Object} options - {maxScore} 加上多家媒體報導加分後的分數上限（scoringRules.maxScore）
+ * @returns {Array} 聚合後的新聞，每則帶有 related（其他來源報導）與 clusterSize
+ */
+function clusterStories(newsArray, clusterConfig = {}, { maxScore } = {}) {
+  const {
+    enabled = true,
+    threshold = 0.45,
+    summaryWeight = 0.3,
+    sizeBonus = 3
+  } = clusterConfig;
+
+  if (!enabled) {
+    return newsArray.map(news => ({ ...news, related: [], clusterSize: 1 }));
+  }
+
+  const clusters = [];
+  const sorted = [...newsArray]
+    .sort((a, b) => rankOf(b) - rankOf(a))
+    .map(news => ({
+      news,
+      titleGrams: charBigrams(news.title),
+      summaryGrams: charBigrams(news.summary)
+    }));
+
+  sorted.forEach(entry => {
+    // 不同城市的新聞不合併（未判定城市者除外）
+    const match = clusters.find(cluster =>
+      (cluster[0].news.city === entry.news.city || entry.news.city === '其他' || cluster[0].news.city === '其他') &&
+      cluster.some(member => storySimilarity(member, entry, summaryWeight) >= threshold)
+    );
+
+    if (match) {
+      match.push(entry);
+    } else {
+      clusters.push([entry]);
+    }
+  });
+
+  return clusters
+    .map(cluster => {
+      // 排名最高者為代表，市府新聞稿優先
+      const members = cluster.map(entry => entry.news);
+      const representative = members.find(news => news.official) || members[0];
+      const related = members
+        .filter(news => news !== representative)
+        .map(({ title, url, source }) => ({ title, url, source }));
+      const outlets = new Set(members.map(news => news.source)).size;
+      const clusterBonus = sizeBonus * (outlets - 1);
+      const { score, capped } = capScore(representative.score + clusterBonus, maxScore);
+
+      return {
+        ...representative,
+        score,
+        ...(representative.rankScore !== undefined && {
+          rankScore: capScore(representative.rankScore + clusterBonus, maxScore).score
+        }),
+        ...(representative.scoreBreakdown && {
+          scoreBreakdown: {
+            ...representative.scoreBreakdown,
+            clusterBonus,
+            ...(capped && { capped, maxScore })
+          }
+        }),
+        related,
+        clusterSize: members.length
+      };
+    })
+    .sort((a, b) => rankOf(b) - rankOf(a));
+}
+
+export {
+  charBigrams,
+  diceCoefficient,
+  clusterStories
+};
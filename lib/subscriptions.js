@@ -0,0 +1,163 @@
+/**
+ * 訂閱與分眾發送
+ * notifiersConfig.subscriptions 中的每一項是一個收件對象（群組、頻道或討論串），
+ * 宣告要收到哪些城市、分類與分數以上的新聞；同一次執行的篩選結果依各自的條件挑選後發送
+ *
+ * 訂閱設定：
+ *   name        - 名稱（日誌與發送報告中顯示，不可與管道或其他訂閱重複）
+ *   notifier    - 沿用哪個通知管道的設定（notifiers 中的 name；該管道停用時仍可作為訂閱的設定來源）
+ *   enabled     - 是否啟用（預設 true）
+ *   target      - 覆寫管道設定的收件對象，如 {chatIdEnv, messageThreadId}、{webhookUrlEnv}、{toEnv}
+ *   cities      - 只收這些城市的新聞（依新聞的主要城市）
+ *   categories  - 只收屬於這些分類的新聞（新聞的任一分類符合即可）
+ *   minScore    - 最低分數
+ *   maxArticles - 最多幾則（依排名取前幾則）
+ *   sendEmpty   - 沒有符合的新聞時是否仍發送「今日無相關新聞」（預設 false）
+ *   display     - 覆寫顯示設定
+ */
+
+import { normalizeText } from './text-normalizer.js';
+
+/**
+ * 依收件對象的條件挑選新聞（保留原本的排名順序）
+ * @param {Array} newsArray - 篩選後的新聞
+ * @param {Object} audience - {cities, categories, minScore, maxArticles}
+ * @returns {Array} 符合條件的新聞
+ */
+function selectAudienceNews(newsArray, audience) {
+  if (!audience) return newsArray;
+
+  const cities = audience.cities?.length > 0 ? new Set(audience.cities.map(normalizeText)) : null;
+  const categories = audience.categories?.length > 0 ? new Set(audience.categories.map(normalizeText)) : null;
+
+  const selected = newsArray.filter(item => {
+    if (cities && !cities.has(normalizeText(item.city || ''))) return false;
+    if (categories) {
+      const itemCategories = item.categories?.length > 0 ? item.categories : [item.category].filter(Boolean);
+      if (!itemCategories.some(category => categories.has(normalizeText(category)))) return false;
+    }
+    if (audience.minScore !== undefined && (item.score ?? 0) < audience.minScore) return false;
+    return true;
+  });
+
+  return audience.maxArticles !== undefined ? selected.slice(0, audience.maxArticles) : selected;
+}
+
+/**
+ * 描述收件對象的條件（日誌用）
+ * @param {Object} audience - 收件對象條件
+ * @returns {string} 如「城市 台中｜分數 ≥ 15｜最多 10 則」，無條件時為「全部新聞」
+ */
+function describeAudience(audience) {
+  if (!audience) return '全部新聞';
+
+  const parts = [];
+  if (audience.cities?.length > 0) parts.push(`城市 ${audience.cities.join('、')}`);
+  if (audience.categories?.length > 0) parts.push(`分類 ${audience.categories.join('、')}`);
+  if (audience.minScore !== undefined) parts.push(`分數 ≥ ${audience.minScore}`);
+  if (audience.maxArticles !== undefined) parts.push(`最多 ${audience.maxArticles} 則`);
+  return parts.length > 0 ? parts.join('｜') : '全部新聞';
+}
+
+/**
+ * 將訂閱展開為通知管道設定：沿用所屬管道的設定，再套用 target 與 display 覆寫，並附上 audience 條件
+ * @param {Object} notifiersConfig - notifiersConfig
+ * @returns {Array} 通知管道設定陣列（啟用的管道在前，其後為啟用的訂閱）
+ */
+function expandSubscriptions(notifiersConfig = {}) {
+  const notifiers = notifiersConfig.notifiers || [];
+  const byName = new Map(notifiers.map(config => [config.name || config.type, config]));
+
+  const subscriptions = (notifiersConfig.subscriptions || [])
+    .filter(subscription => subscription.enabled !== false)
+    .map(subscription => {
+      const base = byName.get(subscription.notifier);
+      if (!base) {
+        throw new Error(`訂閱 ${subscription.name} 的通知管道不存在：${subscription.notifier}`);
+      }
+
+      const { cities, categories, minScore, maxArticles, sendEmpty } = subscription;
+      return {
+        ...base,
+        ...(subscription.target || {}),
+        name: subscription.name,
+        enabled: true,
+        display: { ...(base.display || {}), ...(subscription.display || {}) },
+        audience: { cities, categories, minScore, maxArticles, sendEmpty: Boolean(sendEmpty) }
+      };
+    });
+
+  return [...notifiers.filter(config => config.enabled !== false), ...subscriptions];
+}
+
+/**
+ * 驗證 notifiersConfig.subscriptions
+ * @param {Object} notifiersConfig - notifiersConfig
+ * @param {Object} known - {cities: 規則中的城市, categories: 規則中的分類}，提供時檢查訂閱的城市與分類是否存在
+ * @returns {Array} 錯誤訊息陣列
+ */
+function validateSubscriptions(notifiersConfig, known = {}) {
+  const subscriptions = notifiersConfig?.subscriptions;
+  if (subscriptions === undefined) return [];
+  if (!Array.isArray(subscriptions)) {
+    return ['notifiersConfig.subscriptions 必須是陣列'];
+  }
+
+  const errors = [];
+  const notifierNames = new Set((notifiersConfig.notifiers || []).map(config => config?.name || config?.type));
+  const names = new Set(notifierNames);
+  const knownCities = known.cities ? new Set(known.cities.map(normalizeText)) : null;
+  const knownCategories = known.categories ? new Set([...known.categories, '其他'].map(normalizeText)) : null;
+
+  subscriptions.forEach((subscription, index) => {
+    const label = `notifiersConfig.subscriptions[${index}]`;
+    if (!subscription || typeof subscription !== 'object') {
+      errors.push(`${label} 必須是物件`);
+      return;
+    }
+
+    if (!subscription.name || typeof subscription.name !== 'string') {
+      errors.push(`${label}.name 必須是非空字串`);
+    } else if (names.has(subscription.name)) {
+      errors.push(`${label}.name 與其他管道或訂閱重複：${subscription.name}`);
+    }
+    names.add(subscription.name);
+
+    if (!notifierNames.has(subscription.notifier)) {
+      errors.push(`${label}.notifier 不是已設定的通知管道：${subscription.notifier}`);
+    }
+    if (subscription.target !== undefined && (typeof subscription.target !== 'object' || Array.isArray(subscription.target))) {
+      errors.push(`${label}.target 必須是物件`);
+    }
+
+    [['cities', knownCities, '城市'], ['categories', knownCategories, '分類']].forEach(([field, knownSet, noun]) => {
+      const values = subscription[field];
+      if (values === undefined) return;
+      if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || !value)) {
+        errors.push(`${label}.${field} 必須是字串陣列`);
+        return;
+      }
+      if (knownSet) {
+        values
+          .filter(value => !knownSet.has(normalizeText(value)))
+          .forEach(value => errors.push(`${label}.${field} 包含規則中沒有的${noun}：${value}`));
+      }
+    });
+
+    if (subscription.minScore !== undefined && typeof subscription.minScore !== 'number') {
+      errors.push(`${label}.minScore 必須是數字`);
+    }
+    if (subscription.maxArticles !== undefined && !(Number.isInteger(subscription.maxArticles) && subscription.maxArticles > 0)) {
+      errors.push(`${label}.maxArticles 必須是正整數`);
+    }
+  });
+
+  return errors;
+}
+
+export {
+  selectAudienceNews,
+  describeAudience,
+  expandSubscriptions,
+  validateSubscriptions
+};
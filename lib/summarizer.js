@@ -0,0 +1,165 @@
+/**
+ * 中文抽取式摘要
+ * 將內文依「。！？」切句，以篩選規則的關鍵字與城市命中為句子評分，
+ * 在字數預算內挑出一到兩句作為摘要導言（依原文順序排列）
+ *
+ * 完全在本機執行，不需外部 API 或額外套件
+ */
+
+import { compileTerm, countMatches, termLabel } from './rule-engine.js';
+import { resolveCities, isKnownCity } from './city-gazetteer.js';
+import { normalizeText } from './text-normalizer.js';
+
+// 句末標點後可能緊接的收尾符號（引號、括號）
+const SENTENCE_PATTERN = /[^。！？!?\n]+(?:[。！？!?]+[」』”’）)]*|$)/g;
+
+// 開頭的電頭，如「（中央社記者王小明台北19日電）」、「〔記者李小華／台中報導〕」
+const DATELINE_PATTERN = /^\s*[（(〔【[][^）)〕】\]]{0,40}(?:電|報導|訊)[）)〕】\]]\s*/;
+
+// 子句分隔符號，單句超過預算時在此截斷
+const CLAUSE_BREAKS = /[，、；：,;:]/;
+
+// 過短的句子（如「記者會上。」）不單獨作為摘要
+const MIN_SENTENCE_LENGTH = 8;
+
+const compiledCache = new WeakMap();
+
+/**
+ * 計算字數（以 Unicode 字元計）
+ * @param {string} text - 文字
+ * @returns {number} 字數
+ */
+function charLength(text) {
+  return [...text].length;
+}
+
+/**
+ * 將文字切分為句子
+ * @param {string} text - 內文或摘要
+ * @returns {Array} 句子陣列（保留句末標點）
+ */
+function splitSentences(text) {
+  if (!text) return [];
+  return (text.replace(DATELINE_PATTERN, '').match(SENTENCE_PATTERN) || [])
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * 編譯摘要評分用的關鍵字與城市
+ * @param {Object} rules - 篩選規則配置
+ * @returns {Object|null} {keywords, knownCities, customCities, cityWeight}，keywords 與 customCities 為 compileTerm() 的結果
+ */
+function compileSummaryTerms(rules) {
+  if (!rules) return null;
+  if (compiledCache.has(rules)) return compiledCache.get(rules);
+
+  const filterRules = rules.filterRules || {};
+  const cityWeight = filterRules.cities?.weight ?? 10;
+  const keywordWeight = filterRules.keywords?.weight ?? 5;
+  const cities = filterRules.cities?.values || [];
+
+  const compiled = {
+    keywords: (filterRules.keywords?.values || []).map(entry => compileTerm(entry, keywordWeight)),
+    knownCities: cities.map(termLabel).filter(isKnownCity),
+    customCities: cities.filter(entry => !isKnownCity(termLabel(entry))).map(entry => compileTerm(entry, cityWeight)),
+    cityWeight
+  };
+
+  compiledCache.set(rules, compiled);
+  return compiled;
+}
+
+/**
+ * 句子評分：命中的關鍵字權重加上提及的城市權重
+ * @param {string} sentence - 句子
+ * @param {Object} rules - 篩選規則配置
+ * @returns {number} 分數
+ */
+function scoreSentence(sentence, rules) {
+  const terms = compileSummaryTerms(rules);
+  if (!terms) return 0;
+
+  const text = normalizeText(sentence);
+  let score = 0;
+
+  terms.keywords.forEach(term => {
+    if (countMatches(term, text) > 0) score += term.weight;
+  });
+
+  if (terms.knownCities.length > 0) {
+    score += resolveCities({ title: '', summary: sentence }, { cities: terms.knownCities }).cities.length * terms.cityWeight;
+  }
+  terms.customCities.forEach(term => {
+    if (countMatches(term, text) > 0) score += term.weight;
+  });
+
+  return score;
+}
+
+/**
+ * 將過長的句子截斷在預算內最後一個子句分隔處
+ * @param {string} sentence - 句子
+ * @param {number} budget - 字數預算
+ * @returns {string} 截斷後的句子（結尾加上刪節號）
+ */
+function clipSentence(sentence, budget) {
+  const chars = [...sentence];
+  if (chars.length <= budget) return sentence;
+
+  const head = chars.slice(0, budget - 1);
+  for (let i = head.length - 1; i >= budget / 2; i--) {
+    if (CLAUSE_BREAKS.test(head[i])) {
+      return head.slice(0, i).join('') + '…';
+    }
+  }
+  return head.join('') + '…';
+}
+
+/**
+ * 產生新聞摘要導言
+ * @param {Object} news - 新聞 {title, summary, content}
+ * @param {Object} rules - 篩選規則配置（未提供時只依句子順序挑選）
+ * @param {Object} options - {budget: 字數上限, maxSentences: 最多幾句}
+ * @returns {string} 摘要，沒有內文時為空字串
+ */
+function summarizeArticle(news, rules = null, { budget = 80, maxSentences = 2 } = {}) {
+  const title = normalizeText(news.title);
+  const sentences = splitSentences(news.content || news.summary)
+    .map((text, position) => ({ text, position, length: charLength(text) }))
+    // 與標題相同的句子不重複顯示
+    .filter(sentence => normalizeText(sentence.text) !== title);
+
+  if (sentences.length === 0) return '';
+
+  const candidates = sentences.filter(sentence => sentence.length >= MIN_SENTENCE_LENGTH);
+  const ranked = (candidates.length > 0 ? candidates : sentences)
+    .map(sentence => ({ ...sentence, score: scoreSentence(sentence.text, rules) }))
+    .sort((a, b) => b.score - a.score || a.position - b.position);
+
+  // 最相關的句子本身超過預算時截斷
+  if (ranked[0].length > budget) {
+    return clipSentence(ranked[0].text, budget);
+  }
+
+  const chosen = [];
+  let used = 0;
+  for (const sentence of ranked) {
+    if (chosen.length >= maxSentences) break;
+    if (used + sentence.length > budget) continue;
+    chosen.push(sentence);
+    used += sentence.length;
+  }
+
+  return chosen
+    .sort((a, b) => a.position - b.position)
+    .map(sentence => sentence.text)
+    .join('');
+}
+
+export {
+  splitSentences,
+  scoreSentence,
+  clipSentence,
+  summarizeArticle
+};
@@ -0,0 +1,457 @@
+/**
+ * Telegram 互動 bot
+ * 以 long polling（getUpdates）接收訊息，依新聞存檔與目前的篩選規則回覆指令：
+ *   /today             今日摘要收錄的新聞
+ *   /city <城市>       近幾天該城市的新聞（可輸入正式名稱、別名或簡稱，如 臺北市、北市）
+ *   /search <關鍵字>   近幾天標題或摘要包含關鍵字的新聞（多個關鍵字以空白分隔，須全部出現）
+ *   /category <分類>   近幾天該分類的新聞
+ *   /rules             目前的篩選規則（printRules() 的內容）
+ *   /help              指令說明
+ * 群組中的未知指令只在指名本 bot（/指令@bot名稱）時回覆，避免回覆給其他 bot 的指令
+ * 並記錄讀者按下摘要新聞的 👍／👎 按鈕（callback_query），票數存回新聞存檔（設定 votesPath 時只寫入投票檔）、更新按鈕上的票數
+ *
+ * apiBaseUrl 可指向本機的替身伺服器進行測試
+ */
+
+import axios from 'axios';
+import { escapeHtml, truncate, feedbackButton, TELEGRAM_MESSAGE_LIMIT } from './telegram-renderer.js';
+import { printRules } from '../filter-rules-loader.js';
+import { describeRulesVersion } from './rule-history.js';
+import { taipeiDate, startOfTaipeiDay, entryDate } from './article-archive.js';
+import { lookupCity } from './city-gazetteer.js';
+
+const DEFAULT_BOT_CONFIG = {
+  pollTimeout: 30,
+  searchDays: 7,
+  maxResults: 15,
+  retryDelay: 5000
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SILENT_LOGGER = { debug() {}, info() {}, warn() {}, error() {} };
+
+// ==================== 回覆格式 ====================
+
+/**
+ * 將多行文字依長度上限組成多則訊息，切分點只落在行與行之間
+ * @param {Array} lines - HTML 行
+ * @param {number} limit - 每則訊息長度上限
+ * @returns {Array} 訊息陣列
+ */
+function chunkLines(lines, limit = TELEGRAM_MESSAGE_LIMIT) {
+  const messages = [];
+  let current = '';
+
+  lines.forEach(line => {
+    const next = current ? `${current}\n${line}` : line;
+    if (next.length > limit && current) {
+      messages.push(current);
+      current = line;
+    } else {
+      current = next;
+    }
+  });
+
+  if (current) messages.push(current);
+  return messages;
+}
+
+/**
+ * 列出查詢結果
+ * @param {string} heading - 標題（純文字）
+ * @param {Array} entries - 存檔紀錄
+ * @param {number} maxResults - 最多列出幾則
+ * @returns {Array} 訊息陣列
+ */
+function formatResults(heading, entries, maxResults) {
+  if (entries.length === 0) {
+    return [`🔍 <b>${escapeHtml(heading)}</b>\n\n沒有找到相關新聞。`];
+  }
+
+  const shown = entries.slice(0, maxResults);
+  const count = entries.length > shown.length ? `共 ${entries.length} 則，顯示前 ${shown.length} 則` : `共 ${entries.length} 則`;
+  const lines = [`🔍 <b>${escapeHtml(heading)}</b>（${count}）`, ''];
+
+  shown.forEach((entry, index) => {
+    const date = taipeiDate(entryDate(entry)).substring(5).replace('-', '/');
+    const meta = [entry.city, entry.category, entry.source, date].filter(Boolean).map(escapeHtml).join('｜');
+    lines.push(`${index + 1}. <a href="${escapeHtml(entry.url)}">${escapeHtml(truncate(entry.title, 60))}</a>`);
+    lines.push(`   ${meta}`);
+  });
+
+  return chunkLines(lines);
+}
+
+// ==================== 指令 ====================
+
+/**
+ * 近 searchDays 天（含今天）的起始時間
+ * @param {Object} bot - TelegramBot
+ * @param {Date} now - 目前時間
+ * @returns {Date}
+ */
+function recentFrom(bot, now) {
+  return new Date(startOfTaipeiDay(now).getTime() - (bot.config.searchDays - 1) * DAY_MS);
+}
+
+// 指令註冊表：{description, usage, requiresArgument, handler(bot, argument, now) => 訊息陣列}
+const BOT_COMMANDS = {
+  today: {
+    description: '今日摘要收錄的新聞',
+    usage: '/today',
+    handler(bot, argument, now) {
+      const entries = bot.archive.query({ archivedOn: taipeiDate(now) });
+      return formatResults(`今日新聞 ${taipeiDate(now).replace(/-/g, '/')}`, entries, bot.config.maxResults);
+    }
+  },
+  city: {
+    description: '近幾天某個城市的新聞',
+    usage: '/city 高雄',
+    requiresArgument: true,
+    handler(bot, argument, now) {
+      // 「台北市」「北市」等寫法以地名辭典對應到存檔的城市名稱，辭典以外的城市依原字查詢
+      const city = lookupCity(argument) || argument;
+      const entries = bot.archive.query({ city, from: recentFrom(bot, now) });
+      return formatResults(`${city} 近 ${bot.config.searchDays} 天的新聞`, entries, bot.config.maxResults);
+    }
+  },
+  search: {
+    description: '搜尋近幾天的新聞標題與摘要',
+    usage: '/search 簽署',
+    requiresArgument: true,
+    handler(bot, text, now) {
+      const entries = bot.archive.query({ text, from: recentFrom(bot, now) });
+      return formatResults(`「${text}」近 ${bot.config.searchDays} 天的新聞`, entries, bot.config.maxResults);
+    }
+  },
+  category: {
+    description: '近幾天某個分類的新聞',
+    usage: '/category 國際交流',
+    requiresArgument: true,
+    handler(bot, category, now) {
+      const entries = bot.archive.query({ category, from: recentFrom(bot, now) });
+      return formatResults(`${category} 近 ${bot.config.searchDays} 天的新聞`, entries, bot.config.maxResults);
+    }
+  },
+  rules: {
+    description: '目前的篩選規則',
+    usage: '/rules',
+    handler(bot) {
+      const rules = bot.loadRules();
+      const output = [];
+      printRules(rules, text => output.push(text));
+
+      const lines = output.join('\n').split('\n').map(escapeHtml);
+      return chunkLines([`📋 <b>篩選規則 ${escapeHtml(describeRulesVersion(rules))}</b>`, ...lines]);
+    }
+  },
+  help: {
+    description: '指令說明',
+    usage: '/help',
+    handler() {
+      const lines = Object.values(BOT_COMMANDS).map(command => `${command.usage} - ${command.description}`);
+      return [`🤖 <b>可用的指令</b>\n\n${lines.map(escapeHtml).join('\n')}`];
+    }
+  }
+};
+
+/**
+ * 取得指令（/start 視為 /help）
+ * @param {string} name - 指令名稱
+ * @returns {Object|undefined} BOT_COMMANDS 中的指令
+ */
+function findCommand(name) {
+  return BOT_COMMANDS[name === 'start' ? 'help' : name];
+}
+
+/**
+ * 解析指令訊息
+ * @param {string} text - 訊息文字
+ * @returns {Object|null} {name, mention, argument}，不是指令時回傳 null
+ */
+function parseCommand(text) {
+  const match = String(text || '').trim().match(/^\/([a-z_]+)(?:@(\w+))?(?:\s+([\s\S]*))?$/i);
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), mention: match[2] || null, argument: (match[3] || '').trim() };
+}
+
+/**
+ * 解析回饋按鈕的 callback_data
+ * @param {string} data - fb:<articleId>:up|down
+ * @returns {Object|null} {id, vote}，不是回饋按鈕時回傳 null
+ */
+function parseFeedback(data) {
+  const match = String(data || '').match(/^fb:([0-9a-f]{12}):(up|down)$/);
+  return match ? { id: match[1], vote: match[2] } : null;
+}
+
+/**
+ * 更新訊息按鈕中某則新聞的票數
+ * @param {Object} replyMarkup - 原訊息的 reply_markup
+ * @param {string} id - articleId()
+ * @param {Object} counts - {up, down}
+ * @returns {Object|null} 新的 reply_markup，訊息中沒有這則新聞的按鈕時回傳 null
+ */
+function updateFeedbackKeyboard(replyMarkup, id, counts) {
+  let found = false;
+  const keyboard = (replyMarkup?.inline_keyboard || []).map(row => row.map(button => {
+    const feedback = parseFeedback(button.callback_data);
+    if (!feedback || feedback.id !== id) return button;
+    found = true;
+    const index = parseInt(button.text, 10);
+    return feedbackButton(index, id, feedback.vote, counts[feedback.vote]);
+  }));
+  return found ? { inline_keyboard: keyboard } : null;
+}
+
+// ==================== Bot ====================
+
+class TelegramBot {
+  /**
+   * @param {Object} options - {token, apiBaseUrl, archive: ArticleArchive, loadRules: () => 篩選規則,
+   *   botConfig: {pollTimeout, searchDays, maxResults, retryDelay}, allowedChatIds: 只回覆這些聊天室（null 表示不限）,
+   *   logger, http: {post}, now: () => 目前時間}
+   */
+  constructor({
+    token,
+    apiBaseUrl = 'https://api.telegram.org',
+    archive,
+    loadRules,
+    botConfig = {},
+    allowedChatIds = null,
+    logger = SILENT_LOGGER,
+    http = axios,
+    now = () => new Date()
+  }) {
+    this.token = token;
+    this.apiBaseUrl = apiBaseUrl.replace(/\/+$/, '');
+    this.archive = archive;
+    this.loadRules = loadRules;
+    this.config = { ...DEFAULT_BOT_CONFIG, ...botConfig };
+    this.allowedChatIds = allowedChatIds ? new Set(allowedChatIds.map(String)) : null;
+    this.logger = logger;
+    this.http = http;
+    this.now = now;
+    this.offset = 0;
+    this.username = null;
+    this.signal = null;
+  }
+
+  /**
+   * 呼叫 Bot API
+   * @param {string} method - 方法名稱
+   * @param {Object} params - 參數
+   * @param {number} timeout - 逾時（毫秒）
+   * @returns {Promise<*>} result
+   */
+  async call(method, params = {}, timeout = 10000) {
+    let response;
+    try {
+      response = await this.http.post(`${this.apiBaseUrl}/bot${this.token}/${method}`, params, {
+        timeout,
+        ...(this.signal && { signal: this.signal })
+      });
+    } catch (error) {
+      throw new Error(`${method} 失敗：${error.response?.data?.description || error.message}`);
+    }
+    if (!response.data?.ok) {
+      throw new Error(`${method} 失敗：${response.data?.description || 'Telegram 回應異常'}`);
+    }
+    return response.data.result;
+  }
+
+  /**
+   * 取得 bot 名稱並登錄指令清單（讓使用者輸入 / 時看到說明）
+   */
+  async start() {
+    const me = await this.call('getMe');
+    this.username = me.username;
+    await this.call('setMyCommands', {
+      commands: Object.entries(BOT_COMMANDS).map(([command, { description }]) => ({ command, description }))
+    });
+    this.logger.info(`Bot @${this.username} 已啟動`);
+  }
+
+  /**
+   * 取得一批更新並逐一處理
+   * @returns {Promise<number>} 處理的更新數
+   */
+  async pollOnce() {
+    const updates = await this.call('getUpdates', {
+      offset: this.offset,
+      timeout: this.config.pollTimeout,
+      allowed_updates: ['message', 'callback_query']
+    }, (this.config.pollTimeout + 10) * 1000);
+
+    for (const update of updates) {
+      this.offset = update.update_id + 1;
+      try {
+        await this.handleUpdate(update);
+      } catch (error) {
+        this.logger.error(`處理更新 ${update.update_id} 失敗: ${error.message}`);
+      }
+    }
+    return updates.length;
+  }
+
+  /**
+   * 持續接收更新直到 signal 中止（進行中的請求會一併取消）；連線失敗時等待後重試，
+   * 停止前確認已處理的更新
+   * @param {Object} options - {signal: AbortSignal}
+   */
+  async run({ signal } = {}) {
+    this.signal = signal || null;
+    await this.start();
+
+    while (!signal?.aborted) {
+      try {
+        await this.pollOnce();
+      } catch (error) {
+        if (signal?.aborted) break;
+        this.logger.error(`接收更新失敗，${this.config.retryDelay}ms 後重試: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, this.config.retryDelay));
+      }
+    }
+    await this.acknowledge();
+    this.logger.info('Bot 已停止');
+  }
+
+  /**
+   * 向 Telegram 確認已處理的更新：getUpdates 的 offset 要到下一次呼叫才會生效，
+   * 排程中定時啟動的 bot 停止前不確認，下次啟動時會重複處理最後一批更新
+   */
+  async acknowledge() {
+    if (this.offset === 0) return;
+
+    this.signal = null;
+    try {
+      await this.call('getUpdates', { offset: this.offset, limit: 1, timeout: 0 });
+    } catch (error) {
+      this.logger.warn(`確認已處理的更新失敗: ${error.message}`);
+    }
+  }
+
+  /**
+   * 處理一則更新：回覆指令訊息、記錄回饋按鈕，其他訊息忽略
+   * @param {Object} update - Telegram update
+   * @returns {Promise<boolean>} 是否有回覆
+   */
+  async handleUpdate(update) {
+    if (update.callback_query) {
+      return this.handleCallback(update.callback_query);
+    }
+
+    const message = update.message;
+    const command = parseCommand(message?.text);
+    if (!command) return false;
+
+    // 群組中指名其他 bot 的指令不處理
+    if (command.mention && this.username && command.mention.toLowerCase() !== this.username.toLowerCase()) {
+      return false;
+    }
+
+    // 群組中未指名本 bot 的未知指令可能是給其他 bot 的，不回覆
+    if (!findCommand(command.name) && message.chat.type !== 'private' && !command.mention) {
+      return false;
+    }
+
+    const chatId = String(message.chat.id);
+    if (this.allowedChatIds && !this.allowedChatIds.has(chatId)) {
+      this.logger.warn(`忽略未授權聊天室 ${chatId} 的指令 /${command.name}`);
+      return false;
+    }
+
+    this.logger.info(`收到指令 /${command.name}${command.argument ? ` ${command.argument}` : ''}（聊天室 ${chatId}）`);
+    const replies = this.respond(command);
+
+    for (const text of replies) {
+      await this.call('sendMessage', {
+        chat_id: message.chat.id,
+        text,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        reply_to_message_id: message.message_id,
+        ...(message.message_thread_id && { message_thread_id: message.message_thread_id })
+      });
+    }
+    return true;
+  }
+
+  /**
+   * 記錄回饋按鈕的投票：寫回新聞存檔、回覆提示並更新按鈕上的票數
+   * @param {Object} query - Telegram callback_query
+   * @returns {Promise<boolean>} 是否有記錄
+   */
+  async handleCallback(query) {
+    const feedback = parseFeedback(query.data);
+    if (!feedback) return false;
+
+    const chatId = query.message ? String(query.message.chat.id) : null;
+    if (this.allowedChatIds && !this.allowedChatIds.has(chatId)) {
+      this.logger.warn(`忽略未授權聊天室 ${chatId} 的回饋`);
+      await this.call('answerCallbackQuery', { callback_query_id: query.id, text: '這個聊天室未開放回饋' });
+      return false;
+    }
+
+    // 與每日排程共用存檔：讀取最新內容後立即寫回投票
+    const now = this.now();
+    this.archive.load(now);
+    const result = this.archive.recordVote(feedback.id, query.from.id, feedback.vote, now);
+    if (!result) {
+      await this.call('answerCallbackQuery', { callback_query_id: query.id, text: '這則新聞已不在存檔中，無法記錄' });
+      return false;
+    }
+    this.archive.saveVotes();
+
+    const counts = `👍 ${result.up}／👎 ${result.down}`;
+    const text = result.vote ? `已記錄：${result.vote === 'up' ? '相關 👍' : '不相關 👎'}（${counts}）` : `已取消投票（${counts}）`;
+    this.logger.info(`回饋 ${feedback.id} ${result.vote || '取消'}：${truncate(result.entry.title, 30)}（${counts}）`);
+    await this.call('answerCallbackQuery', { callback_query_id: query.id, text });
+
+    const replyMarkup = updateFeedbackKeyboard(query.message?.reply_markup, feedback.id, result);
+    if (replyMarkup) {
+      try {
+        await this.call('editMessageReplyMarkup', {
+          chat_id: query.message.chat.id,
+          message_id: query.message.message_id,
+          reply_markup: replyMarkup
+        });
+      } catch (error) {
+        // 票數只是顯示用，更新失敗（如訊息過舊）不影響已記錄的投票
+        this.logger.warn(`更新按鈕票數失敗: ${error.message}`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 產生指令的回覆
+   * @param {Object} command - parseCommand() 的結果
+   * @returns {Array} HTML 訊息陣列
+   */
+  respond({ name, argument }) {
+    const command = findCommand(name);
+    if (!command) {
+      return [`不支援的指令 /${escapeHtml(name)}，輸入 /help 查看可用的指令。`];
+    }
+    if (command.requiresArgument && !argument) {
+      return [`請輸入查詢內容，例如：${escapeHtml(command.usage)}`];
+    }
+
+    // 每次查詢都重新讀取存檔，取得每日排程最新寫入的新聞
+    const now = this.now();
+    this.archive.load(now);
+    return command.handler(this, argument, now);
+  }
+}
+
+export {
+  DEFAULT_BOT_CONFIG,
+  BOT_COMMANDS,
+  TelegramBot,
+  parseCommand,
+  parseFeedback,
+  updateFeedbackKeyboard,
+  chunkLines
+};
@@ -0,0 +1,348 @@
+/**
+ * Telegram 摘要訊息產生器
+ * 將篩選後的新聞排版為 HTML 訊息，所有內容都經過跳脫，
+ * 並依 Telegram 4096 字元限制在分組（城市或分類）／新聞邊界切分為多則訊息。
+ * 每則訊息同時產生純文字版本，供 Telegram 拒絕 HTML 時改用。
+ * 開啟 feedbackButtons 時每則新聞附上 👍／👎 按鈕，讀者回饋由 Telegram bot 記錄。
+ */
+
+import { describeBreakdown } from './rule-engine.js';
+import { resolveCities } from './city-gazetteer.js';
+import { summarizeArticle } from './summarizer.js';
+import { describeRulesVersion } from './rule-history.js';
+import { articleId } from './article-archive.js';
+
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+const DIGEST_TITLE = '台灣六都市政府秘書處新聞摘要';
+const DIVIDER = '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━';
+
+// 日期時間一律以台灣時間顯示（GitHub Actions 執行環境為 UTC）
+const DISPLAY_TIME_ZONE = { timeZone: 'Asia/Taipei' };
+
+// 續頁標題預留長度
+const CONTINUATION_RESERVE = 80;
+
+// 每則新聞最多列出的其他來源連結數
+const MAX_RELATED_LINKS = 5;
+
+// 評分明細最多顯示的字數
+const MAX_BREAKDOWN_LENGTH = 160;
+
+/**
+ * 跳脫 Telegram HTML 中的特殊字元
+ * @param {string} text - 原始文字
+ * @returns {string} 跳脫後的文字
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 截斷文字，超過長度時加上刪節號
+ * @param {string} text - 原始文字
+ * @param {number} length - 最大字數
+ * @returns {string} 截斷後的文字
+ */
+function truncate(text, length) {
+  const chars = [...(text || '')];
+  return chars.length > length ? chars.slice(0, length).join('') + '…' : chars.join('');
+}
+
+/**
+ * 取得新聞的分組名稱
+ * @param {Object} item - 新聞
+ * @param {string} groupBy - city 或 category
+ * @returns {string} 分組名稱
+ */
+function groupLabel(item, groupBy) {
+  if (groupBy === 'category') {
+    return item.category || '其他';
+  }
+  // 未經篩選流程標記城市的新聞，以地名辭典判斷
+  return item.city || resolveCities(item).city;
+}
+
+/**
+ * 決定摘要中要顯示的新聞與順序
+ * 市府新聞稿與媒體報導分開顯示，各自按城市（或 groupBy: 'category' 時按主要分類）分組，每組最多 5 則
+ * @param {Array} newsArray - 篩選後的新聞
+ * @param {Object} telegramConfig - telegramConfig
+ * @returns {Array} [{heading, groups: [{label, total, items}]}]
+ */
+function layoutDigest(newsArray, telegramConfig) {
+  let remaining = telegramConfig.maxArticlesInMessage;
+
+  return [
+    { heading: '🏛️ 市府新聞稿', items: newsArray.filter(item => item.official) },
+    { heading: '🗞️ 媒體報導', items: newsArray.filter(item => !item.official) }
+  ]
+    .map(({ heading, items: sectionItems }) => {
+      const grouped = {};
+      sectionItems.forEach(item => {
+        const label = groupLabel(item, telegramConfig.groupBy);
+        if (!grouped[label]) grouped[label] = [];
+        grouped[label].push(item);
+      });
+
+      const groups = [];
+      Object.entries(grouped).forEach(([label, items]) => {
+        if (remaining <= 0) return;
+
+        const shown = items.slice(0, Math.min(5, remaining));
+        remaining -= shown.length;
+        groups.push({ label, total: items.length, items: shown });
+      });
+
+      return { heading, groups };
+    })
+    .filter(section => section.groups.length > 0);
+}
+
+/**
+ * 產生單則新聞的 HTML 與純文字
+ * @param {Object} item - 新聞
+ * @param {number} index - 新聞編號
+ * @param {Object} telegramConfig - telegramConfig
+ * @param {Object} rules - 篩選規則配置（摘要依關鍵字與城市挑選句子）
+ * @returns {Object} {html, text}
+ */
+function renderStory(item, index, telegramConfig, rules) {
+  const title = truncate(item.title, 60);
+  const summary = summarizeArticle(item, rules, {
+    budget: telegramConfig.summaryLength ?? 80,
+    maxSentences: telegramConfig.summarySentences ?? 2
+  });
+  const html = [`${index}. <b>${escapeHtml(title)}</b>`];
+  const text = [`${index}. ${title}`];
+
+  if (summary) {
+    html.push(`   ${escapeHtml(summary)}`);
+    text.push(`   ${summary}`);
+  }
+
+  html.push(`   🔗 <a href="${escapeHtml(item.url)}">閱讀全文</a>`);
+  text.push(`   🔗 ${item.url}`);
+
+  if (telegramConfig.includeSource) {
+    html.push(`   📌 ${escapeHtml(item.source)}`);
+    text.push(`   📌 ${item.source}`);
+  }
+
+  const related = (item.related || []).slice(0, MAX_RELATED_LINKS);
+  if (related.length > 0) {
+    html.push(`   📰 其他報導：${related.map(r => `<a href="${escapeHtml(r.url)}">${escapeHtml(r.source)}</a>`).join('、')}`);
+    text.push(`   📰 其他報導：${related.map(r => `${r.source} ${r.url}`).join('、')}`);
+  }
+
+  // 依分類分組時改標示城市
+  if (telegramConfig.groupBy === 'category' && item.city) {
+    html.push(`   📍 ${escapeHtml(item.city)}`);
+    text.push(`   📍 ${item.city}`);
+  }
+
+  const categories = item.categories?.length > 0 ? item.categories : [item.category].filter(Boolean);
+  if (telegramConfig.includeCategory && categories.length > 0) {
+    html.push(`   🏷️ ${escapeHtml(categories.join('、'))}`);
+    text.push(`   🏷️ ${categories.join('、')}`);
+  }
+
+  if (telegramConfig.includeScore) {
+    html.push(`   ⭐ ${item.score} 分`);
+    text.push(`   ⭐ ${item.score} 分`);
+
+    const breakdown = truncate(describeBreakdown(item.scoreBreakdown).join('；'), MAX_BREAKDOWN_LENGTH);
+    if (breakdown) {
+      html.push(`   📊 <i>${escapeHtml(breakdown)}</i>`);
+      text.push(`   📊 ${breakdown}`);
+    }
+  }
+
+  return { html: html.join('\n') + '\n\n', text: text.join('\n') + '\n\n' };
+}
+
+/**
+ * 將摘要排版為依序排列的區塊
+ * @param {Array} newsArray - 篩選後的新聞
+ * @param {Object} telegramConfig - telegramConfig
+ * @param {Date} now - 摘要時間
+ * @param {Object} rules - 篩選規則配置
+ * @returns {Array} [{type, html, text, items?, group?, section?}]
+ */
+function buildBlocks(newsArray, telegramConfig, now, rules) {
+  const date = now.toLocaleDateString('zh-TW', DISPLAY_TIME_ZONE);
+  const blocks = [{
+    type: 'header',
+    html: `📰 <b>${DIGEST_TITLE}</b>\n📅 ${date}\n${DIVIDER}\n\n`,
+    text: `📰 ${DIGEST_TITLE}\n📅 ${date}\n${DIVIDER}\n\n`
+  }];
+
+  const sections = layoutDigest(newsArray, telegramConfig);
+  let newsCount = 0;
+
+  sections.forEach(section => {
+    if (sections.length > 1) {
+      blocks.push({
+        type: 'section',
+        html: `<b>${escapeHtml(section.heading)}</b>\n\n`,
+        text: `${section.heading}\n\n`
+      });
+    }
+
+    section.groups.forEach(({ label, total, items }) => {
+      blocks.push({
+        type: 'group',
+        group: label,
+        section: section.heading,
+        html: `<b>【${escapeHtml(label)}】</b> (${total} 則)\n`,
+        text: `【${label}】 (${total} 則)\n`
+      });
+
+      items.forEach(item => {
+        newsCount++;
+        blocks.push({
+          type: 'story',
+          group: label,
+          section: section.heading,
+          items: [item],
+          ...renderStory(item, newsCount, telegramConfig, rules)
+        });
+      });
+    });
+  });
+
+  const shown = newsCount < newsArray.length ? `（顯示前 ${newsCount} 則）` : '';
+  // 標示使用的規則版本，摘要品質改變時可對照 npm run rules -- history
+  const version = rules ? `\n🔖 篩選規則 ${describeRulesVersion(rules)}` : '';
+  const footer = `${DIVIDER}\n共 ${newsArray.length} 則新聞${shown}\n⏰ ${now.toLocaleString('zh-TW', DISPLAY_TIME_ZONE)}${version}`;
+  blocks.push({ type: 'footer', html: footer, text: footer });
+
+  return blocks;
+}
+
+/**
+ * 將區塊依長度限制組成多則訊息，切分點只落在分組或新聞之間
+ * @param {Array} blocks - buildBlocks() 的結果
+ * @param {number} limit - 每則訊息長度上限
+ * @returns {Array} [{html, text, items}]
+ */
+function splitBlocks(blocks, limit) {
+  const budget = limit - CONTINUATION_RESERVE;
+  const parts = [];
+  let current = { html: '', text: '', items: [] };
+  let currentGroup = null;
+
+  blocks.forEach(block => {
+    const fits = current.html.length + block.html.length <= budget;
+
+    if (!fits && current.html.length > 0) {
+      parts.push(current);
+      current = { html: '', text: '', items: [] };
+
+      // 同一組的新聞跨訊息時，在新訊息重複分組標題
+      if (block.type === 'story' && currentGroup === block.group) {
+        current.html += `<b>【${escapeHtml(block.group)}】</b>（續）\n`;
+        current.text += `【${block.group}】（續）\n`;
+      }
+    }
+
+    if (block.type === 'group') currentGroup = block.group;
+
+    current.html += block.html;
+    current.text += block.text;
+    current.items.push(...(block.items || []));
+  });
+
+  if (current.html.length > 0) {
+    parts.push(current);
+  }
+
+  // 第二則之後加上續頁標題
+  if (parts.length > 1) {
+    parts.forEach((part, index) => {
+      if (index === 0) return;
+      part.html = `📰 <b>${DIGEST_TITLE}</b>（${index + 1}/${parts.length}）\n\n${part.html}`;
+      part.text = `📰 ${DIGEST_TITLE}（${index + 1}/${parts.length}）\n\n${part.text}`;
+    });
+  }
+
+  return parts;
+}
+
+const FEEDBACK_LABELS = { up: '👍 相關', down: '👎 不相關' };
+
+/**
+ * 回饋按鈕；callback_data 為 fb:<articleId>:up|down，由 Telegram bot 記錄到新聞存檔
+ * @param {number} index - 新聞編號
+ * @param {string} id - articleId()
+ * @param {string} vote - 'up' 或 'down'
+ * @param {number} count - 目前票數（0 時不顯示）
+ * @returns {Object} InlineKeyboardButton
+ */
+function feedbackButton(index, id, vote, count = 0) {
+  return {
+    text: `${index}. ${FEEDBACK_LABELS[vote]}${count > 0 ? ` ${count}` : ''}`,
+    callback_data: `fb:${id}:${vote}`
+  };
+}
+
+/**
+ * 每則新聞一列 👍／👎 按鈕（相關／不相關），編號與訊息內的新聞編號相同
+ * @param {Array} items - 訊息包含的新聞
+ * @param {number} startIndex - 第一則新聞的編號
+ * @returns {Object} reply_markup
+ */
+function feedbackKeyboard(items, startIndex) {
+  return {
+    inline_keyboard: items.map((item, offset) => {
+      const id = articleId(item);
+      return [feedbackButton(startIndex + offset, id, 'up'), feedbackButton(startIndex + offset, id, 'down')];
+    })
+  };
+}
+
+/**
+ * 生成 Telegram 摘要訊息
+ * @param {Array} newsArray - 篩選後的新聞
+ * @param {Object} telegramConfig - telegramConfig
+ * @param {Object} options - {now, rules}，rules 為篩選規則配置，用於挑選摘要句子
+ * @returns {Array} 依序發送的訊息 [{html, text, items, replyMarkup?}]，items 為該則訊息包含的新聞；
+ *   telegramConfig.feedbackButtons 為 true 時附上回饋按鈕
+ */
+function generateTelegramMessages(newsArray, telegramConfig, { now = new Date(), rules = null } = {}) {
+  if (!newsArray || newsArray.length === 0) {
+    const date = now.toLocaleDateString('zh-TW', DISPLAY_TIME_ZONE);
+    return [{
+      html: `📰 <b>${DIGEST_TITLE}</b>\n📅 ${date}\n\n⚠️ 今日無相關新聞。`,
+      text: `📰 ${DIGEST_TITLE}\n📅 ${date}\n\n⚠️ 今日無相關新聞。`,
+      items: []
+    }];
+  }
+
+  const limit = Math.min(telegramConfig.maxMessageLength || TELEGRAM_MESSAGE_LIMIT, TELEGRAM_MESSAGE_LIMIT);
+  const parts = splitBlocks(buildBlocks(newsArray, telegramConfig, now, rules), limit);
+
+  if (telegramConfig.feedbackButtons) {
+    let index = 1;
+    parts.forEach(part => {
+      if (part.items.length === 0) return;
+      part.replyMarkup = feedbackKeyboard(part.items, index);
+      index += part.items.length;
+    });
+  }
+
+  return parts;
+}
+
+export {
+  TELEGRAM_MESSAGE_LIMIT,
+  DIGEST_TITLE,
+  escapeHtml,
+  truncate,
+  layoutDigest,
+  feedbackButton,
+  generateTelegramMessages
+};
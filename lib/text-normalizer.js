@@ -0,0 +1,117 @@
+/**
+ * 文字正規化
+ * 所有關鍵字、城市與分類比對前，新聞文字與規則詞條都先經過相同的處理：
+ *   1. 解碼 HTML 實體（&amp;、&#x79D8; 等 cheerio text() 可能殘留的字元）
+ *   2. 全形英數與符號轉為半形
+ *   3. 簡體字與異體字統一為規則檔使用的繁體寫法（祕→秘、臺→台）
+ *   4. 轉為小寫並移除空白與標點
+ */
+
+// 常見 HTML 實體
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  middot: '·',
+  ldquo: '“',
+  rdquo: '”',
+  lsquo: '‘',
+  rsquo: '’'
+};
+
+// 異體字 → 規則檔慣用寫法
+const VARIANT_PAIRS = '祕秘臺台衆眾裏裡爲為着著綫線峯峰啓啟温溫説說悦悅税稅内內黄黃强強兑兌彦彥衞衛鷄雞麪麵户戶';
+
+// 簡體字 → 繁體字（涵蓋規則檔詞彙、六都地名與常見市政用語；一對多的字如「后」不轉換）
+const SIMPLIFIED_PAIRS =
+  '书書处處长長会會议議视視国國际際签簽协協发發闻聞记記动動礼禮仪儀颁頒奖獎扬揚' +
+  '务務组組织織编編访訪问問庆慶娱娛乐樂运運气氣宠寵游遊戏戲电電广廣赞贊业業' +
+  '园園万萬华華芦蘆莺鶯双雙贡貢乌烏来來龟龜龙龍镇鎮观觀复復兴興雾霧丰豐东東' +
+  '势勢冈岡栖棲营營盐鹽学學将將军軍门門归歸关關庙廟凤鳳鸟鳥桥橋头頭莲蓮弥彌' +
+  '玛瑪区區县縣厅廳湾灣资資讯訊计計划劃预預审審员員办辦举舉开開届屆选選众眾' +
+  '质質询詢团團队隊统統总總网網络絡数數据據产產经經济濟环環卫衛医醫疗療灾災' +
+  '风風险險节節车車轨軌铁鐵场場馆館权權报報导導应應对對讲講话話时時间間贸貿' +
+  '约約缔締结結侨僑体體艺藝术術传傳规規设設检檢讨討项項实實现現亿億补補' +
+  '贴貼财財费費劳勞职職试試验驗证證线線态態级級维維护護决決览覽过過还還进進' +
+  '这這个個们們为為与與于於从從两兩并並让讓给給样樣么麼见見题題获獲岁歲儿兒' +
+  '妇婦残殘厂廠楼樓汇匯币幣银銀岛島乡鄉';
+
+/**
+ * 將成對字串轉為對照表
+ * @param {string} pairs - 每兩個字為一組（來源字、目標字）
+ * @returns {Map} 對照表
+ */
+function buildCharMap(pairs) {
+  const map = new Map();
+  const chars = [...pairs];
+  for (let i = 0; i < chars.length - 1; i += 2) {
+    map.set(chars[i], chars[i + 1]);
+  }
+  return map;
+}
+
+const CHAR_MAP = new Map([...buildCharMap(SIMPLIFIED_PAIRS), ...buildCharMap(VARIANT_PAIRS)]);
+
+/**
+ * 解碼 HTML 實體
+ * @param {string} text - 文字
+ * @returns {string} 解碼後的文字
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * 全形字元轉為半形
+ * @param {string} text - 文字
+ * @returns {string} 轉換後的文字
+ */
+function toHalfWidth(text) {
+  return text
+    .replace(/[！-～]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xfee0))
+    .replace(/　/g, ' ');
+}
+
+/**
+ * 簡體字與異體字統一為繁體寫法
+ * @param {string} text - 文字
+ * @returns {string} 轉換後的文字
+ */
+function foldVariants(text) {
+  let result = '';
+  for (const char of text) {
+    result += CHAR_MAP.get(char) ?? char;
+  }
+  return result;
+}
+
+/**
+ * 正規化文字供比對使用
+ * @param {string} text - 原始文字
+ * @returns {string} 正規化後的文字（小寫、無空白與標點）
+ */
+function normalizeText(text) {
+  if (!text) return '';
+  return foldVariants(toHalfWidth(decodeEntities(String(text))))
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+export {
+  decodeEntities,
+  toHalfWidth,
+  foldVariants,
+  normalizeText
+};
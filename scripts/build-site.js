@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * 由新聞存檔產生靜態網站與 Atom／RSS feed（內容見 lib/static-site.js）
+ * 讀取每日排程（scripts/fetch-news.js）寫入的 archiveConfig.path，輸出到 siteConfig.outputDir，
+ * 可直接發布為 GitHub Pages
+ *
+ * 使用方法：
+ *   npm run site
+ *   node scripts/build-site.js [--output public] [--base-url https://example.github.io/news/] [--now 2026-10-19T08:00:00+08:00]
+ *
+ * 參數：
+ *   --output <dir>     輸出目錄（預設 siteConfig.outputDir）
+ *   --base-url <url>   網站的絕對網址，feed 中的連結使用（預設 SITE_BASE_URL 或 siteConfig.baseUrl）
+ *   --now <time>       產生時間（預設為目前時間，也是移除過期存檔的基準）
+ *
+ * 環境變數：
+ *   SITE_BASE_URL - 網站的絕對網址（GitHub Actions 中由 actions/configure-pages 提供）
+ *   FILTER_RULES_PATH - 篩選規則檔案路徑（選用，預設 config/filter-rules.json）
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadFilterRules } from '../filter-rules-loader.js';
+import { ArticleArchive } from '../lib/article-archive.js';
+import { buildSite, writeSite } from '../lib/static-site.js';
+import { resolveRuntimeConfig } from './fetch-news.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'filter-rules.json');
+
+const SILENT_LOGGER = { info() {}, warn() {}, error() {} };
+
+/**
+ * 解析命令列參數
+ * @param {Array} argv - 參數陣列（不含 node 與腳本路徑）
+ * @returns {Object} {output, baseUrl, now}
+ */
+function parseSiteArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      output: { type: 'string' },
+      'base-url': { type: 'string' },
+      now: { type: 'string' }
+    }
+  });
+
+  const now = values.now ? new Date(values.now) : new Date();
+  if (isNaN(now.getTime())) {
+    throw new Error(`--now 無法解析：${values.now}`);
+  }
+
+  return { output: values.output || null, baseUrl: values['base-url'] || null, now };
+}
+
+/**
+ * 讀取新聞存檔並產生網站
+ * @param {Object} options - {rulesPath, output, baseUrl, now, env}
+ * @returns {Object} {outputDir, files, articles, days}
+ */
+function buildSiteFromArchive({
+  rulesPath = process.env.FILTER_RULES_PATH || DEFAULT_RULES_PATH,
+  output = null,
+  baseUrl = null,
+  now = new Date(),
+  env = process.env
+} = {}) {
+  const rules = loadFilterRules(rulesPath, { logger: SILENT_LOGGER });
+  const { archiveConfig, siteConfig } = resolveRuntimeConfig(rules);
+  const config = { ...siteConfig, baseUrl: baseUrl || env.SITE_BASE_URL || siteConfig.baseUrl };
+  const outputDir = output || config.outputDir;
+
+  if (!fs.existsSync(archiveConfig.path)) {
+    console.warn(`⚠️ 找不到新聞存檔 ${archiveConfig.path}，產生空的網站`);
+  }
+  if (!config.baseUrl) {
+    console.warn('⚠️ 未設定網站網址（SITE_BASE_URL 或 siteConfig.baseUrl），feed 中不含網站連結');
+  }
+
+  const archive = new ArticleArchive(archiveConfig).load(now);
+  const files = buildSite(archive.entries, config, { now });
+  writeSite(files, outputDir);
+
+  return {
+    outputDir,
+    files: files.length,
+    articles: archive.entries.length,
+    days: files.filter(file => /^days\/\d{4}-\d{2}-\d{2}\.html$/.test(file.path)).length
+  };
+}
+
+function main() {
+  const options = parseSiteArgs(process.argv.slice(2));
+  const result = buildSiteFromArchive(options);
+  console.log(`✅ 已產生網站：${result.outputDir}（${result.articles} 則新聞、${result.days} 天摘要、${result.files} 個檔案）`);
+}
+
+// 直接執行時才啟動，被 import 時（如測試）只匯出函數
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`❌ 產生網站失敗: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+export {
+  parseSiteArgs,
+  buildSiteFromArchive
+};
@@ -6,82 +6,188 @@
  * 
  * 使用方法：
  *   node scripts/fetch-news.js
+ *   node scripts/fetch-news.js --dry-run [--output digest.html]
+ *   node scripts/fetch-news.js --fixtures test/fixtures/sources [--format text] [--now 2026-10-19T08:00:00+08:00]
+ * 
+ * 參數：
+ *   --dry-run          不發送到任何通知管道，將 Telegram 格式的摘要寫到 stdout 或 --output 檔案
+ *   --fixtures <dir>   以存檔的 HTML / feed 取代網路抓取（隱含 --dry-run）
+ *   --output <file>    dry-run 輸出檔案（預設 stdout）
+ *   --format <fmt>     dry-run 輸出格式：html（預設）或 text
+ *   --now <time>       摘要使用的時間（預設為目前時間，便於產生固定輸出）
+ *   --force-resend     不排除已發送過的新聞
+ *   --log-dir <dir>    日誌與篩選報告的目錄（預設 loggingConfig.directory）
+ *
+ * detailConfig.enabled 為 true 時，會抓取候選新聞的內文頁並以全文重新評分
+ *
+ * 摘要發送到 notifiersConfig.notifiers 中啟用的每個通知管道（Telegram、Slack、Discord、webhook、電子郵件），
+ * 未設定 notifiersConfig 時只發送到 TELEGRAM_GROUP_ID，詳見 lib/notifiers.js
+ * notifiersConfig.subscriptions 中的訂閱只收到符合其城市、分類、分數條件的新聞，詳見 lib/subscriptions.js；
+ * 所有收件對象使用同一份篩選結果，執行結束時記錄每個收件對象的發送報告
+ *
+ * 發送後將篩選結果存入 archiveConfig.path 的新聞存檔（dry-run 不寫入），供 scripts/telegram-bot.js 查詢與記錄讀者回饋（telegramConfig.feedbackButtons），
+ * 並由 scripts/build-site.js 產生可瀏覽、搜尋的靜態網站與 feed、scripts/periodic-report.js 產生週報與月報
+ *
+ * 每次執行會在日誌目錄（loggingConfig.directory 或 --log-dir）寫入 filter-report-*.txt，列出未通過篩選的新聞與原因
+ * （loggingConfig.filterReport 設為 false 可停用）
  * 
  * 環境變數：
  *   TELEGRAM_BOT_TOKEN - Telegram Bot Token
  *   TELEGRAM_GROUP_ID - Telegram 群組 ID
+ *   其他通知管道的機密設定由 notifiersConfig 中的 xxxEnv 指定（如 SLACK_WEBHOOK_URL、SMTP_PASSWORD）
+ *   FILTER_RULES_PATH - 篩選規則檔案路徑（選用，預設 config/filter-rules.json）
+ *   FILTER_RULES_STRICT - 設為 true 時，規則驗證失敗即中止（預設改用內建規則）
+ *   FORCE_RESEND - 設為 true 時不排除已發送過的新聞（同 --force-resend）
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
-const fs = require('fs');
-const path = require('path');
-
-// ==================== 新聞來源配置 ====================
-
-const NEWS_SOURCES = [
-  {
-    name: '聯合新聞網',
-    url: 'https://udn.com/news/index',
-    selector: 'article',
-    titleSelector: 'h2, h3',
-    summarySelector: 'p',
-    linkSelector: 'a'
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import {
+  loadFilterRules,
+  getDefaultRules,
+  validateRules,
+  partitionNews
+} from '../filter-rules-loader.js';
+import { getEnabledSources, parseSourceContent } from '../lib/source-adapters.js';
+import { fetchCityGovSource } from '../lib/city-adapters.js';
+import { fetchArticleDetails } from '../lib/article-details.js';
+import { scoreArticle } from '../lib/rule-engine.js';
+import { SeenStore } from '../lib/seen-store.js';
+import { clusterStories } from '../lib/story-clusters.js';
+import { generateTelegramMessages } from '../lib/telegram-renderer.js';
+import { createFixtureFetcher } from '../lib/fixture-fetcher.js';
+import { buildFilterReport, writeFilterReport } from '../lib/filter-report.js';
+import { RuleHistory, historyDirFor, describeRulesVersion, diffRules, UNKNOWN_ORIGIN } from '../lib/rule-history.js';
+import { createNotifiers } from '../lib/notifiers.js';
+import { describeAudience } from '../lib/subscriptions.js';
+import { ArticleArchive } from '../lib/article-archive.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'filter-rules.json');
+
+// ==================== 預設執行配置 ====================
+
+// filter-rules.json 未提供對應欄位時使用的預設值
+const DEFAULT_RUNTIME_CONFIG = {
+  newsSourcesConfig: {
+    timeout: 10000,
+    maxArticlesPerSource: 50,
+    retryAttempts: 3,
+    retryDelay: 1000
   },
-  {
-    name: '自由時報',
-    url: 'https://www.ltn.com.tw/',
-    selector: 'article, .news-item',
-    titleSelector: 'h2, h3, .title',
-    summarySelector: 'p, .summary',
-    linkSelector: 'a'
+  telegramConfig: {
+    timeout: 10000,
+    maxRetries: 3,
+    retryDelay: 1000,
+    maxArticlesInMessage: 30,
+    maxMessageLength: 4096,
+    includeSource: true,
+    includeCategory: false,
+    includeScore: false,
+    groupBy: 'city',
+    summaryLength: 80,
+    summarySentences: 2,
+    feedbackButtons: false
   },
-  {
-    name: '中時新聞網',
-    url: 'https://www.chinatimes.com/',
-    selector: '.news-item, article',
-    titleSelector: 'h2, h3',
-    summarySelector: 'p',
-    linkSelector: 'a'
-  }
-];
-
-// ==================== 預設篩選規則 ====================
-
-const DEFAULT_FILTER_RULES = {
-  filterRules: {
-    cities: {
-      values: ['台北', '新北', '桃園', '台中', '台南', '高雄'],
-      weight: 10
-    },
-    keywords: {
-      values: [
-        '秘書處', '秘書長', '市政府', '市長', '副市長',
-        '政策', '會議', '視察', '國際交流', '簽署',
-        '協議', '公告', '通知', '宣布', '發布'
-      ],
-      weight: 5
-    },
-    excludeKeywords: {
-      values: [
-        '娛樂', '運動', '明星', '八卦', '股市', '房市',
-        '天氣', '寵物', '美食', '旅遊'
-      ],
-      weight: -100
-    }
+  detailConfig: {
+    enabled: false,
+    concurrency: 4,
+    maxArticles: 60,
+    maxArticlesPerSource: 10,
+    requestDelay: 500
+  },
+  clusterConfig: {
+    enabled: true,
+    threshold: 0.45,
+    summaryWeight: 0.3,
+    sizeBonus: 3
+  },
+  stateConfig: {
+    enabled: true,
+    path: './data/seen-articles.json',
+    retentionDays: 14
   },
-  scoringRules: {
-    minScore: 5
+  archiveConfig: {
+    enabled: true,
+    path: './data/article-archive.json',
+    votesPath: './data/article-votes.json',
+    retentionDays: 180
+  },
+  siteConfig: {
+    outputDir: './public',
+    baseUrl: '',
+    recentDays: 14,
+    feedDays: 30
+  },
+  reportConfig: {
+    notifiers: ['telegram'],
+    topKeywords: 10,
+    topStories: 5,
+    exportDir: './reports',
+    exportFormats: []
+  },
+  loggingConfig: {
+    enabled: true,
+    level: 'debug',
+    directory: './logs',
+    maxFileSize: 10485760,
+    retentionDays: 30,
+    filterReport: true
+  },
+  notifiersConfig: {
+    notifiers: [
+      { name: 'telegram', type: 'telegram', enabled: true, botTokenEnv: 'TELEGRAM_BOT_TOKEN', chatIdEnv: 'TELEGRAM_GROUP_ID' }
+    ]
   }
 };
 
+/**
+ * 合併規則檔中的執行配置與預設值
+ * @param {Object} rules - 篩選規則配置
+ * @returns {Object} {newsSourcesConfig, telegramConfig, detailConfig, clusterConfig, stateConfig, archiveConfig, siteConfig, reportConfig, loggingConfig, notifiersConfig}
+ */
+function resolveRuntimeConfig(rules) {
+  const resolved = {};
+  Object.entries(DEFAULT_RUNTIME_CONFIG).forEach(([section, defaults]) => {
+    resolved[section] = { ...defaults, ...(rules[section] || {}) };
+  });
+  return resolved;
+}
+
 // ==================== 日誌系統 ====================
 
+const LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+
 class Logger {
   constructor(config) {
-    this.config = config;
+    this.config = {
+      enabled: true,
+      level: 'debug',
+      maxFileSize: 0,
+      retentionDays: 0,
+      stream: 'stdout',
+      ...config
+    };
     this.logs = [];
-    this.ensureLogDir();
+  }
+
+  /**
+   * 套用 filter-rules.json 的 loggingConfig
+   * @param {Object} loggingConfig - 日誌配置
+   */
+  configure(loggingConfig = {}) {
+    this.config = {
+      ...this.config,
+      enabled: loggingConfig.enabled !== false,
+      level: loggingConfig.level || this.config.level,
+      dir: loggingConfig.directory || this.config.dir,
+      maxFileSize: loggingConfig.maxFileSize ?? this.config.maxFileSize,
+      retentionDays: loggingConfig.retentionDays ?? this.config.retentionDays,
+      stream: loggingConfig.stream || this.config.stream
+    };
   }
 
   ensureLogDir() {
@@ -91,6 +197,10 @@ class Logger {
   }
 
   log(level, message, data = null) {
+    if ((LOG_LEVELS[level] ?? 0) < (LOG_LEVELS[this.config.level] ?? 0)) {
+      return;
+    }
+
     const timestamp = new Date().toLocaleString('zh-TW');
     const logEntry = {
       timestamp,
@@ -108,9 +218,11 @@ class Logger {
       error: '❌'
     }[level] || '📝';
 
-    console.log(`[${timestamp}] ${prefix} ${message}`);
+    // dry-run 輸出摘要到 stdout 時，日誌改寫到 stderr
+    const print = this.config.stream === 'stderr' ? console.error : console.log;
+    print(`[${timestamp}] ${prefix} ${message}`);
     if (data) {
-      console.log('   ', data);
+      print('   ', data);
     }
   }
 
@@ -119,18 +231,44 @@ class Logger {
   warn(message, data) { this.log('warn', message, data); }
   error(message, data) { this.log('error', message, data); }
 
+  /**
+   * 刪除超過保存天數的日誌檔
+   */
+  pruneOldLogs() {
+    if (!this.config.retentionDays) return;
+
+    const cutoff = Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000;
+    fs.readdirSync(this.config.dir)
+      .filter(file => /^(news-fetch-.*\.log|filter-report-.*\.txt)$/.test(file))
+      .forEach(file => {
+        const filePath = path.join(this.config.dir, file);
+        if (fs.statSync(filePath).mtimeMs < cutoff) {
+          fs.unlinkSync(filePath);
+        }
+      });
+  }
+
   save() {
+    if (!this.config.enabled) return;
+
     const filename = path.join(
       this.config.dir,
       `news-fetch-${new Date().toISOString().split('T')[0]}.log`
     );
 
-    const content = this.logs
-      .map(log => `[${log.timestamp}] [${log.level.toUpperCase()}] ${log.message}`)
-      .join('\n');
+    const lines = this.logs
+      .map(log => `[${log.timestamp}] [${log.level.toUpperCase()}] ${log.message}`);
+
+    // 超過檔案大小上限時，保留較新的紀錄
+    const maxFileSize = this.config.maxFileSize;
+    while (maxFileSize && lines.length > 1 && Buffer.byteLength(lines.join('\n')) > maxFileSize) {
+      lines.shift();
+    }
 
     try {
-      fs.writeFileSync(filename, content);
+      this.ensureLogDir();
+      fs.writeFileSync(filename, lines.join('\n'));
+      this.pruneOldLogs();
       this.info(`日誌已保存到 ${filename}`);
     } catch (e) {
       console.error('無法保存日誌:', e.message);
@@ -143,120 +281,156 @@ const logger = new Logger({ dir: './logs' });
 // ==================== 篩選規則管理 ====================
 
 /**
- * 計算新聞評分
+ * 載入並驗證篩選規則，驗證失敗時回報錯誤並改用預設規則
+ * @param {string} rulesPath - 規則檔路徑
+ * @returns {Object} 可用的篩選規則配置
  */
-function calculateScore(news, rules) {
-  let score = 0;
-  const text = (news.title + ' ' + news.summary).toLowerCase();
-
-  const filterRules = rules.filterRules || {};
-
-  // 城市匹配
-  if (filterRules.cities && filterRules.cities.values) {
-    filterRules.cities.values.forEach(city => {
-      if (text.includes(city.toLowerCase())) {
-        score += filterRules.cities.weight || 10;
-      }
-    });
+function loadRules(rulesPath) {
+  logger.info(`正在載入篩選規則：${rulesPath}`);
+  const rules = loadFilterRules(rulesPath, { logger });
+  const validation = validateRules(rules);
+
+  if (validation.valid) {
+    logger.info(`篩選規則驗證通過 (版本: ${describeRulesVersion(rules)})`);
+    logRulesOrigin(rules, rulesPath);
+    return rules;
   }
 
-  // 關鍵字匹配
-  if (filterRules.keywords && filterRules.keywords.values) {
-    filterRules.keywords.values.forEach(keyword => {
-      if (text.includes(keyword.toLowerCase())) {
-        score += filterRules.keywords.weight || 5;
-      }
-    });
-  }
+  logger.error(`篩選規則驗證失敗，共 ${validation.errors.length} 項錯誤：`);
+  validation.errors.forEach(error => logger.error(`  - ${error}`));
 
-  // 排除關鍵字
-  if (filterRules.excludeKeywords && filterRules.excludeKeywords.values) {
-    for (const keyword of filterRules.excludeKeywords.values) {
-      if (text.includes(keyword.toLowerCase())) {
-        return 0;
-      }
-    }
+  if (process.env.FILTER_RULES_STRICT === 'true') {
+    throw new Error('篩選規則驗證失敗 (FILTER_RULES_STRICT=true)');
   }
 
-  return score;
+  logger.warn('改用內建預設規則繼續執行，請盡快修正 filter-rules.json');
+  return getDefaultRules();
 }
 
 /**
- * 提取城市信息
+ * 記錄目前規則版本的修改者與說明，摘要品質改變時可對照是哪一次修改造成的
+ * @param {Object} rules - 篩選規則配置
+ * @param {string} rulesPath - 規則檔路徑
  */
-function extractCity(news, rules) {
-  const text = news.title + ' ' + news.summary;
-  const cities = rules.filterRules?.cities?.values || [];
+function logRulesOrigin(rules, rulesPath) {
+  if (!rules.version) return;
 
-  for (const city of cities) {
-    if (text.includes(city)) {
-      return city;
+  try {
+    const snapshot = new RuleHistory({ dir: historyDirFor(rulesPath) }).get(rules.version);
+    if (!snapshot) {
+      logger.info(`變更紀錄中沒有 v${rules.version}（未透過規則工具修改）`);
+      return;
     }
-  }
 
-  return '其他';
+    if (snapshot.origin === UNKNOWN_ORIGIN) {
+      logger.info(`規則 v${rules.version} 來源不明，於 ${snapshot.timestamp} 補記：${snapshot.message}`);
+    } else {
+      logger.info(`規則 v${rules.version} 由 ${snapshot.author} 於 ${snapshot.timestamp} 修改：${snapshot.message || '（無說明）'}`);
+    }
+    const changes = diffRules(snapshot.rules, rules);
+    if (changes.length > 0) {
+      logger.warn(`規則檔與變更紀錄中的 v${rules.version} 有 ${changes.length} 項差異，可能被手動修改過`);
+    }
+  } catch (error) {
+    logger.warn(`無法讀取規則變更紀錄: ${error.message}`);
+  }
 }
 
 // ==================== 新聞抓取 ====================
 
 /**
- * 從單個新聞源抓取新聞
+ * 以 GET 取得網頁或 feed 原始內容
+ * @param {string} url - 網址
+ * @param {Object} sourcesConfig - newsSourcesConfig
+ * @returns {Promise<string>} 回應內容
  */
-async function fetchFromSource(source) {
-  try {
-    logger.debug(`正在抓取 ${source.name}...`);
+async function httpGet(url, sourcesConfig) {
+  const response = await axios.get(url, {
+    timeout: sourcesConfig.timeout,
+    responseType: 'text',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    }
+  });
+  return response.data;
+}
 
-    const response = await axios.get(source.url, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+/**
+ * 從單個新聞源抓取新聞
+ * @param {Object} source - 新聞來源設定（見 newsSourcesConfig.sources）
+ * @param {Object} sourcesConfig - newsSourcesConfig
+ * @param {Object} options - {fetchPage, detailConfig}，fetchPage(url) 預設以 HTTP 取得內容；
+ *   市府新聞稿的內文頁依 detailConfig 的 maxArticlesPerSource 與 requestDelay 限制數量與間隔
+ * @param {number} attempt - 目前嘗試次數（從 1 開始）
+ * @returns {Promise<Array>} 新聞陣列
+ */
+async function fetchFromSource(source, sourcesConfig, options = {}, attempt = 1) {
+  const fetchPage = options.fetchPage || (url => httpGet(url, sourcesConfig));
+  const detailConfig = { ...DEFAULT_RUNTIME_CONFIG.detailConfig, ...options.detailConfig };
 
-    const $ = cheerio.load(response.data);
-    const articles = [];
-
-    $(source.selector).each((i, el) => {
-      if (articles.length >= 50) return;
-
-      try {
-        const title = $(el).find(source.titleSelector).first().text().trim();
-        const summary = $(el).find(source.summarySelector).first().text().trim();
-        const url = $(el).find(source.linkSelector).first().attr('href');
-
-        if (title && url) {
-          articles.push({
-            title: title.substring(0, 200),
-            summary: summary.substring(0, 300),
-            url: url.startsWith('http') ? url : source.url + url,
-            source: source.name,
-            fetchedAt: new Date().toISOString()
-          });
-        }
-      } catch (e) {
-        // 跳過解析失敗的文章
-      }
-    });
+  try {
+    logger.debug(`正在抓取 ${source.name} (嘗試 ${attempt}/${sourcesConfig.retryAttempts})...`);
+    const articles = source.type === 'city-gov'
+      ? await fetchCityGovSource(source, {
+        fetchPage,
+        maxArticles: sourcesConfig.maxArticlesPerSource,
+        fetchDetails: source.fetchDetails !== false,
+        maxDetails: detailConfig.maxArticlesPerSource,
+        detailDelay: detailConfig.requestDelay
+      })
+      : parseSourceContent(source, await fetchPage(source.url), {
+        maxArticles: sourcesConfig.maxArticlesPerSource
+      });
 
     logger.info(`${source.name} 抓取完成，共 ${articles.length} 條新聞`);
     return articles;
   } catch (error) {
     logger.error(`${source.name} 抓取失敗: ${error.message}`);
+
+    if (attempt < sourcesConfig.retryAttempts) {
+      const delay = sourcesConfig.retryDelay * attempt;
+      logger.warn(`等待 ${delay}ms 後重新抓取 ${source.name}...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return fetchFromSource(source, sourcesConfig, options, attempt + 1);
+    }
+
     return [];
   }
 }
 
 /**
  * 從所有新聞源抓取新聞
+ * @param {Object} sourcesConfig - newsSourcesConfig
+ * @param {Object} options - {fixtures, detailConfig}，提供 fixture 讀取器時只抓取有 fixture 的來源
+ * @returns {Promise<Array>} 所有新聞
  */
-async function fetchAllNews() {
+async function fetchAllNews(sourcesConfig, { fixtures = null, detailConfig = DEFAULT_RUNTIME_CONFIG.detailConfig } = {}) {
   logger.info('開始抓取新聞...');
 
   const allNews = [];
+  let sources = getEnabledSources(sourcesConfig);
+
+  if (fixtures) {
+    const skipped = sources.filter(source => !fixtures.hasFixture(source.url));
+    if (skipped.length > 0) {
+      logger.warn(`以下來源沒有 fixture，略過：${skipped.map(source => source.name).join('、')}`);
+    }
+    sources = sources.filter(source => fixtures.hasFixture(source.url));
+  }
+
+  logger.info(`啟用中的新聞來源：${sources.map(source => source.name).join('、')}`);
 
-  for (const source of NEWS_SOURCES) {
+  for (const source of sources) {
     try {
-      const news = await fetchFromSource(source);
+      if (fixtures) {
+        allNews.push(...await fetchFromSource(source, { ...sourcesConfig, retryAttempts: 1 }, {
+          fetchPage: url => fixtures.fetchPage(url),
+          detailConfig: { ...detailConfig, requestDelay: 0 }
+        }));
+        continue;
+      }
+
+      const news = await fetchFromSource(source, sourcesConfig, { detailConfig });
       allNews.push(...news);
       
       await new Promise(resolve => setTimeout(resolve, 1000));
@@ -269,107 +443,310 @@ async function fetchAllNews() {
   return allNews;
 }
 
+/**
+ * 抓取候選新聞的內文頁，以全文補充摘要、發布時間、作者與主圖
+ * 已有內文（市府新聞稿）、已發送過、標題或摘要已命中排除詞，
+ * 或來源設定 fetchDetails: false 的新聞不抓取；同一來源最多抓取 maxArticlesPerSource 則（與市府新聞稿的內文頁上限相同）
+ * @param {Array} allNews - 所有新聞
+ * @param {Object} rules - 篩選規則配置
+ * @param {Object} detailConfig - detailConfig {enabled, concurrency, maxArticles, maxArticlesPerSource}
+ * @param {Object} options - {sourcesConfig, fetchPage, fixtures, seenStore}
+ * @returns {Promise<Array>} 補充內文後的新聞（順序不變）
+ */
+async function fetchNewsDetails(allNews, rules, detailConfig, {
+  sourcesConfig,
+  fetchPage = url => httpGet(url, sourcesConfig),
+  fixtures = null,
+  seenStore = null
+} = {}) {
+  if (!detailConfig.enabled) return allNews;
+
+  const sources = Object.fromEntries(getEnabledSources(sourcesConfig).map(source => [source.name, source]));
+  const perSource = new Map();
+  const candidates = allNews
+    .filter(news => !news.content && news.url)
+    .filter(news => sources[news.source]?.fetchDetails !== false)
+    .filter(news => !fixtures || fixtures.hasFixture(news.url))
+    .filter(news => !seenStore || !seenStore.has(news))
+    .filter(news => !scoreArticle(news, rules).excludedBy)
+    .filter(news => {
+      const count = (perSource.get(news.source) || 0) + 1;
+      perSource.set(news.source, count);
+      return detailConfig.maxArticlesPerSource === undefined || count <= detailConfig.maxArticlesPerSource;
+    })
+    .slice(0, detailConfig.maxArticles);
+
+  if (candidates.length === 0) return allNews;
+
+  logger.info(`正在抓取 ${candidates.length} 則新聞的內文頁（並行 ${detailConfig.concurrency}）...`);
+  let failed = 0;
+  const detailed = await fetchArticleDetails(candidates, {
+    fetchPage,
+    concurrency: detailConfig.concurrency,
+    sources,
+    onError: (news, error) => {
+      failed++;
+      logger.debug(`內文頁抓取失敗 ${news.url}: ${error.message}`);
+    }
+  });
+
+  // 全文重新評分後分數提高的新聞（原本只比對到標題片段）
+  const improved = detailed.filter((news, index) =>
+    scoreArticle(news, rules).score > scoreArticle(candidates[index], rules).score).length;
+  logger.info(`內文頁抓取完成：成功 ${candidates.length - failed} 則，失敗 ${failed} 則，全文比對後 ${improved} 則分數提高`);
+
+  const byNews = new Map(candidates.map((news, index) => [news, detailed[index]]));
+  return allNews.map(news => byNews.get(news) || news);
+}
+
 // ==================== 新聞篩選 ====================
 
 /**
  * 篩選相關新聞
+ * @param {Array} allNews - 所有新聞
+ * @param {Object} rules - 篩選規則配置
+ * @param {Object} options - {seenStore, clusterConfig, rejected, now}
+ *   seenStore 為 null 時不排除已發送新聞；now 為發布時間範圍與時效排名的基準時間；
+ *   提供 rejected 陣列時，未通過的新聞（含 rejectType 與 rejectReason）會加入其中
+ * @returns {Array} 篩選並聚合後的新聞
  */
-function filterNews(allNews, rules) {
+function filterNews(allNews, rules, {
+  seenStore = null,
+  clusterConfig = DEFAULT_RUNTIME_CONFIG.clusterConfig,
+  rejected = null,
+  now = new Date()
+} = {}) {
   logger.info('開始篩選新聞...');
 
-  const minScore = rules.scoringRules?.minScore || 5;
+  let candidates = allNews;
+  if (seenStore) {
+    candidates = allNews.filter(news => !seenStore.has(news));
+    logger.info(`排除 ${allNews.length - candidates.length} 條已發送過的新聞`);
 
-  const filtered = allNews
-    .map(news => ({
-      ...news,
-      score: calculateScore(news, rules),
-      city: extractCity(news, rules)
-    }))
-    .filter(news => news.score >= minScore)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 50);
+    if (rejected) {
+      allNews
+        .filter(news => !candidates.includes(news))
+        .forEach(news => rejected.push({ ...news, rejectType: 'alreadySent', rejectReason: '已發送過' }));
+    }
+  }
+
+  const partition = partitionNews(candidates, rules, { now });
+  if (rejected) {
+    rejected.push(...partition.rejected);
+  }
 
-  logger.info(`篩選完成，保留 ${filtered.length} 條相關新聞`);
+  const filtered = clusterStories(partition.accepted, clusterConfig, { maxScore: rules.scoringRules?.maxScore });
+  const merged = filtered.reduce((sum, news) => sum + news.related.length, 0);
+
+  logger.info(`篩選完成，保留 ${filtered.length} 則新聞（合併 ${merged} 則相同事件的報導，未通過 ${partition.rejected.length} 則）`);
   return filtered;
 }
 
-// ==================== Telegram 發送 ====================
-
 /**
- * 生成 Telegram 訊息
+ * 寫入本次執行的篩選報告
+ * @param {Object} result - {total, accepted, rejected}
+ * @param {Object} loggingConfig - 日誌配置（filterReport 為 false 時不寫入）
+ * @param {Object} options - {now: 執行時間, rules: 篩選規則配置（報告中標示規則版本）}
  */
-function generateTelegramMessage(newsArray) {
-  if (!newsArray || newsArray.length === 0) {
-    return `📰 <b>台灣六都市政府秘書處新聞摘要</b>\n📅 ${new Date().toLocaleDateString('zh-TW')}\n\n⚠️ 今日無相關新聞。`;
+function saveFilterReport(result, loggingConfig, { now, rules }) {
+  if (loggingConfig.filterReport === false) return;
+
+  try {
+    const filePath = writeFilterReport(buildFilterReport(result, { now, rules }), loggingConfig.directory, now);
+    logger.info(`篩選報告已保存到 ${filePath}`);
+  } catch (error) {
+    logger.warn(`無法保存篩選報告: ${error.message}`);
   }
+}
 
-  let message = `📰 <b>台灣六都市政府秘書處新聞摘要</b>\n`;
-  message += `📅 ${new Date().toLocaleDateString('zh-TW')}\n`;
-  message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
+// ==================== 通知管道 ====================
 
-  // 按城市分組
-  const grouped = {};
-  newsArray.forEach(item => {
-    if (!grouped[item.city]) grouped[item.city] = [];
-    grouped[item.city].push(item);
+/**
+ * 建立啟用的通知管道與訂閱，缺少必要設定（如環境變數未設定）的管道略過並記錄錯誤
+ * @param {Object} runtimeConfig - resolveRuntimeConfig() 的結果
+ * @param {Object} options - 傳給 createNotifiers() 的其他選項（env、http、sendMail）
+ * @returns {Array} 可用的 Notifier
+ */
+function openNotifiers(runtimeConfig, options = {}) {
+  const notifiers = createNotifiers(runtimeConfig.notifiersConfig, {
+    displayConfig: runtimeConfig.telegramConfig,
+    logger,
+    ...options
   });
 
-  let newsCount = 0;
-  Object.entries(grouped).forEach(([city, items]) => {
-    message += `<b>【${city}】</b> (${items.length} 則)\n`;
-    items.slice(0, 5).forEach((item) => {
-      newsCount++;
-      message += `${newsCount}. <b>${item.title.substring(0, 60)}</b>\n`;
-      message += `   ${item.summary.substring(0, 80)}...\n`;
-      message += `   🔗 <a href="${item.url}">閱讀全文</a>\n`;
-      message += `   📌 ${item.source}\n\n`;
-    });
+  const usable = notifiers.filter(notifier => {
+    const missing = notifier.missingSettings();
+    if (missing.length > 0) {
+      logger.error(`通知管道 ${notifier.name} 缺少必要設定：${missing.join('、')}，本次略過`);
+      return false;
+    }
+    return true;
   });
 
-  message += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
-  message += `共 ${newsArray.length} 則新聞\n`;
-  message += `⏰ ${new Date().toLocaleString('zh-TW')}`;
+  if (usable.length === 0) {
+    throw new Error('沒有可用的通知管道，請檢查 notifiersConfig 與環境變數（如 TELEGRAM_BOT_TOKEN、TELEGRAM_GROUP_ID）');
+  }
 
-  return message;
+  logger.info(`通知管道：${usable.map(notifier => `${notifier.name} (${notifier.type})`).join('、')}`);
+  usable
+    .filter(notifier => notifier.audience)
+    .forEach(notifier => logger.info(`  訂閱 ${notifier.name}：${describeAudience(notifier.audience)}`));
+  return usable;
 }
 
 /**
- * 發送訊息到 Telegram
+ * 將同一份篩選結果發送到每個通知管道與訂閱（訂閱只收到符合條件的新聞），某個管道失敗時繼續發送其他管道
+ * @param {Array} notifiers - openNotifiers() 的結果
+ * @param {Array} newsArray - 篩選後的新聞
+ * @param {Object} options - {now, rules}
+ * @returns {Promise<Array>} 各收件對象的發送報告（Notifier.deliver() 的結果）
  */
-async function sendToTelegram(botToken, chatId, message, retryCount = 0) {
-  try {
-    logger.debug(`正在發送訊息到 Telegram (嘗試 ${retryCount + 1}/3)...`);
-
-    const response = await axios.post(
-      `https://api.telegram.org/bot${botToken}/sendMessage`,
-      {
-        chat_id: chatId,
-        text: message,
-        parse_mode: 'HTML',
-        disable_web_page_preview: false
-      },
-      {
-        timeout: 10000
-      }
-    );
+async function deliverDigest(notifiers, newsArray, options) {
+  const reports = [];
 
-    if (response.data.ok) {
-      logger.info(`✅ 訊息已成功發送到 Telegram (Message ID: ${response.data.result.message_id})`);
-      return true;
-    } else {
-      throw new Error(response.data.description);
+  for (const notifier of notifiers) {
+    let report;
+    try {
+      report = await notifier.deliver(newsArray, options);
+    } catch (error) {
+      report = {
+        name: notifier.name,
+        type: notifier.type,
+        selected: 0,
+        total: 0,
+        sent: [],
+        failed: [{ index: 0, error: error.message }],
+        deliveredItems: [],
+        skipped: false
+      };
     }
+    reports.push(report);
+
+    report.sent
+      .filter(result => result.plainText)
+      .forEach(result => logger.warn(`[${report.name}] 第 ${result.index} 則訊息以純文字發送`));
+    report.failed.forEach(result => logger.error(`[${report.name}] ${result.index > 0 ? `第 ${result.index}/${report.total} 則訊息` : '摘要'}發送失敗: ${result.error}`));
+  }
+
+  logger.info('發送報告：');
+  reports.forEach(report => logger.info(`  ${formatDeliveryReport(report)}`));
+  return reports;
+}
+
+/**
+ * 單一收件對象的發送結果摘要
+ * @param {Object} report - Notifier.deliver() 的結果
+ * @returns {string} 如「台中聯絡組 (telegram)：符合 4 則新聞，已發送 1/1 則訊息」
+ */
+function formatDeliveryReport(report) {
+  const head = `${report.name} (${report.type})：符合 ${report.selected} 則新聞`;
+  if (report.skipped) return `${head}，未發送`;
+
+  const status = `${head}，已發送 ${report.sent.length}/${report.total} 則訊息`;
+  return report.failed.length > 0 ? `${status}，${report.failed.length} 則失敗` : status;
+}
+
+// ==================== 新聞存檔 ====================
+
+/**
+ * 將本次篩選後的新聞存檔（供 Telegram bot 查詢），失敗時只記錄警告
+ * @param {Object} archiveConfig - archiveConfig
+ * @param {Array} newsArray - 篩選後的新聞
+ * @param {Date} now - 執行時間
+ */
+function saveToArchive(archiveConfig, newsArray, now) {
+  if (!archiveConfig.enabled) return;
+
+  try {
+    const archive = new ArticleArchive(archiveConfig).load(now);
+    const added = archive.add(newsArray, now);
+    archive.save();
+    logger.info(`已存檔 ${added} 則新聞：${archiveConfig.path} (共 ${archive.entries.length} 則)`);
   } catch (error) {
-    logger.error(`發送失敗: ${error.message}`);
+    logger.warn(`無法寫入新聞存檔: ${error.message}`);
+  }
+}
 
-    if (retryCount < 2) {
-      const delay = 1000 * Math.pow(2, retryCount);
-      logger.warn(`等待 ${delay}ms 後重試...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return sendToTelegram(botToken, chatId, message, retryCount + 1);
+// ==================== 已發送紀錄 ====================
+
+/**
+ * 開啟已發送新聞紀錄
+ * @param {Object} stateConfig - stateConfig
+ * @returns {SeenStore|null} 紀錄物件，停用或讀取失敗時回傳 null
+ */
+function openSeenStore(stateConfig) {
+  if (!stateConfig.enabled) {
+    logger.info('已發送紀錄未啟用');
+    return null;
+  }
+
+  try {
+    const store = new SeenStore(stateConfig).load();
+    logger.info(`已載入已發送紀錄：${stateConfig.path} (${store.entries.length} 筆)`);
+    return store;
+  } catch (error) {
+    logger.error(`讀取已發送紀錄失敗，本次不排除重複新聞: ${error.message}`);
+    return null;
+  }
+}
+
+// ==================== 命令列參數 ====================
+
+/**
+ * 解析命令列參數
+ * @param {Array} argv - 參數陣列（不含 node 與腳本路徑）
+ * @returns {Object} {dryRun, fixtures, output, format, now, forceResend}
+ */
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      fixtures: { type: 'string' },
+      output: { type: 'string' },
+      format: { type: 'string', default: 'html' },
+      now: { type: 'string' },
+      'force-resend': { type: 'boolean', default: false },
+      'log-dir': { type: 'string' }
     }
+  });
+
+  if (!['html', 'text'].includes(values.format)) {
+    throw new Error(`--format 必須是 html 或 text：${values.format}`);
+  }
+
+  const now = values.now ? new Date(values.now) : new Date();
+  if (isNaN(now.getTime())) {
+    throw new Error(`--now 無法解析：${values.now}`);
+  }
+
+  return {
+    dryRun: values['dry-run'] || Boolean(values.fixtures),
+    fixtures: values.fixtures || null,
+    output: values.output || null,
+    format: values.format,
+    now,
+    forceResend: values['force-resend'] || process.env.FORCE_RESEND === 'true',
+    logDir: values['log-dir'] || null
+  };
+}
 
-    return false;
+/**
+ * 輸出 dry-run 摘要
+ * @param {Array} parts - generateTelegramMessages() 的結果
+ * @param {Object} options - {output, format}
+ */
+function writeDryRunOutput(parts, { output, format }) {
+  const content = parts
+    .map((part, index) => `----- 第 ${index + 1}/${parts.length} 則訊息 -----\n${format === 'text' ? part.text : part.html}`)
+    .join('\n\n') + '\n';
+
+  if (output) {
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    fs.writeFileSync(output, content);
+    logger.info(`摘要已寫入 ${output}`);
+  } else {
+    process.stdout.write(content);
   }
 }
 
@@ -377,59 +754,127 @@ async function sendToTelegram(botToken, chatId, message, retryCount = 0) {
 
 /**
  * 主執行函數
+ * @param {Array} argv - 命令列參數
  */
-async function main() {
+async function main(argv = process.argv.slice(2)) {
   try {
-    logger.info('========== 新聞抓取和發送流程開始 ==========');
+    const options = parseCliArgs(argv);
 
-    // 驗證環境變數
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
-    const chatId = process.env.TELEGRAM_GROUP_ID;
-
-    if (!botToken || !chatId) {
-      throw new Error('缺少必要的環境變數：TELEGRAM_BOT_TOKEN 或 TELEGRAM_GROUP_ID');
+    if (options.dryRun && !options.output) {
+      logger.configure({ stream: 'stderr' });
     }
 
-    logger.info('環境變數驗證完成');
+    logger.info('========== 新聞抓取和發送流程開始 ==========');
 
-    // 步驟 1：載入篩選規則
-    logger.info('正在載入篩選規則...');
-    const rules = DEFAULT_FILTER_RULES;
+    if (options.dryRun) {
+      logger.info(`Dry-run 模式${options.fixtures ? `（fixtures: ${options.fixtures}）` : ''}：不會發送到任何通知管道`);
+    }
+
+    // 步驟 1：載入篩選規則，並確認通知管道的設定（dry-run 不需要）
+    const rules = loadRules(process.env.FILTER_RULES_PATH || DEFAULT_RULES_PATH);
+    const runtimeConfig = resolveRuntimeConfig(rules);
+    const loggingConfig = options.logDir
+      ? { ...runtimeConfig.loggingConfig, directory: options.logDir }
+      : runtimeConfig.loggingConfig;
+    logger.configure(loggingConfig);
+    const notifiers = options.dryRun ? [] : openNotifiers(runtimeConfig);
 
     // 步驟 2：抓取新聞
-    const allNews = await fetchAllNews();
+    const fixtures = options.fixtures ? createFixtureFetcher(options.fixtures) : null;
+    const fetchedNews = await fetchAllNews(runtimeConfig.newsSourcesConfig, { fixtures, detailConfig: runtimeConfig.detailConfig });
 
-    if (allNews.length === 0) {
+    if (fetchedNews.length === 0) {
       logger.warn('未抓取到任何新聞');
     }
 
-    // 步驟 3：篩選新聞
-    const filteredNews = filterNews(allNews, rules);
+    // 已發送過的新聞（fixtures 模式不讀取紀錄以確保結果固定）
+    const seenStore = fixtures ? null : openSeenStore(runtimeConfig.stateConfig);
+    if (options.forceResend) {
+      logger.warn('強制重新發送：本次不排除已發送過的新聞');
+    }
+
+    // 步驟 3：抓取候選新聞的內文頁，以全文重新評分
+    const allNews = await fetchNewsDetails(fetchedNews, rules, runtimeConfig.detailConfig, {
+      sourcesConfig: runtimeConfig.newsSourcesConfig,
+      ...(fixtures && { fetchPage: url => fixtures.fetchPage(url), fixtures }),
+      seenStore: options.forceResend ? null : seenStore
+    });
+
+    // 步驟 4：篩選新聞（排除已發送過的新聞）
+    const rejected = [];
+    const filteredNews = filterNews(allNews, rules, {
+      seenStore: options.forceResend ? null : seenStore,
+      clusterConfig: runtimeConfig.clusterConfig,
+      rejected,
+      now: options.now
+    });
 
-    // 步驟 4：生成訊息
-    const message = generateTelegramMessage(filteredNews);
+    // 步驟 5：生成訊息
+    const parts = generateTelegramMessages(filteredNews, runtimeConfig.telegramConfig, { now: options.now, rules });
+    logger.info(`摘要共 ${parts.length} 則訊息`);
+
+    // 篩選報告：包含因每城市 5 則或 maxArticlesInMessage 而未顯示的新聞
+    const shown = new Set(parts.flatMap(part => part.items));
+    filteredNews
+      .filter(news => !shown.has(news))
+      .forEach(news => rejected.push({ ...news, rejectType: 'digestLimit', rejectReason: '超過摘要顯示上限（每城市 5 則或 maxArticlesInMessage）' }));
+    saveFilterReport(
+      { total: allNews.length, accepted: filteredNews.filter(news => shown.has(news)), rejected },
+      loggingConfig,
+      { now: options.now, rules }
+    );
 
-    // 步驟 5：發送到 Telegram
-    logger.info('正在發送到 Telegram...');
-    const sent = await sendToTelegram(botToken, chatId, message);
+    if (options.dryRun) {
+      writeDryRunOutput(parts, options);
+      logger.info('========== 流程完成 (dry-run) ==========');
+      logger.save();
+      return;
+    }
 
-    if (!sent) {
-      logger.warn('Telegram 發送失敗，但流程繼續');
+    // 步驟 6：發送到每個通知管道
+    const reports = await deliverDigest(notifiers, filteredNews, { now: options.now, rules });
+    if (reports.some(report => report.failed.length > 0)) {
+      logger.warn('部分通知管道未完整發送，但流程繼續');
     }
 
+    // 只記錄至少一個管道實際送達的新聞（含同一事件的其他來源報導）
+    const deliveredItems = new Set(reports.flatMap(report => report.deliveredItems));
+    if (seenStore && deliveredItems.size > 0) {
+      const delivered = [...deliveredItems].flatMap(item => [item, ...(item.related || [])]);
+      seenStore.markDelivered(delivered);
+      seenStore.save();
+      logger.info(`已記錄 ${delivered.length} 條已發送新聞`);
+    }
+
+    saveToArchive(runtimeConfig.archiveConfig, filteredNews, options.now);
+
     logger.info('========== 流程完成 ==========');
     logger.save();
-
-    process.exit(0);
   } catch (error) {
     logger.error(`流程出錯: ${error.message}`);
     logger.save();
-    process.exit(1);
+    process.exitCode = 1;
   }
 }
 
-// 執行主函數
-main().catch(error => {
-  console.error('未捕獲的錯誤:', error);
-  process.exit(1);
-});
+// 直接執行時才啟動主函數，被 import 時（如測試）只匯出函數
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('未捕獲的錯誤:', error);
+    process.exit(1);
+  });
+}
+
+export {
+  DEFAULT_RUNTIME_CONFIG,
+  Logger,
+  resolveRuntimeConfig,
+  fetchFromSource,
+  fetchAllNews,
+  fetchNewsDetails,
+  filterNews,
+  openNotifiers,
+  deliverDigest,
+  parseCliArgs,
+  main
+};
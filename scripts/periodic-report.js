@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * 週報與月報（內容見 lib/periodic-report.js）
+ * 由每日排程寫入的新聞存檔統計上一個完整的週或月，與前一期比較後發送到 reportConfig.notifiers 指定的 Telegram 管道，
+ * 並可匯出為 CSV、JSON；存檔最早的紀錄晚於本期或前期開始時（如 Actions 快取過期後重新累積），在報告與日誌中提醒統計不完整
+ *
+ * 使用方法：
+ *   node scripts/periodic-report.js --period weekly
+ *   node scripts/periodic-report.js --period monthly --export csv,json [--output-dir reports]
+ *   node scripts/periodic-report.js --period weekly --dry-run [--now 2026-10-19T08:30:00+08:00]
+ *
+ * 參數：
+ *   --period <type>      weekly（上週一至週日）或 monthly（上個月）
+ *   --dry-run            不發送，將 Telegram 訊息輸出到 stdout
+ *   --export <formats>   匯出格式，以逗號分隔：csv、json（預設 reportConfig.exportFormats）
+ *   --output-dir <dir>   匯出目錄（預設 reportConfig.exportDir）
+ *   --now <time>         報告時間（預設為目前時間）
+ *
+ * 環境變數：
+ *   TELEGRAM_BOT_TOKEN、TELEGRAM_GROUP_ID 等 - reportConfig.notifiers 所列管道的設定（與每日摘要相同）
+ *   FILTER_RULES_PATH - 篩選規則檔案路徑（選用，預設 config/filter-rules.json）
+ *
+ * 結束代碼：0 成功、1 發生錯誤或所有管道都發送失敗
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadFilterRules } from '../filter-rules-loader.js';
+import { termLabel } from '../lib/rule-engine.js';
+import { ArticleArchive } from '../lib/article-archive.js';
+import { PERIOD_TYPES, buildPeriodicReport, describeArchiveCoverage, formatReportMessages, exportReport } from '../lib/periodic-report.js';
+import { createNotifier } from '../lib/notifiers.js';
+import { expandSubscriptions } from '../lib/subscriptions.js';
+import { resolveRuntimeConfig } from './fetch-news.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'filter-rules.json');
+
+const SILENT_LOGGER = { info() {}, warn() {}, error() {} };
+
+const consoleLogger = Object.fromEntries(['info', 'warn', 'error'].map(level => [
+  level,
+  message => (level === 'info' ? console.log : console.error)(`[${new Date().toLocaleString('zh-TW')}] ${message}`)
+]));
+
+/**
+ * 解析命令列參數
+ * @param {Array} argv - 參數陣列（不含 node 與腳本路徑）
+ * @returns {Object} {period, dryRun, exportFormats, outputDir, now}
+ */
+function parseReportArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      period: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      export: { type: 'string' },
+      'output-dir': { type: 'string' },
+      now: { type: 'string' }
+    }
+  });
+
+  if (!PERIOD_TYPES[values.period]) {
+    throw new Error(`--period 必須是 ${Object.keys(PERIOD_TYPES).join(' 或 ')}：${values.period ?? '未指定'}`);
+  }
+
+  const now = values.now ? new Date(values.now) : new Date();
+  if (isNaN(now.getTime())) {
+    throw new Error(`--now 無法解析：${values.now}`);
+  }
+
+  return {
+    period: values.period,
+    dryRun: values['dry-run'],
+    exportFormats: values.export === undefined ? null : values.export.split(',').map(format => format.trim()).filter(Boolean),
+    outputDir: values['output-dir'] || null,
+    now
+  };
+}
+
+/**
+ * 建立發送報告的 Telegram 管道（沿用 notifiersConfig 中啟用的管道或訂閱，不套用訂閱的收件條件）
+ * @param {Object} runtimeConfig - resolveRuntimeConfig() 的結果
+ * @param {Object} options - {env, logger, http}
+ * @returns {Array} Notifier 陣列
+ */
+function openReportNotifiers(runtimeConfig, { env, logger, http }) {
+  const available = expandSubscriptions(runtimeConfig.notifiersConfig);
+
+  const notifiers = runtimeConfig.reportConfig.notifiers.map(name => {
+    const config = available.find(candidate => candidate.name === name);
+    if (!config) {
+      throw new Error(`reportConfig.notifiers 中的 ${name} 不存在或未啟用`);
+    }
+    if (config.type !== 'telegram') {
+      throw new Error(`週報與月報只能發送到 Telegram 管道：${name} (${config.type})`);
+    }
+    const { audience, ...settings } = config;
+    return createNotifier(settings, { displayConfig: runtimeConfig.telegramConfig, env, logger, ...(http && { http }) });
+  });
+
+  const usable = notifiers.filter(notifier => {
+    const missing = notifier.missingSettings();
+    if (missing.length > 0) {
+      logger.error(`通知管道 ${notifier.name} 缺少必要設定：${missing.join('、')}，本次略過`);
+      return false;
+    }
+    return true;
+  });
+
+  if (usable.length === 0) {
+    throw new Error('沒有可用的通知管道，請檢查 reportConfig.notifiers 與環境變數（如 TELEGRAM_BOT_TOKEN、TELEGRAM_GROUP_ID）');
+  }
+  return usable;
+}
+
+/**
+ * 產生、匯出並發送週報或月報
+ * @param {Object} options - parseReportArgs() 的結果，加上 {rulesPath, env, logger, http, print}
+ * @returns {Promise<Object>} {report, parts, exported: 匯出的檔案, deliveries: [{name, total, sent, failed}]}
+ */
+async function runPeriodicReport({
+  period,
+  now = new Date(),
+  dryRun = false,
+  exportFormats = null,
+  outputDir = null,
+  rulesPath = process.env.FILTER_RULES_PATH || DEFAULT_RULES_PATH,
+  env = process.env,
+  logger = SILENT_LOGGER,
+  http,
+  print = console.log
+}) {
+  const rules = loadFilterRules(rulesPath, { logger: SILENT_LOGGER });
+  const runtimeConfig = resolveRuntimeConfig(rules);
+  const { reportConfig } = runtimeConfig;
+
+  // 先確認管道設定，避免統計完才發現無法發送
+  const notifiers = dryRun ? [] : openReportNotifiers(runtimeConfig, { env, logger, http });
+
+  const archive = new ArticleArchive(runtimeConfig.archiveConfig).load(now);
+  const report = buildPeriodicReport(archive.entries, {
+    type: period,
+    now,
+    cities: (rules.filterRules?.cities?.values || []).map(termLabel),
+    topKeywords: reportConfig.topKeywords,
+    topStories: reportConfig.topStories
+  });
+  logger.info(`${report.label} ${report.period.label}：${report.total} 則新聞（${report.previousLabel} ${report.previousTotal} 則）`);
+  const coverage = describeArchiveCoverage(report);
+  if (coverage) {
+    logger.warn(coverage);
+  }
+
+  const formats = exportFormats ?? reportConfig.exportFormats;
+  const exported = formats.length > 0 ? exportReport(report, outputDir || reportConfig.exportDir, formats) : [];
+  exported.forEach(file => logger.info(`已匯出 ${file}`));
+
+  const parts = formatReportMessages(report, { now, rules });
+  if (dryRun) {
+    parts.forEach((part, index) => print(`----- 第 ${index + 1}/${parts.length} 則訊息 -----\n${part.html}\n`));
+  }
+
+  const deliveries = [];
+  for (const notifier of notifiers) {
+    const result = await notifier.sendParts(parts);
+    result.failed.forEach(failure => logger.error(`[${notifier.name}] 第 ${failure.index}/${result.total} 則訊息發送失敗: ${failure.error}`));
+    logger.info(`[${notifier.name}] 已發送 ${result.sent.length}/${result.total} 則訊息`);
+    deliveries.push({ name: notifier.name, total: result.total, sent: result.sent, failed: result.failed });
+  }
+
+  return { report, parts, exported, deliveries };
+}
+
+async function main() {
+  const options = parseReportArgs(process.argv.slice(2));
+  const { deliveries } = await runPeriodicReport({ ...options, logger: consoleLogger });
+  if (deliveries.length > 0 && deliveries.every(delivery => delivery.sent.length === 0)) {
+    process.exitCode = 1;
+  }
+}
+
+// 直接執行時才啟動，被 import 時（如測試）只匯出函數
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    consoleLogger.error(`產生報告失敗: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+export {
+  parseReportArgs,
+  runPeriodicReport
+};
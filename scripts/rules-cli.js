@@ -0,0 +1,467 @@
+#!/usr/bin/env node
+
+/**
+ * 篩選規則維護工具
+ * 讓不熟悉 JSON 的同仁也能安全地維護關鍵字清單：每次修改都會先驗證，
+ * 再以「寫入暫存檔後改名」的方式更新規則檔，並遞增 version、更新 lastUpdated
+ *
+ * 使用方法：
+ *   npm run rules -- list
+ *   npm run rules -- add-keyword <關鍵字...> [--weight 8]
+ *   npm run rules -- remove-keyword <關鍵字...>
+ *   npm run rules -- add-exclude <排除詞...> [--weight -20]
+ *   npm run rules -- remove-exclude <排除詞...>
+ *   npm run rules -- add-city <城市...>
+ *   npm run rules -- set-weight <詞條或分類> <權重>
+ *   npm run rules -- set-weight --group keywords <權重>
+ *   npm run rules -- validate
+ *   npm run rules -- test "<新聞標題>" [--summary "<摘要>"]
+ *   npm run rules -- history
+ *   npm run rules -- diff <版本> [<版本>]
+ *   npm run rules -- rollback <版本>
+ *   npm run rules -- feedback [--days 30] [--min-votes 3]
+ *
+ * 參數：
+ *   --file <path>      規則檔路徑（預設 FILTER_RULES_PATH 或 config/filter-rules.json）
+ *   --weight <n>       新增詞條時的個別權重（排除詞的權重大於 -100 時為扣分而非完全排除）
+ *   --group <name>     set-weight 改為設定整個群組（cities、keywords、excludeKeywords）的權重
+ *   --summary <text>   test 時一併評分的摘要
+ *   --author <name>    修改者（預設 RULES_AUTHOR、GIT_AUTHOR_NAME 或系統使用者）
+ *   --message, -m      修改說明（預設為執行的指令），記錄在 config/rule-history/ 的快照中
+ *   --days <n>         feedback 分析近幾天的新聞（預設 30）
+ *   --min-votes <n>    feedback 至少幾則有評價的新聞才提出建議（預設 3）
+ *   --archive <path>   feedback 讀取的新聞存檔（預設為規則檔 archiveConfig.path 與 votesPath 的投票檔）
+ *
+ * 每次修改都會在規則檔旁的 rule-history/ 留下快照；diff 未指定第二個版本時與目前的規則檔比較，
+ * rollback 會以指定版本的內容產生一個新版本（不會刪除之後的紀錄）；
+ * 開始記錄前的規則與手動修改是補記的快照，history 會標示來源不明
+ * feedback 依讀者在 Telegram 摘要按下的 👍／👎 列出規則調整建議與對應指令，不會修改規則檔
+ *
+ * 結束代碼：0 成功、1 規則驗證失敗或規則沒有變更（詞條已存在、找不到詞條）、2 參數錯誤
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import {
+  RuleHistory,
+  historyDirFor,
+  resolveAuthor,
+  describeRulesVersion,
+  normalizeVersion,
+  diffRules,
+  formatDiff,
+  UNKNOWN_ORIGIN
+} from '../lib/rule-history.js';
+import {
+  validateRules,
+  printRules,
+  testRules,
+  updateRules,
+  addCity,
+  addKeyword,
+  removeKeyword,
+  addExcludeKeyword,
+  removeExcludeKeyword,
+  setTermWeight,
+  setGroupWeight
+} from '../filter-rules-loader.js';
+import { ArticleArchive, taipeiDate } from '../lib/article-archive.js';
+import { DEFAULT_FEEDBACK_OPTIONS, analyzeFeedback, formatFeedbackReport } from '../lib/feedback-report.js';
+import { resolveRuntimeConfig } from './fetch-news.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'filter-rules.json');
+
+const DEFAULT_FEEDBACK_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 需要帶值的參數
+const VALUE_OPTIONS = ['--file', '--weight', '--group', '--summary', '--author', '--message', '-m', '--days', '--min-votes', '--archive'];
+
+const USAGE = `用法：npm run rules -- <指令> [參數]
+
+指令：
+  list                                   列出目前的規則
+  add-keyword <關鍵字...> [--weight n]   新增關鍵字
+  remove-keyword <關鍵字...>             移除關鍵字
+  add-exclude <排除詞...> [--weight n]   新增排除詞
+  remove-exclude <排除詞...>             移除排除詞
+  add-city <城市...>                     新增城市
+  set-weight <詞條或分類> <權重>         設定詞條或分類的權重
+  set-weight --group <群組> <權重>       設定群組權重（cities、keywords、excludeKeywords）
+  validate                               驗證規則檔
+  test "<新聞標題>" [--summary 摘要]     測試一則新聞的評分
+  history                                列出規則變更紀錄
+  diff <版本> [<版本>]                   比較兩個版本（未指定第二個版本時與目前規則比較）
+  rollback <版本>                        回復到指定版本（產生新版本）
+  feedback [--days n] [--min-votes n]    依讀者回饋列出規則調整建議（不會修改規則）
+
+共用參數：
+  --file <path>                          規則檔路徑
+  --author <name>                        修改者
+  --message, -m <text>                   修改說明`;
+
+class UsageError extends Error {}
+
+// ==================== 命令列參數 ====================
+
+/**
+ * 將參數整理為「選項在前、位置參數在後（以 -- 分隔）」
+ * 讓 -20 這類負數權重與以 - 開頭的標題不會被當成選項
+ * @param {Array} argv - 參數陣列
+ * @returns {Array} 整理後的參數陣列
+ */
+function separatePositionals(argv) {
+  const options = [];
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (VALUE_OPTIONS.includes(arg) && i + 1 < argv.length) {
+      options.push(`${arg === '-m' ? '--message' : arg}=${argv[++i]}`);
+    } else if (arg.startsWith('--')) {
+      options.push(arg);
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return [...options, '--', ...positionals];
+}
+
+/**
+ * 解析命令列參數
+ * @param {Array} argv - 參數陣列（不含 node 與腳本路徑）
+ * @returns {Object} {command, args, file, weight, group, summary, author, message, days, minVotes, archive, help}
+ */
+function parseRulesArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: separatePositionals(argv),
+      allowPositionals: true,
+      options: {
+        file: { type: 'string' },
+        weight: { type: 'string' },
+        group: { type: 'string' },
+        summary: { type: 'string' },
+        author: { type: 'string' },
+        message: { type: 'string' },
+        days: { type: 'string' },
+        'min-votes': { type: 'string' },
+        archive: { type: 'string' },
+        help: { type: 'boolean', default: false }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command = null, ...args] = positionals;
+
+  return {
+    command,
+    args,
+    file: values.file || process.env.FILTER_RULES_PATH || DEFAULT_RULES_PATH,
+    weight: values.weight === undefined ? undefined : parseWeight(values.weight),
+    group: values.group || null,
+    summary: values.summary || '',
+    author: resolveAuthor(values.author),
+    message: values.message || null,
+    days: values.days === undefined ? DEFAULT_FEEDBACK_DAYS : parseCount(values.days, '--days'),
+    minVotes: values['min-votes'] === undefined ? DEFAULT_FEEDBACK_OPTIONS.minVotes : parseCount(values['min-votes'], '--min-votes'),
+    archive: values.archive || null,
+    help: values.help
+  };
+}
+
+/**
+ * 解析權重
+ * @param {string} value - 權重文字
+ * @returns {number} 權重
+ */
+function parseWeight(value) {
+  const weight = Number(value);
+  if (value === '' || !Number.isFinite(weight)) {
+    throw new UsageError(`權重必須是數字：${value}`);
+  }
+  return weight;
+}
+
+/**
+ * 解析正整數參數
+ * @param {string} value - 參數文字
+ * @param {string} name - 參數名稱
+ * @returns {number} 數值
+ */
+function parseCount(value, name) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new UsageError(`${name} 必須是正整數：${value}`);
+  }
+  return count;
+}
+
+/**
+ * 讀取規則檔
+ * 與 loadFilterRules() 不同，找不到或無法解析時直接報錯，不改用內建規則，避免覆寫掉原本的檔案
+ * @param {string} filePath - 規則檔路徑
+ * @returns {Object} 規則配置
+ */
+function readRulesFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`找不到規則檔：${filePath}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`規則檔不是有效的 JSON：${error.message}`);
+  }
+}
+
+/**
+ * 確認位置參數數量
+ * @param {Array} args - 位置參數
+ * @param {number} min - 最少數量
+ * @param {string} usage - 指令用法
+ */
+function requireArgs(args, min, usage) {
+  if (args.length < min) {
+    throw new UsageError(`參數不足，用法：${usage}`);
+  }
+}
+
+// ==================== 指令 ====================
+
+/**
+ * 寫回規則檔並記錄快照
+ * @param {Object} rules - 規則配置
+ * @param {Object} options - parseRulesArgs() 的結果
+ * @param {string} message - 修改說明（預設為 --message，未提供時為執行的指令）
+ * @returns {number} 結束代碼
+ */
+function saveRules(rules, options, message = options.message || [options.command, ...options.args].join(' ')) {
+  return updateRules(rules, options.file, { author: options.author, message }) ? 0 : 1;
+}
+
+/**
+ * 對每個詞條執行修改，有任何變更時寫回規則檔
+ * @param {Object} rules - 規則配置
+ * @param {Object} options - parseRulesArgs() 的結果
+ * @param {Array} terms - 詞條
+ * @param {Function} modify - (rules, term) => 是否有變更
+ * @returns {number} 結束代碼（沒有任何變更時為 1）
+ */
+function modifyTerms(rules, options, terms, modify) {
+  const changed = terms.map(term => modify(rules, term)).filter(Boolean).length;
+  if (changed === 0) {
+    console.log('ℹ️ 規則沒有變更');
+    return 1;
+  }
+  return saveRules(rules, options);
+}
+
+/**
+ * 取得指定版本的規則（current 或目前規則檔的版本即為規則檔本身）
+ * @param {RuleHistory} history - 變更紀錄
+ * @param {string} version - 版本
+ * @param {Object} current - 目前的規則
+ * @returns {Object} 規則配置
+ */
+function rulesAt(history, version, current) {
+  if (version === 'current') return current;
+
+  const snapshot = history.get(version);
+  if (snapshot) return snapshot.rules;
+  if (current.version === normalizeVersion(version)) return current;
+  throw new Error(`變更紀錄中找不到版本 ${version}（可用 history 指令查看）`);
+}
+
+const COMMANDS = {
+  list(options, rules) {
+    console.log(`規則檔：${options.file}`);
+    console.log(`版本：${rules.version || '未設定'}（最後更新：${rules.lastUpdated || '未知'}）`);
+    printRules(rules);
+    return 0;
+  },
+
+  'add-keyword'(options, rules) {
+    requireArgs(options.args, 1, 'add-keyword <關鍵字...> [--weight n]');
+    return modifyTerms(rules, options, options.args, (r, term) => addKeyword(r, term, options.weight));
+  },
+
+  'remove-keyword'(options, rules) {
+    requireArgs(options.args, 1, 'remove-keyword <關鍵字...>');
+    return modifyTerms(rules, options, options.args, removeKeyword);
+  },
+
+  'add-exclude'(options, rules) {
+    requireArgs(options.args, 1, 'add-exclude <排除詞...> [--weight n]');
+    return modifyTerms(rules, options, options.args, (r, term) => addExcludeKeyword(r, term, options.weight));
+  },
+
+  'remove-exclude'(options, rules) {
+    requireArgs(options.args, 1, 'remove-exclude <排除詞...>');
+    return modifyTerms(rules, options, options.args, removeExcludeKeyword);
+  },
+
+  'add-city'(options, rules) {
+    requireArgs(options.args, 1, 'add-city <城市...>');
+    return modifyTerms(rules, options, options.args, addCity);
+  },
+
+  'set-weight'(options, rules) {
+    if (options.group) {
+      requireArgs(options.args, 1, 'set-weight --group <群組> <權重>');
+      const weight = parseWeight(options.args[0]);
+      return modifyTerms(rules, options, [options.group], (r, group) => setGroupWeight(r, group, weight));
+    }
+
+    requireArgs(options.args, 2, 'set-weight <詞條或分類> <權重>');
+    const weight = parseWeight(options.args[1]);
+    return modifyTerms(rules, options, [options.args[0]], (r, term) => setTermWeight(r, term, weight) !== null);
+  },
+
+  validate(options, rules) {
+    const validation = validateRules(rules);
+    if (!validation.valid) {
+      console.error(`❌ 規則驗證失敗（${validation.errors.length} 項）：`);
+      validation.errors.forEach(error => console.error(`   - ${error}`));
+      return 1;
+    }
+    console.log(`✅ 規則驗證通過：${options.file}（版本: ${rules.version || '未設定'}）`);
+    return 0;
+  },
+
+  test(options, rules) {
+    requireArgs(options.args, 1, 'test "<新聞標題>" [--summary 摘要]');
+    testRules([{ title: options.args.join(' '), summary: options.summary, source: 'rules-cli' }], rules);
+    return 0;
+  },
+
+  history(options, rules) {
+    const snapshots = new RuleHistory({ dir: historyDirFor(options.file) }).list();
+    if (snapshots.length === 0) {
+      console.log('ℹ️ 尚無變更紀錄（第一次透過此工具修改規則時開始記錄）');
+      return 0;
+    }
+
+    console.log(`目前使用：${describeRulesVersion(rules)}\n`);
+    snapshots.forEach(snapshot => {
+      const active = snapshot.version === rules.version ? '★' : ' ';
+      const origin = snapshot.origin === UNKNOWN_ORIGIN ? '（來源不明，補記時間）' : '';
+      console.log(`${active} v${snapshot.version}  ${snapshot.timestamp}  ${snapshot.author}  ${snapshot.message}${origin}`);
+    });
+    return 0;
+  },
+
+  diff(options, rules) {
+    requireArgs(options.args, 1, 'diff <版本> [<版本>]');
+    const history = new RuleHistory({ dir: historyDirFor(options.file) });
+    const [from, to = 'current'] = options.args;
+    const changes = diffRules(rulesAt(history, from, rules), rulesAt(history, to, rules));
+
+    const label = version => (version === 'current' ? `目前規則（v${rules.version}）` : `v${normalizeVersion(version)}`);
+    console.log(`${label(from)} → ${label(to)}`);
+    if (changes.length === 0) {
+      console.log('（沒有差異）');
+    } else {
+      formatDiff(changes).forEach(line => console.log(line));
+    }
+    return 0;
+  },
+
+  rollback(options, rules) {
+    requireArgs(options.args, 1, 'rollback <版本>');
+    const target = normalizeVersion(options.args[0]);
+    const snapshot = new RuleHistory({ dir: historyDirFor(options.file) }).get(target);
+    if (!snapshot) {
+      throw new Error(`變更紀錄中找不到版本 ${target}（可用 history 指令查看）`);
+    }
+
+    const changes = diffRules(rules, snapshot.rules);
+    if (changes.length === 0) {
+      console.log(`ℹ️ 目前的規則與 v${target} 相同，不需回復`);
+      return 1;
+    }
+
+    if (snapshot.origin === UNKNOWN_ORIGIN) {
+      console.log(`⚠️ v${target} 是 ${snapshot.timestamp} 補記的規則檔，可能與當初發布的 v${target} 不同`);
+    }
+    console.log(`回復到 v${target}（${snapshot.author}：${snapshot.message}），變更如下：`);
+    formatDiff(changes).forEach(line => console.log(`  ${line}`));
+
+    // 以新版本號寫回，保留之後的紀錄以便再次回復
+    const restored = { ...snapshot.rules, version: rules.version };
+    return saveRules(restored, options, `回復至 v${target}${options.message ? `：${options.message}` : ''}`);
+  },
+
+  feedback(options, rules) {
+    // 指定 --archive 時只讀取該檔案，否則一併讀取 bot 另存的投票檔（archiveConfig.votesPath）
+    const { archiveConfig } = resolveRuntimeConfig(rules);
+    const source = options.archive ? { path: options.archive } : { path: archiveConfig.path, votesPath: archiveConfig.votesPath };
+    if (!fs.existsSync(source.path)) {
+      throw new Error(`找不到新聞存檔：${source.path}（每日排程開啟 archiveConfig 後才會記錄）`);
+    }
+
+    // 不移除過期紀錄，只讀取分析期間內的新聞
+    const now = new Date();
+    const from = new Date(now.getTime() - options.days * DAY_MS);
+    const archive = new ArticleArchive(source).load(now);
+    const report = analyzeFeedback(archive.query({ from }), rules, { minVotes: options.minVotes });
+
+    const period = `近 ${options.days} 天（${taipeiDate(from)} 起），每項建議至少 ${options.minVotes} 則新聞`;
+    formatFeedbackReport(report, { period }).forEach(line => console.log(line));
+    return 0;
+  }
+};
+
+// ==================== 主函數 ====================
+
+/**
+ * 執行規則維護指令
+ * @param {Array} argv - 命令列參數
+ * @returns {number} 結束代碼
+ */
+function runCli(argv = process.argv.slice(2)) {
+  try {
+    const options = parseRulesArgs(argv);
+
+    if (options.help || !options.command) {
+      console.log(USAGE);
+      return options.help ? 0 : 2;
+    }
+
+    const command = COMMANDS[options.command];
+    if (!command) {
+      throw new UsageError(`未知的指令：${options.command}`);
+    }
+
+    return command(options, readRulesFile(options.file));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (error instanceof UsageError) {
+      console.error(`\n${USAGE}`);
+      return 2;
+    }
+    return 1;
+  }
+}
+
+// 直接執行時才啟動，被 import 時（如測試）只匯出函數
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = runCli();
+}
+
+export {
+  parseRulesArgs,
+  readRulesFile,
+  runCli
+};
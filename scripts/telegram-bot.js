@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Telegram 互動 bot：以 long polling 回覆 /today、/city、/search、/category、/rules 等指令
+ * 查詢的是每日排程（scripts/fetch-news.js）寫入的新聞存檔，需與排程共用 archiveConfig.path：
+ *   - GitHub Actions：每日排程的存檔只保存在 Actions 快取（seen-articles-*），
+ *     由 .github/workflows/telegram-bot.yml 定時還原同一份快取後執行 bot --duration 分鐘，
+ *     在 repository variables 設定 RUN_TELEGRAM_BOT=true 後啟用；白天每 2 小時執行一次，指令最多延遲到下一次排程才回覆
+ *     （Actions 用量見 README.md）
+ *   - 自行架設：與每日排程在同一台主機執行，兩者的 archiveConfig.path 指向同一個檔案
+ *
+ * 使用方法：
+ *   npm run bot
+ *   node scripts/telegram-bot.js [--duration 14]
+ *
+ * 參數：
+ *   --duration <分鐘>  執行指定的分鐘數後停止（排程執行用，未指定時持續執行）
+ *
+ * 環境變數：
+ *   TELEGRAM_BOT_TOKEN - Telegram Bot Token
+ *   TELEGRAM_GROUP_ID 與訂閱的 chatIdEnv - 只回覆摘要發送到的聊天室（notifiersConfig 中啟用的 telegram 管道與訂閱），
+ *                       botConfig.allowedChatIdsEnv 可再指定其他聊天室（多個以逗號分隔）；都未設定時回覆所有聊天室
+ *   FILTER_RULES_PATH - 篩選規則檔案路徑（選用，預設 config/filter-rules.json）
+ *
+ * 篩選規則檔的 botConfig：pollTimeout（long polling 秒數）、searchDays（/city、/search、/category 查詢的天數）、
+ * maxResults（每次最多列出幾則）、apiBaseUrl、allowedChatIdsEnv
+ *
+ * 讀者的 👍／👎 寫入 archiveConfig.votesPath 的投票檔（不改寫每日排程的存檔），
+ * 每日排程、週報月報與 npm run rules -- feedback 讀取存檔時一併讀取；GitHub Actions 上以 article-votes-* 快取保存
+ *
+ * 按 Ctrl+C（SIGINT）、收到 SIGTERM 或到達 --duration 時停止
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { loadFilterRules } from '../filter-rules-loader.js';
+import { ArticleArchive } from '../lib/article-archive.js';
+import { TelegramBot } from '../lib/telegram-bot.js';
+import { expandSubscriptions } from '../lib/subscriptions.js';
+import { resolveRuntimeConfig } from './fetch-news.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'filter-rules.json');
+
+const SILENT_LOGGER = { info() {}, warn() {}, error() {} };
+
+// bot 長時間執行，日誌只輸出到終端機（由 systemd、pm2 等服務管理工具保存）
+const logger = Object.fromEntries(['info', 'warn', 'error'].map(level => [
+  level,
+  message => (level === 'info' ? console.log : console.error)(`[${new Date().toLocaleString('zh-TW')}] ${message}`)
+]));
+
+/**
+ * 解析命令列參數
+ * @param {Array} argv - 參數陣列（不含 node 與腳本路徑）
+ * @returns {Object} {duration: 執行的毫秒數（null 表示持續執行）}
+ */
+function parseBotArgs(argv) {
+  const { values } = parseArgs({ args: argv, options: { duration: { type: 'string' } } });
+  if (values.duration === undefined) return { duration: null };
+
+  const minutes = Number(values.duration);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error(`--duration 必須是正數（分鐘）：${values.duration}`);
+  }
+  return { duration: minutes * 60 * 1000 };
+}
+
+/**
+ * 取得 bot 回覆的聊天室：摘要發送到的 Telegram 聊天室（啟用的 telegram 管道與訂閱），加上 allowedChatIdsEnv 指定的聊天室
+ * @param {Object} notifiersConfig - notifiersConfig（已合併預設值）
+ * @param {Object} botConfig - botConfig
+ * @param {Object} env - 環境變數
+ * @returns {Array} 聊天室 id
+ */
+function resolveAllowedChatIds(notifiersConfig, botConfig, env) {
+  const digestChats = expandSubscriptions(notifiersConfig)
+    .filter(config => config.type === 'telegram')
+    .map(config => config.chatId ?? (config.chatIdEnv ? env[config.chatIdEnv] : undefined));
+
+  const allowedChatIdsEnv = botConfig.allowedChatIdsEnv;
+  const extraChats = allowedChatIdsEnv ? (env[allowedChatIdsEnv] || '').split(',') : [];
+
+  return [...new Set([...digestChats, ...extraChats].map(id => String(id ?? '').trim()).filter(Boolean))];
+}
+
+/**
+ * 依規則檔與環境變數建立 bot
+ * @param {Object} options - {rulesPath, env, http}
+ * @returns {TelegramBot}
+ */
+function createBot({ rulesPath = process.env.FILTER_RULES_PATH || DEFAULT_RULES_PATH, env = process.env, http } = {}) {
+  const token = env.TELEGRAM_BOT_TOKEN;
+  if (!token) {
+    throw new Error('缺少環境變數 TELEGRAM_BOT_TOKEN');
+  }
+
+  const loadRules = () => loadFilterRules(rulesPath, { logger: SILENT_LOGGER });
+  const rules = loadRules();
+  const { archiveConfig, notifiersConfig } = resolveRuntimeConfig(rules);
+  const botConfig = rules.botConfig || {};
+
+  const allowedChatIds = resolveAllowedChatIds(notifiersConfig, botConfig, env);
+  if (allowedChatIds.length === 0) {
+    logger.warn('未設定摘要發送的 Telegram 聊天室（TELEGRAM_GROUP_ID 等），bot 會回覆所有聊天室的指令');
+  }
+
+  return new TelegramBot({
+    token,
+    apiBaseUrl: botConfig.apiBaseUrl,
+    archive: new ArticleArchive(archiveConfig),
+    loadRules,
+    botConfig,
+    allowedChatIds: allowedChatIds.length > 0 ? allowedChatIds : null,
+    logger,
+    ...(http && { http })
+  });
+}
+
+async function main() {
+  const { duration } = parseBotArgs(process.argv.slice(2));
+  const bot = createBot();
+  const controller = new AbortController();
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+    logger.info(`收到 ${signal}，停止接收更新...`);
+    controller.abort();
+  }));
+
+  const timer = duration && setTimeout(() => {
+    logger.info(`已執行 ${duration / 60000} 分鐘，停止接收更新...`);
+    controller.abort();
+  }, duration);
+
+  try {
+    await bot.run({ signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 直接執行時才啟動，被 import 時（如測試）只匯出函數
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    logger.error(`Bot 出錯: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+export {
+  parseBotArgs,
+  resolveAllowedChatIds,
+  createBot
+};
@@ -0,0 +1,190 @@
+/**
+ * 新聞存檔測試
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ArticleArchive, articleId, countVotes, taipeiDate, startOfTaipeiDay } from '../lib/article-archive.js';
+
+let dir;
+let config;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-'));
+  config = { path: path.join(dir, 'archive.json'), retentionDays: 30 };
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const news = [
+  {
+    title: '高雄市政府與日本城市簽署友好協議',
+    summary: '秘書處表示將推動國際交流。',
+    url: 'https://example.com/a?utm_source=x',
+    source: '中央社',
+    city: '高雄',
+    category: '國際交流',
+    categories: ['國際交流', '市政新聞'],
+    score: 30,
+    publishedAt: '2026-10-18T10:00:00+08:00',
+    scoreBreakdown: {
+      matches: { cities: [{ label: '高雄', field: 'title', count: 1, points: 10 }], keywords: [{ label: '秘書處', points: 8 }, { label: '簽署', points: 5 }] },
+      categories: [{ label: '國際交流', keywords: ['簽署', '友好'], evidence: 2, points: 2 }],
+      exclusions: [{ label: '八卦', field: 'summary', points: -20, veto: false }],
+      penalty: -20
+    },
+    related: [{ title: '高雄日本締盟', url: 'https://other.example/b', source: '聯合新聞網', score: 10 }]
+  },
+  {
+    title: '臺北市政府舉辦公文線上簽核說明會',
+    summary: '',
+    url: 'https://example.com/c',
+    source: '台北市政府',
+    city: '台北',
+    category: '秘書處業務',
+    score: 20,
+    publishedAt: null
+  }
+];
+
+test('taipeiDate 以台北時間計算日期', () => {
+  assert.equal(taipeiDate(new Date('2026-10-18T16:30:00Z')), '2026-10-19');
+  assert.equal(startOfTaipeiDay(new Date('2026-10-19T03:00:00Z')).toISOString(), '2026-10-18T16:00:00.000Z');
+});
+
+describe('ArticleArchive', () => {
+  test('存檔後重新讀取', () => {
+    const now = new Date('2026-10-19T00:00:00Z');
+    const archive = new ArticleArchive(config).load(now);
+    assert.equal(archive.add(news, now), 2);
+    archive.save();
+
+    const loaded = new ArticleArchive(config).load(now);
+    const [first, second] = loaded.entries;
+    assert.equal(first.key, 'https://example.com/a');
+    assert.deepEqual(first.keywords, ['秘書處', '簽署']);
+    assert.deepEqual(first.related, [{ title: '高雄日本締盟', url: 'https://other.example/b', source: '聯合新聞網' }]);
+    assert.deepEqual(second.categories, ['秘書處業務']);
+    assert.equal(second.archivedAt, '2026-10-19T00:00:00.000Z');
+  });
+
+  test('存檔紀錄包含短 id 與精簡的評分明細', () => {
+    const archive = new ArticleArchive(config);
+    archive.add(news, new Date('2026-10-19T00:00:00Z'));
+    const [first, second] = archive.entries;
+
+    assert.match(first.id, /^[0-9a-f]{12}$/);
+    assert.equal(first.id, articleId({ url: 'https://www.example.com/a' }));
+    assert.deepEqual(first.scoreBreakdown, {
+      matches: { cities: [{ label: '高雄', points: 10 }], keywords: [{ label: '秘書處', points: 8 }, { label: '簽署', points: 5 }] },
+      categories: [{ label: '國際交流', points: 2 }],
+      exclusions: [{ label: '八卦', points: -20 }]
+    });
+    assert.equal(second.scoreBreakdown, null);
+    assert.deepEqual(first.votes, {});
+  });
+
+  test('recordVote 記錄、改票與取消投票，重新存檔時保留投票', () => {
+    const archive = new ArticleArchive(config);
+    archive.add(news, new Date('2026-10-18T00:00:00Z'));
+    const id = archive.entries[0].id;
+
+    assert.deepEqual(archive.recordVote(id, 1, 'up'), { entry: archive.entries[0], vote: 'up', up: 1, down: 0 });
+    assert.equal(archive.recordVote(id, 2, 'up').up, 2);
+    assert.deepEqual(archive.recordVote(id, 2, 'down'), { entry: archive.entries[0], vote: 'down', up: 1, down: 1 });
+    assert.equal(archive.recordVote(id, 1, 'up').vote, null);
+    assert.equal(archive.recordVote('000000000000', 1, 'up'), null);
+
+    archive.add([{ ...news[0], score: 40 }], new Date('2026-10-19T00:00:00Z'));
+    assert.deepEqual(archive.entries[0].votes, { 2: 'down' });
+    assert.deepEqual(countVotes(archive.entries[0]), { up: 0, down: 1 });
+  });
+
+  test('同一則新聞只保留一筆並保留第一次存檔時間', () => {
+    const archive = new ArticleArchive(config).load();
+    archive.add(news, new Date('2026-10-18T00:00:00Z'));
+    const added = archive.add([{ ...news[0], url: 'https://www.example.com/a', score: 35 }], new Date('2026-10-19T00:00:00Z'));
+
+    assert.equal(added, 0);
+    assert.equal(archive.entries.length, 2);
+    assert.equal(archive.entries[0].score, 35);
+    assert.equal(archive.entries[0].archivedAt, '2026-10-18T00:00:00.000Z');
+  });
+
+  test('讀取時移除超過保存天數的紀錄', () => {
+    const archive = new ArticleArchive(config).load();
+    archive.add(news.slice(0, 1), new Date('2026-09-01T00:00:00Z'));
+    archive.add(news.slice(1), new Date('2026-10-18T00:00:00Z'));
+    archive.save();
+
+    assert.deepEqual(new ArticleArchive(config).load(new Date('2026-10-19T00:00:00Z')).entries.map(e => e.city), ['台北']);
+  });
+
+  test('設定 votesPath 時投票只寫入投票檔，讀取存檔時以投票檔為準', () => {
+    const now = new Date('2026-10-19T00:00:00Z');
+    const votesConfig = { ...config, votesPath: path.join(dir, 'votes.json') };
+    const daily = new ArticleArchive(votesConfig).load(now);
+    daily.add(news, now);
+    daily.save();
+    const archived = fs.readFileSync(config.path, 'utf-8');
+
+    // bot 記錄投票：不改寫存檔
+    const bot = new ArticleArchive(votesConfig).load(now);
+    const id = bot.entries[0].id;
+    bot.recordVote(id, 1, 'up', now);
+    bot.saveVotes();
+    assert.equal(fs.readFileSync(config.path, 'utf-8'), archived);
+    assert.deepEqual(JSON.parse(fs.readFileSync(votesConfig.votesPath, 'utf-8')).votes, {
+      [id]: { votes: { 1: 'up' }, votedAt: now.toISOString() }
+    });
+
+    // 每日排程與報告讀取存檔時帶入投票，再次存檔後未設定 votesPath 也讀得到
+    const next = new ArticleArchive(votesConfig).load(now);
+    assert.deepEqual(countVotes(next.entries[0]), { up: 1, down: 0 });
+    next.save();
+    assert.deepEqual(new ArticleArchive(config).load(now).entries[0].votes, { 1: 'up' });
+  });
+
+  test('投票檔中不在目前存檔的紀錄寫回時保留，超過保存天數後移除', () => {
+    const votesConfig = { ...config, votesPath: path.join(dir, 'votes.json') };
+    fs.writeFileSync(votesConfig.votesPath, JSON.stringify({
+      votes: {
+        aaaaaaaaaaaa: { votes: { 1: 'down' }, votedAt: '2026-10-18T00:00:00.000Z' },
+        bbbbbbbbbbbb: { votes: { 1: 'up' }, votedAt: '2026-08-01T00:00:00.000Z' }
+      }
+    }));
+
+    new ArticleArchive(votesConfig).load(new Date('2026-10-19T00:00:00Z')).saveVotes();
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(votesConfig.votesPath, 'utf-8')).votes), ['aaaaaaaaaaaa']);
+  });
+
+  describe('query', () => {
+    const archive = new ArticleArchive({ path: '/nonexistent/archive.json' });
+    archive.add(news, new Date('2026-10-19T00:00:00Z'));
+    archive.add([{ ...news[1], title: '台中市政府秘書處活動', url: 'https://example.com/d', city: '台中', publishedAt: '2026-10-10T09:00:00+08:00' }],
+      new Date('2026-10-11T00:00:00Z'));
+
+    test('依城市（異體字視為相同）與分類篩選', () => {
+      assert.deepEqual(archive.query({ city: '臺北' }).map(e => e.url), ['https://example.com/c']);
+      assert.deepEqual(archive.query({ category: '市政新聞' }).map(e => e.city), ['高雄']);
+    });
+
+    test('關鍵字須全部出現在標題、摘要或其他來源的標題中', () => {
+      assert.equal(archive.query({ text: '簽署' }).length, 1);
+      assert.equal(archive.query({ text: '締盟' }).length, 1);
+      assert.equal(archive.query({ text: '高雄 簽核' }).length, 0);
+      assert.equal(archive.query({ text: '簽' }).length, 2);
+    });
+
+    test('依時間範圍與存檔日期篩選，新到舊排序', () => {
+      assert.deepEqual(archive.query({ from: new Date('2026-10-12T00:00:00+08:00') }).map(e => e.city), ['台北', '高雄']);
+      assert.deepEqual(archive.query({ archivedOn: '2026-10-11' }).map(e => e.city), ['台中']);
+      assert.deepEqual(archive.query().map(e => e.city), ['台北', '高雄', '台中']);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * 內文頁擷取測試（使用 test/fixtures 中存檔的 HTML）
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  parseDateText,
+  parseArticleDetail,
+  mapWithConcurrency,
+  mergeArticleDetail,
+  fetchArticleDetails
+} from '../lib/article-details.js';
+import { createFixtureFetcher } from '../lib/fixture-fetcher.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const sources = createFixtureFetcher(path.join(__dirname, 'fixtures', 'sources'));
+const detailUrl = 'https://www.cna.com.tw/news/aloc/202610190103.aspx';
+
+describe('parseArticleDetail', () => {
+  test('以段落密度找出內文，排除導覽、相關連結與圖說', async () => {
+    const detail = parseArticleDetail(await sources.fetchPage(detailUrl), { baseUrl: detailUrl });
+
+    assert.match(detail.content, /^（中央社記者王小明台北19日電）臺北市政府秘書處/);
+    assert.equal(detail.content.split('\n').length, 2);
+    assert.doesNotMatch(detail.content, /延伸閱讀|股市|版權所有|操作畫面/);
+  });
+
+  test('擷取 JSON-LD 發布時間、作者與 og:image', async () => {
+    const detail = parseArticleDetail(await sources.fetchPage(detailUrl), { baseUrl: detailUrl });
+
+    assert.equal(detail.publishedAt, '2026-10-18T23:45:00.000Z');
+    assert.equal(detail.author, '記者王小明');
+    assert.equal(detail.image, 'https://imgcdn.cna.com.tw/news/202610190103.jpg');
+  });
+
+  test('來源設定的 detailSelectors 優先', () => {
+    const html = `
+      <div class="body"><p>第一段內文，說明市府今日宣布的政策內容。</p></div>
+      <div class="other"><p>這是一段很長的無關文字，包含許多逗號，例如，一，二，三，四，五，六。</p></div>
+      <span class="byline">記者李小華</span>
+      <span class="time">2026/10/19 14:05</span>
+      <img class="lead" src="/img/lead.jpg">`;
+    const detail = parseArticleDetail(html, {
+      selectors: { content: '.body', date: '.time', author: '.byline', image: 'img.lead' },
+      baseUrl: 'https://news.example/a/1'
+    });
+
+    assert.equal(detail.content, '第一段內文，說明市府今日宣布的政策內容。');
+    assert.equal(detail.publishedAt, '2026-10-19T06:05:00.000Z');
+    assert.equal(detail.author, '記者李小華');
+    assert.equal(detail.image, 'https://news.example/img/lead.jpg');
+  });
+
+  test('沒有段落時以 JSON-LD articleBody 為內文', () => {
+    const html = `<script type="application/ld+json">
+      {"@graph": [{"@type": "WebPage"}, {"@type": "NewsArticle", "articleBody": "市府宣布新政策。", "author": [{"name": "陳記者"}]}]}
+    </script>`;
+    const detail = parseArticleDetail(html);
+
+    assert.equal(detail.content, '市府宣布新政策。');
+    assert.equal(detail.author, '陳記者');
+    assert.equal(detail.publishedAt, null);
+  });
+});
+
+test('parseDateText', () => {
+  assert.equal(parseDateText('2026-10-19T07:45:00+08:00'), '2026-10-18T23:45:00.000Z');
+  assert.equal(parseDateText('2026年10月19日 07:45'), '2026-10-18T23:45:00.000Z');
+  assert.equal(parseDateText('115-10-19'), '2026-10-18T16:00:00.000Z');
+  assert.equal(parseDateText('昨天'), null);
+});
+
+describe('fetchArticleDetails', () => {
+  test('並行數不超過上限且保留原順序', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async delay => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return delay * 2;
+    });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(results, [60, 20, 40, 10, 30]);
+  });
+
+  test('補充內文、發布時間與摘要，失敗的新聞原樣保留', async () => {
+    const articles = [
+      { title: '公文線上簽核全面上路', summary: '推動無紙化。', url: detailUrl, source: '中央社', publishedAt: null },
+      { title: '不存在的新聞', summary: '', url: 'https://missing.example/1', source: '中央社', publishedAt: null }
+    ];
+    const failures = [];
+    const [detailed, missing] = await fetchArticleDetails(articles, {
+      fetchPage: url => sources.fetchPage(url),
+      onError: (article, error) => failures.push(article.url)
+    });
+
+    assert.equal(detailed.detailFetched, true);
+    assert.match(detailed.summary, /^（中央社記者王小明台北19日電）/);
+    assert.match(detailed.content, /秘書長表示/);
+    assert.equal(detailed.publishedAt, '2026-10-18T23:45:00.000Z');
+    assert.equal(missing, articles[1]);
+    assert.deepEqual(failures, ['https://missing.example/1']);
+  });
+
+  test('保留 feed 的發布時間與足夠長的摘要', () => {
+    const article = {
+      summary: '台南市長今日出席國際城市論壇，與多國城市代表簽署合作備忘錄。',
+      publishedAt: '2026-10-18T22:30:00.000Z'
+    };
+    const merged = mergeArticleDetail(article, { content: '內文', publishedAt: '2026-10-19T00:00:00.000Z', author: null, image: null });
+
+    assert.equal(merged.summary, article.summary);
+    assert.equal(merged.publishedAt, article.publishedAt);
+    assert.equal(merged.content, '內文');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * 地名辭典測試
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CITY_GAZETTEER, resolveCities, isKnownCity, lookupCity } from '../lib/city-gazetteer.js';
+
+function primary(title, summary = '') {
+  return resolveCities({ title, summary }).city;
+}
+
+describe('resolveCities', () => {
+  test('正式名稱、臺/台異體字與簡稱', () => {
+    assert.equal(primary('臺北市政府公告'), '台北');
+    assert.equal(primary('北市府宣布新制'), '台北');
+    assert.equal(primary('高市府記者會'), '高雄');
+    assert.equal(primary('臺中市長出訪'), '台中');
+  });
+
+  test('「新北市長」不會被判為台北', () => {
+    const result = resolveCities({ title: '新北市長視察', summary: '' });
+    assert.deepEqual(result.cities.map(entry => entry.city), ['新北']);
+  });
+
+  test('行政區對應到所屬城市，信心較低', () => {
+    const result = resolveCities({ title: '板橋區公所舉辦活動', summary: '' });
+    assert.equal(result.city, '新北');
+    assert.equal(result.confidence, 0.9);
+    assert.equal(primary('鳳山豪雨', ''), '高雄');
+    assert.equal(resolveCities({ title: '鳳山豪雨', summary: '' }).confidence, 0.7);
+  });
+
+  test('容易誤判的名稱必須加上「區」', () => {
+    assert.equal(primary('中山路車禍'), '其他');
+    assert.equal(primary('永康街美食'), '其他');
+    assert.equal(primary('提高市民福利'), '其他');
+    assert.equal(primary('三民區公所'), '高雄');
+  });
+
+  test('多個城市同時出現時回傳所有城市，提及較多者為主要城市', () => {
+    const result = resolveCities({ title: '台北新北合辦典禮', summary: '新北市長與台北市副市長出席，新北市府主辦。' });
+
+    assert.equal(result.city, '新北');
+    assert.deepEqual(result.cities.map(entry => entry.city), ['新北', '台北']);
+    assert.equal(result.cities[0].titleCount, 1);
+  });
+
+  test('可限制判斷的城市', () => {
+    assert.equal(resolveCities({ title: '台北新北合辦', summary: '' }, { cities: ['新北'] }).city, '新北');
+  });
+});
+
+test('辭典涵蓋六都', () => {
+  assert.deepEqual(Object.keys(CITY_GAZETTEER), ['台北', '新北', '桃園', '台中', '台南', '高雄']);
+  assert.equal(isKnownCity('台北'), true);
+  assert.equal(isKnownCity('新竹'), false);
+});
+
+test('lookupCity 以正式名稱、別名與簡稱查出城市', () => {
+  assert.equal(lookupCity('台北'), '台北');
+  assert.equal(lookupCity('臺北市'), '台北');
+  assert.equal(lookupCity(' 北市 '), '台北');
+  assert.equal(lookupCity('高市府'), '高雄');
+  assert.equal(lookupCity('新北市政府'), '新北');
+  assert.equal(lookupCity('新竹'), null);
+  assert.equal(lookupCity(''), null);
+});
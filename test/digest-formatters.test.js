@@ -0,0 +1,122 @@
+/**
+ * 各通知管道摘要格式測試
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  prepareDigest,
+  formatSlackDigest,
+  formatDiscordDigest,
+  formatWebhookDigest,
+  formatEmailDigest
+} from '../lib/digest-formatters.js';
+
+const now = new Date('2026-10-19T00:00:00Z');
+const displayConfig = {
+  maxArticlesInMessage: 30,
+  includeSource: true,
+  includeCategory: false,
+  includeScore: false,
+  groupBy: 'city',
+  summaryLength: 80,
+  summarySentences: 2
+};
+const rules = { version: '1.0.3', lastUpdated: '2026-10-18T02:00:00Z', filterRules: {} };
+
+function makeNews(count, overrides = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    title: `台北市政府第 ${i + 1} 則新聞`,
+    summary: '市長今日主持會議。',
+    url: `https://example.com/news?id=${i + 1}`,
+    source: '聯合新聞網',
+    city: ['台北', '新北', '高雄', '台中', '台南', '桃園'][i % 6],
+    category: '市政新聞',
+    score: 20,
+    ...overrides
+  }));
+}
+
+test('prepareDigest 沿用 Telegram 摘要的版面與頁尾', () => {
+  const digest = prepareDigest(makeNews(12), displayConfig, { now, rules });
+
+  assert.equal(digest.items.length, 12);
+  assert.deepEqual(digest.sections[0].groups.map(group => group.label), ['台北', '新北', '高雄', '台中', '台南', '桃園']);
+  assert.deepEqual(digest.sections[0].groups[0].stories[0].meta, ['📌 聯合新聞網']);
+  assert.deepEqual(digest.footer, ['共 12 則新聞', '⏰ 2026/10/19 上午8:00:00', '🔖 篩選規則 v1.0.3（2026/10/18 更新）']);
+});
+
+describe('Slack', () => {
+  test('以 Block Kit 排版並跳脫 mrkdwn 控制字元', () => {
+    const [part] = formatSlackDigest(makeNews(1, { title: '預算<5% & | 凍結', url: 'https://example.com/?a=1&b=<2>' }), displayConfig, { now, rules });
+    const story = part.payload.blocks.find(block => block.text?.text.startsWith('1.'));
+
+    assert.equal(part.payload.blocks[0].type, 'header');
+    assert.equal(story.text.text.split('\n')[0], '1. *<https://example.com/?a=1&b=%3C2%3E|預算&lt;5% &amp; ｜ 凍結>*');
+    assert.match(part.payload.blocks.at(-1).elements[0].text, /篩選規則 v1\.0\.3/);
+    assert.equal(part.items.length, 1);
+  });
+
+  test('超過 50 個 block 時拆成多則訊息', () => {
+    const news = makeNews(60).map((item, i) => ({ ...item, category: `分類${i % 15}` }));
+    const parts = formatSlackDigest(news, { ...displayConfig, groupBy: 'category', maxArticlesInMessage: 60 }, { now });
+
+    assert.equal(parts.length, 2);
+    parts.forEach(part => assert.ok(part.payload.blocks.length <= 50));
+    assert.equal(parts.flatMap(part => part.items).length, 60);
+    assert.match(parts[1].payload.text, /（2\/2）/);
+  });
+
+  test('無新聞時回傳提示訊息', () => {
+    const [part] = formatSlackDigest([], displayConfig, { now });
+    assert.match(part.payload.blocks.at(-1).text.text, /今日無相關新聞/);
+    assert.deepEqual(part.items, []);
+  });
+});
+
+describe('Discord', () => {
+  test('每個分組一個 embed，連結中的括號經過編碼', () => {
+    const news = [
+      ...makeNews(2),
+      { ...makeNews(1)[0], title: '市長*強調*合作', url: 'https://example.com/a_(b)', city: '台北' }
+    ];
+    const [part] = formatDiscordDigest(news, displayConfig, { now, rules });
+
+    assert.deepEqual(part.payload.embeds.map(embed => embed.title), ['【台北】 (2 則)', '【新北】 (1 則)']);
+    assert.match(part.payload.embeds[0].description, /\*\*\[市長\\\*強調\\\*合作\]\(https:\/\/example\.com\/a_%28b%29\)\*\*/);
+    assert.match(part.payload.content, /^📰 \*\*台灣六都市政府秘書處新聞摘要\*\*\n📅 2026\/10\/19[\s\S]*篩選規則 v1\.0\.3/);
+  });
+
+  test('每則訊息最多 10 個 embed', () => {
+    const news = makeNews(30).map((item, i) => ({ ...item, category: `分類${i % 15}` }));
+    const parts = formatDiscordDigest(news, { ...displayConfig, groupBy: 'category' }, { now });
+
+    assert.equal(parts.length, 2);
+    parts.forEach(part => assert.ok(part.payload.embeds.length <= 10));
+    assert.equal(parts.flatMap(part => part.items).length, 30);
+  });
+});
+
+test('通用 webhook 包含所有新聞與規則版本', () => {
+  const news = makeNews(8, { categories: ['市政新聞'], related: [{ title: '相關', source: '中央社', url: 'https://cna.example/1' }] });
+  const [part] = formatWebhookDigest(news, displayConfig, { now, rules });
+
+  assert.equal(part.payload.generatedAt, '2026-10-19T00:00:00.000Z');
+  assert.equal(part.payload.rulesVersion, '1.0.3');
+  assert.equal(part.payload.total, 8);
+  assert.equal(part.payload.items.length, 8);
+  assert.deepEqual(part.payload.items[0].related, [{ title: '相關', source: '中央社', url: 'https://cna.example/1' }]);
+  assert.equal(part.payload.items[0].summary, '市長今日主持會議。');
+  assert.equal(part.items, news);
+});
+
+test('電子郵件產生 HTML 與純文字版本', () => {
+  const [part] = formatEmailDigest(makeNews(2, { title: '預算<5%' }), displayConfig, { now, rules });
+
+  assert.equal(part.subject, '台灣六都市政府秘書處新聞摘要 2026/10/19');
+  assert.match(part.html, /^<!DOCTYPE html>/);
+  assert.match(part.html, /<a href="https:\/\/example.com\/news\?id=1"[^>]*>預算&lt;5%<\/a>/);
+  assert.match(part.html, /篩選規則 v1\.0\.3/);
+  assert.match(part.text, /1\. 預算<5%\n {3}市長今日主持會議。\n {3}🔗 https:\/\/example.com\/news\?id=1/);
+  assert.equal(part.items.length, 2);
+});
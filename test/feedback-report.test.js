@@ -0,0 +1,118 @@
+/**
+ * 讀者回饋報告測試
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { feedbackVerdict, titleGrams, analyzeFeedback, formatFeedbackReport } from '../lib/feedback-report.js';
+
+const rules = {
+  filterRules: {
+    cities: { values: ['台北', '高雄'], weight: 10 },
+    keywords: { values: [{ value: '秘書處', weight: 8 }, '市長', '路跑'], weight: 5 },
+    excludeKeywords: { values: ['八卦', { value: '抽獎', weight: -20 }], weight: -100 },
+    categoryKeywords: { categories: { 國際交流: { keywords: ['交流'], weight: 2 } } }
+  }
+};
+
+const UP = { 1: 'up', 2: 'up' };
+const DOWN = { 1: 'down' };
+
+function entry(title, votes, { keywords = [], exclusions = [], categories = [] } = {}) {
+  return {
+    title,
+    votes,
+    keywords,
+    scoreBreakdown: {
+      matches: { keywords: keywords.map(label => ({ label, points: 5 })) },
+      exclusions: exclusions.map(label => ({ label, points: -20 })),
+      categories: categories.map(label => ({ label, points: 2 }))
+    }
+  };
+}
+
+const relevant = { keywords: ['秘書處'], exclusions: ['抽獎'], categories: ['國際交流'] };
+const irrelevant = { keywords: ['路跑'] };
+
+const entries = [
+  entry('台北秘書處推動智慧城市', UP, relevant),
+  entry('高雄智慧城市論壇秘書處出席', UP, relevant),
+  entry('智慧城市展秘書處參訪', { 1: 'up', 2: 'up', 3: 'down' }, relevant),
+  entry('台北馬拉松路跑封路', DOWN, irrelevant),
+  entry('高雄馬拉松報名', { 1: 'down', 2: 'down' }, irrelevant),
+  entry('馬拉松路跑交通管制', DOWN, irrelevant),
+  entry('市長出席記者會', { 1: 'up', 2: 'down' }, { keywords: ['市長'] }),
+  entry('沒有人投票的新聞', {}, { keywords: ['市長'] })
+];
+
+test('feedbackVerdict 依多數票判斷，票數相同或沒有投票時為 null', () => {
+  assert.equal(feedbackVerdict(entries[2]), 'relevant');
+  assert.equal(feedbackVerdict(entries[4]), 'irrelevant');
+  assert.equal(feedbackVerdict(entries[6]), null);
+  assert.equal(feedbackVerdict(entries[7]), null);
+});
+
+test('titleGrams 以標點切段，略過含數字的片段', () => {
+  assert.deepEqual([...titleGrams('「智慧城市」2026 展')].sort(),
+    ['城市', '慧城', '慧城市', '智慧', '智慧城', '智慧城市'].sort());
+});
+
+describe('analyzeFeedback', () => {
+  const report = analyzeFeedback(entries, rules);
+  const find = (action, term) => report.suggestions.find(s => s.action === action && s.term === term);
+
+  test('統計有投票的新聞與命中詞條', () => {
+    assert.equal(report.voted, 7);
+    assert.equal(report.relevant, 3);
+    assert.equal(report.irrelevant, 3);
+    assert.deepEqual(report.terms.find(t => t.label === '秘書處'), { group: 'keywords', label: '秘書處', relevant: 3, irrelevant: 0 });
+    assert.deepEqual(report.terms.find(t => t.label === '市長'), undefined);
+  });
+
+  test('相關的詞條提高權重，不相關的詞條降低權重，被扣分但相關的排除詞減少扣分', () => {
+    assert.equal(find('set-weight', '秘書處').weight, 12);
+    assert.equal(find('set-weight', '秘書處').currentWeight, 8);
+    assert.equal(find('set-weight', '國際交流').weight, 3);
+    assert.equal(find('set-weight', '路跑').weight, 2);
+    assert.equal(find('set-weight', '抽獎').weight, -10);
+  });
+
+  test('只出現在相關或不相關新聞的新詞，保留同次數中最長的詞', () => {
+    const keywords = report.suggestions.filter(s => s.action === 'add-keyword').map(s => s.term);
+    const excludes = report.suggestions.filter(s => s.action === 'add-exclude');
+
+    assert.deepEqual(keywords, ['智慧城市']);
+    assert.deepEqual(excludes.map(s => [s.term, s.weight]), [['馬拉松', -20]]);
+  });
+
+  test('建議附上規則工具指令', () => {
+    assert.equal(find('add-keyword', '智慧城市').command, 'npm run rules -- add-keyword 智慧城市 -m "讀者回饋：3 則相關、0 則不相關"');
+    assert.equal(find('add-exclude', '馬拉松').command, 'npm run rules -- add-exclude 馬拉松 --weight -20 -m "讀者回饋：0 則相關、3 則不相關"');
+    assert.match(find('set-weight', '路跑').command, /^npm run rules -- set-weight 路跑 2 -m /);
+  });
+
+  test('票數不足 minVotes 時不提出建議', () => {
+    assert.deepEqual(analyzeFeedback(entries, rules, { minVotes: 4 }).suggestions, []);
+  });
+
+  test('規則中已移除的詞條不提出權重建議', () => {
+    const trimmed = structuredClone(rules);
+    trimmed.filterRules.keywords.values = ['市長'];
+    const suggestions = analyzeFeedback(entries, trimmed).suggestions;
+    assert.equal(suggestions.some(s => s.action === 'set-weight' && s.term === '秘書處'), false);
+  });
+});
+
+test('formatFeedbackReport 列出統計、建議與套用方式', () => {
+  const lines = formatFeedbackReport(analyzeFeedback(entries, rules), { period: '近 30 天' });
+  const text = lines.join('\n');
+
+  assert.match(text, /期間：近 30 天/);
+  assert.match(text, /有投票的新聞：7 則（相關 3、不相關 3、票數相同 1）/);
+  assert.match(text, /關鍵字 秘書處：👍 3　👎 0/);
+  assert.match(text, /新增關鍵字「智慧城市」（3 則相關、0 則不相關）\n\s+npm run rules -- add-keyword 智慧城市/);
+  assert.match(text, /將排除詞「抽獎」的權重由 -20 改為 -10/);
+  assert.match(text, /不會自動套用/);
+
+  assert.match(formatFeedbackReport(analyzeFeedback([], rules)).join('\n'), /目前的回饋不足以提出建議/);
+});
@@ -0,0 +1,245 @@
+/**
+ * 抓取流程測試：以 fixtures 取代網路請求，驗證 fetchFromSource、filterNews 與 dry-run 輸出
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  DEFAULT_RUNTIME_CONFIG,
+  fetchFromSource,
+  fetchNewsDetails,
+  filterNews,
+  openNotifiers,
+  deliverDigest,
+  parseCliArgs,
+  main
+} from '../scripts/fetch-news.js';
+import { loadFilterRules } from '../filter-rules-loader.js';
+import { createFixtureFetcher } from '../lib/fixture-fetcher.js';
+import { SeenStore } from '../lib/seen-store.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, 'fixtures', 'sources');
+const fixtures = createFixtureFetcher(fixturesDir);
+const silent = { info() {}, warn() {}, error() {} };
+const rules = loadFilterRules(path.join(__dirname, '..', 'config', 'filter-rules.json'), { logger: silent });
+const sourcesConfig = { ...DEFAULT_RUNTIME_CONFIG.newsSourcesConfig, retryAttempts: 1 };
+const fetchPage = url => fixtures.fetchPage(url);
+const now = new Date('2026-10-19T08:00:00+08:00');
+
+async function fetchFixtureNews() {
+  const results = await Promise.all(
+    rules.newsSourcesConfig.sources
+      .filter(source => fixtures.hasFixture(source.url))
+      .map(source => fetchFromSource(source, sourcesConfig, { fetchPage, detailConfig: { requestDelay: 0 } }))
+  );
+  return results.flat();
+}
+
+describe('fetchFromSource', () => {
+  test('以 fixture 解析 HTML 來源', async () => {
+    const source = rules.newsSourcesConfig.sources.find(s => s.name === '自由時報');
+    const articles = await fetchFromSource(source, sourcesConfig, { fetchPage });
+
+    assert.equal(articles.length, 3);
+    assert.equal(articles[1].title, '新北市長視察基層 承諾預算<5%不刪減');
+  });
+
+  test('市府新聞稿的內文頁遵守 detailConfig 與來源的 fetchDetails', async () => {
+    const source = rules.newsSourcesConfig.sources.find(s => s.type === 'city-gov' && s.city === '台北');
+    const requested = [];
+    const recordPage = url => {
+      requested.push(url);
+      return fetchPage(url);
+    };
+
+    const limited = await fetchFromSource(source, sourcesConfig, {
+      fetchPage: recordPage,
+      detailConfig: { maxArticlesPerSource: 1, requestDelay: 0 }
+    });
+    assert.equal(limited.length, 2);
+    assert.equal(requested.filter(url => url.includes('News_Content')).length, 1);
+
+    requested.length = 0;
+    await fetchFromSource({ ...source, fetchDetails: false }, sourcesConfig, { fetchPage: recordPage });
+    assert.equal(requested.filter(url => url.includes('News_Content')).length, 0);
+  });
+
+  test('抓取失敗時回傳空陣列', async () => {
+    const source = { name: '不存在', type: 'html', url: 'https://missing.example/', selectors: { item: 'a', title: 'a', link: 'a' } };
+    assert.deepEqual(await fetchFromSource(source, sourcesConfig, { fetchPage }), []);
+  });
+});
+
+describe('filterNews', () => {
+  test('合併跨來源的同一事件', async () => {
+    const filtered = filterNews(await fetchFixtureNews(), rules, { clusterConfig: rules.clusterConfig, now });
+    const taichung = filtered.find(news => news.title.includes('盧秀燕'));
+
+    assert.equal(taichung.clusterSize, 2);
+    assert.deepEqual(
+      [taichung.source, ...taichung.related.map(related => related.source)].sort(),
+      ['聯合新聞網', '自由時報'].sort()
+    );
+  });
+
+  test('排除已發送過的新聞', async () => {
+    const allNews = await fetchFixtureNews();
+    const store = new SeenStore({ path: path.join(os.tmpdir(), 'unused.json'), retentionDays: 14 });
+    const first = filterNews(allNews, rules, { now });
+    store.markDelivered([first[0]]);
+
+    const second = filterNews(allNews, rules, { seenStore: store, now });
+    assert.equal(second.length, first.length - 1);
+    assert.ok(!second.some(news => news.url === first[0].url));
+  });
+});
+
+describe('fetchNewsDetails', () => {
+  test('以內文頁全文重新評分', async () => {
+    const allNews = await fetchFixtureNews();
+    const detailConfig = { ...DEFAULT_RUNTIME_CONFIG.detailConfig, enabled: true };
+    const detailed = await fetchNewsDetails(allNews, rules, detailConfig, {
+      sourcesConfig: rules.newsSourcesConfig,
+      fetchPage,
+      fixtures
+    });
+    const title = '公文線上簽核全面上路 年省紙張逾千萬張';
+
+    assert.equal(detailed.length, allNews.length);
+    assert.ok(!filterNews(allNews, rules, { now }).some(news => news.title === title));
+
+    const rescued = filterNews(detailed, rules, { now }).find(news => news.title === title);
+    assert.equal(rescued.city, '台北');
+    assert.equal(rescued.publishedAt, '2026-10-18T23:45:00.000Z');
+  });
+
+  test('同一來源最多抓取 maxArticlesPerSource 則', async () => {
+    const allNews = [1, 2, 3].map(i => ({ title: `台北市政新聞 ${i}`, url: `https://example.com/${i}`, source: '聯合新聞網' }));
+    const requested = [];
+    await fetchNewsDetails(allNews, rules, { ...DEFAULT_RUNTIME_CONFIG.detailConfig, enabled: true, maxArticlesPerSource: 2 }, {
+      sourcesConfig: rules.newsSourcesConfig,
+      fetchPage: async url => {
+        requested.push(url);
+        return '<article><p>內文</p></article>';
+      }
+    });
+    assert.deepEqual(requested, ['https://example.com/1', 'https://example.com/2']);
+  });
+
+  test('未啟用時不抓取', async () => {
+    const allNews = await fetchFixtureNews();
+    const detailed = await fetchNewsDetails(allNews, rules, DEFAULT_RUNTIME_CONFIG.detailConfig, {
+      sourcesConfig: rules.newsSourcesConfig,
+      fetchPage: () => { throw new Error('不應抓取'); }
+    });
+    assert.equal(detailed, allNews);
+  });
+});
+
+describe('dry-run', () => {
+  test('--fixtures 隱含 --dry-run', () => {
+    const options = parseCliArgs(['--fixtures', fixturesDir, '--now', '2026-10-19T08:00:00+08:00']);
+    assert.equal(options.dryRun, true);
+    assert.equal(options.now.toISOString(), '2026-10-19T00:00:00.000Z');
+  });
+
+  test('拒絕未知的輸出格式', () => {
+    assert.throws(() => parseCliArgs(['--dry-run', '--format', 'pdf']), /--format/);
+  });
+
+  test('以 fixtures 產生摘要檔案', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-'));
+    const output = path.join(dir, 'digest.txt');
+    const logDir = path.join(dir, 'logs');
+    await main(['--fixtures', fixturesDir, '--now', '2026-10-19T08:00:00+08:00', '--format', 'text', '--output', output, '--log-dir', logDir]);
+
+    // 日誌與篩選報告寫入 --log-dir，不寫入專案的 logs/
+    const logFiles = fs.readdirSync(logDir);
+    assert.ok(logFiles.some(file => /^news-fetch-.*\.log$/.test(file)));
+    assert.ok(logFiles.some(file => /^filter-report-.*\.txt$/.test(file)));
+
+    const content = fs.readFileSync(output, 'utf-8');
+    assert.match(content, /----- 第 1\/1 則訊息 -----/);
+    assert.match(content, /📅 2026\/10\/19/);
+    assert.match(content, /市府秘書處舉辦國際城市交流座談/);
+    assert.match(content, /公文線上簽核全面上路/);
+    assert.doesNotMatch(content, /秋季防疫措施/);
+    assert.doesNotMatch(content, /明星代言/);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('通知管道', () => {
+  const runtimeConfig = {
+    telegramConfig: DEFAULT_RUNTIME_CONFIG.telegramConfig,
+    notifiersConfig: {
+      notifiers: [
+        { type: 'telegram', botTokenEnv: 'TEST_BOT_TOKEN', chatIdEnv: 'TEST_CHAT_ID' },
+        { type: 'webhook', url: 'http://127.0.0.1:9/digest' }
+      ]
+    }
+  };
+
+  test('略過缺少設定的管道', () => {
+    const notifiers = openNotifiers(runtimeConfig, { env: {} });
+    assert.deepEqual(notifiers.map(notifier => notifier.name), ['webhook']);
+  });
+
+  test('沒有可用的管道時丟出錯誤', () => {
+    assert.throws(
+      () => openNotifiers({ ...runtimeConfig, notifiersConfig: { notifiers: [runtimeConfig.notifiersConfig.notifiers[0]] } }, { env: {} }),
+      /沒有可用的通知管道/
+    );
+  });
+
+  test('某個管道失敗時繼續發送其他管道', async () => {
+    const news = [{ title: '台北市政府秘書處記者會', url: 'https://example.com/1', city: '台北' }];
+    const broken = { name: 'broken', type: 'webhook', deliver: async () => { throw new Error('格式錯誤'); } };
+    const working = {
+      name: 'ok',
+      type: 'slack',
+      deliver: async items => ({ name: 'ok', type: 'slack', total: 1, sent: [{ index: 1, id: null }], failed: [], deliveredItems: items })
+    };
+
+    const reports = await deliverDigest([broken, working], news, { now });
+
+    assert.deepEqual(reports[0].failed, [{ index: 0, error: '格式錯誤' }]);
+    assert.deepEqual(reports[1].deliveredItems, news);
+  });
+
+  test('所有收件對象使用同一份篩選結果，各自回報', async () => {
+    const news = [
+      { title: '台中市政府秘書處記者會', url: 'https://example.com/1', city: '台中', category: '秘書處業務', score: 30 },
+      { title: '桃園與日本城市締結友好', url: 'https://example.com/2', city: '桃園', category: '國際交流', score: 24 }
+    ];
+    const sent = [];
+    const http = { post: async (url, body) => { sent.push({ url, body }); return { data: 'ok' }; } };
+    const notifiers = openNotifiers({
+      telegramConfig: DEFAULT_RUNTIME_CONFIG.telegramConfig,
+      notifiersConfig: {
+        notifiers: [{ name: 'slack', type: 'slack', webhookUrl: 'http://127.0.0.1/main' }],
+        subscriptions: [
+          { name: '台中聯絡組', notifier: 'slack', target: { webhookUrl: 'http://127.0.0.1/taichung' }, cities: ['台中'] },
+          { name: '國際事務組', notifier: 'slack', target: { webhookUrl: 'http://127.0.0.1/intl' }, categories: ['國際交流'] },
+          { name: '台南聯絡組', notifier: 'slack', target: { webhookUrl: 'http://127.0.0.1/tainan' }, cities: ['台南'] }
+        ]
+      }
+    }, { http });
+
+    const reports = await deliverDigest(notifiers, news, { now });
+
+    assert.deepEqual(reports.map(report => [report.name, report.selected, report.sent.length, report.skipped]), [
+      ['slack', 2, 1, false],
+      ['台中聯絡組', 1, 1, false],
+      ['國際事務組', 1, 1, false],
+      ['台南聯絡組', 0, 0, true]
+    ]);
+    assert.deepEqual(sent.map(request => request.url), ['http://127.0.0.1/main', 'http://127.0.0.1/taichung', 'http://127.0.0.1/intl']);
+    assert.deepEqual(reports[2].deliveredItems, [news[1]]);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * 篩選報告測試
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildFilterReport, writeFilterReport } from '../lib/filter-report.js';
+
+const now = new Date('2026-10-19T00:00:00Z');
+const accepted = [{
+  title: '台北市長視察',
+  source: '聯合新聞網',
+  city: '台北',
+  score: 30,
+  url: 'https://udn.com/1',
+  scoreBreakdown: { matches: { cities: [{ label: '台北', field: 'title', count: 1, points: 20 }] } }
+}];
+const rejected = [
+  { title: '台中明星代言', source: '自由時報', city: '台中', rejectType: 'excluded', rejectReason: '排除詞「明星」', scoreBreakdown: { excludedBy: '明星' } },
+  { title: '颱風動態', source: '公視新聞網', rejectType: 'missingRequired', rejectReason: '缺少必要的城市、關鍵字' },
+  { title: '內政部新聞稿', source: '中央社', rejectType: 'missingRequired', rejectReason: '缺少必要的城市' }
+];
+
+test('列出統計、未通過原因與評分明細', () => {
+  const report = buildFilterReport({ total: 4, accepted, rejected }, { now });
+
+  assert.match(report, /抓取 4 則｜通過 1 則｜未通過 3 則/);
+  assert.match(report, /缺少必要的城市或關鍵字: 2 則\n {2}包含排除詞: 1 則/);
+  assert.match(report, /台中明星代言\n {3}自由時報｜台中｜原因：排除詞「明星」\n {3}- 排除詞「明星」/);
+  assert.match(report, /台北市長視察\n {3}聯合新聞網｜台北｜30 分\n {3}- 城市 台北（標題） \+20/);
+});
+
+test('標示使用的篩選規則版本', () => {
+  const report = buildFilterReport({ total: 1, accepted }, { now, rules: { version: '1.0.3', lastUpdated: '2026-10-18T02:00:00Z' } });
+
+  assert.match(report, /^篩選報告 .*\n篩選規則 v1\.0\.3（2026\/10\/18 更新）\n=+/);
+  assert.doesNotMatch(buildFilterReport({ total: 1, accepted }, { now }), /篩選規則/);
+});
+
+test('寫入以執行時間命名的檔案', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+  const filePath = writeFilterReport('內容', dir, now);
+
+  assert.equal(path.basename(filePath), 'filter-report-2026-10-19T00-00-00.txt');
+  assert.equal(fs.readFileSync(filePath, 'utf-8'), '內容');
+});
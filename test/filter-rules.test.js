@@ -0,0 +1,189 @@
+/**
+ * 篩選規則測試
+ * 以 config/filter-rules.json 的 examples 與 test/fixtures/scoring-cases.json 驗證評分結果，
+ * 規則調整若改變既有案例的結果，測試會失敗，需同步更新案例
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  loadFilterRules,
+  getDefaultRules,
+  calculateScore,
+  extractCity,
+  extractCategory,
+  filterNews,
+  partitionNews,
+  validateRules
+} from '../filter-rules-loader.js';
+import { clusterStories } from '../lib/story-clusters.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const silent = { info() {}, warn() {}, error() {} };
+const rules = loadFilterRules(path.join(__dirname, '..', 'config', 'filter-rules.json'), { logger: silent });
+const scoringCases = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'scoring-cases.json'), 'utf-8')).cases;
+
+const examples = Object.entries(rules.examples)
+  .filter(([, example]) => typeof example === 'object' && example.title)
+  .map(([name, example]) => ({ name, ...example }));
+
+describe('config examples', () => {
+  test('規則檔包含範例', () => {
+    assert.ok(examples.length > 0);
+  });
+
+  examples.forEach(example => {
+    test(`${example.name}: ${example.title}`, () => {
+      assert.equal(calculateScore(example, rules), example.expectedScore, example.explanation);
+      if (example.expectedCity) {
+        assert.equal(extractCity(example, rules), example.expectedCity);
+      }
+      if (example.expectedCategory) {
+        assert.equal(extractCategory(example, rules), example.expectedCategory);
+      }
+    });
+  });
+});
+
+describe('scoring cases', () => {
+  scoringCases.forEach(testCase => {
+    test(testCase.name, () => {
+      assert.equal(calculateScore(testCase, rules), testCase.expectedScore);
+      assert.equal(extractCity(testCase, rules), testCase.expectedCity);
+      assert.equal(extractCategory(testCase, rules), testCase.expectedCategory);
+    });
+  });
+});
+
+describe('filterNews', () => {
+  const allNews = [...examples, ...scoringCases].map((item, index) => ({
+    title: item.title,
+    summary: item.summary,
+    url: `https://example.com/${index}`,
+    source: 'test'
+  }));
+
+  test('只保留達到 minScore 的新聞並依分數排序', () => {
+    const filtered = filterNews(allNews, rules);
+    const minScore = rules.scoringRules.minScore;
+
+    assert.ok(filtered.length > 0);
+    filtered.forEach(news => assert.ok(news.score >= minScore));
+    for (let i = 1; i < filtered.length; i++) {
+      assert.ok(filtered[i - 1].score >= filtered[i].score);
+    }
+    assert.ok(!filtered.some(news => news.title === '台中市明星代言新產品'));
+  });
+
+  test('套用來源權重與市府新聞稿加分', () => {
+    const news = allNews.find(item => item.title === '新北市長視察基層');
+    const [weighted] = filterNews([{ ...news, sourceWeight: 1.5 }], rules);
+    const [official] = filterNews([{ ...news, official: true, city: '新北' }], rules);
+    const base = calculateScore(news, rules);
+
+    assert.equal(weighted.score, Math.round(base * 1.5));
+    assert.equal(official.score, base + rules.scoringRules.officialBonus);
+  });
+
+  test('加上市府新聞稿加分、來源權重與多家媒體報導加分後才封頂', () => {
+    const top = allNews.find(news => news.title === '台北市秘書處發布新政策');
+    const maxScore = rules.scoringRules.maxScore;
+    const [official] = filterNews([{ ...top, official: true, city: '台北', sourceWeight: 1.2 }], rules);
+    const [report] = filterNews([{ ...top, url: 'https://example.com/other', source: '其他媒體' }], rules);
+
+    assert.ok((calculateScore(top, rules) + rules.scoringRules.officialBonus) * 1.2 > maxScore);
+    assert.equal(official.score, maxScore);
+    assert.equal(official.scoreBreakdown.capped, true);
+
+    const [cluster] = clusterStories([official, report], { sizeBonus: 3 }, { maxScore });
+    assert.equal(cluster.clusterSize, 2);
+    assert.equal(cluster.score, maxScore);
+    assert.equal(cluster.scoreBreakdown.clusterBonus, 3);
+    assert.equal(cluster.scoreBreakdown.maxScore, maxScore);
+  });
+});
+
+describe('extractCity', () => {
+  test('辭典以外的自訂城市以字面比對', () => {
+    const custom = structuredClone(rules);
+    custom.filterRules.cities.values.push('新竹');
+
+    assert.equal(extractCity({ title: '新竹市長出席記者會', summary: '' }, custom), '新竹');
+    assert.equal(extractCity({ title: '竹北板橋雙城交流', summary: '' }, custom), '新北');
+  });
+});
+
+describe('partitionNews', () => {
+  test('未通過的新聞附上原因與評分明細', () => {
+    const { accepted, rejected } = partitionNews([...examples, ...scoringCases], rules);
+    const reasons = Object.fromEntries(rejected.map(news => [news.title, news.rejectReason]));
+
+    assert.equal(accepted.length + rejected.length, examples.length + scoringCases.length);
+    assert.equal(reasons['台中市明星代言新產品'], '排除詞「明星」');
+    assert.equal(reasons['內政部發布新聞稿'], '缺少必要的城市');
+    assert.equal(rejected.find(news => news.title === '颱風動態更新').rejectType, 'missingRequired');
+
+    const [top] = accepted;
+    assert.deepEqual(top.scoreBreakdown.matches.cities.map(match => match.label), ['台北']);
+    const secretariat = top.scoreBreakdown.categories.find(category => category.label === '秘書處業務');
+    assert.deepEqual(secretariat.keywords, ['秘書處', '行政']);
+    assert.deepEqual(top.categories, top.scoreBreakdown.categories.map(category => category.label));
+  });
+
+  test('低於 minScore 時回報分數', () => {
+    const strict = { ...rules, scoringRules: { ...rules.scoringRules, minScore: 70 } };
+    const { rejected } = partitionNews([examples[1]], strict);
+
+    assert.equal(rejected[0].rejectType, 'belowMinScore');
+    assert.equal(rejected[0].rejectReason, '分數 62 低於 minScore 70');
+  });
+
+  test('排除時間範圍外的新聞，並依分數與時效排名', () => {
+    const now = new Date('2026-10-19T08:00:00+08:00');
+    const [example1, , example3] = examples;
+    const news = [
+      { ...example1, publishedAt: '2026-10-18T09:00:00+08:00' },
+      { ...example3, publishedAt: '2026-10-19T07:00:00+08:00' },
+      { ...example3, title: `${example3.title}（舊聞）`, publishedAt: '2026-10-10T07:00:00+08:00' }
+    ];
+    const { accepted, rejected } = partitionNews(news, rules, { now });
+
+    assert.deepEqual(rejected.map(item => item.rejectType), ['outsideWindow']);
+    // example1 分數較高，但發布已近一天
+    assert.ok(accepted[0].score < accepted[1].score);
+    assert.deepEqual(accepted.map(item => item.title), [example3.title, example1.title]);
+    assert.equal(accepted[0].scoreBreakdown.recency.ageHours, 1);
+  });
+
+  test('unknownDatePolicy 為 exclude 時不採用沒有發布時間的新聞', () => {
+    const strict = { ...rules, recencyConfig: { ...rules.recencyConfig, unknownDatePolicy: 'exclude' } };
+    const { accepted, rejected } = partitionNews([examples[0]], strict);
+
+    assert.equal(accepted.length, 0);
+    assert.equal(rejected[0].rejectType, 'unknownDate');
+  });
+});
+
+describe('validateRules', () => {
+  test('規則檔與預設規則皆有效', () => {
+    assert.deepEqual(validateRules(rules), { valid: true, errors: [] });
+    assert.deepEqual(validateRules(getDefaultRules()), { valid: true, errors: [] });
+  });
+
+  test('回報缺少的欄位與錯誤的型別', () => {
+    const result = validateRules({
+      filterRules: { cities: { values: [] }, keywords: { values: ['市長'] } },
+      newsSourcesConfig: { timeout: 'slow', sources: [{ name: '壞來源', type: 'ftp', url: 'nope' }] }
+    });
+
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.includes('缺少 scoringRules 欄位'));
+    assert.ok(result.errors.includes('cities 陣列為空'));
+    assert.ok(result.errors.includes('newsSourcesConfig.timeout 必須是非負數字'));
+    assert.ok(result.errors.some(error => error.includes('壞來源: type')));
+    assert.ok(result.errors.some(error => error.includes('壞來源: url')));
+  });
+});
@@ -0,0 +1,412 @@
+/**
+ * 通知管道測試（使用本機的替身 HTTP 伺服器與注入的寄信函數）
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+  DEFAULT_RETRY_POLICIES,
+  NotifierError,
+  TelegramNotifier,
+  SlackNotifier,
+  DiscordNotifier,
+  WebhookNotifier,
+  EmailNotifier,
+  createNotifier,
+  createNotifiers,
+  validateNotifiersConfig
+} from '../lib/notifiers.js';
+import { SmtpError } from '../lib/smtp-client.js';
+
+const now = new Date('2026-10-19T00:00:00Z');
+const displayConfig = {
+  maxArticlesInMessage: 30,
+  includeSource: true,
+  groupBy: 'city',
+  maxRetries: 3,
+  retryDelay: 1
+};
+
+const news = [
+  { title: '台北市政府秘書處舉辦記者會', summary: '市長出席。', url: 'https://example.com/1', source: '聯合新聞網', city: '台北', score: 20 },
+  { title: '高雄市政府新聞處說明預算', summary: '議會審議。', url: 'https://example.com/2', source: '中央社', city: '高雄', score: 18 }
+];
+
+/**
+ * 啟動替身 HTTP 伺服器，依序以 responses 回應（用完後重複最後一個）
+ * @param {Array} responses - [{status, body, headers}]
+ * @returns {Promise<Object>} {url, requests, close}
+ */
+function startHttpServer(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null });
+      const { status = 200, body = '', headers = {} } = responses[Math.min(requests.length - 1, responses.length - 1)];
+      const text = typeof body === 'string' ? body : JSON.stringify(body);
+      res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json', ...headers });
+      res.end(text);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('TelegramNotifier', () => {
+  test('以 HTML 發送並回報訊息 id', async () => {
+    const api = await startHttpServer([{ body: { ok: true, result: { message_id: 42 } } }]);
+    try {
+      const notifier = new TelegramNotifier(
+        { type: 'telegram', botTokenEnv: 'BOT', chatIdEnv: 'CHAT', apiBaseUrl: api.url },
+        { displayConfig, env: { BOT: 'token123', CHAT: '-100' } }
+      );
+      const report = await notifier.deliver(news, { now });
+
+      assert.equal(api.requests[0].url, '/bottoken123/sendMessage');
+      assert.equal(api.requests[0].body.chat_id, '-100');
+      assert.equal(api.requests[0].body.parse_mode, 'HTML');
+      assert.match(api.requests[0].body.text, /台北市政府秘書處舉辦記者會/);
+      assert.deepEqual(report.sent, [{ index: 1, id: 42, plainText: false }]);
+      assert.deepEqual(report.failed, []);
+      assert.deepEqual(report.deliveredItems, news);
+    } finally {
+      await api.close();
+    }
+  });
+
+  test('附上回饋按鈕（純文字重送時也保留）', async () => {
+    const api = await startHttpServer([
+      { status: 400, body: { ok: false, description: "Bad Request: can't parse entities" } },
+      { body: { ok: true, result: { message_id: 43 } } }
+    ]);
+    try {
+      const notifier = new TelegramNotifier(
+        { type: 'telegram', botTokenEnv: 'BOT', chatIdEnv: 'CHAT', apiBaseUrl: api.url, display: { feedbackButtons: true } },
+        { displayConfig, env: { BOT: 'token123', CHAT: '-100' } }
+      );
+      await notifier.deliver(news, { now });
+
+      api.requests.forEach(request => {
+        assert.equal(request.body.reply_markup.inline_keyboard.length, 2);
+        assert.match(request.body.reply_markup.inline_keyboard[0][0].callback_data, /^fb:[0-9a-f]{12}:up$/);
+      });
+      assert.equal(api.requests[1].body.parse_mode, undefined);
+    } finally {
+      await api.close();
+    }
+  });
+
+  test('無法解析 HTML 時改以純文字重送', async () => {
+    const api = await startHttpServer([
+      { status: 400, body: { ok: false, description: "Bad Request: can't parse entities: unexpected end tag" } },
+      { body: { ok: true, result: { message_id: 7 } } }
+    ]);
+    try {
+      const notifier = new TelegramNotifier(
+        { type: 'telegram', botToken: 't', chatId: '1', apiBaseUrl: `${api.url}/` },
+        { displayConfig }
+      );
+      const report = await notifier.deliver(news, { now });
+
+      assert.equal(api.requests.length, 2);
+      assert.equal(api.requests[1].body.parse_mode, undefined);
+      assert.doesNotMatch(api.requests[1].body.text, /<b>/);
+      assert.deepEqual(report.sent, [{ index: 1, id: 7, plainText: true }]);
+    } finally {
+      await api.close();
+    }
+  });
+
+  test('429 時依 retry_after 等待後重試', async () => {
+    const api = await startHttpServer([
+      { status: 429, body: { ok: false, description: 'Too Many Requests: retry after 0', parameters: { retry_after: 0 } } },
+      { body: { ok: true, result: { message_id: 8 } } }
+    ]);
+    try {
+      const warnings = [];
+      const notifier = new TelegramNotifier(
+        { type: 'telegram', botToken: 't', chatId: '1', apiBaseUrl: api.url, retry: { retryDelay: 60000 } },
+        { displayConfig, logger: { info() {}, error() {}, warn: message => warnings.push(message) } }
+      );
+      const report = await notifier.deliver(news, { now });
+
+      assert.equal(api.requests.length, 2);
+      assert.deepEqual(warnings, ['[telegram] 等待 0ms 後重試...']);
+      assert.equal(report.sent.length, 1);
+    } finally {
+      await api.close();
+    }
+  });
+
+  test('未另外設定時沿用 telegramConfig 的重試設定', () => {
+    const notifier = new TelegramNotifier({ type: 'telegram' }, { displayConfig: { maxRetries: 5, retryDelay: 500, timeout: 3000 } });
+    assert.deepEqual(notifier.retry, { maxRetries: 5, retryDelay: 500 });
+    assert.equal(notifier.timeout, 3000);
+    assert.deepEqual(notifier.missingSettings(), ['botToken', 'chatId']);
+  });
+});
+
+describe('Slack 與 Discord', () => {
+  let server;
+
+  before(async () => {
+    server = await startHttpServer([{ body: 'ok' }]);
+  });
+
+  after(() => server.close());
+
+  test('Slack 以 Block Kit 發送到 webhook', async () => {
+    const notifier = new SlackNotifier({ type: 'slack', webhookUrl: `${server.url}/slack` }, { displayConfig });
+    const report = await notifier.deliver(news, { now });
+    const request = server.requests.at(-1);
+
+    assert.equal(request.url, '/slack');
+    assert.equal(request.body.blocks[0].type, 'header');
+    assert.deepEqual(report.sent, [{ index: 1, id: null }]);
+    assert.equal(report.deliveredItems.length, 2);
+  });
+
+  test('Discord 加上 wait=true 與顯示名稱', async () => {
+    const discord = await startHttpServer([{ body: { id: '1234567890' } }]);
+    try {
+      const notifier = new DiscordNotifier(
+        { type: 'discord', webhookUrl: `${discord.url}/api/webhooks/1/abc?thread_id=9`, username: '六都秘書處新聞' },
+        { displayConfig }
+      );
+      const report = await notifier.deliver(news, { now });
+
+      assert.equal(discord.requests[0].url, '/api/webhooks/1/abc?thread_id=9&wait=true');
+      assert.equal(discord.requests[0].body.username, '六都秘書處新聞');
+      assert.equal(discord.requests[0].body.embeds.length, 2);
+      assert.deepEqual(report.sent, [{ index: 1, id: '1234567890' }]);
+    } finally {
+      await discord.close();
+    }
+  });
+});
+
+describe('WebhookNotifier', () => {
+  test('5xx 時重試，並帶上自訂標頭', async () => {
+    const hook = await startHttpServer([{ status: 500, body: 'oops' }, { status: 502, body: 'oops' }, { body: { id: 'evt-1' } }]);
+    try {
+      const notifier = new WebhookNotifier(
+        { type: 'webhook', urlEnv: 'HOOK', headers: { Authorization: 'Bearer abc' }, retry: { retryDelay: 1 } },
+        { displayConfig, env: { HOOK: `${hook.url}/digest` } }
+      );
+      const report = await notifier.deliver(news, { now });
+
+      assert.equal(hook.requests.length, 3);
+      assert.equal(hook.requests[2].headers.authorization, 'Bearer abc');
+      assert.equal(hook.requests[2].body.total, 2);
+      assert.deepEqual(report.sent, [{ index: 1, id: 'evt-1' }]);
+    } finally {
+      await hook.close();
+    }
+  });
+
+  test('4xx 不重試，回報失敗', async () => {
+    const hook = await startHttpServer([{ status: 400, body: 'bad payload' }]);
+    try {
+      const notifier = new WebhookNotifier({ type: 'webhook', url: hook.url, retry: { retryDelay: 1 } }, { displayConfig });
+      const report = await notifier.deliver(news, { now });
+
+      assert.equal(hook.requests.length, 1);
+      assert.deepEqual(report.sent, []);
+      assert.deepEqual(report.failed, [{ index: 1, error: 'HTTP 400' }]);
+      assert.deepEqual(report.deliveredItems, []);
+    } finally {
+      await hook.close();
+    }
+  });
+
+  test('重試次數用盡後回報失敗', async () => {
+    const hook = await startHttpServer([{ status: 503, body: 'down' }]);
+    try {
+      const notifier = new WebhookNotifier({ type: 'webhook', url: hook.url, retry: { maxRetries: 2, retryDelay: 1 } }, { displayConfig });
+      const report = await notifier.deliver(news, { now });
+
+      assert.equal(hook.requests.length, 2);
+      assert.equal(report.failed.length, 1);
+    } finally {
+      await hook.close();
+    }
+  });
+});
+
+describe('EmailNotifier', () => {
+  const config = {
+    type: 'email',
+    hostEnv: 'SMTP_HOST',
+    port: 2525,
+    userEnv: 'SMTP_USER',
+    passwordEnv: 'SMTP_PASSWORD',
+    fromEnv: 'MAIL_FROM',
+    toEnv: 'MAIL_TO',
+    retry: { retryDelay: 1 }
+  };
+  const env = {
+    SMTP_HOST: '127.0.0.1',
+    SMTP_USER: 'news',
+    SMTP_PASSWORD: 'secret',
+    MAIL_FROM: 'news@example.gov.tw',
+    MAIL_TO: 'a@example.gov.tw; b@example.gov.tw'
+  };
+
+  test('以環境變數組成 SMTP 設定與收件人', async () => {
+    const calls = [];
+    const notifier = new EmailNotifier(config, {
+      displayConfig,
+      env,
+      sendMail: async (server, message) => {
+        calls.push({ server, message });
+        return { messageId: '<m1@example.gov.tw>' };
+      }
+    });
+    const report = await notifier.deliver(news, { now });
+
+    assert.equal(calls[0].server.host, '127.0.0.1');
+    assert.equal(calls[0].server.port, 2525);
+    assert.equal(calls[0].server.password, 'secret');
+    assert.deepEqual(calls[0].message.to, ['a@example.gov.tw', 'b@example.gov.tw']);
+    assert.match(calls[0].message.subject, /^台灣六都市政府秘書處新聞摘要/);
+    assert.match(calls[0].message.html, /台北市政府秘書處舉辦記者會/);
+    assert.deepEqual(report.sent, [{ index: 1, id: '<m1@example.gov.tw>' }]);
+  });
+
+  test('SMTP 4xx 重試、5xx 不重試', async () => {
+    let attempts = 0;
+    const transient = new EmailNotifier(config, {
+      displayConfig,
+      env,
+      sendMail: async () => {
+        attempts++;
+        if (attempts === 1) throw new SmtpError('SMTP MAIL FROM 失敗：421 busy', 421);
+        return { messageId: '<m2@example.gov.tw>' };
+      }
+    });
+    assert.equal((await transient.deliver(news, { now })).sent.length, 1);
+    assert.equal(attempts, 2);
+
+    attempts = 0;
+    const permanent = new EmailNotifier(config, {
+      displayConfig,
+      env,
+      sendMail: async () => {
+        attempts++;
+        throw new SmtpError('SMTP RCPT TO 失敗：550 no such user', 550);
+      }
+    });
+    const report = await permanent.deliver(news, { now });
+    assert.equal(attempts, 1);
+    assert.deepEqual(report.failed, [{ index: 1, error: 'SMTP RCPT TO 失敗：550 no such user' }]);
+  });
+
+  test('缺少設定時列出對應的環境變數', () => {
+    const notifier = new EmailNotifier(config, { env: { SMTP_HOST: 'smtp.example.gov.tw' } });
+    assert.deepEqual(notifier.missingSettings(), ['from (MAIL_FROM)', 'to (MAIL_TO)']);
+  });
+});
+
+describe('訂閱', () => {
+  test('只發送符合條件的新聞，並發到 target 指定的討論串', async () => {
+    const api = await startHttpServer([{ body: { ok: true, result: { message_id: 50 } } }]);
+    try {
+      const [main, kaohsiung] = createNotifiers({
+        notifiers: [{ name: 'telegram', type: 'telegram', botToken: 't', chatId: '-100', apiBaseUrl: api.url }],
+        subscriptions: [
+          { name: '高雄聯絡組', notifier: 'telegram', target: { chatId: '-200', messageThreadIdEnv: 'THREAD' }, cities: ['高雄'] }
+        ]
+      }, { displayConfig, env: { THREAD: '12' } });
+
+      const report = await kaohsiung.deliver(news, { now });
+      assert.equal(api.requests[0].body.chat_id, '-200');
+      assert.equal(api.requests[0].body.message_thread_id, 12);
+      assert.doesNotMatch(api.requests[0].body.text, /台北市政府秘書處/);
+      assert.equal(report.selected, 1);
+      assert.deepEqual(report.deliveredItems, [news[1]]);
+
+      await main.deliver(news, { now });
+      assert.equal(api.requests[1].body.chat_id, '-100');
+      assert.equal(api.requests[1].body.message_thread_id, undefined);
+    } finally {
+      await api.close();
+    }
+  });
+
+  test('沒有符合的新聞時不發送，除非設定 sendEmpty', async () => {
+    const sent = [];
+    const http = { post: async (url, body) => { sent.push(body); return { data: 'ok' }; } };
+    const [quiet, noisy] = createNotifiers({
+      notifiers: [{ name: 'slack', type: 'slack', enabled: false, webhookUrl: 'http://127.0.0.1/hook' }],
+      subscriptions: [
+        { name: '台南', notifier: 'slack', cities: ['台南'] },
+        { name: '台南（每日）', notifier: 'slack', cities: ['台南'], sendEmpty: true }
+      ]
+    }, { displayConfig, http });
+
+    const report = await quiet.deliver(news, { now });
+    assert.deepEqual(report, { name: '台南', type: 'slack', selected: 0, total: 0, sent: [], failed: [], deliveredItems: [], skipped: true });
+    assert.equal(sent.length, 0);
+
+    assert.equal((await noisy.deliver(news, { now })).sent.length, 1);
+    assert.match(sent[0].text, /今日無相關新聞/);
+  });
+});
+
+describe('建立與驗證', () => {
+  test('createNotifiers 只建立啟用的管道', () => {
+    const notifiers = createNotifiers({
+      notifiers: [
+        { type: 'telegram' },
+        { type: 'slack', enabled: false },
+        { name: 'ops', type: 'webhook' }
+      ]
+    });
+
+    assert.deepEqual(notifiers.map(n => [n.name, n.constructor.name]), [['telegram', 'TelegramNotifier'], ['ops', 'WebhookNotifier']]);
+    assert.deepEqual(notifiers[1].retry, DEFAULT_RETRY_POLICIES.webhook);
+  });
+
+  test('不支援的類型丟出錯誤', () => {
+    assert.throws(() => createNotifier({ type: 'fax' }), /不支援的通知管道類型：fax/);
+  });
+
+  test('validateNotifiersConfig 檢查類型、名稱與數值', () => {
+    assert.deepEqual(validateNotifiersConfig(undefined), []);
+    assert.deepEqual(validateNotifiersConfig({}), ['notifiersConfig.notifiers 必須是陣列']);
+
+    const errors = validateNotifiersConfig({
+      notifiers: [
+        { type: 'slack' },
+        { type: 'slack', retry: { maxRetries: -1 } },
+        { type: 'fax', name: 'fax' },
+        { type: 'email', name: 'mail', to: 5, timeout: 0 }
+      ]
+    });
+
+    assert.deepEqual(errors, [
+      'notifiersConfig.notifiers[1].name 重複：slack',
+      'notifiersConfig.notifiers[1].retry.maxRetries 必須是非負數字',
+      'notifiersConfig.notifiers[2].type 必須是 telegram、slack、discord、webhook、email 之一：fax',
+      'notifiersConfig.notifiers[3].timeout 必須是正數',
+      'notifiersConfig.notifiers[3].to 必須是字串或陣列'
+    ]);
+  });
+
+  test('NotifierError 預設可重試', () => {
+    const error = new NotifierError('timeout');
+    assert.equal(error.retryable, true);
+    assert.equal(error.retryAfter, null);
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * 週報與月報測試
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ArticleArchive } from '../lib/article-archive.js';
+import {
+  reportPeriod,
+  buildPeriodicReport,
+  describeArchiveCoverage,
+  formatChange,
+  formatReportMessages,
+  reportToCsv,
+  exportReport
+} from '../lib/periodic-report.js';
+import { parseReportArgs, runPeriodicReport } from '../scripts/periodic-report.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// 2026/10/19 為週一
+const now = new Date('2026-10-19T08:30:00+08:00');
+const cities = ['台北', '台中', '高雄', '台南'];
+
+function news(id, city, { keywords = [], related = 0, ...rest } = {}) {
+  return {
+    title: `${city}新聞 ${id}`,
+    url: `https://example.com/${id}`,
+    source: '中央社',
+    city,
+    scoreBreakdown: { matches: { keywords: keywords.map(label => ({ label, points: 5 })) } },
+    related: Array.from({ length: related }, (_, index) => ({ title: `相關 ${index}`, url: `https://other.example/${id}/${index}`, source: '聯合新聞網' })),
+    ...rest
+  };
+}
+
+function buildArchive(archivePath = '/nonexistent/archive.json') {
+  const archive = new ArticleArchive({ path: archivePath });
+  [
+    // 本週（10/12 – 10/18）
+    [news('a', '台北', { keywords: ['秘書處', '市長'], related: 2, score: 20, categories: ['市政新聞'] }), '2026-10-13T09:00:00+08:00'],
+    [news('b', '高雄', { keywords: ['秘書處'], score: 30, categories: ['國際交流', '市政新聞'] }), '2026-10-15T09:00:00+08:00'],
+    [news('c', '台北', { keywords: ['路跑'], related: 1, score: 10, category: '體育活動' }), '2026-10-18T23:00:00+08:00'],
+    // 本週之後
+    [news('d', '台北', { keywords: ['秘書處'] }), '2026-10-19T00:00:00+08:00'],
+    // 前一週（10/05 – 10/11）
+    [news('e', '台北', { keywords: ['秘書處'] }), '2026-10-07T09:00:00+08:00'],
+    [news('f', '台中', { keywords: ['市長'] }), '2026-10-11T23:59:00+08:00'],
+    // 更早
+    [news('g', '台南', { keywords: ['市長'] }), '2026-10-04T23:59:00+08:00']
+  ].forEach(([item, archivedAt]) => archive.add([item], new Date(archivedAt)));
+  return archive;
+}
+
+describe('reportPeriod', () => {
+  test('週報為上週一至週日，前期為再前一週', () => {
+    const period = reportPeriod('weekly', now);
+    assert.equal(period.from.toISOString(), '2026-10-11T16:00:00.000Z');
+    assert.equal(period.to.toISOString(), '2026-10-18T16:00:00.000Z');
+    assert.equal(period.previousFrom.toISOString(), '2026-10-04T16:00:00.000Z');
+  });
+
+  test('週日執行時仍統計前一個完整的週', () => {
+    const period = reportPeriod('weekly', new Date('2026-10-18T23:00:00+08:00'));
+    assert.equal(period.to.toISOString(), '2026-10-11T16:00:00.000Z');
+  });
+
+  test('月報為上個月，跨年時回到前一年', () => {
+    const period = reportPeriod('monthly', now);
+    assert.equal(period.from.toISOString(), '2026-08-31T16:00:00.000Z');
+    assert.equal(period.to.toISOString(), '2026-09-30T16:00:00.000Z');
+    assert.equal(period.previousFrom.toISOString(), '2026-07-31T16:00:00.000Z');
+
+    const january = reportPeriod('monthly', new Date('2027-01-01T09:00:00+08:00'));
+    assert.equal(january.from.toISOString(), '2026-11-30T16:00:00.000Z');
+    assert.equal(january.previousFrom.toISOString(), '2026-10-31T16:00:00.000Z');
+  });
+
+  test('不支援的類型拋出錯誤', () => {
+    assert.throws(() => reportPeriod('daily', now), /不支援的報告類型：daily/);
+  });
+});
+
+describe('buildPeriodicReport', () => {
+  const report = buildPeriodicReport(buildArchive().entries, { type: 'weekly', now, cities, topStories: 2 });
+
+  test('依存檔日期（台北時間）統計本期與前期', () => {
+    assert.equal(report.period.label, '2026/10/12 – 2026/10/18');
+    assert.equal(report.previousPeriod.label, '2026/10/05 – 2026/10/11');
+    assert.equal(report.total, 3);
+    assert.equal(report.previousTotal, 2);
+  });
+
+  test('存檔晚於本期或前期開始時提醒統計不完整', () => {
+    const entries = buildArchive().entries;
+    const recent = entries.filter(entry => entry.archivedAt >= '2026-10-07');
+    const latest = entries.filter(entry => entry.archivedAt >= '2026-10-15');
+
+    assert.equal(report.archiveSince, '2026-10-04T15:59:00.000Z');
+    assert.equal(describeArchiveCoverage(report), null);
+    assert.equal(describeArchiveCoverage(buildPeriodicReport(recent, { type: 'weekly', now, cities })),
+      '新聞存檔自 2026/10/07 起才有紀錄，前一週的統計不完整，增減僅供參考');
+    assert.equal(describeArchiveCoverage(buildPeriodicReport(latest, { type: 'weekly', now, cities })),
+      '新聞存檔自 2026/10/15 起才有紀錄（Actions 快取可能已過期），本期統計不完整');
+    assert.match(describeArchiveCoverage(buildPeriodicReport([], { type: 'weekly', now, cities })), /沒有任何紀錄/);
+  });
+
+  test('各城市列出則數與占比，沒有新聞的城市也列出', () => {
+    assert.deepEqual(report.cities, [
+      { name: '台北', count: 2, previous: 1, share: 66.7, previousShare: 50 },
+      { name: '高雄', count: 1, previous: 0, share: 33.3, previousShare: 0 },
+      { name: '台中', count: 0, previous: 1, share: 0, previousShare: 50 },
+      { name: '台南', count: 0, previous: 0, share: 0, previousShare: 0 }
+    ]);
+  });
+
+  test('分類依新聞的所有分類統計', () => {
+    const find = name => report.categories.find(category => category.name === name);
+    assert.equal(report.categories[0].name, '市政新聞');
+    assert.equal(find('市政新聞').count, 2);
+    assert.equal(find('體育活動').count, 1);
+    assert.deepEqual(find('其他'), { name: '其他', count: 0, previous: 2, share: 0, previousShare: 100 });
+  });
+
+  test('關鍵字只列本期出現的詞', () => {
+    assert.deepEqual(report.keywords.map(keyword => [keyword.name, keyword.count, keyword.previous]),
+      [['秘書處', 2, 1], ['市長', 1, 1], ['路跑', 1, 0]]);
+    assert.equal(buildPeriodicReport(buildArchive().entries, { type: 'weekly', now, topKeywords: 1 }).keywords.length, 1);
+  });
+
+  test('最多媒體報導的新聞依來源數排序並遵守 topStories', () => {
+    assert.deepEqual(report.stories, [
+      { title: '台北新聞 a', url: 'https://example.com/a', source: '中央社', city: '台北', date: '2026-10-13', coverage: 3, score: 20 },
+      { title: '台北新聞 c', url: 'https://example.com/c', source: '中央社', city: '台北', date: '2026-10-18', coverage: 2, score: 10 }
+    ]);
+  });
+});
+
+test('formatChange 顯示增減與百分比', () => {
+  assert.equal(formatChange(4, 3), '▲ +1（+33%）');
+  assert.equal(formatChange(1, 2), '▼ -1（-50%）');
+  assert.equal(formatChange(2, 2), '＝');
+  assert.equal(formatChange(4, 0), '▲ +4（新出現）');
+});
+
+describe('formatReportMessages', () => {
+  const rules = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'filter-rules.json'), 'utf-8'));
+
+  test('列出總數、各城市、分類、關鍵字與新聞', () => {
+    const report = buildPeriodicReport(buildArchive().entries, { type: 'weekly', now, cities });
+    const parts = formatReportMessages(report, { now, rules });
+    const html = parts.map(part => part.html).join('\n');
+
+    assert.equal(parts.length, 1);
+    assert.match(html, /📊 <b>台灣六都市政府秘書處新聞週報<\/b>/);
+    assert.match(html, /📅 2026\/10\/12 – 2026\/10\/18（與前一週比較）/);
+    assert.match(html, /共 3 則新聞，前一週 2 則 ▲ \+1（\+50%）/);
+    assert.match(html, /台北 2 則 ▲ \+1（\+100%）｜占 66.7%（前一週 50%）/);
+    assert.match(html, /台南 0 則 ＝｜占 0%（前一週 0%）/);
+    assert.match(html, /1\. 秘書處 2 次 ▲ \+1（\+100%）/);
+    assert.match(html, /1\. <a href="https:\/\/example.com\/a">台北新聞 a<\/a>\n {3}台北｜3 個來源｜10\/13/);
+    assert.match(html, /🔖 篩選規則 v/);
+    assert.doesNotMatch(html, /⚠️/);
+    assert.deepEqual(parts[0].items, []);
+    assert.doesNotMatch(parts[0].text, /<b>|<a /);
+  });
+
+  test('沒有新聞時顯示（無）並使用月報標題', () => {
+    const html = formatReportMessages(buildPeriodicReport([], { type: 'monthly', now, cities }), { now })[0].html;
+    assert.match(html, /新聞月報/);
+    assert.match(html, /【熱門關鍵字】<\/b>\n（無）/);
+    assert.match(html, /共 0 則新聞，前一個月 0 則 ＝/);
+    assert.match(html, /⚠️ 新聞存檔沒有任何紀錄/);
+  });
+});
+
+describe('匯出', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reportToCsv 加上 BOM，含逗號或引號的欄位加上引號', () => {
+    const archive = buildArchive();
+    archive.entries[0].title = '台北"市長",記者會';
+    const csv = reportToCsv(buildPeriodicReport(archive.entries, { type: 'weekly', now, cities }));
+
+    assert.ok(csv.counts.startsWith('\uFEFF期間,項目,名稱,本期,前期,增減,本期占比(%),前期占比(%)\r\n'));
+    assert.match(csv.counts, /2026\/10\/12 – 2026\/10\/18,總計,,3,2,1,,\r\n/);
+    assert.match(csv.counts, /,城市,台中,0,1,-1,0,50\r\n/);
+    assert.match(csv.stories, /,1,"台北""市長"",記者會",台北,中央社,3,20,2026-10-13,https:\/\/example.com\/a\r\n/);
+  });
+
+  test('exportReport 以期間起始日命名檔案，不支援的格式拋出錯誤', () => {
+    const report = buildPeriodicReport(buildArchive().entries, { type: 'weekly', now, cities });
+    const written = exportReport(report, path.join(dir, 'out'), ['json', 'csv']);
+
+    assert.deepEqual(written.map(file => path.basename(file)), ['weekly-2026-10-12.json', 'weekly-2026-10-12.csv', 'weekly-2026-10-12-stories.csv']);
+    assert.deepEqual(JSON.parse(fs.readFileSync(written[0], 'utf-8')), JSON.parse(JSON.stringify(report)));
+    assert.throws(() => exportReport(report, dir, ['xlsx']), /不支援的匯出格式：xlsx/);
+  });
+});
+
+test('parseReportArgs 解析參數', () => {
+  assert.deepEqual(parseReportArgs(['--period', 'monthly', '--export', 'csv, json', '--dry-run', '--now', '2026-10-19T08:30:00+08:00']),
+    { period: 'monthly', dryRun: true, exportFormats: ['csv', 'json'], outputDir: null, now });
+  assert.equal(parseReportArgs(['--period', 'weekly']).exportFormats, null);
+  assert.throws(() => parseReportArgs([]), /--period 必須是 weekly 或 monthly：未指定/);
+  assert.throws(() => parseReportArgs(['--period', 'weekly', '--now', 'yesterday']), /--now 無法解析/);
+});
+
+describe('runPeriodicReport', () => {
+  let dir;
+  let rulesPath;
+  const env = { TELEGRAM_BOT_TOKEN: 'token', TELEGRAM_GROUP_ID: '-100' };
+
+  function writeRules(reportConfig = {}) {
+    const rules = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'filter-rules.json'), 'utf-8'));
+    rules.archiveConfig = { ...rules.archiveConfig, path: path.join(dir, 'archive.json') };
+    rules.reportConfig = { ...rules.reportConfig, ...reportConfig };
+    fs.writeFileSync(rulesPath, JSON.stringify(rules));
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+    rulesPath = path.join(dir, 'filter-rules.json');
+    buildArchive(path.join(dir, 'archive.json')).save();
+    writeRules();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('dry-run 時輸出訊息並匯出，不需要通知設定', async () => {
+    const printed = [];
+    const result = await runPeriodicReport({
+      period: 'weekly', now, dryRun: true, exportFormats: ['csv'], outputDir: path.join(dir, 'reports'), rulesPath, env: {}, print: text => printed.push(text)
+    });
+
+    assert.equal(result.report.total, 3);
+    assert.deepEqual(result.report.cities.map(city => city.name).slice(0, 2), ['台北', '高雄']);
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'reports')).sort(), ['weekly-2026-10-12-stories.csv', 'weekly-2026-10-12.csv']);
+    assert.deepEqual(result.deliveries, []);
+    assert.match(printed[0], /^----- 第 1\/1 則訊息 -----\n📊 <b>台灣六都市政府秘書處新聞週報/);
+  });
+
+  test('透過 reportConfig.notifiers 指定的 Telegram 管道發送', async () => {
+    const posts = [];
+    const http = {
+      post: async (url, body) => {
+        posts.push({ url, body });
+        return { data: { ok: true, result: { message_id: posts.length } } };
+      }
+    };
+
+    const result = await runPeriodicReport({ period: 'monthly', now, rulesPath, env, http, print: () => assert.fail('不應輸出') });
+
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].url, 'https://api.telegram.org/bottoken/sendMessage');
+    assert.equal(posts[0].body.chat_id, '-100');
+    assert.equal(posts[0].body.parse_mode, 'HTML');
+    assert.match(posts[0].body.text, /新聞月報/);
+    assert.deepEqual(result.exported, []);
+    assert.deepEqual(result.deliveries, [{ name: 'telegram', total: 1, sent: [{ index: 1, id: 1, plainText: false }], failed: [] }]);
+  });
+
+  test('非 Telegram、不存在或缺少設定的管道拋出錯誤', async () => {
+    writeRules({ notifiers: ['slack'] });
+    await assert.rejects(runPeriodicReport({ period: 'weekly', now, rulesPath, env }), /reportConfig.notifiers 中的 slack 不存在或未啟用/);
+
+    const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
+    rules.notifiersConfig.notifiers.find(notifier => notifier.name === 'slack').enabled = true;
+    fs.writeFileSync(rulesPath, JSON.stringify(rules));
+    await assert.rejects(runPeriodicReport({ period: 'weekly', now, rulesPath, env }), /只能發送到 Telegram 管道：slack \(slack\)/);
+
+    writeRules();
+    await assert.rejects(runPeriodicReport({ period: 'weekly', now, rulesPath, env: {} }), /沒有可用的通知管道/);
+  });
+});
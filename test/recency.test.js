@@ -0,0 +1,102 @@
+/**
+ * 發布時間範圍與時效排名測試
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveRecencyConfig,
+  getPublishWindow,
+  assessRecency,
+  validateRecencyConfig
+} from '../lib/recency.js';
+
+// 台灣時間 2026-10-19 08:05
+const now = new Date('2026-10-19T08:05:00+08:00');
+const config = resolveRecencyConfig({ windowHours: 24, windowAnchor: '08:00', halfLifeHours: 24, recencyWeight: 0.3 });
+
+describe('getPublishWindow', () => {
+  test('以執行前最近一次基準時刻往前計算', () => {
+    const { since } = getPublishWindow(now, config);
+    assert.equal(since.toISOString(), '2026-10-18T00:00:00.000Z');
+
+    // 07:30 執行時，最近一次 08:00 是前一天
+    const early = getPublishWindow(new Date('2026-10-19T07:30:00+08:00'), config);
+    assert.equal(early.since.toISOString(), '2026-10-17T00:00:00.000Z');
+  });
+
+  test('未設定基準時刻時以執行時間為準，windowHours 為 0 時不限', () => {
+    assert.equal(getPublishWindow(now, { ...config, windowAnchor: null }).since.toISOString(), '2026-10-18T00:05:00.000Z');
+    assert.equal(getPublishWindow(now, { ...config, windowHours: 0 }).since, null);
+  });
+});
+
+describe('assessRecency', () => {
+  test('越新的新聞時效係數越高', () => {
+    const fresh = assessRecency({ publishedAt: '2026-10-19T08:05:00+08:00' }, now, config);
+    const halfDay = assessRecency({ publishedAt: '2026-10-18T20:05:00+08:00' }, now, config);
+    const day = assessRecency({ publishedAt: '2026-10-18T08:05:00+08:00' }, now, config);
+
+    assert.equal(fresh.factor, 1);
+    assert.equal(halfDay.ageHours, 12);
+    assert.ok(halfDay.factor < fresh.factor && halfDay.factor > day.factor);
+    assert.equal(day.factor, 0.85);
+  });
+
+  test('超出時間範圍或晚於執行時間者不採用', () => {
+    const old = assessRecency({ publishedAt: '2026-10-12T09:00:00+08:00' }, now, config);
+    assert.equal(old.inWindow, false);
+    assert.match(old.reason, /超出 24 小時的時間範圍/);
+
+    assert.equal(assessRecency({ publishedAt: '2026-10-19T12:00:00+08:00' }, now, config).inWindow, false);
+    assert.equal(assessRecency({ publishedAt: '2026-10-19T08:30:00+08:00' }, now, config).inWindow, true);
+  });
+
+  test('只有日期時以當天結束時間判斷', () => {
+    const news = { publishedAt: '2026-10-17T16:00:00.000Z', publishedAtPrecision: 'day' };
+    const result = assessRecency(news, now, config);
+
+    assert.equal(result.inWindow, true);
+    assert.equal(result.ageHours, 8.08);
+    assert.equal(assessRecency({ publishedAt: news.publishedAt }, now, config).inWindow, false);
+  });
+
+  test('無法判斷發布時間時依 unknownDatePolicy 處理', () => {
+    const news = { publishedAt: null };
+
+    const assumeOld = assessRecency(news, now, { ...config, unknownDatePolicy: 'assumeOld' });
+    assert.equal(assumeOld.dateKnown, false);
+    assert.equal(assumeOld.inWindow, true);
+    assert.equal(assumeOld.ageHours, 24.08);
+
+    assert.equal(assessRecency(news, now, { ...config, unknownDatePolicy: 'assumeNew' }).factor, 1);
+
+    const excluded = assessRecency(news, now, { ...config, unknownDatePolicy: 'exclude' });
+    assert.equal(excluded.inWindow, false);
+    assert.match(excluded.reason, /無法判斷發布時間/);
+  });
+
+  test('停用時不影響排名', () => {
+    const result = assessRecency({ publishedAt: '2026-01-01T00:00:00Z' }, now, { ...config, enabled: false });
+    assert.equal(result.inWindow, true);
+    assert.equal(result.factor, 1);
+  });
+});
+
+test('validateRecencyConfig', () => {
+  assert.deepEqual(validateRecencyConfig(undefined), []);
+  assert.deepEqual(validateRecencyConfig({ windowHours: 24, windowAnchor: '08:00', unknownDatePolicy: 'exclude' }), []);
+  assert.deepEqual(validateRecencyConfig({
+    windowHours: -1,
+    halfLifeHours: 0,
+    recencyWeight: 2,
+    windowAnchor: '8am',
+    unknownDatePolicy: 'ignore'
+  }), [
+    'recencyConfig.windowHours 必須是非負數字',
+    'recencyConfig.halfLifeHours 必須大於 0',
+    'recencyConfig.recencyWeight 必須介於 0 到 1',
+    'recencyConfig.windowAnchor 必須是 HH:MM 格式：8am',
+    'recencyConfig.unknownDatePolicy 必須是 exclude、assumeOld、assumeNew 之一'
+  ]);
+});
@@ -0,0 +1,212 @@
+/**
+ * 規則引擎測試
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreArticle, capScore, findNormalizedAway, validateTerm, validateScoringRules } from '../lib/rule-engine.js';
+
+function makeRules({ keywords = ['市長'], scoringRules = {}, required = true } = {}) {
+  return {
+    filterRules: {
+      cities: { values: ['台北', '高雄'], weight: 10, required },
+      keywords: { values: keywords, weight: 5, required },
+      excludeKeywords: { values: ['明星'], weight: -100 }
+    },
+    scoringRules: { minScore: 5, ...scoringRules }
+  };
+}
+
+describe('scoreArticle', () => {
+  test('缺少必要群組時不計分並回報原因', () => {
+    const result = scoreArticle({ title: '台北高雄雙城論壇', summary: '' }, makeRules());
+
+    assert.equal(result.score, 0);
+    assert.equal(result.rawScore, 20);
+    assert.deepEqual(result.missingRequired, ['關鍵字']);
+  });
+
+  test('required 為 false 時照常計分', () => {
+    const result = scoreArticle({ title: '台北高雄雙城論壇', summary: '' }, makeRules({ required: false }));
+    assert.equal(result.score, 20);
+  });
+
+  test('內文未提及城市時採用來源標記的城市', () => {
+    const result = scoreArticle({ title: '市長主持會議', summary: '', city: '高雄' }, makeRules());
+
+    assert.equal(result.score, 15);
+    assert.equal(result.matches.cities[0].field, 'source');
+  });
+
+  test('標題與摘要套用不同倍率', () => {
+    const rules = makeRules({ scoringRules: { fieldWeights: { title: 2, summary: 1 } } });
+
+    assert.equal(scoreArticle({ title: '台北市長出席', summary: '' }, rules).score, 30);
+    assert.equal(scoreArticle({ title: '台北活動', summary: '市長出席' }, rules).score, 25);
+  });
+
+  test('重複出現依 repeatDecay 遞減並受 maxRepeats 限制', () => {
+    const rules = makeRules({ scoringRules: { repeatDecay: 0.5, maxRepeats: 2 } });
+    const result = scoreArticle({ title: '台北市長', summary: '市長說市長會到' }, rules);
+
+    assert.equal(result.matches.keywords[0].count, 3);
+    assert.equal(result.score, 10 + 5 * 1.5);
+  });
+
+  test('支援個別權重、正規表示式與詞組', () => {
+    const rules = makeRules({
+      keywords: [
+        { value: '秘書處', weight: 8 },
+        { regex: '市府(團隊|會議)', label: '市府會議' },
+        { phrase: '市長 視察', maxGap: 3, weight: 4 }
+      ]
+    });
+    const result = scoreArticle({ title: '台北市長今日視察', summary: '秘書處召開市府會議' }, rules);
+
+    assert.deepEqual(result.matches.keywords.map(match => match.label), ['秘書處', '市府會議', '市長 視察']);
+    assert.equal(result.score, 10 + 8 + 5 + 4);
+    assert.equal(scoreArticle({ title: '台北市長出國，下週再視察', summary: '' }, rules).score, 0);
+  });
+
+  test('有內文時以全文取代摘要比對', () => {
+    const news = { title: '公文線上簽核上路', summary: '推動無紙化。', content: '台北市長宣布公文線上簽核上路。' };
+
+    assert.equal(scoreArticle({ ...news, content: undefined }, makeRules()).score, 0);
+    assert.equal(scoreArticle(news, makeRules()).score, 15);
+  });
+
+  test('max_per_group 每組只取最高分', () => {
+    const rules = makeRules({
+      keywords: [{ value: '市長', weight: 5 }, { value: '視察', weight: 7 }],
+      scoringRules: { scoringMethod: 'max_per_group' }
+    });
+    assert.equal(scoreArticle({ title: '台北高雄市長視察', summary: '' }, rules).score, 17);
+  });
+
+  test('maxScore 留待加分後才封頂', () => {
+    const result = scoreArticle({ title: '台北高雄市長', summary: '' }, makeRules({ scoringRules: { maxScore: 20 } }));
+
+    assert.equal(result.score, 25);
+    assert.deepEqual(capScore(result.score, 20), { score: 20, capped: true });
+    assert.deepEqual(capScore(result.score, undefined), { score: 25, capped: false });
+  });
+
+  test('包含排除詞時為 0', () => {
+    const result = scoreArticle({ title: '台北市長與明星合照', summary: '' }, makeRules());
+
+    assert.equal(result.score, 0);
+    assert.equal(result.excludedBy, '明星');
+  });
+});
+
+describe('categories', () => {
+  function withCategories(scoringRules = {}) {
+    const rules = makeRules({ scoringRules: { fieldWeights: { title: 2, summary: 1 }, ...scoringRules } });
+    rules.filterRules.categoryKeywords = {
+      categories: {
+        秘書處業務: { keywords: ['秘書處', '行政'], weight: 3 },
+        市政新聞: { keywords: ['市長', '政策'], weight: 2 },
+        活動典禮: { keywords: ['典禮'] }
+      }
+    };
+    return rules;
+  }
+
+  test('標記所有命中的分類並依權重證據排序', () => {
+    const result = scoreArticle({ title: '台北市長宣布新政策', summary: '秘書處出席典禮' }, withCategories());
+
+    // 市政新聞 2×2×2=8、秘書處業務 3×1=3、活動典禮 1×1=1
+    assert.deepEqual(result.categories.map(category => category.label), ['市政新聞', '秘書處業務', '活動典禮']);
+    assert.deepEqual(result.categories[0].keywords, ['市長', '政策']);
+    assert.equal(result.categories[0].evidence, 8);
+  });
+
+  test('分類權重計入分數', () => {
+    const result = scoreArticle({ title: '台北市長出席典禮', summary: '' }, withCategories());
+    assert.equal(result.score, 20 + 10 + 2 + 1);
+  });
+
+  test('max_per_group 只取最高的分類權重', () => {
+    const rules = withCategories({ scoringMethod: 'max_per_group' });
+    const result = scoreArticle({ title: '台北市長出席典禮', summary: '秘書處' }, rules);
+    assert.equal(result.score, 20 + 10 + 3);
+  });
+});
+
+describe('exclusions', () => {
+  function withExcludes(values, weight = -100) {
+    const rules = makeRules({ required: false });
+    rules.filterRules.excludeKeywords = { values, weight };
+    return rules;
+  }
+
+  test('例外詞組中的排除詞不算命中', () => {
+    const rules = withExcludes([{ value: '運動', except: ['運動中心'] }]);
+
+    assert.equal(scoreArticle({ title: '台北市長視察運動中心', summary: '' }, rules).score, 15);
+    assert.equal(scoreArticle({ title: '台北市長視察運動中心', summary: '市長也下場運動' }, rules).score, 0);
+  });
+
+  test('scope 限定比對標題或摘要', () => {
+    const rules = withExcludes([{ value: '天氣', scope: 'title' }]);
+
+    assert.equal(scoreArticle({ title: '台北市長出席', summary: '天氣晴朗' }, rules).score, 15);
+    assert.equal(scoreArticle({ title: '台北天氣晴朗', summary: '' }, rules).excludedBy, '天氣');
+  });
+
+  test('扣分未達 -100 時只扣分', () => {
+    const rules = withExcludes([{ value: '旅遊', weight: -20 }, '明星']);
+    const result = scoreArticle({ title: '台北高雄市長推廣旅遊', summary: '' }, rules);
+
+    assert.equal(result.excludedBy, null);
+    assert.equal(result.penalty, -20);
+    assert.equal(result.score, 5);
+    assert.equal(scoreArticle({ title: '台北市長推廣旅遊', summary: '' }, withExcludes([{ value: '旅遊', weight: -5 }])).score, 10);
+  });
+
+  test('使用 excludeKeywords.weight 作為預設扣分', () => {
+    const rules = withExcludes(['旅遊'], -10);
+    assert.equal(scoreArticle({ title: '台北市長推廣旅遊', summary: '' }, rules).score, 5);
+  });
+
+  test('allowOfficial 的排除詞不套用在市府新聞稿', () => {
+    const rules = withExcludes([{ value: '音樂', allowOfficial: true }]);
+
+    assert.equal(scoreArticle({ title: '台北市長出席音樂節', summary: '' }, rules).score, 0);
+    assert.equal(scoreArticle({ title: '台北市長出席音樂節', summary: '', official: true }, rules).score, 15);
+  });
+});
+
+describe('validation', () => {
+  test('validateTerm', () => {
+    assert.equal(validateTerm('市長'), null);
+    assert.equal(validateTerm({ regex: '市府(團隊', weight: 5 }).startsWith('正規表示式無效'), true);
+    assert.match(validateTerm({ value: '市長', regex: '市長' }), /恰好指定/);
+    assert.match(validateTerm({ value: '市長', weight: '高' }), /權重/);
+    assert.match(validateTerm({ value: '天氣', scope: 'body' }), /scope/);
+    assert.match(validateTerm({ value: '運動', except: '運動中心' }), /except/);
+  });
+
+  test('regex 詞條不可含有比對前會被移除或轉換的寫法', () => {
+    assert.deepEqual(findNormalizedAway('市府(團隊|會議)[0-9]{2,3}(?:億|萬)'), []);
+    assert.deepEqual(findNormalizedAway('\\b市長\\s*視察'), ['\\b', '\\s']);
+    assert.deepEqual(findNormalizedAway('市府，會議 臺北\\.'), ['，', '空白', '臺→台', '\\.']);
+    assert.deepEqual(findNormalizedAway('ＡＢＣ'), ['Ａ→a', 'Ｂ→b', 'Ｃ→c']);
+    // 字元類別中的寫法不檢查，類別以外仍會回報
+    assert.deepEqual(findNormalizedAway('[臺台]北市[\\s，\\]臺]府'), []);
+    assert.deepEqual(findNormalizedAway('[臺台]北 臺中'), ['空白', '臺→台']);
+
+    assert.match(validateTerm({ regex: '市長\\s*視察' }), /含有比對前會被移除或轉換的寫法（\\s）/);
+    assert.equal(validateTerm({ regex: '市長.{0,4}視察' }), null);
+    assert.equal(validateTerm({ regex: '[臺台]北市長' }), null);
+    // 正規化後的寫法可以命中原本含有空白與標點的標題
+    assert.equal(scoreArticle({ title: '臺北市長　視察，基層', summary: '' },
+      { filterRules: { keywords: { values: [{ regex: '市長.{0,4}視察' }], weight: 5 } }, scoringRules: { minScore: 0 } }).score, 5);
+  });
+
+  test('validateScoringRules', () => {
+    assert.deepEqual(validateScoringRules({ scoringMethod: 'weighted_sum', maxScore: 100, minScore: 5 }), []);
+    const errors = validateScoringRules({ scoringMethod: 'avg', maxScore: 1, minScore: 5, repeatDecay: 2, fieldWeights: { body: 1 } });
+    assert.equal(errors.length, 4);
+  });
+});
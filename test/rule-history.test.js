@@ -0,0 +1,98 @@
+/**
+ * 篩選規則變更紀錄測試
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RuleHistory, describeRulesVersion, diffRules, formatDiff } from '../lib/rule-history.js';
+import { updateRules } from '../filter-rules-loader.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const base = {
+  version: '1.0.0',
+  lastUpdated: '2026-02-19T08:00:00Z',
+  filterRules: {
+    keywords: { values: ['市長', { value: '秘書處', weight: 8 }], weight: 5 },
+    excludeKeywords: { values: [{ value: '明星', exceptions: ['明星學校'] }], weight: -100 }
+  },
+  scoringRules: { minScore: 70 },
+  newsSourcesConfig: { sources: [{ name: '中央社', enabled: true }] }
+};
+
+describe('diffRules', () => {
+  test('詞條以名稱比對，忽略順序、version 與 lastUpdated', () => {
+    const after = structuredClone(base);
+    after.version = '1.0.1';
+    after.lastUpdated = '2026-10-19T08:00:00Z';
+    after.filterRules.keywords.values.reverse();
+
+    assert.deepEqual(diffRules(base, after), []);
+  });
+
+  test('列出新增、移除的詞條與變更的欄位', () => {
+    const after = structuredClone(base);
+    after.filterRules.keywords.values = [{ value: '秘書處', weight: 12 }, '副市長'];
+    after.filterRules.excludeKeywords.values[0].exceptions.push('明星高中');
+    after.scoringRules.minScore = 60;
+    after.newsSourcesConfig.sources[0].enabled = false;
+    after.recencyConfig = { windowHours: 24 };
+
+    assert.deepEqual(formatDiff(diffRules(base, after)), [
+      '- filterRules.keywords.values：市長',
+      '~ filterRules.keywords.values[秘書處].weight：8 → 12',
+      '+ filterRules.keywords.values：副市長',
+      '+ filterRules.excludeKeywords.values[明星].exceptions：明星高中',
+      '~ scoringRules.minScore：70 → 60',
+      '~ newsSourcesConfig.sources[中央社].enabled：true → false',
+      '+ recencyConfig：{"windowHours":24}'
+    ]);
+  });
+});
+
+test('describeRulesVersion 以台灣日期標示更新時間', () => {
+  assert.equal(describeRulesVersion({ version: '1.0.3', lastUpdated: '2026-10-19T20:00:00Z' }), 'v1.0.3（2026/10/20 更新）');
+  assert.equal(describeRulesVersion({ version: '1.0.3' }), 'v1.0.3');
+  assert.equal(describeRulesVersion({ filterRules: {} }), '內建預設規則');
+});
+
+test('RuleHistory 依修改順序列出快照並取得指定版本', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-history-'));
+  try {
+    const history = new RuleHistory({ dir });
+    const now = new Date('2026-10-19T08:00:00Z');
+
+    assert.equal(history.latest(), null);
+    history.record({ ...base, version: '1.0.9' }, { author: '王小明', message: '第一次', now });
+    history.record({ ...base, version: '1.0.10' }, { author: '李小華', message: '同一秒的第二次', now });
+
+    assert.deepEqual(history.list().map(snapshot => snapshot.version), ['1.0.9', '1.0.10']);
+    assert.equal(history.latest().message, '同一秒的第二次');
+    assert.equal(history.get('v1.0.9').author, '王小明');
+    assert.deepEqual(history.get('1.0.9').rules.filterRules, base.filterRules);
+    assert.equal(history.get('2.0.0'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('專案的規則檔第一次修改時補記目前使用的版本', () => {
+  const rulesPath = path.join(__dirname, '..', 'config', 'filter-rules.json');
+  const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-history-'));
+  const file = path.join(dir, 'filter-rules.json');
+  fs.copyFileSync(rulesPath, file);
+
+  try {
+    assert.ok(updateRules({ ...rules }, file, { author: '王小明', message: '測試' }));
+    const [seed] = new RuleHistory({ dir: path.join(dir, 'rule-history') }).list();
+    assert.equal(seed.version, rules.version);
+    assert.equal(seed.origin, 'unknown');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
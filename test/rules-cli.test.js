@@ -0,0 +1,253 @@
+/**
+ * 篩選規則維護工具測試（在暫存目錄的規則檔副本上執行）
+ */
+
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseRulesArgs, runCli } from '../scripts/rules-cli.js';
+import { bumpVersion } from '../filter-rules-loader.js';
+import { RuleHistory } from '../lib/rule-history.js';
+import { ArticleArchive } from '../lib/article-archive.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const sourceRules = path.join(__dirname, '..', 'config', 'filter-rules.json');
+
+let dir;
+let file;
+let output;
+
+/**
+ * 對暫存的規則檔執行指令（輸出收集在 output）
+ * @param {...string} args - 參數
+ * @returns {number} 結束代碼
+ */
+function run(...args) {
+  return runCli([...args, '--file', file]);
+}
+
+function readRules() {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-cli-'));
+  file = path.join(dir, 'filter-rules.json');
+  // 副本固定從 v1.0.0 開始，不受專案規則版本影響
+  const rules = JSON.parse(fs.readFileSync(sourceRules, 'utf-8'));
+  fs.writeFileSync(file, `${JSON.stringify({ ...rules, version: '1.0.0' }, null, 2)}\n`);
+  output = [];
+  mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+  mock.method(console, 'error', (...args) => output.push(args.join(' ')));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('parseRulesArgs 將負數權重與以 - 開頭的參數視為值', () => {
+  const options = parseRulesArgs(['add-exclude', '抽獎', '--weight', '-20']);
+  assert.equal(options.command, 'add-exclude');
+  assert.deepEqual(options.args, ['抽獎']);
+  assert.equal(options.weight, -20);
+
+  assert.deepEqual(parseRulesArgs(['set-weight', '秘書處', '-5']).args, ['秘書處', '-5']);
+  assert.throws(() => parseRulesArgs(['add-keyword', '詞', '--weight', 'abc']), /權重必須是數字/);
+});
+
+test('bumpVersion 遞增最後一碼', () => {
+  assert.equal(bumpVersion('1.0.9'), '1.0.10');
+  assert.equal(bumpVersion(undefined), '1.0.1');
+});
+
+describe('修改規則', () => {
+  test('add-keyword 寫回規則檔並遞增版本與更新時間', () => {
+    const before = readRules();
+
+    assert.equal(run('add-keyword', '智慧城市', '--weight', '7'), 0);
+
+    const after = readRules();
+    assert.equal(after.version, bumpVersion(before.version));
+    assert.notEqual(after.lastUpdated, before.lastUpdated);
+    assert.match(after.lastUpdated, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+    assert.deepEqual(after.filterRules.keywords.values.at(-1), { value: '智慧城市', weight: 7 });
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['filter-rules.json', 'rule-history']);
+    assert.ok(fs.readFileSync(file, 'utf-8').endsWith('}\n'));
+  });
+
+  test('重複新增或移除不存在的詞條時不寫檔', () => {
+    const before = fs.readFileSync(file, 'utf-8');
+
+    assert.equal(run('add-keyword', '秘書處'), 1);
+    assert.equal(run('remove-keyword', '不存在的詞'), 1);
+    assert.equal(fs.readFileSync(file, 'utf-8'), before);
+    assert.ok(output.some(line => line.includes('規則沒有變更')));
+  });
+
+  test('remove-keyword 與 add-exclude / remove-exclude', () => {
+    assert.equal(run('remove-keyword', '秘書處'), 0);
+    assert.ok(!readRules().filterRules.keywords.values.some(entry => (entry.value ?? entry) === '秘書處'));
+
+    assert.equal(run('add-exclude', '抽獎', '--weight', '-20'), 0);
+    assert.deepEqual(readRules().filterRules.excludeKeywords.values.at(-1), { value: '抽獎', weight: -20 });
+
+    assert.equal(run('remove-exclude', '抽獎'), 0);
+    assert.equal(readRules().version, bumpVersion(bumpVersion(bumpVersion('1.0.0'))));
+  });
+
+  test('set-weight 設定詞條、分類與群組權重', () => {
+    assert.equal(run('set-weight', '秘書處', '12'), 0);
+    assert.equal(readRules().filterRules.keywords.values.find(entry => entry.value === '秘書處').weight, 12);
+
+    assert.equal(run('set-weight', '市政新聞', '3'), 0);
+    assert.equal(readRules().filterRules.categoryKeywords.categories['市政新聞'].weight, 3);
+
+    assert.equal(run('set-weight', '--group', 'cities', '15'), 0);
+    assert.equal(readRules().filterRules.cities.weight, 15);
+
+    assert.equal(run('set-weight', '不存在的詞', '3'), 1);
+  });
+
+  test('修改後的規則驗證失敗時不寫檔', () => {
+    const rules = readRules();
+    rules.scoringRules.minScore = 'seventy';
+    fs.writeFileSync(file, JSON.stringify(rules, null, 2));
+    const before = fs.readFileSync(file, 'utf-8');
+
+    assert.equal(run('add-keyword', '智慧城市'), 1);
+    assert.equal(fs.readFileSync(file, 'utf-8'), before);
+    assert.deepEqual(fs.readdirSync(dir), ['filter-rules.json']);
+  });
+});
+
+describe('變更紀錄', () => {
+  test('每次修改記錄快照，第一次修改時先保存原本的規則', () => {
+    const { lastUpdated } = readRules();
+    assert.equal(run('add-keyword', '智慧城市', '--author', '王小明', '-m', '新增智慧城市'), 0);
+    assert.equal(run('set-weight', '秘書處', '12', '--author', '李小華'), 0);
+
+    const history = new RuleHistory({ dir: path.join(dir, 'rule-history') });
+    const entries = history.list();
+    assert.deepEqual(entries.map(({ version, author, message, origin }) => ({ version, author, message, origin })), [
+      { version: '1.0.0', author: '（未記錄）', message: '開始記錄變更前的規則', origin: 'unknown' },
+      { version: '1.0.1', author: '王小明', message: '新增智慧城市', origin: null },
+      { version: '1.0.2', author: '李小華', message: 'set-weight 秘書處 12', origin: null }
+    ]);
+    assert.deepEqual(history.get('v1.0.2').rules, readRules());
+
+    // 補記的快照以補記當下的時間記錄，不沿用規則檔的 lastUpdated
+    assert.notEqual(entries[0].timestamp, lastUpdated);
+    assert.ok(entries[0].timestamp <= entries[1].timestamp);
+
+    output.length = 0;
+    assert.equal(run('history'), 0);
+    assert.match(output.at(-3), /^ {2}v1\.0\.0 .* 開始記錄變更前的規則（來源不明，補記時間）$/);
+    assert.match(output.at(-1), /^★ v1\.0\.2 .* 李小華 {2}set-weight 秘書處 12$/);
+  });
+
+  test('手動修改的規則檔在下次修改前補記', () => {
+    run('add-keyword', '智慧城市');
+    const rules = readRules();
+    rules.scoringRules.minScore = 60;
+    fs.writeFileSync(file, JSON.stringify(rules, null, 2));
+    run('add-keyword', '韌性城市');
+
+    const entries = new RuleHistory({ dir: path.join(dir, 'rule-history') }).list();
+    assert.deepEqual(entries.slice(1).map(snapshot => snapshot.message), ['add-keyword 智慧城市', '未透過規則工具的手動修改', 'add-keyword 韌性城市']);
+    assert.equal(entries[2].origin, 'unknown');
+  });
+
+  test('diff 比較兩個版本，未指定時與目前規則比較', () => {
+    run('add-keyword', '智慧城市');
+    run('set-weight', '秘書處', '12');
+
+    output.length = 0;
+    assert.equal(run('diff', '1.0.0'), 0);
+    assert.deepEqual(output, [
+      'v1.0.0 → 目前規則（v1.0.2）',
+      '~ filterRules.keywords.values[秘書處].weight：8 → 12',
+      '+ filterRules.keywords.values：智慧城市'
+    ]);
+
+    output.length = 0;
+    assert.equal(run('diff', 'v1.0.1', 'v1.0.0'), 0);
+    assert.deepEqual(output.slice(1), ['- filterRules.keywords.values：智慧城市']);
+
+    assert.equal(run('diff', '9.9.9'), 1);
+  });
+
+  test('rollback 以指定版本的內容產生新版本', () => {
+    run('add-keyword', '智慧城市');
+    run('set-weight', '秘書處', '12');
+
+    assert.equal(run('rollback', '1.0.0', '-m', '權重調整後漏掉太多新聞'), 0);
+    assert.match(output.join('\n'), /⚠️ v1\.0\.0 是 .* 補記的規則檔，可能與當初發布的 v1\.0\.0 不同/);
+
+    const rules = readRules();
+    const original = JSON.parse(fs.readFileSync(sourceRules, 'utf-8'));
+    assert.equal(rules.version, '1.0.3');
+    assert.deepEqual(rules.filterRules, original.filterRules);
+    assert.equal(
+      new RuleHistory({ dir: path.join(dir, 'rule-history') }).latest().message,
+      '回復至 v1.0.0：權重調整後漏掉太多新聞'
+    );
+
+    assert.equal(run('rollback', '1.0.0'), 1);
+    assert.equal(run('rollback', '9.9.9'), 1);
+  });
+});
+
+describe('validate 與 test', () => {
+  test('validate 回報錯誤並以結束代碼 1 結束', () => {
+    assert.equal(run('validate'), 0);
+
+    const rules = readRules();
+    rules.filterRules.cities.values = [];
+    fs.writeFileSync(file, JSON.stringify(rules));
+    assert.equal(run('validate'), 1);
+    assert.ok(output.some(line => line.includes('cities 陣列為空')));
+
+    fs.writeFileSync(file, '{ not json');
+    assert.equal(run('validate'), 1);
+    assert.ok(output.some(line => line.includes('不是有效的 JSON')));
+  });
+
+  test('test 顯示標題的評分明細', () => {
+    assert.equal(run('test', '臺北市政府秘書處宣布公文線上簽核全面上路'), 0);
+    assert.ok(output.some(line => line.includes('城市 台北（標題）')));
+    assert.ok(output.some(line => line.includes('✅ 通過')));
+  });
+
+  test('feedback 依讀者回饋列出建議，不修改規則檔', () => {
+    const archivePath = path.join(dir, 'archive.json');
+    const archive = new ArticleArchive({ path: archivePath });
+    archive.add([
+      { title: '台中市政府推動智慧城市', url: 'https://example.com/1', city: '台中', score: 20, scoreBreakdown: { matches: { keywords: [{ label: '市政府' }] } } },
+      { title: '桃園智慧城市展開幕', url: 'https://example.com/2', city: '桃園', score: 15 }
+    ]);
+    archive.entries.forEach(entry => archive.recordVote(entry.id, 1, 'up'));
+    archive.save();
+    const before = fs.readFileSync(file, 'utf-8');
+
+    assert.equal(run('feedback', '--archive', archivePath, '--min-votes', '2', '--days', '7'), 0);
+    const text = output.join('\n');
+    assert.match(text, /近 7 天/);
+    assert.match(text, /有投票的新聞：2 則（相關 2、不相關 0、票數相同 0）/);
+    assert.match(text, /npm run rules -- add-keyword 智慧城市 -m "讀者回饋：2 則相關、0 則不相關"/);
+    assert.equal(fs.readFileSync(file, 'utf-8'), before);
+
+    assert.equal(run('feedback', '--archive', path.join(dir, 'missing.json')), 1);
+    assert.match(output.at(-1), /找不到新聞存檔/);
+    assert.equal(run('feedback', '--min-votes', '0'), 2);
+  });
+
+  test('未知指令與缺少參數時以結束代碼 2 結束', () => {
+    assert.equal(run('bogus'), 2);
+    assert.equal(run('add-keyword'), 2);
+    assert.equal(runCli([]), 2);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * 已發送新聞紀錄測試
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SeenStore, canonicalizeUrl, fingerprintTitle } from '../lib/seen-store.js';
+
+describe('canonicalizeUrl', () => {
+  test('移除追蹤參數、錨點、www 與結尾斜線', () => {
+    assert.equal(
+      canonicalizeUrl('https://WWW.udn.com/news/story/1/?utm_source=fb&b=2&a=1#top'),
+      'https://udn.com/news/story/1?a=1&b=2'
+    );
+  });
+});
+
+describe('fingerprintTitle', () => {
+  test('忽略空白與標點', () => {
+    assert.equal(fingerprintTitle('台北 市長，視察！'), fingerprintTitle('台北市長視察'));
+    assert.equal(fingerprintTitle(''), '');
+  });
+});
+
+describe('SeenStore', () => {
+  test('以網址或標題判斷已發送，並在重新載入後保留', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'seen-')), 'seen.json');
+    const store = new SeenStore({ path: file, retentionDays: 14 }).load();
+    store.markDelivered([{ url: 'https://a.example/1?fbclid=x', title: '台北市長視察' }]);
+    store.save();
+
+    const reloaded = new SeenStore({ path: file, retentionDays: 14 }).load();
+    assert.equal(reloaded.has({ url: 'https://a.example/1', title: '其他標題' }), true);
+    assert.equal(reloaded.has({ url: 'https://b.example/2', title: '台北市長 視察' }), true);
+    assert.equal(reloaded.has({ url: 'https://b.example/2', title: '高雄市長視察' }), false);
+  });
+
+  test('移除超過保存天數的紀錄', () => {
+    const store = new SeenStore({ path: 'unused.json', retentionDays: 7 });
+    store.markDelivered([{ url: 'https://a.example/old', title: '舊聞' }], new Date('2026-10-01T00:00:00Z'));
+    store.markDelivered([{ url: 'https://a.example/new', title: '新聞' }], new Date('2026-10-18T00:00:00Z'));
+
+    assert.equal(store.prune(new Date('2026-10-19T00:00:00Z')), 1);
+    assert.equal(store.has({ url: 'https://a.example/old', title: '' }), false);
+    assert.equal(store.has({ url: 'https://a.example/new', title: '' }), true);
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * SMTP 用戶端測試（使用本機的替身 SMTP 伺服器）
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { SmtpError, encodeHeader, buildMessage, sendMail } from '../lib/smtp-client.js';
+
+/**
+ * 啟動替身 SMTP 伺服器
+ * @param {Object} options - {auth: EHLO 宣告的 AUTH 方式, reject: {指令: 回覆}}
+ * @returns {Promise<Object>} {port, sessions, close}
+ */
+function startSmtpServer({ auth = 'PLAIN LOGIN', reject = {} } = {}) {
+  const sessions = [];
+  const server = net.createServer(socket => {
+    const session = { commands: [], data: '' };
+    sessions.push(session);
+    let buffer = '';
+    let inData = false;
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 localhost ESMTP test');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf-8');
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          session.data = buffer.substring(0, end);
+          buffer = buffer.substring(end + 5);
+          inData = false;
+          reply(reject.BODY || '250 2.0.0 queued');
+          continue;
+        }
+
+        const end = buffer.indexOf('\r\n');
+        if (end === -1) return;
+        const line = buffer.substring(0, end);
+        buffer = buffer.substring(end + 2);
+        session.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+
+        if (reject[verb]) {
+          reply(reject[verb]);
+        } else if (verb === 'EHLO') {
+          reply('250-localhost');
+          reply(`250-AUTH ${auth}`);
+          reply('250 8BITMIME');
+        } else if (verb === 'AUTH' && line.startsWith('AUTH LOGIN')) {
+          reply('334 VXNlcm5hbWU6');
+        } else if (verb === 'AUTH') {
+          reply('235 2.7.0 Authentication successful');
+        } else if (verb === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (verb === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else if (session.commands.at(-2) === 'AUTH LOGIN') {
+          reply('334 UGFzc3dvcmQ6');
+        } else if (session.commands.at(-3) === 'AUTH LOGIN') {
+          reply('235 2.7.0 Authentication successful');
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        sessions,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * 解出信件中 base64 編碼的內容
+ * @param {string} data - 信件原文
+ * @returns {Array} 各部分的內容
+ */
+function decodeParts(data) {
+  return [...data.matchAll(/Content-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+?)(?:\r\n--|$)/g)]
+    .map(match => Buffer.from(match[1].replace(/\r\n/g, ''), 'base64').toString('utf-8'));
+}
+
+// 替身伺服器不支援 TLS，以明文連線測試
+const plain = { host: '127.0.0.1', starttls: false, name: 'tester', timeout: 5000 };
+
+const message = {
+  from: '六都秘書處新聞 <news@example.gov.tw>',
+  to: ['a@example.gov.tw', 'b@example.gov.tw'],
+  subject: '台灣六都市政府秘書處新聞摘要',
+  text: '1. 台北市政府秘書處\n.以句點開頭的一行',
+  html: '<p>台北市政府秘書處</p>'
+};
+
+test('encodeHeader 只編碼含非 ASCII 字元的標頭', () => {
+  assert.equal(encodeHeader('Daily digest'), 'Daily digest');
+  assert.equal(encodeHeader('新聞'), `=?UTF-8?B?${Buffer.from('新聞').toString('base64')}?=`);
+});
+
+test('encodeHeader 將過長的標頭分為多個不超過 75 字的 encoded-word', () => {
+  const subject = '台灣六都市政府秘書處新聞摘要 2026/10/19（共 30 則，含台北、新北、桃園、台中、台南、高雄）😀';
+  const encoded = encodeHeader(subject);
+  const words = encoded.split('\r\n ');
+
+  assert.ok(words.length > 1);
+  words.forEach(word => {
+    assert.match(word, /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/);
+    assert.ok(word.length <= 75, `${word.length} 字`);
+  });
+  // 每個 encoded-word 都是完整的 UTF-8 字元
+  const decoded = words.map(word => Buffer.from(word.slice(10, -2), 'base64').toString('utf-8'));
+  decoded.forEach(text => assert.doesNotMatch(text, /\uFFFD/));
+  assert.equal(decoded.join(''), subject);
+});
+
+test('標頭值中的換行不會插入其他標頭或 SMTP 指令', () => {
+  assert.equal(encodeHeader('Digest\r\nBcc: x@example.com'), 'Digest Bcc: x@example.com');
+
+  const raw = buildMessage({
+    ...message,
+    from: '秘書處\r\nBcc: x@example.com <news@example.gov.tw>',
+    to: ['a@example.gov.tw\r\nBcc: x@example.com'],
+    subject: '新聞\nBcc: x@example.com'
+  });
+  const headers = raw.split('\r\n\r\n')[0].split('\r\n').filter(line => !line.startsWith(' '));
+  assert.ok(!headers.some(line => /^Bcc/i.test(line)));
+  assert.ok(headers.includes('To: a@example.gov.tw Bcc: x@example.com'));
+});
+
+test('buildMessage 產生 multipart/alternative 信件', () => {
+  const raw = buildMessage(message, { now: new Date('2026-10-19T00:00:00Z'), messageId: '<id@example.gov.tw>' });
+
+  assert.match(raw, /^From: =\?UTF-8\?B\?[^?]+\?= <news@example.gov.tw>\r\n/);
+  assert.match(raw, /\r\nTo: a@example.gov.tw, b@example.gov.tw\r\n/);
+  assert.match(raw, /\r\nDate: Mon, 19 Oct 2026 00:00:00 \+0000\r\n/);
+  assert.match(raw, /\r\nMessage-ID: <id@example.gov.tw>\r\n/);
+  assert.match(raw, /Content-Type: multipart\/alternative; boundary="----=_Part_[0-9a-f]+"/);
+  assert.deepEqual(decodeParts(raw), [message.text, message.html]);
+});
+
+describe('sendMail', () => {
+  let smtp;
+
+  before(async () => {
+    smtp = await startSmtpServer();
+  });
+
+  after(() => smtp.close());
+
+  test('以 AUTH PLAIN 登入並寄給所有收件人', async () => {
+    const result = await sendMail(
+      { ...plain, port: smtp.port, user: 'news', password: 'secret', allowInsecureAuth: true },
+      message
+    );
+    const session = smtp.sessions.at(-1);
+
+    assert.deepEqual(result.accepted, ['a@example.gov.tw', 'b@example.gov.tw']);
+    assert.match(result.messageId, /^<[0-9a-f]+@example.gov.tw>$/);
+    assert.equal(result.response, '250 2.0.0 queued');
+    assert.deepEqual(session.commands, [
+      'EHLO tester',
+      `AUTH PLAIN ${Buffer.from('\0news\0secret').toString('base64')}`,
+      'MAIL FROM:<news@example.gov.tw>',
+      'RCPT TO:<a@example.gov.tw>',
+      'RCPT TO:<b@example.gov.tw>',
+      'DATA',
+      'QUIT'
+    ]);
+    assert.deepEqual(decodeParts(session.data), [message.text, message.html]);
+  });
+
+  test('未設定帳號時不登入', async () => {
+    await sendMail({ ...plain, port: smtp.port }, { ...message, to: 'a@example.gov.tw' });
+    assert.ok(!smtp.sessions.at(-1).commands.some(line => line.startsWith('AUTH')));
+  });
+});
+
+test('伺服器只支援 AUTH LOGIN 時改用 LOGIN', async () => {
+  const smtp = await startSmtpServer({ auth: 'LOGIN' });
+  try {
+    await sendMail({ ...plain, port: smtp.port, user: 'news', password: 'secret', allowInsecureAuth: true }, message);
+    assert.deepEqual(smtp.sessions[0].commands.slice(1, 4), [
+      'AUTH LOGIN',
+      Buffer.from('news').toString('base64'),
+      Buffer.from('secret').toString('base64')
+    ]);
+  } finally {
+    await smtp.close();
+  }
+});
+
+test('4xx 回覆為可重試錯誤，5xx 為永久性錯誤，錯誤訊息不含密碼', async () => {
+  const smtp = await startSmtpServer({ reject: { MAIL: '451 4.3.0 Try again later', AUTH: '535 5.7.8 Bad credentials' } });
+  try {
+    const server = { ...plain, port: smtp.port, allowInsecureAuth: true };
+
+    await assert.rejects(sendMail(server, message), error => {
+      assert.ok(error instanceof SmtpError);
+      assert.equal(error.code, 451);
+      assert.equal(error.retryable, true);
+      return true;
+    });
+
+    await assert.rejects(sendMail({ ...server, user: 'news', password: 'secret' }, message), error => {
+      assert.equal(error.code, 535);
+      assert.equal(error.retryable, false);
+      assert.equal(error.message, 'SMTP AUTH PLAIN 失敗：535 5.7.8 Bad credentials');
+      return true;
+    });
+  } finally {
+    await smtp.close();
+  }
+});
+
+test('無法連線時回傳可重試的錯誤', async () => {
+  const smtp = await startSmtpServer();
+  const { port } = smtp;
+  await smtp.close();
+
+  await assert.rejects(sendMail({ ...plain, port, timeout: 2000 }, message), error => {
+    assert.ok(error instanceof SmtpError);
+    assert.equal(error.code, null);
+    assert.equal(error.retryable, true);
+    return true;
+  });
+});
+
+describe('未加密的連線不送出帳號密碼', () => {
+  let smtp;
+
+  before(async () => {
+    smtp = await startSmtpServer();
+  });
+
+  after(() => smtp.close());
+
+  test('設定 starttls 但伺服器不支援 STARTTLS 時不登入也不寄送', async () => {
+    const server = { host: '127.0.0.1', port: smtp.port, user: 'news', password: 'secret', name: 'tester', timeout: 5000 };
+
+    await assert.rejects(sendMail(server, message), error => {
+      assert.ok(error instanceof SmtpError);
+      assert.match(error.message, /不支援 STARTTLS/);
+      assert.equal(error.retryable, false);
+      return true;
+    });
+    assert.deepEqual(smtp.sessions.at(-1).commands, ['EHLO tester']);
+  });
+
+  test('明文連線未設定 allowInsecureAuth 時不送出 AUTH', async () => {
+    await assert.rejects(sendMail({ ...plain, port: smtp.port, user: 'news', password: 'secret' }, message), error => {
+      assert.match(error.message, /連線未加密，不送出帳號密碼/);
+      assert.equal(error.retryable, false);
+      return true;
+    });
+    assert.ok(!smtp.sessions.at(-1).commands.some(line => line.startsWith('AUTH')));
+    assert.ok(!smtp.sessions.at(-1).commands.some(line => line.includes(Buffer.from('\0news\0secret').toString('base64'))));
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * 新聞來源轉接器測試（使用 test/fixtures 中存檔的 HTML / feed）
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseSourceContent, validateSource } from '../lib/source-adapters.js';
+import {
+  parseTaiwanDate,
+  resolveCitySource,
+  buildPageUrl,
+  parseCityListing,
+  fetchCityGovSource
+} from '../lib/city-adapters.js';
+import { createFixtureFetcher } from '../lib/fixture-fetcher.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const sources = createFixtureFetcher(path.join(__dirname, 'fixtures', 'sources'));
+const feeds = createFixtureFetcher(path.join(__dirname, 'fixtures', 'feeds'));
+
+describe('html', () => {
+  const source = {
+    name: '聯合新聞網',
+    type: 'html',
+    url: 'https://udn.com/news/index',
+    selectors: { item: 'article', title: 'h2, h3', summary: 'p', link: 'a' }
+  };
+
+  test('擷取標題、摘要與絕對網址', async () => {
+    const articles = parseSourceContent(source, await sources.fetchPage(source.url));
+
+    assert.equal(articles.length, 4);
+    assert.equal(articles[0].title, '台北市秘書處發布新政策');
+    assert.equal(articles[0].summary, '台北市政府秘書處今日發布新的行政政策，加強市政透明度。');
+    assert.equal(articles[0].url, 'https://udn.com/news/story/7320/8001');
+    assert.equal(articles[0].source, '聯合新聞網');
+    assert.equal(articles[0].publishedAt, null);
+  });
+
+  test('遵守 maxArticles', async () => {
+    const articles = parseSourceContent(source, await sources.fetchPage(source.url), { maxArticles: 2 });
+    assert.equal(articles.length, 2);
+  });
+});
+
+describe('feeds', () => {
+  test('RSS 2.0 帶出發布時間並移除 HTML', async () => {
+    const url = 'https://feeds.feedburner.com/rsscna/local';
+    const [first] = parseSourceContent({ name: '中央社', type: 'rss', url }, await sources.fetchPage(url));
+
+    assert.equal(first.title, '台南市長出席國際城市論壇 簽署合作備忘錄');
+    assert.equal(first.summary, '台南市長今日出席國際城市論壇，與多國城市代表簽署合作備忘錄。');
+    assert.equal(first.publishedAt, '2026-10-18T22:30:00.000Z');
+  });
+
+  test('Atom 使用 alternate 連結並略過沒有連結的項目', async () => {
+    const url = 'https://example.gov.tw/atom.xml';
+    const articles = parseSourceContent({ name: 'Atom', type: 'atom', url }, await feeds.fetchPage(url));
+
+    assert.equal(articles.length, 1);
+    assert.equal(articles[0].url, 'https://example.gov.tw/news/1');
+    assert.equal(articles[0].summary, '台中市政府今日發布新的防災政策。');
+    assert.equal(articles[0].publishedAt, '2026-10-18T23:00:00.000Z');
+  });
+
+  test('JSON Feed 略過沒有標題的項目', async () => {
+    const url = 'https://example.gov.tw/feed.json';
+    const articles = parseSourceContent({ name: 'JSON', type: 'jsonfeed', url }, await feeds.fetchPage(url));
+
+    assert.equal(articles.length, 1);
+    assert.equal(articles[0].summary, '桃園市長今日宣布 國際交流 計畫。');
+    assert.equal(articles[0].publishedAt, '2026-10-18T23:00:00.000Z');
+  });
+
+  test('略過 http、https 以外的連結', () => {
+    const rss = `<rss><channel>
+      <item><title>台北市政府新聞一</title><link>javascript:alert(1)</link></item>
+      <item><title>台北市政府新聞二</title><link>data:text/html,&lt;script&gt;alert(1)&lt;/script&gt;</link></item>
+      <item><title>台北市政府新聞三</title><link>/news/3</link></item>
+    </channel></rss>`;
+    const articles = parseSourceContent({ name: 'RSS', type: 'rss', url: 'https://example.gov.tw/rss.xml' }, rss);
+    assert.deepEqual(articles.map(article => article.url), ['https://example.gov.tw/news/3']);
+
+    const json = JSON.stringify({ items: [{ title: '桃園市政府新聞', url: ' JavaScript:alert(1)' }] });
+    assert.equal(parseSourceContent({ name: 'JSON', type: 'jsonfeed', url: 'https://example.gov.tw/feed.json' }, json).length, 0);
+  });
+
+  test('不支援的類型會拋出錯誤', () => {
+    assert.throws(() => parseSourceContent({ name: 'x', type: 'ftp', url: 'https://x' }, ''), /不支援的來源類型/);
+  });
+});
+
+describe('city-gov', () => {
+  const taipei = {
+    name: '臺北市政府新聞稿',
+    type: 'city-gov',
+    city: '台北',
+    url: 'https://www.gov.taipei/News.aspx?n=F0DDAF49B89E9413&sms=72544237BBE4C5F6'
+  };
+
+  test('解析民國與西元日期', () => {
+    assert.equal(parseTaiwanDate('發布日期：115-10-19'), '2026-10-18T16:00:00.000Z');
+    assert.equal(parseTaiwanDate('2026/10/19'), '2026-10-18T16:00:00.000Z');
+    assert.equal(parseTaiwanDate('115年1月5日'), '2026-01-04T16:00:00.000Z');
+    assert.equal(parseTaiwanDate('無日期'), null);
+  });
+
+  test('產生分頁網址', () => {
+    const resolved = resolveCitySource(taipei);
+    assert.equal(buildPageUrl(resolved, 1), taipei.url);
+    assert.equal(buildPageUrl(resolved, 3), `${taipei.url}&page=3`);
+  });
+
+  test('解析列表頁', async () => {
+    const items = parseCityListing(await sources.fetchPage(taipei.url), resolveCitySource(taipei));
+
+    assert.equal(items.length, 2);
+    assert.equal(items[0].title, '市府秘書處舉辦國際城市交流座談');
+    assert.equal(items[0].url, 'https://www.gov.taipei/News_Content.aspx?n=F0DDAF49B89E9413&sms=72544237BBE4C5F6&s=101');
+    assert.equal(items[0].publishedAt, '2026-10-18T16:00:00.000Z');
+  });
+
+  test('抓取列表與內文並標記城市與 official', async () => {
+    const articles = await fetchCityGovSource(taipei, { fetchPage: url => sources.fetchPage(url), detailDelay: 0 });
+
+    assert.equal(articles.length, 2);
+    articles.forEach(article => {
+      assert.equal(article.city, '台北');
+      assert.equal(article.official, true);
+      assert.equal(article.sourceType, 'city-gov');
+    });
+    assert.match(articles[0].content, /姊妹市代表分享智慧城市經驗/);
+    assert.doesNotMatch(articles[0].content, /trackPageView/);
+  });
+
+  test('內文頁最多抓取 maxDetails 則，請求之間等待 detailDelay', async () => {
+    const requests = [];
+    const articles = await fetchCityGovSource(taipei, {
+      fetchPage: url => {
+        requests.push({ url, at: Date.now() });
+        return sources.fetchPage(url);
+      },
+      maxDetails: 1,
+      detailDelay: 40
+    });
+    const details = requests.filter(request => request.url.includes('News_Content'));
+
+    assert.equal(articles.length, 2);
+    assert.equal(details.length, 1);
+    assert.match(articles[0].content, /姊妹市代表分享智慧城市經驗/);
+    assert.equal(articles[1].content, '');
+    assert.equal(articles[1].publishedAt, '2026-10-17T16:00:00.000Z');
+
+    const spaced = [];
+    await fetchCityGovSource(taipei, {
+      fetchPage: url => {
+        if (url.includes('News_Content')) spaced.push(Date.now());
+        return sources.fetchPage(url);
+      },
+      detailDelay: 40
+    });
+    assert.equal(spaced.length, 2);
+    assert.ok(spaced[1] - spaced[0] >= 35, `間隔 ${spaced[1] - spaced[0]}ms`);
+  });
+
+  test('不抓取內文頁時只保留列表資訊', async () => {
+    const requested = [];
+    const articles = await fetchCityGovSource(taipei, {
+      fetchPage: url => {
+        requested.push(url);
+        return sources.fetchPage(url);
+      },
+      fetchDetails: false
+    });
+
+    assert.equal(articles.length, 2);
+    assert.equal(requested.some(url => url.includes('News_Content')), false);
+  });
+
+  test('後續分頁失敗時保留已取得的項目，內文頁失敗時保留列表資訊', async () => {
+    const articles = await fetchCityGovSource({ ...taipei, maxPages: 3 }, {
+      fetchPage: url => (url.includes('s=102') ? Promise.reject(new Error('HTTP 500')) : sources.fetchPage(url)),
+      detailDelay: 0
+    });
+
+    assert.equal(articles.length, 2);
+    assert.match(articles[0].content, /姊妹市代表分享智慧城市經驗/);
+    assert.equal(articles[1].content, '');
+  });
+
+  test('city-gov 來源必須指定城市', () => {
+    const errors = validateSource({ name: '市府', type: 'city-gov', url: taipei.url });
+    assert.ok(errors.some(error => error.includes('缺少 city')));
+  });
+});
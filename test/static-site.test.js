@@ -0,0 +1,175 @@
+/**
+ * 靜態新聞網站測試
+ */
+
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ArticleArchive } from '../lib/article-archive.js';
+import { pageFileName, buildSite, writeSite } from '../lib/static-site.js';
+import { buildSiteFromArchive, parseSiteArgs } from '../scripts/build-site.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const now = new Date('2026-10-19T08:00:00+08:00');
+const siteConfig = { baseUrl: '', recentDays: 14, feedDays: 30 };
+
+function buildArchive(archivePath = '/nonexistent/archive.json') {
+  const archive = new ArticleArchive({ path: archivePath });
+  archive.add([
+    { title: '高雄市政府與日本城市簽署友好協議', summary: '秘書處表示將推動國際交流。', url: 'https://example.com/1', source: '中央社', city: '高雄', category: '國際交流', categories: ['國際交流', '市政新聞'], score: 30, publishedAt: '2026-10-19T07:00:00+08:00', related: [{ title: '高雄日本締盟', url: 'https://other.example/1', source: '聯合新聞網' }] },
+    { title: '臺北市議會<預算>審查 & 質詢', url: 'https://example.com/2', source: '聯合新聞網', city: '台北', category: '市政新聞', score: 20 }
+  ], new Date('2026-10-19T00:00:00Z'));
+  archive.add([
+    { title: '高雄市秘書處公文線上簽核', url: 'https://example.com/3', source: '高雄市政府', city: '高雄', category: '秘書處業務', score: 25 }
+  ], new Date('2026-10-18T00:00:00Z'));
+  archive.recordVote(archive.entries[0].id, 12345, 'up');
+  return archive;
+}
+
+function fileMap(files) {
+  return Object.fromEntries(files.map(file => [file.path, file.content]));
+}
+
+test('pageFileName 去除不適合放在網址中的字元', () => {
+  assert.equal(pageFileName('台北'), '台北.html');
+  assert.equal(pageFileName('活動/典禮 #1'), '活動-典禮-1.html');
+});
+
+describe('buildSite', () => {
+  const files = fileMap(buildSite(buildArchive().entries, siteConfig, { now }));
+
+  test('產生首頁、每日、城市與分類頁、feed 與資料檔', () => {
+    assert.deepEqual(Object.keys(files).sort(), [
+      '.nojekyll', 'articles.json', 'categories/國際交流.html', 'categories/市政新聞.html', 'categories/秘書處業務.html',
+      'cities/台北.html', 'cities/高雄.html', 'days/2026-10-18.html', 'days/2026-10-19.html', 'days/index.html',
+      'feed.xml', 'index.html', 'rss.xml', 'style.css'
+    ].sort());
+  });
+
+  test('每日摘要依城市分組，跳脫 HTML 並以相對連結連到城市與分類頁', () => {
+    const page = files['days/2026-10-19.html'];
+    assert.match(page, /<h1>2026\/10\/19 新聞摘要（2 則）<\/h1>/);
+    assert.match(page, /<h2>高雄（1 則）<\/h2>/);
+    assert.match(page, /臺北市議會&lt;預算&gt;審查 &amp; 質詢/);
+    assert.match(page, /href="\.\.\/cities\/%E9%AB%98%E9%9B%84\.html">高雄<\/a>/);
+    assert.match(page, /國際交流<\/a>、<a href="\.\.\/categories\/%E5%B8%82%E6%94%BF%E6%96%B0%E8%81%9E\.html">市政新聞/);
+    assert.match(page, /其他報導：<a href="https:\/\/other.example\/1">聯合新聞網<\/a>/);
+    assert.doesNotMatch(page, /<預算>/);
+  });
+
+  test('http、https 以外的網址不輸出為連結', () => {
+    const archive = new ArticleArchive({ path: '/nonexistent/archive.json' });
+    archive.add([
+      { title: '台中市政府新聞', url: 'javascript:alert(1)', source: '某網站', city: '台中', category: '市政新聞', score: 20, related: [{ title: '轉載', url: 'data:text/html,x', source: '轉載站' }] }
+    ], new Date('2026-10-19T00:00:00Z'));
+    const site = fileMap(buildSite(archive.entries, siteConfig, { now }));
+
+    assert.match(site['days/2026-10-19.html'], /<li>台中市政府新聞\n/);
+    assert.match(site['days/2026-10-19.html'], /其他報導：轉載站/);
+    assert.doesNotMatch(Object.values(site).join('\n'), /javascript:alert|data:text/);
+    assert.match(site['index.html'], /var title = a\.url \?/);
+  });
+
+  test('城市頁依日期由新到舊分組', () => {
+    const page = files['cities/高雄.html'];
+    assert.ok(page.indexOf('2026/10/19</a>（1 則）') < page.indexOf('2026/10/18</a>（1 則）'));
+    assert.match(page, /href="\.\.\/days\/2026-10-18\.html"/);
+  });
+
+  test('首頁有搜尋表單、最近的摘要與城市、分類統計', () => {
+    const page = files['index.html'];
+    assert.match(page, /<form class="search" id="search">/);
+    assert.match(page, /<option>高雄<\/option><option>台北<\/option>/);
+    assert.match(page, /<a href="days\/2026-10-19\.html">2026\/10\/19<\/a>（2 則）/);
+    assert.match(page, /市政新聞<\/a>（2）/);
+    assert.match(page, /fetch\('articles\.json'\)/);
+  });
+
+  test('articles.json 不包含讀者投票', () => {
+    const articles = JSON.parse(files['articles.json']);
+    assert.equal(articles.length, 3);
+    assert.deepEqual(Object.keys(articles[0]).sort(),
+      ['categories', 'city', 'date', 'keywords', 'publishedAt', 'related', 'score', 'source', 'summary', 'title', 'url']);
+    assert.equal(articles[0].date, '2026-10-19');
+    assert.doesNotMatch(files['articles.json'], /12345/);
+  });
+
+  test('feed 每天一個項目，未設定 baseUrl 時以 urn 為 id', () => {
+    const atom = files['feed.xml'];
+    assert.equal(atom.match(/<entry>/g).length, 2);
+    assert.match(atom, /<id>urn:six-cities-secretary-news:digest:2026-10-19<\/id>/);
+    assert.match(atom, /<title>台灣六都市政府秘書處新聞摘要 2026\/10\/19（2 則）<\/title>/);
+    assert.match(atom, /<content type="html">&lt;h3&gt;高雄&lt;\/h3&gt;/);
+    assert.doesNotMatch(atom, /<link/);
+
+    const rss = files['rss.xml'];
+    assert.equal(rss.match(/<item>/g).length, 2);
+    assert.match(rss, /<guid isPermaLink="false">urn:six-cities-secretary-news:digest:2026-10-18<\/guid>/);
+    assert.match(rss, /<pubDate>Mon, 19 Oct 2026 00:00:00 GMT<\/pubDate>/);
+  });
+
+  test('設定 baseUrl 時 feed 使用絕對網址，並遵守 feedDays', () => {
+    const withBase = fileMap(buildSite(buildArchive().entries, { ...siteConfig, baseUrl: 'https://example.github.io/news', feedDays: 1 }, { now }));
+    const atom = withBase['feed.xml'];
+
+    assert.equal(atom.match(/<entry>/g).length, 1);
+    assert.match(atom, /<link rel="self" type="application\/atom\+xml" href="https:\/\/example.github.io\/news\/feed.xml"\/>/);
+    assert.match(atom, /<id>https:\/\/example.github.io\/news\/days\/2026-10-19.html<\/id>/);
+    assert.match(withBase['rss.xml'], /<link>https:\/\/example.github.io\/news\/days\/2026-10-19.html<\/link>/);
+  });
+
+  test('沒有存檔時仍產生首頁與 feed', () => {
+    const empty = fileMap(buildSite([], siteConfig, { now }));
+    assert.match(empty['index.html'], /所有日期（0 天）/);
+    assert.doesNotMatch(empty['feed.xml'], /<entry>/);
+  });
+});
+
+describe('寫入網站', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writeSite 移除上次產生但已不存在的頁面', () => {
+    const output = path.join(dir, 'public');
+    fs.mkdirSync(path.join(output, 'days'), { recursive: true });
+    fs.writeFileSync(path.join(output, 'days', '2025-01-01.html'), 'old');
+    fs.writeFileSync(path.join(output, 'CNAME'), 'news.example.org');
+
+    writeSite(buildSite(buildArchive().entries, siteConfig, { now }), output);
+    assert.deepEqual(fs.readdirSync(path.join(output, 'days')).sort(), ['2026-10-18.html', '2026-10-19.html', 'index.html']);
+    assert.equal(fs.readFileSync(path.join(output, 'CNAME'), 'utf-8'), 'news.example.org');
+  });
+
+  test('buildSiteFromArchive 讀取規則檔指定的存檔', () => {
+    const archivePath = path.join(dir, 'archive.json');
+    buildArchive(archivePath).save();
+
+    const rules = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'filter-rules.json'), 'utf-8'));
+    const rulesPath = path.join(dir, 'filter-rules.json');
+    fs.writeFileSync(rulesPath, JSON.stringify({ ...rules, archiveConfig: { ...rules.archiveConfig, path: archivePath } }));
+
+    const output = path.join(dir, 'site');
+    const result = buildSiteFromArchive({ rulesPath, output, now, env: { SITE_BASE_URL: 'https://example.github.io/news/' } });
+
+    assert.deepEqual(result, { outputDir: output, files: 14, articles: 3, days: 2 });
+    assert.match(fs.readFileSync(path.join(output, 'feed.xml'), 'utf-8'), /href="https:\/\/example.github.io\/news\/feed.xml"/);
+  });
+
+  test('parseSiteArgs 解析參數', () => {
+    assert.deepEqual(parseSiteArgs(['--output', 'out', '--now', '2026-10-19T08:00:00+08:00']),
+      { output: 'out', baseUrl: null, now });
+    assert.throws(() => parseSiteArgs(['--now', 'yesterday']), /--now 無法解析/);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * 跨來源新聞聚合測試
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { charBigrams, diceCoefficient, clusterStories } from '../lib/story-clusters.js';
+
+const news = [
+  { title: '盧秀燕主持市政會議 宣布推動國際交流', summary: '台中市長盧秀燕今日主持市政會議', source: '聯合新聞網', url: 'u1', city: '台中', score: 20 },
+  { title: '台中市政會議 盧秀燕宣布推動國際交流計畫', summary: '台中市長盧秀燕今天在市政會議宣布', source: '自由時報', url: 'u2', city: '台中', score: 15 },
+  { title: '高雄市長視察颱風災情', summary: '', source: '中時新聞網', url: 'u3', city: '高雄', score: 15 }
+];
+
+test('相同文字的相似度為 1', () => {
+  assert.equal(diceCoefficient(charBigrams('市政會議'), charBigrams('市政 會議！')), 1);
+});
+
+test('合併同一事件並依來源數加分', () => {
+  const clusters = clusterStories(news, { threshold: 0.45, sizeBonus: 3 });
+
+  assert.equal(clusters.length, 2);
+  assert.equal(clusters[0].url, 'u1');
+  assert.equal(clusters[0].clusterSize, 2);
+  assert.equal(clusters[0].score, 23);
+  assert.deepEqual(clusters[0].related.map(related => related.url), ['u2']);
+});
+
+test('不同城市不合併', () => {
+  const clusters = clusterStories([news[0], { ...news[1], city: '台北' }]);
+  assert.equal(clusters.length, 2);
+});
+
+test('市府新聞稿優先作為代表', () => {
+  const clusters = clusterStories([news[0], { ...news[1], official: true }]);
+  assert.equal(clusters[0].url, 'u2');
+});
+
+test('停用時保留每則新聞', () => {
+  const clusters = clusterStories(news, { enabled: false });
+  assert.equal(clusters.length, 3);
+  clusters.forEach(cluster => assert.equal(cluster.clusterSize, 1));
+});
@@ -0,0 +1,116 @@
+/**
+ * 訂閱與分眾發送測試
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  selectAudienceNews,
+  describeAudience,
+  expandSubscriptions,
+  validateSubscriptions
+} from '../lib/subscriptions.js';
+
+const news = [
+  { title: '台中市政府秘書處記者會', city: '台中', category: '秘書處業務', categories: ['秘書處業務', '市政新聞'], score: 30 },
+  { title: '桃園與日本城市締結友好', city: '桃園', category: '國際交流', categories: ['國際交流'], score: 24 },
+  { title: '臺中市長出訪姊妹市', city: '臺中', category: '市政新聞', categories: ['市政新聞', '國際交流'], score: 12 },
+  { title: '高雄市政府活動', city: '高雄', category: '活動典禮', categories: ['活動典禮'], score: 18 }
+];
+
+describe('selectAudienceNews', () => {
+  test('未設定條件時回傳全部新聞', () => {
+    assert.equal(selectAudienceNews(news, null), news);
+    assert.deepEqual(selectAudienceNews(news, {}), news);
+  });
+
+  test('依主要城市挑選（異體字視為相同）', () => {
+    assert.deepEqual(selectAudienceNews(news, { cities: ['台中'] }).map(item => item.title), ['台中市政府秘書處記者會', '臺中市長出訪姊妹市']);
+  });
+
+  test('任一分類符合即收錄，並可設定最低分數', () => {
+    assert.deepEqual(selectAudienceNews(news, { categories: ['國際交流'] }).map(item => item.city), ['桃園', '臺中']);
+    assert.deepEqual(selectAudienceNews(news, { categories: ['國際交流'], minScore: 15 }).map(item => item.city), ['桃園']);
+  });
+
+  test('maxArticles 依原本排名取前幾則', () => {
+    assert.deepEqual(selectAudienceNews(news, { minScore: 15, maxArticles: 2 }).map(item => item.city), ['台中', '桃園']);
+  });
+
+  test('沒有 categories 陣列時使用主要分類', () => {
+    assert.equal(selectAudienceNews([{ city: '台北', category: '國際交流' }], { categories: ['國際交流'] }).length, 1);
+  });
+});
+
+test('describeAudience 列出條件', () => {
+  assert.equal(describeAudience(null), '全部新聞');
+  assert.equal(describeAudience({ cities: ['台中'], categories: [], minScore: 15, maxArticles: 10 }), '城市 台中｜分數 ≥ 15｜最多 10 則');
+});
+
+describe('expandSubscriptions', () => {
+  const notifiersConfig = {
+    notifiers: [
+      { name: 'telegram', type: 'telegram', botTokenEnv: 'BOT', chatIdEnv: 'MAIN_CHAT', display: { includeScore: true } },
+      { name: 'slack', type: 'slack', enabled: false, webhookUrlEnv: 'SLACK' }
+    ],
+    subscriptions: [
+      { name: '台中聯絡組', notifier: 'telegram', target: { chatIdEnv: 'TAICHUNG_CHAT' }, cities: ['台中'], maxArticles: 10 },
+      { name: '國際事務組', notifier: 'slack', target: { webhookUrlEnv: 'SLACK_INTL' }, categories: ['國際交流'], display: { groupBy: 'category' } },
+      { name: '暫停', notifier: 'telegram', enabled: false }
+    ]
+  };
+
+  test('訂閱沿用管道設定並套用 target 覆寫', () => {
+    const configs = expandSubscriptions(notifiersConfig);
+
+    assert.deepEqual(configs.map(config => config.name), ['telegram', '台中聯絡組', '國際事務組']);
+    assert.equal(configs[1].botTokenEnv, 'BOT');
+    assert.equal(configs[1].chatIdEnv, 'TAICHUNG_CHAT');
+    assert.deepEqual(configs[1].display, { includeScore: true });
+    assert.deepEqual(configs[1].audience, { cities: ['台中'], categories: undefined, minScore: undefined, maxArticles: 10, sendEmpty: false });
+    assert.equal(configs[0].audience, undefined);
+  });
+
+  test('停用的管道仍可作為訂閱的設定來源', () => {
+    const [, , intl] = expandSubscriptions(notifiersConfig);
+    assert.equal(intl.type, 'slack');
+    assert.equal(intl.enabled, true);
+    assert.equal(intl.webhookUrlEnv, 'SLACK_INTL');
+    assert.deepEqual(intl.display, { groupBy: 'category' });
+  });
+
+  test('找不到管道時丟出錯誤', () => {
+    assert.throws(
+      () => expandSubscriptions({ notifiers: [], subscriptions: [{ name: 'x', notifier: 'fax' }] }),
+      /訂閱 x 的通知管道不存在：fax/
+    );
+  });
+});
+
+test('validateSubscriptions 檢查名稱、管道與條件', () => {
+  assert.deepEqual(validateSubscriptions({ notifiers: [] }), []);
+  assert.deepEqual(validateSubscriptions({ notifiers: [], subscriptions: {} }), ['notifiersConfig.subscriptions 必須是陣列']);
+
+  const errors = validateSubscriptions({
+    notifiers: [{ name: 'telegram', type: 'telegram' }],
+    subscriptions: [
+      { name: 'telegram', notifier: 'telegram' },
+      { name: '台中', notifier: 'line', cities: ['台中', '新竹'], categories: ['國際交流', '體育'] },
+      { name: '台中', notifier: 'telegram', cities: '台中', minScore: '10', maxArticles: 0 },
+      { notifier: 'telegram', target: [] }
+    ]
+  }, { cities: ['台北', '臺中'], categories: ['國際交流'] });
+
+  assert.deepEqual(errors, [
+    'notifiersConfig.subscriptions[0].name 與其他管道或訂閱重複：telegram',
+    'notifiersConfig.subscriptions[1].notifier 不是已設定的通知管道：line',
+    'notifiersConfig.subscriptions[1].cities 包含規則中沒有的城市：新竹',
+    'notifiersConfig.subscriptions[1].categories 包含規則中沒有的分類：體育',
+    'notifiersConfig.subscriptions[2].name 與其他管道或訂閱重複：台中',
+    'notifiersConfig.subscriptions[2].cities 必須是字串陣列',
+    'notifiersConfig.subscriptions[2].minScore 必須是數字',
+    'notifiersConfig.subscriptions[2].maxArticles 必須是正整數',
+    'notifiersConfig.subscriptions[3].name 必須是非空字串',
+    'notifiersConfig.subscriptions[3].target 必須是物件'
+  ]);
+});
@@ -0,0 +1,81 @@
+/**
+ * 中文抽取式摘要測試
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { splitSentences, scoreSentence, clipSentence, summarizeArticle } from '../lib/summarizer.js';
+import { loadFilterRules } from '../filter-rules-loader.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const silent = { info() {}, warn() {}, error() {} };
+const rules = loadFilterRules(path.join(__dirname, '..', 'config', 'filter-rules.json'), { logger: silent });
+
+describe('splitSentences', () => {
+  test('依「。！？」切句並保留收尾引號', () => {
+    assert.deepEqual(splitSentences('市長說：「明年續辦。」活動圓滿落幕！還有嗎？最後一句'), [
+      '市長說：「明年續辦。」',
+      '活動圓滿落幕！',
+      '還有嗎？',
+      '最後一句'
+    ]);
+  });
+
+  test('移除開頭的電頭並以換行分段', () => {
+    assert.deepEqual(splitSentences('（中央社記者王小明台北19日電）市府今天宣布新措施。\n秘書長出席說明'), [
+      '市府今天宣布新措施。',
+      '秘書長出席說明'
+    ]);
+    assert.deepEqual(splitSentences('〔記者李小華／台中報導〕台中市政府今天召開記者會。'), ['台中市政府今天召開記者會。']);
+  });
+});
+
+test('scoreSentence 以關鍵字與城市權重評分', () => {
+  const plain = scoreSentence('天氣晴朗，適合出遊。', rules);
+  const relevant = scoreSentence('臺北市政府秘書處今天宣布新措施。', rules);
+
+  assert.equal(plain, 0);
+  assert.ok(relevant > 20);
+  assert.equal(scoreSentence('臺北市政府秘書處今天宣布新措施。', null), 0);
+});
+
+test('clipSentence 在子句分隔處截斷', () => {
+  assert.equal(clipSentence('短句。', 10), '短句。');
+  assert.equal(clipSentence('高雄市長今日視察秘書處，肯定同仁推動無紙化的努力', 16), '高雄市長今日視察秘書處…');
+  assert.equal(clipSentence('一二三四五六七八九十一二三四五六七八九十', 10), '一二三四五六七八九…');
+});
+
+describe('summarizeArticle', () => {
+  const news = {
+    title: '公文線上簽核全面上路',
+    content: [
+      '（中央社記者王小明台北19日電）今天天氣晴朗，上班族陸續進入辦公室。',
+      '臺北市政府秘書處今天宣布，公文線上簽核系統全面上路。',
+      '秘書長表示，每年可節省紙張逾千萬張。',
+      '現場也安排了茶點。'
+    ].join('')
+  };
+
+  test('在字數預算內挑出最相關的兩句並依原文順序排列', () => {
+    assert.equal(
+      summarizeArticle(news, rules, { budget: 60 }),
+      '臺北市政府秘書處今天宣布，公文線上簽核系統全面上路。秘書長表示，每年可節省紙張逾千萬張。'
+    );
+  });
+
+  test('預算不足兩句時只取一句，maxSentences 可限制句數', () => {
+    assert.equal(summarizeArticle(news, rules, { budget: 30 }), '臺北市政府秘書處今天宣布，公文線上簽核系統全面上路。');
+    assert.equal(summarizeArticle(news, rules, { budget: 80, maxSentences: 1 }), '臺北市政府秘書處今天宣布，公文線上簽核系統全面上路。');
+  });
+
+  test('未提供規則時取開頭的句子', () => {
+    assert.equal(summarizeArticle(news, null, { budget: 40, maxSentences: 1 }), '今天天氣晴朗，上班族陸續進入辦公室。');
+  });
+
+  test('沒有內文時使用摘要，並略過與標題相同的句子', () => {
+    assert.equal(summarizeArticle({ title: '市長出席典禮', summary: '市長出席典禮。' }, rules), '');
+    assert.equal(summarizeArticle({ title: '市長出席典禮', summary: '高雄市長今日出席典禮。' }, rules), '高雄市長今日出席典禮。');
+  });
+});
@@ -0,0 +1,359 @@
+/**
+ * Telegram 互動 bot 測試（使用本機的替身 Telegram API 伺服器）
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import axios from 'axios';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TelegramBot, parseCommand, parseFeedback, updateFeedbackKeyboard, chunkLines } from '../lib/telegram-bot.js';
+import { ArticleArchive, articleId } from '../lib/article-archive.js';
+import { loadFilterRules } from '../filter-rules-loader.js';
+import { parseBotArgs, resolveAllowedChatIds, createBot } from '../scripts/telegram-bot.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const silent = { info() {}, warn() {}, error() {} };
+const rules = loadFilterRules(path.join(__dirname, '..', 'config', 'filter-rules.json'), { logger: silent });
+const now = new Date('2026-10-19T10:00:00+08:00');
+
+/**
+ * 啟動替身 Telegram API：getUpdates 依序回傳 pendingUpdates，sendMessage 記錄在 sent，
+ * answerCallbackQuery 記錄在 answers，editMessageReplyMarkup 記錄在 edits
+ * @returns {Promise<Object>} {url, state, close}
+ */
+function startFakeTelegram() {
+  const state = { pendingUpdates: [], sent: [], answers: [], edits: [], calls: [] };
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const [, token, method] = req.url.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+      const params = raw ? JSON.parse(raw) : {};
+      state.calls.push({ token, method, params });
+
+      const results = {
+        getMe: () => ({ id: 1, is_bot: true, username: 'six_cities_news_bot' }),
+        setMyCommands: () => true,
+        getUpdates: () => state.pendingUpdates.splice(0).filter(update => update.update_id >= (params.offset || 0)),
+        sendMessage: () => {
+          state.sent.push(params);
+          return { message_id: 1000 + state.sent.length };
+        },
+        answerCallbackQuery: () => {
+          state.answers.push(params);
+          return true;
+        },
+        editMessageReplyMarkup: () => {
+          state.edits.push(params);
+          return true;
+        }
+      };
+
+      res.writeHead(results[method] ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(results[method]
+        ? { ok: true, result: results[method]() }
+        : { ok: false, description: 'Not Found' }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        state,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+function buildArchive() {
+  const archive = new ArticleArchive({ path: '/nonexistent/archive.json' });
+  // 測試不讀寫檔案，保留建立時加入的紀錄
+  archive.load = () => archive;
+  archive.save = () => { archive.saved = (archive.saved || 0) + 1; };
+  archive.add([
+    { title: '高雄市政府與日本城市簽署友好協議', url: 'https://example.com/1', source: '中央社', city: '高雄', category: '國際交流', score: 30, publishedAt: '2026-10-19T08:00:00+08:00' },
+    { title: '臺北市政府秘書處公文線上簽核', url: 'https://example.com/2', source: '台北市政府', city: '台北', category: '秘書處業務', score: 20, publishedAt: '2026-10-18T09:00:00+08:00' }
+  ], new Date('2026-10-19T00:00:00Z'));
+  archive.add([
+    { title: '高雄市議會<預算>審查', url: 'https://example.com/3', source: '聯合新聞網', city: '高雄', category: '市政新聞', score: 12, publishedAt: '2026-10-15T09:00:00+08:00' },
+    { title: '高雄市舊聞', url: 'https://example.com/4', source: '聯合新聞網', city: '高雄', category: '市政新聞', score: 12, publishedAt: '2026-10-01T09:00:00+08:00' }
+  ], new Date('2026-10-15T00:00:00Z'));
+  return archive;
+}
+
+function message(updateId, text, chatId = -100, extra = {}) {
+  return { update_id: updateId, message: { message_id: updateId * 10, chat: { id: chatId, type: 'supergroup' }, text, ...extra } };
+}
+
+test('parseCommand 解析指令、指名的 bot 與參數', () => {
+  assert.deepEqual(parseCommand('/city 高雄'), { name: 'city', mention: null, argument: '高雄' });
+  assert.deepEqual(parseCommand('/Search@six_cities_news_bot  簽署  協議 '), { name: 'search', mention: 'six_cities_news_bot', argument: '簽署  協議' });
+  assert.equal(parseCommand('今天有什麼新聞'), null);
+  assert.equal(parseCommand(undefined), null);
+});
+
+function callback(updateId, data, { chatId = -100, userId = 42, keyboard = null } = {}) {
+  return {
+    update_id: updateId,
+    callback_query: {
+      id: `cb${updateId}`,
+      from: { id: userId },
+      data,
+      message: { message_id: 500, chat: { id: chatId, type: 'supergroup' }, ...(keyboard && { reply_markup: keyboard }) }
+    }
+  };
+}
+
+const id1 = articleId({ url: 'https://example.com/1' });
+const id2 = articleId({ url: 'https://example.com/2' });
+const digestKeyboard = {
+  inline_keyboard: [
+    [{ text: '1. 👍 相關', callback_data: `fb:${id1}:up` }, { text: '1. 👎 不相關', callback_data: `fb:${id1}:down` }],
+    [{ text: '2. 👍 相關', callback_data: `fb:${id2}:up` }, { text: '2. 👎 不相關', callback_data: `fb:${id2}:down` }]
+  ]
+};
+
+test('parseFeedback 解析回饋按鈕', () => {
+  assert.deepEqual(parseFeedback(`fb:${id1}:down`), { id: id1, vote: 'down' });
+  assert.equal(parseFeedback('fb:xyz:up'), null);
+  assert.equal(parseFeedback(undefined), null);
+});
+
+test('updateFeedbackKeyboard 只更新該則新聞的票數', () => {
+  const updated = updateFeedbackKeyboard(digestKeyboard, id2, { up: 3, down: 0 });
+  assert.deepEqual(updated.inline_keyboard[0], digestKeyboard.inline_keyboard[0]);
+  assert.deepEqual(updated.inline_keyboard[1].map(button => button.text), ['2. 👍 相關 3', '2. 👎 不相關']);
+  assert.equal(updateFeedbackKeyboard(digestKeyboard, '000000000000', { up: 1, down: 0 }), null);
+});
+
+test('chunkLines 依長度分成多則訊息', () => {
+  assert.deepEqual(chunkLines(['aaaa', 'bbbb', 'cc'], 10), ['aaaa\nbbbb', 'cc']);
+});
+
+describe('TelegramBot', () => {
+  let api;
+  let bot;
+
+  before(async () => {
+    api = await startFakeTelegram();
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    api.state.pendingUpdates = [];
+    api.state.sent = [];
+    api.state.answers = [];
+    api.state.edits = [];
+    api.state.calls = [];
+    bot = new TelegramBot({
+      token: 'token123',
+      apiBaseUrl: api.url,
+      archive: buildArchive(),
+      loadRules: () => rules,
+      botConfig: { pollTimeout: 0 },
+      allowedChatIds: ['-100'],
+      now: () => now
+    });
+  });
+
+  test('start 取得 bot 名稱並登錄指令清單', async () => {
+    await bot.start();
+    const setCommands = api.state.calls.find(call => call.method === 'setMyCommands');
+
+    assert.equal(bot.username, 'six_cities_news_bot');
+    assert.equal(api.state.calls[0].token, 'token123');
+    assert.deepEqual(setCommands.params.commands.map(command => command.command), ['today', 'city', 'search', 'category', 'rules', 'help']);
+  });
+
+  test('/today 列出今日存檔的新聞，並回覆在原討論串', async () => {
+    api.state.pendingUpdates = [message(1, '/today', -100, { message_thread_id: 7 })];
+    assert.equal(await bot.pollOnce(), 1);
+
+    const [reply] = api.state.sent;
+    assert.equal(reply.chat_id, -100);
+    assert.equal(reply.parse_mode, 'HTML');
+    assert.equal(reply.reply_to_message_id, 10);
+    assert.equal(reply.message_thread_id, 7);
+    assert.match(reply.text, /^🔍 <b>今日新聞 2026\/10\/19<\/b>（共 2 則）/);
+    assert.match(reply.text, /1\. <a href="https:\/\/example.com\/1">高雄市政府與日本城市簽署友好協議<\/a>\n {3}高雄｜國際交流｜中央社｜10\/19/);
+  });
+
+  test('/city 查詢近 7 天的新聞並跳脫 HTML', async () => {
+    api.state.pendingUpdates = [message(2, '/city 高雄')];
+    await bot.pollOnce();
+
+    const text = api.state.sent[0].text;
+    assert.match(text, /高雄 近 7 天的新聞<\/b>（共 2 則）/);
+    assert.match(text, /高雄市議會&lt;預算&gt;審查/);
+    assert.doesNotMatch(text, /舊聞/);
+  });
+
+  test('/city 以地名辭典對應正式名稱與簡稱', async () => {
+    api.state.pendingUpdates = [message(15, '/city 臺北市'), message(16, '/city 北市'), message(17, '/city 高雄市')];
+    await bot.pollOnce();
+
+    assert.match(api.state.sent[0].text, /台北 近 7 天的新聞<\/b>（共 1 則）/);
+    assert.match(api.state.sent[1].text, /臺北市政府秘書處公文線上簽核/);
+    assert.match(api.state.sent[2].text, /高雄 近 7 天的新聞<\/b>（共 2 則）/);
+  });
+
+  test('/search 與 /category', async () => {
+    api.state.pendingUpdates = [message(3, '/search 簽署'), message(4, '/category 秘書處業務'), message(5, '/search 颱風')];
+    await bot.pollOnce();
+
+    assert.match(api.state.sent[0].text, /「簽署」近 7 天的新聞<\/b>（共 1 則）/);
+    assert.match(api.state.sent[1].text, /臺北市政府秘書處公文線上簽核/);
+    assert.match(api.state.sent[2].text, /沒有找到相關新聞/);
+    assert.equal(bot.offset, 6);
+  });
+
+  test('maxResults 限制列出的則數', async () => {
+    bot.config.maxResults = 1;
+    api.state.pendingUpdates = [message(6, '/city 高雄')];
+    await bot.pollOnce();
+    assert.match(api.state.sent[0].text, /共 2 則，顯示前 1 則/);
+  });
+
+  test('/rules 回覆目前規則的 printRules() 內容', async () => {
+    api.state.pendingUpdates = [message(7, '/rules')];
+    await bot.pollOnce();
+
+    const text = api.state.sent.map(reply => reply.text).join('\n');
+    assert.match(text, new RegExp(`📋 <b>篩選規則 v${rules.version.replace(/\./g, '\\.')}`));
+    assert.match(text, /【城市】\(權重: \d+\)/);
+    assert.match(text, /【分類關鍵字】/);
+  });
+
+  test('缺少參數、未知指令與指名其他 bot 的指令', async () => {
+    bot.username = 'six_cities_news_bot';
+    api.state.pendingUpdates = [
+      message(8, '/city'),
+      message(9, '/weather'),
+      message(10, '/weather@six_cities_news_bot'),
+      message(11, '/today@other_bot'),
+      message(12, '大家好')
+    ];
+    await bot.pollOnce();
+
+    // 群組中未指名本 bot 的未知指令可能是給其他 bot 的
+    assert.deepEqual(api.state.sent.map(reply => reply.text), [
+      '請輸入查詢內容，例如：/city 高雄',
+      '不支援的指令 /weather，輸入 /help 查看可用的指令。'
+    ]);
+    assert.equal(api.state.sent[1].reply_to_message_id, 100);
+  });
+
+  test('私訊中的未知指令回覆說明', async () => {
+    bot.allowedChatIds = null;
+    const update = message(13, '/weather', 42);
+    update.message.chat.type = 'private';
+    api.state.pendingUpdates = [update];
+    await bot.pollOnce();
+
+    assert.equal(api.state.sent[0].text, '不支援的指令 /weather，輸入 /help 查看可用的指令。');
+  });
+
+  test('忽略未授權聊天室的指令', async () => {
+    api.state.pendingUpdates = [message(14, '/today', 555)];
+    assert.equal(await bot.pollOnce(), 1);
+    assert.equal(api.state.sent.length, 0);
+    assert.equal(bot.offset, 15);
+  });
+
+  test('回饋按鈕記錄投票、回覆提示並更新按鈕票數', async () => {
+    api.state.pendingUpdates = [
+      callback(20, `fb:${id1}:up`, { keyboard: digestKeyboard }),
+      callback(21, `fb:${id1}:down`, { userId: 43, keyboard: digestKeyboard }),
+      callback(22, `fb:${id1}:up`, { keyboard: digestKeyboard })
+    ];
+    assert.equal(await bot.pollOnce(), 3);
+
+    assert.deepEqual(api.state.calls.find(call => call.method === 'getUpdates').params.allowed_updates, ['message', 'callback_query']);
+    assert.deepEqual(api.state.answers.map(answer => answer.text), [
+      '已記錄：相關 👍（👍 1／👎 0）',
+      '已記錄：不相關 👎（👍 1／👎 1）',
+      '已取消投票（👍 0／👎 1）'
+    ]);
+    assert.equal(api.state.answers[0].callback_query_id, 'cb20');
+    assert.deepEqual(bot.archive.entries[0].votes, { 43: 'down' });
+    assert.equal(bot.archive.saved, 3);
+
+    const [first] = api.state.edits;
+    assert.equal(first.message_id, 500);
+    assert.deepEqual(first.reply_markup.inline_keyboard[0].map(button => button.text), ['1. 👍 相關 1', '1. 👎 不相關']);
+    assert.deepEqual(api.state.edits[2].reply_markup.inline_keyboard[0].map(button => button.text), ['1. 👍 相關', '1. 👎 不相關 1']);
+  });
+
+  test('回饋按鈕：找不到新聞與未授權聊天室', async () => {
+    api.state.pendingUpdates = [
+      callback(23, 'fb:000000000000:up'),
+      callback(24, `fb:${id1}:up`, { chatId: 555 }),
+      callback(25, 'other:data')
+    ];
+    await bot.pollOnce();
+
+    assert.deepEqual(api.state.answers.map(answer => answer.text), ['這則新聞已不在存檔中，無法記錄', '這個聊天室未開放回饋']);
+    assert.equal(bot.archive.saved, undefined);
+    assert.equal(api.state.edits.length, 0);
+  });
+
+  test('run 在 signal 中止後停止', async () => {
+    const controller = new AbortController();
+    api.state.pendingUpdates = [message(14, '/help')];
+    bot.http = {
+      post: async (...args) => {
+        const response = await axios.post(...args);
+        if (api.state.sent.length > 0) controller.abort();
+        return response;
+      }
+    };
+
+    await bot.run({ signal: controller.signal });
+    assert.match(api.state.sent[0].text, /可用的指令[\s\S]*\/search 簽署 - 搜尋近幾天的新聞標題與摘要/);
+
+    // 停止前確認已處理的更新，下次啟動時不會重複回覆
+    assert.deepEqual(api.state.calls.at(-1), { token: 'token123', method: 'getUpdates', params: { offset: 15, limit: 1, timeout: 0 } });
+  });
+});
+
+test('createBot 依規則檔與環境變數建立 bot', () => {
+  assert.throws(() => createBot({ env: {} }), /缺少環境變數 TELEGRAM_BOT_TOKEN/);
+
+  const bot = createBot({ env: { TELEGRAM_BOT_TOKEN: 't', TELEGRAM_GROUP_ID: '-100', TELEGRAM_TAICHUNG_CHAT_ID: '-300' } });
+  // 規則檔中的訂閱未啟用，只回覆主群組
+  assert.deepEqual([...bot.allowedChatIds], ['-100']);
+  assert.equal(bot.archive.config.votesPath, rules.archiveConfig.votesPath);
+  assert.equal(bot.config.searchDays, rules.botConfig.searchDays);
+  assert.equal(bot.archive.config.path, rules.archiveConfig.path);
+  assert.equal(bot.apiBaseUrl, 'https://api.telegram.org');
+});
+
+test('parseBotArgs 將 --duration 轉為毫秒', () => {
+  assert.deepEqual(parseBotArgs([]), { duration: null });
+  assert.deepEqual(parseBotArgs(['--duration', '14']), { duration: 14 * 60 * 1000 });
+  assert.throws(() => parseBotArgs(['--duration', '0']), /--duration 必須是正數/);
+});
+
+test('resolveAllowedChatIds 包含主群組、啟用的訂閱與 allowedChatIdsEnv 指定的聊天室', () => {
+  const notifiersConfig = {
+    notifiers: [
+      { name: 'telegram', type: 'telegram', enabled: true, chatIdEnv: 'TELEGRAM_GROUP_ID' },
+      { name: 'slack', type: 'slack', enabled: true, webhookUrlEnv: 'SLACK_WEBHOOK_URL' }
+    ],
+    subscriptions: [
+      { name: '台中聯絡組', notifier: 'telegram', target: { chatIdEnv: 'TELEGRAM_TAICHUNG_CHAT_ID' }, cities: ['台中'] },
+      { name: '國際事務組', notifier: 'telegram', enabled: false, target: { chatIdEnv: 'TELEGRAM_INTL_CHAT_ID' } },
+      { name: '高雄頻道', notifier: 'telegram', target: { chatId: -400 } }
+    ]
+  };
+  const env = { TELEGRAM_GROUP_ID: '-100', TELEGRAM_TAICHUNG_CHAT_ID: '-300', TELEGRAM_INTL_CHAT_ID: '-500', BOT_ADMIN_CHATS: '42, -100' };
+
+  assert.deepEqual(resolveAllowedChatIds(notifiersConfig, {}, env), ['-100', '-300', '-400']);
+  assert.deepEqual(resolveAllowedChatIds(notifiersConfig, { allowedChatIdsEnv: 'BOT_ADMIN_CHATS' }, env), ['-100', '-300', '-400', '42']);
+  assert.deepEqual(resolveAllowedChatIds(notifiersConfig, {}, {}), ['-400']);
+});
@@ -0,0 +1,182 @@
+/**
+ * Telegram 摘要訊息測試
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, generateTelegramMessages } from '../lib/telegram-renderer.js';
+import { articleId } from '../lib/article-archive.js';
+
+const now = new Date('2026-10-19T00:00:00Z');
+const telegramConfig = {
+  maxArticlesInMessage: 30,
+  maxMessageLength: 4096,
+  includeSource: true,
+  includeCategory: true,
+  includeScore: false
+};
+
+function makeNews(count, overrides = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    title: `台北市政府第 ${i + 1} 則新聞`,
+    summary: '市長今日主持會議，'.repeat(10),
+    url: `https://example.com/news?id=${i + 1}&ref=rss`,
+    source: '聯合新聞網',
+    city: ['台北', '新北', '高雄'][i % 3],
+    category: '市政新聞',
+    score: 20,
+    ...overrides
+  }));
+}
+
+describe('generateTelegramMessages', () => {
+  test('無新聞時回傳單則提示訊息', () => {
+    const parts = generateTelegramMessages([], telegramConfig, { now });
+
+    assert.equal(parts.length, 1);
+    assert.match(parts[0].html, /今日無相關新聞/);
+    assert.match(parts[0].html, /2026\/10\/19/);
+    assert.deepEqual(parts[0].items, []);
+  });
+
+  test('跳脫標題、摘要與網址中的 HTML 字元', () => {
+    const [part] = generateTelegramMessages([{
+      title: '預算<5% & "凍結"',
+      summary: '<script>alert(1)</script>',
+      url: 'https://example.com/?a=1&b=2',
+      source: 'A&B',
+      city: '台北',
+      score: 10
+    }], telegramConfig, { now });
+
+    assert.match(part.html, /預算&lt;5% &amp; &quot;凍結&quot;/);
+    assert.match(part.html, /&lt;script&gt;/);
+    assert.match(part.html, /href="https:\/\/example.com\/\?a=1&amp;b=2"/);
+    assert.doesNotMatch(part.html, /<script>/);
+    assert.match(part.text, /預算<5% & "凍結"/);
+  });
+
+  test('依長度限制切分並保留所有新聞', () => {
+    const news = makeNews(30);
+    const parts = generateTelegramMessages(news, { ...telegramConfig, maxMessageLength: 1200 }, { now });
+    const shown = parts.flatMap(part => part.items);
+
+    assert.ok(parts.length > 1);
+    parts.forEach(part => assert.ok(part.html.length <= 1200, `訊息長度 ${part.html.length}`));
+    assert.equal(new Set(shown).size, shown.length);
+    assert.match(parts[1].html, new RegExp(`（2/${parts.length}）`));
+    assert.match(parts[parts.length - 1].html, /共 30 則新聞/);
+  });
+
+  test('頁尾標示篩選規則版本', () => {
+    const [part] = generateTelegramMessages(makeNews(1), telegramConfig, {
+      now,
+      rules: { version: '1.0.3', lastUpdated: '2026-10-18T02:00:00Z', filterRules: {} }
+    });
+
+    assert.match(part.html, /🔖 篩選規則 v1\.0\.3（2026\/10\/18 更新）$/);
+    assert.doesNotMatch(generateTelegramMessages(makeNews(1), telegramConfig, { now })[0].html, /篩選規則/);
+  });
+
+  test('每個城市最多 5 則，並遵守 maxArticlesInMessage', () => {
+    const news = makeNews(30);
+    const perCity = generateTelegramMessages(news, telegramConfig, { now }).flatMap(part => part.items);
+    const limited = generateTelegramMessages(news, { ...telegramConfig, maxArticlesInMessage: 7 }, { now })
+      .flatMap(part => part.items);
+
+    assert.equal(perCity.length, 15);
+    assert.equal(limited.length, 7);
+  });
+
+  test('市府新聞稿與媒體報導分開顯示', () => {
+    const news = [...makeNews(1, { official: true }), ...makeNews(1)];
+    const [part] = generateTelegramMessages(news, telegramConfig, { now });
+
+    assert.ok(part.html.indexOf('市府新聞稿') < part.html.indexOf('媒體報導'));
+  });
+
+  test('includeScore 開啟時顯示評分明細', () => {
+    const news = makeNews(1, {
+      score: 35,
+      scoreBreakdown: {
+        matches: {
+          cities: [{ label: '台北', field: 'title', count: 1, points: 20 }],
+          keywords: [{ label: '市長', field: 'summary', count: 2, points: 7.5 }]
+        },
+        officialBonus: 10
+      }
+    });
+    const [withScore] = generateTelegramMessages(news, { ...telegramConfig, includeScore: true }, { now });
+    const [withoutScore] = generateTelegramMessages(news, telegramConfig, { now });
+
+    assert.match(withScore.html, /⭐ 35 分\n {3}📊 <i>城市 台北（標題） \+20；關鍵字 市長×2 \+7.5；市府新聞稿 \+10<\/i>/);
+    assert.doesNotMatch(withoutScore.html, /📊/);
+  });
+
+  test('列出同一事件的其他來源報導', () => {
+    const news = makeNews(1, { related: [{ title: 'x', url: 'https://ltn.example/1', source: '自由時報' }] });
+    const [part] = generateTelegramMessages(news, telegramConfig, { now });
+
+    assert.match(part.html, /其他報導：<a href="https:\/\/ltn.example\/1">自由時報<\/a>/);
+  });
+
+  test('摘要在句子或子句邊界截斷', () => {
+    const [part] = generateTelegramMessages(makeNews(1), { ...telegramConfig, summaryLength: 30 }, { now });
+    assert.match(part.text, /\n   市長今日主持會議，市長今日主持會議，市長今日主持會議…\n/);
+
+    const [short] = generateTelegramMessages(
+      makeNews(1, { summary: '台北市長今日主持會議。會後接受訪問。' }),
+      { ...telegramConfig, summaryLength: 12 },
+      { now }
+    );
+    assert.match(short.text, /\n   台北市長今日主持會議。\n/);
+  });
+
+  test('標示所有分類，groupBy 為 category 時依主要分類分組', () => {
+    const news = [
+      { ...makeNews(1)[0], city: '台北', category: '市政新聞', categories: ['市政新聞', '秘書處業務'] },
+      { ...makeNews(1)[0], city: '高雄', category: '活動典禮', categories: ['活動典禮'] }
+    ];
+
+    const [byCity] = generateTelegramMessages(news, telegramConfig, { now });
+    assert.match(byCity.text, /【台北】/);
+    assert.match(byCity.text, /🏷️ 市政新聞、秘書處業務/);
+    assert.doesNotMatch(byCity.text, /📍/);
+
+    const [byCategory] = generateTelegramMessages(news, { ...telegramConfig, groupBy: 'category' }, { now });
+    assert.match(byCategory.text, /【市政新聞】 \(1 則\)/);
+    assert.match(byCategory.text, /【活動典禮】 \(1 則\)/);
+    assert.match(byCategory.text, /📍 高雄/);
+  });
+});
+
+describe('回饋按鈕', () => {
+  test('feedbackButtons 關閉時不附按鈕', () => {
+    const parts = generateTelegramMessages(makeNews(3), telegramConfig, { now });
+    assert.equal(parts[0].replyMarkup, undefined);
+  });
+
+  test('每則新聞一列 👍／👎，編號跨訊息連續', () => {
+    const parts = generateTelegramMessages(makeNews(15), { ...telegramConfig, maxMessageLength: 1200, feedbackButtons: true }, { now });
+    const rows = parts.flatMap(part => part.replyMarkup.inline_keyboard);
+
+    assert.ok(parts.length > 1);
+    parts.forEach(part => assert.equal(part.replyMarkup.inline_keyboard.length, part.items.length));
+    assert.equal(rows.length, 15);
+    assert.deepEqual(rows[0], [
+      { text: '1. 👍 相關', callback_data: `fb:${articleId(parts[0].items[0])}:up` },
+      { text: '1. 👎 不相關', callback_data: `fb:${articleId(parts[0].items[0])}:down` }
+    ]);
+    assert.match(rows[14][1].text, /^15\. 👎/);
+
+    // 按鈕編號與訊息中的新聞編號一致
+    const second = parts[1];
+    const firstNumber = second.replyMarkup.inline_keyboard[0][0].text.match(/^(\d+)\./)[1];
+    assert.match(second.html, new RegExp(`${firstNumber}\\. <b>${second.items[0].title}</b>`));
+  });
+});
+
+test('escapeHtml', () => {
+  assert.equal(escapeHtml('<a href="x">&</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+  assert.equal(escapeHtml(undefined), '');
+});
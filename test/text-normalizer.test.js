@@ -0,0 +1,27 @@
+/**
+ * 文字正規化測試
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeEntities, toHalfWidth, foldVariants, normalizeText } from '../lib/text-normalizer.js';
+
+test('解碼具名與數字 HTML 實體', () => {
+  assert.equal(decodeEntities('A&amp;B&nbsp;&#31192;&#x66F8;&hellip;'), 'A&B 秘書…');
+  assert.equal(decodeEntities('&unknown; &#0;'), '&unknown; &#0;');
+});
+
+test('全形英數與空白轉為半形', () => {
+  assert.equal(toHalfWidth('ＡＰＥＣ　２０２６！'), 'APEC 2026!');
+});
+
+test('簡體字與異體字統一為繁體寫法', () => {
+  assert.equal(foldVariants('祕书处'), '秘書處');
+  assert.equal(foldVariants('臺北市长'), '台北市長');
+});
+
+test('normalizeText 移除空白與標點並轉為小寫', () => {
+  assert.equal(normalizeText(' 臺北市 祕書處，發布「新政策」 '), '台北市秘書處發布新政策');
+  assert.equal(normalizeText('新北市　ＡＩ&amp;智慧城市'), '新北市ai智慧城市');
+  assert.equal(normalizeText(undefined), '');
+});